@@ -0,0 +1,28 @@
+// Fills in checkedInAt for sessions started before it existed, when /start
+// only set the booking ACTIVE. Without it the lifecycle job would mark those
+// sessions NO_SHOW at their end time rather than closing them.
+// Run it once, before the first server with background jobs starts: after
+// that an ACTIVE booking without checkedInAt is one the job activated and
+// the driver hasn't checked in to yet.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  // The real check-in time wasn't kept, so the session counts from its start
+  const count = await prisma.$executeRaw`
+    UPDATE "bookings"
+    SET "checkedInAt" = "startTime"
+    WHERE "status" = 'ACTIVE' AND "checkedInAt" IS NULL`;
+
+  console.log(`Backfilled the check-in time of ${count} active bookings`);
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,23 @@
+// Fills in the stored rating summary for spaces reviewed before it existed.
+// Safe to run more than once.
+const { PrismaClient } = require('@prisma/client');
+const { backfillSpaceRatings } = require('../src/services/reviewService');
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const updated = await backfillSpaceRatings();
+
+  updated.forEach(({ spaceId, avgRating, reviewCount }) => {
+    console.log(`Updated space ${spaceId}: ${avgRating} from ${reviewCount} reviews`);
+  });
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
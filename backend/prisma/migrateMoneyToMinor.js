@@ -0,0 +1,61 @@
+// Moves money columns stored as pounds (floats) to integer minor units,
+// renaming each to its "...Minor" name, and adds the currency columns.
+// Run it before pushing the schema, so the renamed columns are kept rather
+// than dropped and recreated. Safe to run more than once.
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// [table, old column, new column]
+const MONEY_COLUMNS = [
+  ['parking_spaces', 'price', 'priceMinor'],
+  ['parking_spaces', 'overtimeRate', 'overtimeRateMinor'],
+  ['pricing_rules', 'amount', 'amountMinor'],
+  ['bookings', 'totalCost', 'totalCostMinor'],
+  ['payments', 'amount', 'amountMinor'],
+  ['payments', 'refundAmount', 'refundAmountMinor']
+];
+
+// Tables that gain a currency; payments already have one
+const CURRENCY_TABLES = ['parking_spaces', 'bookings'];
+
+const columnExists = async (tx, table, column) => {
+  const [{ exists }] = await tx.$queryRaw`
+    SELECT EXISTS (
+      SELECT 1 FROM information_schema.columns
+      WHERE table_schema = current_schema() AND table_name = ${table} AND column_name = ${column}
+    ) AS "exists"`;
+  return exists;
+};
+
+async function main() {
+  await prisma.$transaction(async (tx) => {
+    for (const [table, from, to] of MONEY_COLUMNS) {
+      if (!await columnExists(tx, table, from) || await columnExists(tx, table, to)) {
+        console.log(`Skipped ${table}.${from}: already migrated`);
+        continue;
+      }
+
+      await tx.$executeRawUnsafe(`ALTER TABLE "${table}" RENAME COLUMN "${from}" TO "${to}"`);
+      await tx.$executeRawUnsafe(
+        `ALTER TABLE "${table}" ALTER COLUMN "${to}" TYPE INTEGER USING ROUND("${to}" * 100)::INTEGER`
+      );
+      console.log(`Migrated ${table}.${from} to ${to}`);
+    }
+
+    for (const table of CURRENCY_TABLES) {
+      await tx.$executeRawUnsafe(
+        `ALTER TABLE "${table}" ADD COLUMN IF NOT EXISTS "currency" TEXT NOT NULL DEFAULT 'GBP'`
+      );
+    }
+  });
+}
+
+main()
+  .catch(e => {
+    console.error(e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,68 @@
+/**
+ * Background Jobs
+ *
+ * Registers the recurring jobs run by each API instance:
+ * - Releasing expired checkout holds
+ * - Moving bookings through their lifecycle (activation, completion,
+ *   no-shows and stale PENDING bookings)
+ * - Transferring earnings held for hosts who have since set up payouts
+ * - Invoicing the upcoming month of monthly-billed booking series
+ * - Pruning live update events too old to be replayed
+ *
+ * Set JOBS_ENABLED=false to run an instance without background jobs.
+ */
+
+const { createScheduler } = require('./scheduler');
+const { releaseExpiredHolds } = require('../services/availabilityService');
+const { runBookingLifecycle } = require('../services/bookingLifecycleService');
+const { transferHeldEarnings } = require('../services/payoutService');
+const { invoiceUpcomingSeriesMonths } = require('../services/bookingSeriesService');
+const { pruneRealtimeEvents } = require('../services/realtimeService');
+
+const JOBS = [
+  {
+    name: 'release-expired-holds',
+    intervalMs: 60 * 1000,
+    run: releaseExpiredHolds
+  },
+  {
+    name: 'booking-lifecycle',
+    intervalMs: 60 * 1000,
+    run: runBookingLifecycle
+  },
+  {
+    name: 'transfer-host-earnings',
+    intervalMs: 15 * 60 * 1000,
+    run: transferHeldEarnings
+  },
+  {
+    name: 'invoice-booking-series',
+    intervalMs: 60 * 60 * 1000,
+    run: invoiceUpcomingSeriesMonths
+  },
+  {
+    name: 'prune-realtime-events',
+    intervalMs: 60 * 60 * 1000,
+    run: pruneRealtimeEvents
+  }
+];
+
+/**
+ * Start the background jobs
+ * @param {Object} options - Scheduler options (e.g. a clock)
+ * @returns {Object|null} - Running scheduler, or null when jobs are disabled
+ */
+const startJobs = (options = {}) => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    return null;
+  }
+
+  const scheduler = createScheduler({ jobs: JOBS, ...options });
+  scheduler.start();
+  return scheduler;
+};
+
+module.exports = {
+  JOBS,
+  startJobs
+};
@@ -0,0 +1,162 @@
+/**
+ * Job Scheduler
+ *
+ * Runs background jobs on a fixed interval. Several API instances can run
+ * the scheduler at the same time: before running a job an instance has to
+ * claim the job's row in job_leases, and the claim only succeeds once the
+ * previous run's lease has expired. When a run finishes, the lease is set
+ * to expire one interval after the run started, so each job runs roughly
+ * once per interval across all instances.
+ *
+ * The current time comes from an injectable clock and is passed to every
+ * job, so runs can be driven by a fake clock via runJob/runAll.
+ */
+
+const os = require('os');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// How long a claimed job may run before another instance can take over
+const DEFAULT_LEASE_MS = 5 * 60 * 1000;
+
+const systemClock = {
+  now: () => new Date()
+};
+
+/**
+ * Create a scheduler for a set of jobs
+ * @param {Object} options - Scheduler options
+ * @param {Array} options.jobs - Jobs: { name, intervalMs, leaseMs?, run(now) }
+ * @param {Object} options.clock - Clock with a now() method
+ * @param {string} options.instanceId - Name recorded on leases this instance holds
+ * @returns {Object} - { start, stop, runJob, runAll }
+ */
+const createScheduler = ({ jobs, clock = systemClock, instanceId = `${os.hostname()}:${process.pid}` }) => {
+  const timers = [];
+  const running = new Set();
+
+  /**
+   * Claim a job's lease if nobody holds it
+   * @param {Object} job - Job definition
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} - Whether this instance now holds the lease
+   */
+  const claimLease = async (job, now) => {
+    await prisma.jobLease.createMany({
+      data: [{ name: job.name, expiresAt: now }],
+      skipDuplicates: true
+    });
+
+    const result = await prisma.jobLease.updateMany({
+      where: {
+        name: job.name,
+        expiresAt: { lte: now }
+      },
+      data: {
+        holder: instanceId,
+        expiresAt: new Date(now.getTime() + (job.leaseMs || DEFAULT_LEASE_MS))
+      }
+    });
+
+    return result.count === 1;
+  };
+
+  /**
+   * Hand a job's lease back, due again one interval after the run started
+   * @param {Object} job - Job definition
+   * @param {Date} startedAt - When the run started
+   */
+  const releaseLease = async (job, startedAt) => {
+    await prisma.jobLease.updateMany({
+      where: {
+        name: job.name,
+        holder: instanceId
+      },
+      data: {
+        holder: null,
+        expiresAt: new Date(startedAt.getTime() + job.intervalMs)
+      }
+    });
+  };
+
+  /**
+   * Run a job if it is due and no other instance is running it
+   * @param {Object} job - Job definition
+   * @returns {Promise<Object>} - { job, ran, result?, error? }
+   */
+  const runJob = async (job) => {
+    if (running.has(job.name)) {
+      return { job: job.name, ran: false };
+    }
+
+    running.add(job.name);
+    const startedAt = clock.now();
+
+    try {
+      if (!await claimLease(job, startedAt)) {
+        return { job: job.name, ran: false };
+      }
+
+      try {
+        const result = await job.run(startedAt);
+        return { job: job.name, ran: true, result };
+      } catch (error) {
+        console.error(`Job ${job.name} failed:`, error);
+        return { job: job.name, ran: true, error };
+      } finally {
+        await releaseLease(job, startedAt);
+      }
+    } finally {
+      running.delete(job.name);
+    }
+  };
+
+  /**
+   * Run every due job once, one after another
+   * @returns {Promise<Array>} - Outcome of each job
+   */
+  const runAll = async () => {
+    const outcomes = [];
+    for (const job of jobs) {
+      outcomes.push(await runJob(job));
+    }
+    return outcomes;
+  };
+
+  /**
+   * Start running each job on its interval
+   */
+  const start = () => {
+    jobs.forEach(job => {
+      const tick = () => {
+        runJob(job).catch(error => {
+          console.error(`Job ${job.name} could not be scheduled:`, error);
+        });
+      };
+
+      tick();
+      timers.push(setInterval(tick, job.intervalMs));
+    });
+  };
+
+  /**
+   * Stop scheduling jobs (runs already in progress finish on their own)
+   */
+  const stop = () => {
+    timers.forEach(timer => clearInterval(timer));
+    timers.length = 0;
+  };
+
+  return {
+    start,
+    stop,
+    runJob,
+    runAll
+  };
+};
+
+module.exports = {
+  createScheduler,
+  systemClock
+};
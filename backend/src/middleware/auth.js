@@ -58,7 +58,8 @@ const authMiddleware = async (req, res, next) => {
         lastName: true,
         role: true,
         isActive: true,
-        isEmailVerified: true
+        isEmailVerified: true,
+        stripeCustomerId: true
       }
     });
 
@@ -0,0 +1,24 @@
+/**
+ * Money Response Middleware
+ *
+ * Amounts are stored in minor units ("...Minor" fields). This middleware
+ * adds the matching major-unit fields (price, totalCost, amount, ...) to
+ * every JSON response so the API shape stays the same for clients.
+ */
+
+const { withMajorUnits } = require('../utils/money');
+
+/**
+ * Wrap res.json so response bodies get major-unit amounts
+ */
+const moneyResponse = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => json(withMajorUnits(body));
+
+  next();
+};
+
+module.exports = {
+  moneyResponse
+};
@@ -0,0 +1,265 @@
+/**
+ * Booking Series Routes
+ *
+ * This file handles recurring bookings (e.g. weekdays 08:00-18:00 for a
+ * season):
+ * - Quote a series, listing the dates that can't be booked
+ * - Book a series, paid up front or by monthly invoice
+ * - List the driver's series and view one with its occurrences
+ * - Cancel the rest of a series
+ *
+ * Each occurrence is an ordinary booking, so a single date is cancelled
+ * through POST /api/bookings/:id/cancel.
+ *
+ * All routes require authentication and include proper validation.
+ */
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  quoteBookingSeries,
+  createBookingSeries,
+  cancelBookingSeries
+} = require('../services/bookingSeriesService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const timeOfDayPattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:MM format
+
+const recurrenceFields = {
+  spaceId: Joi.string().uuid().required(),
+  daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).min(1).unique().required(), // 0 = Sunday
+  startTime: Joi.string().pattern(timeOfDayPattern).required(),
+  endTime: Joi.string().pattern(timeOfDayPattern).invalid(Joi.ref('startTime')).required(), // Earlier for overnight stays
+  startDate: Joi.date().iso().required(),
+  endDate: Joi.date().iso().min(Joi.ref('startDate')).required()
+};
+
+const seriesQuoteSchema = Joi.object(recurrenceFields);
+
+const createSeriesSchema = Joi.object({
+  ...recurrenceFields,
+  vehicleReg: Joi.string().min(2).max(15).required(),
+  vehicleMake: Joi.string().max(50).optional(),
+  vehicleModel: Joi.string().max(50).optional(),
+  vehicleColor: Joi.string().max(30).optional(),
+  specialRequests: Joi.string().max(500).optional(),
+  billing: Joi.string().valid('UPFRONT', 'MONTHLY').default('UPFRONT'),
+  skipConflicts: Joi.boolean().default(false), // Book the free dates and skip the rest
+  paymentMethodId: Joi.string().required() // Stripe payment method ID
+});
+
+const listSeriesSchema = Joi.object({
+  status: Joi.string().uppercase().valid('ACTIVE', 'CANCELLED'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+/**
+ * Helper function to load a space a driver wants to book a series at
+ * @param {string} spaceId - Parking space ID
+ * @param {Object} user - Driver
+ * @returns {Promise<Object>} - Parking space
+ */
+const getBookableSpace = async (spaceId, user) => {
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id: spaceId }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (!space.isActive) {
+    throw new AppError('Parking space is not available', 400, 'SPACE_INACTIVE');
+  }
+
+  if (space.ownerId === user.id) {
+    throw new AppError('You cannot book your own parking space', 400, 'CANNOT_BOOK_OWN_SPACE');
+  }
+
+  return space;
+};
+
+/**
+ * POST /api/booking-series/quote
+ * Price a recurring series and list the dates that can't be booked
+ */
+router.post('/quote', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = seriesQuoteSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const space = await getBookableSpace(value.spaceId, req.user);
+  const { quote, conflicts } = await quoteBookingSeries(space, value);
+
+  res.json({
+    success: true,
+    data: {
+      quote,
+      conflicts,
+      bookable: quote.occurrenceCount > 0
+    }
+  });
+}));
+
+/**
+ * POST /api/booking-series
+ * Book a recurring series
+ */
+router.post('/', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = createSeriesSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const space = await getBookableSpace(value.spaceId, req.user);
+  const { series, quote, skipped } = await createBookingSeries(req.user, space, value);
+
+  res.status(201).json({
+    success: true,
+    message: value.billing === 'MONTHLY'
+      ? 'Series booked. The first month has been charged and later months will be invoiced as they come up.'
+      : 'Series booked and paid for successfully',
+    data: {
+      series,
+      priceBreakdown: quote,
+      skipped
+    }
+  });
+}));
+
+/**
+ * GET /api/booking-series
+ * Get the driver's booking series
+ */
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = listSeriesSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { status, page, limit } = value;
+  const where = {
+    userId: req.user.id,
+    ...(status && { status })
+  };
+
+  const [series, totalCount] = await Promise.all([
+    prisma.bookingSeries.findMany({
+      where,
+      include: {
+        space: {
+          select: {
+            id: true,
+            title: true,
+            address: true,
+            city: true,
+            postcode: true
+          }
+        },
+        _count: {
+          select: { bookings: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.bookingSeries.count({ where })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  res.json({
+    success: true,
+    data: {
+      series,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/booking-series/:id
+ * Get a booking series with its occurrences
+ */
+router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
+  const series = await prisma.bookingSeries.findUnique({
+    where: { id: req.params.id },
+    include: {
+      space: true,
+      bookings: {
+        orderBy: { startTime: 'asc' }
+      }
+    }
+  });
+
+  if (!series) {
+    throw new AppError('Booking series not found', 404, 'SERIES_NOT_FOUND');
+  }
+
+  const canView = series.userId === req.user.id ||
+                  series.space.ownerId === req.user.id ||
+                  req.user.role === 'ADMIN';
+
+  if (!canView) {
+    throw new AppError('You do not have permission to view this series', 403, 'UNAUTHORIZED');
+  }
+
+  res.json({
+    success: true,
+    data: { series }
+  });
+}));
+
+/**
+ * POST /api/booking-series/:id/cancel
+ * Cancel every upcoming occurrence of a series (refunded under the cancellation policy)
+ */
+router.post('/:id/cancel', authMiddleware, asyncHandler(async (req, res) => {
+  const series = await prisma.bookingSeries.findUnique({
+    where: { id: req.params.id },
+    include: { space: true }
+  });
+
+  if (!series) {
+    throw new AppError('Booking series not found', 404, 'SERIES_NOT_FOUND');
+  }
+
+  const isAdmin = req.user.role === 'ADMIN';
+  if (series.userId !== req.user.id && !isAdmin) {
+    throw new AppError('You can only cancel your own booking series', 403, 'UNAUTHORIZED');
+  }
+
+  const result = await cancelBookingSeries(series, series.userId === req.user.id ? 'DRIVER' : 'ADMIN');
+
+  res.json({
+    success: true,
+    message: result.refundStatus === 'FAILED'
+      ? 'Series cancelled. Some refunds could not be processed yet and will be retried.'
+      : 'Series cancelled successfully',
+    data: {
+      series: result.series,
+      cancelledCount: result.cancelledCount,
+      currency: result.series.currency,
+      refundAmountMinor: result.refundAmountMinor,
+      refundStatus: result.refundStatus
+    }
+  });
+}));
+
+module.exports = router;
@@ -2,12 +2,17 @@
  * Booking Routes
  * 
  * This file handles all booking-related endpoints including:
+ * - Quote the price of a booking
+ * - Hold a slot during checkout
  * - Create new bookings
  * - Get user bookings (past and upcoming)
  * - Update booking details
- * - Cancel bookings
+ * - Cancel bookings (drivers, or hosts/admins with a full refund)
+ * - Approve or decline booking requests (request-to-book spaces)
  * - Extend booking duration
- * - Start/stop parking sessions
+ * - Start/stop parking sessions (charging any overstay)
+ * - Mark drivers as arrived/departed (hosts and admins)
+ * - Rate the driver of a completed booking (hosts)
  * 
  * All routes require authentication and include proper validation.
  */
@@ -18,7 +23,39 @@ const Joi = require('joi');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const { sendBookingConfirmationEmail } = require('../services/emailService');
-const { processPayment } = require('../services/paymentService');
+const { createNotification } = require('../services/notificationService');
+const { publishBookingEvents } = require('../services/realtimeService');
+const {
+  processPayment,
+  cancelPaymentAuthorization,
+  refundBooking,
+  createOrGetCustomer,
+  summariseLedger,
+  syncBookingTotal
+} = require('../services/paymentService');
+const { getPriceQuote, getExtensionQuote } = require('../services/pricingService');
+const { calculateCancellationRefund, cancelBookingAsHost } = require('../services/cancellationService');
+const { chargeOverstay } = require('../services/overstayService');
+const { getHostTransfer, recordHostEarning } = require('../services/payoutService');
+const { getPaymentDueAt } = require('../services/bookingSeriesService');
+const {
+  assertDriverMeetsMinimum,
+  describeDriverReputation,
+  rateDriver
+} = require('../services/driverRatingService');
+const {
+  requestBookingApproval,
+  approveBookingRequest,
+  declineBookingRequest,
+  withdrawBookingRequest
+} = require('../services/bookingRequestService');
+const {
+  checkSpaceSchedule,
+  checkSpaceAvailability,
+  withSpaceLock,
+  liveHoldWhere,
+  HOLD_TTL_MINUTES
+} = require('../services/availabilityService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -33,7 +70,20 @@ const createBookingSchema = Joi.object({
   vehicleModel: Joi.string().max(50).optional(),
   vehicleColor: Joi.string().max(30).optional(),
   specialRequests: Joi.string().max(500).optional(),
-  paymentMethodId: Joi.string().required() // Stripe payment method ID
+  paymentMethodId: Joi.string().required(), // Stripe payment method ID
+  holdId: Joi.string().uuid().optional() // Checkout hold to consume
+});
+
+const holdSchema = Joi.object({
+  spaceId: Joi.string().uuid().required(),
+  startTime: Joi.date().iso().min('now').required(),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required()
+});
+
+const quoteSchema = Joi.object({
+  spaceId: Joi.string().uuid().required(),
+  startTime: Joi.date().iso().min('now').required(),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required()
 });
 
 const updateBookingSchema = Joi.object({
@@ -44,68 +94,338 @@ const updateBookingSchema = Joi.object({
   specialRequests: Joi.string().max(500).optional()
 });
 
+const hostCancelSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).required()
+});
+
+const declineRequestSchema = Joi.object({
+  reason: Joi.string().min(3).max(500).optional()
+});
+
+const rateDriverSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().max(1000).allow('').optional()
+});
+
 const extendBookingSchema = Joi.object({
   newEndTime: Joi.date().iso().greater(Joi.ref('$currentEndTime')).required(),
   paymentMethodId: Joi.string().required()
 });
 
 /**
- * Helper function to calculate booking cost
- * @param {Date} startTime - Booking start time
- * @param {Date} endTime - Booking end time
- * @param {number} hourlyRate - Space hourly rate
- * @returns {number} - Total cost in pounds
+ * Helper function to load a booking request for the space's host (or an admin) to answer
+ * @param {string} id - Booking ID
+ * @param {Object} user - User answering the request
+ * @returns {Promise<Object>} - Booking with space and payments
  */
-const calculateBookingCost = (startTime, endTime, hourlyRate) => {
-  const durationMs = new Date(endTime) - new Date(startTime);
-  const durationHours = durationMs / (1000 * 60 * 60);
-  
-  // Round up to nearest 15 minutes for billing
-  const billingHours = Math.ceil(durationHours * 4) / 4;
-  
-  return Math.round(billingHours * hourlyRate * 100) / 100; // Round to 2 decimal places
+const getBookingRequest = async (id, user) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    include: {
+      space: true,
+      payments: true
+    }
+  });
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.space.ownerId !== user.id && user.role !== 'ADMIN') {
+    throw new AppError('You can only answer requests for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  if (booking.status !== 'REQUESTED') {
+    throw new AppError('Only booking requests awaiting approval can be answered', 400, 'INVALID_BOOKING_STATUS');
+  }
+
+  return booking;
 };
 
 /**
- * Helper function to check space availability
- * @param {string} spaceId - Parking space ID
- * @param {Date} startTime - Requested start time
- * @param {Date} endTime - Requested end time
- * @param {string} excludeBookingId - Booking ID to exclude from conflict check
- * @returns {boolean} - True if available
+ * Helper function to check the driver in to a booking, starting the parking session
+ * @param {Object} booking - Booking (id, startTime, endTime, status, checkedInAt)
+ * @returns {Promise<Object>} - Active booking with the space's access details
  */
-const checkSpaceAvailability = async (spaceId, startTime, endTime, excludeBookingId = null) => {
-  const conflictingBookings = await prisma.booking.findMany({
-    where: {
-      spaceId,
-      status: { in: ['CONFIRMED', 'ACTIVE'] },
-      ...(excludeBookingId && { id: { not: excludeBookingId } }),
-      OR: [
-        {
-          AND: [
-            { startTime: { lte: startTime } },
-            { endTime: { gt: startTime } }
-          ]
-        },
-        {
-          AND: [
-            { startTime: { lt: endTime } },
-            { endTime: { gte: endTime } }
-          ]
-        },
-        {
-          AND: [
-            { startTime: { gte: startTime } },
-            { endTime: { lte: endTime } }
-          ]
+const checkInBooking = async (booking) => {
+  // The lifecycle job activates bookings at their start time, so an ACTIVE
+  // booking the driver hasn't checked in to yet can still be started
+  const awaitingCheckIn = booking.status === 'CONFIRMED' ||
+    (booking.status === 'ACTIVE' && !booking.checkedInAt);
+
+  if (!awaitingCheckIn) {
+    throw new AppError('Only confirmed bookings can be started', 400, 'INVALID_BOOKING_STATUS');
+  }
+
+  // Check if it's time to start (allow 15 minutes early)
+  const now = new Date();
+  const startTime = new Date(booking.startTime);
+  const earlyStartAllowed = new Date(startTime.getTime() - 15 * 60 * 1000);
+
+  if (now < earlyStartAllowed) {
+    throw new AppError('Cannot start parking session more than 15 minutes early', 400, 'TOO_EARLY');
+  }
+
+  if (now > new Date(booking.endTime)) {
+    throw new AppError('Booking has expired', 400, 'BOOKING_EXPIRED');
+  }
+
+  // Update booking status
+  const activeBooking = await prisma.booking.update({
+    where: { id: booking.id },
+    data: {
+      status: 'ACTIVE',
+      checkedInAt: now
+    },
+    include: {
+      space: {
+        select: {
+          title: true,
+          address: true,
+          accessInstructions: true
         }
-      ]
+      }
     }
   });
 
-  return conflictingBookings.length === 0;
+  await publishBookingEvents(booking.id);
+
+  return activeBooking;
 };
 
+/**
+ * Helper function to check the driver out of a booking, completing the
+ * parking session and charging any overstay
+ * @param {Object} booking - Booking with space, user and payments
+ * @returns {Promise<Object>} - { booking, overstay }
+ */
+const checkOutBooking = async (booking) => {
+  if (booking.status !== 'ACTIVE') {
+    throw new AppError('Only active bookings can be stopped', 400, 'INVALID_BOOKING_STATUS');
+  }
+
+  // Complete the session only if it's still active, so a concurrent stop
+  // or the lifecycle job can't close it (and charge the overstay) twice
+  const checkedOutAt = new Date();
+  const claim = await prisma.booking.updateMany({
+    where: { id: booking.id, status: 'ACTIVE' },
+    data: {
+      status: 'COMPLETED',
+      checkedOutAt
+    }
+  });
+
+  if (claim.count === 0) {
+    throw new AppError('Only active bookings can be stopped', 400, 'INVALID_BOOKING_STATUS');
+  }
+
+  await publishBookingEvents(booking.id);
+
+  const overstay = await chargeOverstay(booking, checkedOutAt);
+
+  const completedBooking = await prisma.booking.findUnique({
+    where: { id: booking.id },
+    include: {
+      space: {
+        select: {
+          id: true,
+          title: true
+        }
+      }
+    }
+  });
+
+  return {
+    booking: completedBooking,
+    overstay: {
+      overstayMinutes: overstay.overstayMinutes,
+      billedMinutes: overstay.billedMinutes,
+      currency: overstay.currency,
+      rateMinor: overstay.rateMinor,
+      amountMinor: overstay.amountMinor,
+      payment: overstay.payment
+    }
+  };
+};
+
+/**
+ * Helper function to load a booking for checking out, with what the
+ * overstay charge needs
+ * @param {string} id - Booking ID
+ * @returns {Promise<Object>} - Booking
+ */
+const getBookingForCheckOut = async (id) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    include: {
+      space: true,
+      user: {
+        select: {
+          id: true,
+          stripeCustomerId: true
+        }
+      },
+      payments: true
+    }
+  });
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  return booking;
+};
+
+/**
+ * POST /api/bookings/quote
+ * Price a booking window without creating a booking or charging the driver
+ */
+router.post('/quote', authMiddleware, asyncHandler(async (req, res) => {
+  // Validate request body
+  const { error, value } = quoteSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { spaceId, startTime, endTime } = value;
+
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id: spaceId },
+    select: { id: true, ownerId: true, priceMinor: true, currency: true, isActive: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (!space.isActive) {
+    throw new AppError('Parking space is not available', 400, 'SPACE_INACTIVE');
+  }
+
+  // Same checks as booking creation, reported rather than thrown
+  const [priceQuote, isOpen, isAvailable] = await Promise.all([
+    getPriceQuote(space, startTime, endTime),
+    checkSpaceSchedule(spaceId, startTime, endTime),
+    checkSpaceAvailability(spaceId, startTime, endTime)
+  ]);
+
+  let unavailableReason = null;
+  if (space.ownerId === req.user.id) {
+    unavailableReason = 'CANNOT_BOOK_OWN_SPACE';
+  } else if (!isOpen) {
+    unavailableReason = 'OUTSIDE_AVAILABILITY';
+  } else if (!isAvailable) {
+    unavailableReason = 'SPACE_NOT_AVAILABLE';
+  }
+
+  res.json({
+    success: true,
+    data: {
+      quote: {
+        spaceId,
+        ...priceQuote,
+        available: unavailableReason === null,
+        unavailableReason
+      }
+    }
+  });
+}));
+
+/**
+ * POST /api/bookings/hold
+ * Reserve a slot for a short time while the driver completes checkout
+ */
+router.post('/hold', authMiddleware, asyncHandler(async (req, res) => {
+  // Validate request body
+  const { error, value } = holdSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { spaceId, startTime, endTime } = value;
+
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id: spaceId },
+    select: { id: true, ownerId: true, isActive: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (!space.isActive) {
+    throw new AppError('Parking space is not available', 400, 'SPACE_INACTIVE');
+  }
+
+  if (space.ownerId === req.user.id) {
+    throw new AppError('You cannot book your own parking space', 400, 'CANNOT_BOOK_OWN_SPACE');
+  }
+
+  // Check the host's weekly schedule
+  const isOpen = await checkSpaceSchedule(spaceId, startTime, endTime);
+  if (!isOpen) {
+    throw new AppError('Parking space is not open for the selected time', 409, 'OUTSIDE_AVAILABILITY');
+  }
+
+  const hold = await withSpaceLock(spaceId, async (tx) => {
+    const isAvailable = await checkSpaceAvailability(spaceId, startTime, endTime, { client: tx });
+    if (!isAvailable) {
+      throw new AppError('Parking space is not available for the selected time', 409, 'SPACE_NOT_AVAILABLE');
+    }
+
+    return tx.bookingHold.create({
+      data: {
+        userId: req.user.id,
+        spaceId,
+        startTime: new Date(startTime),
+        endTime: new Date(endTime),
+        expiresAt: new Date(Date.now() + HOLD_TTL_MINUTES * 60 * 1000)
+      }
+    });
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Slot held successfully',
+    data: { hold }
+  });
+}));
+
+/**
+ * DELETE /api/bookings/hold/:holdId
+ * Release a checkout hold early
+ */
+router.delete('/hold/:holdId', authMiddleware, asyncHandler(async (req, res) => {
+  const { holdId } = req.params;
+
+  const hold = await prisma.bookingHold.findUnique({
+    where: { id: holdId },
+    select: { id: true, userId: true, status: true }
+  });
+
+  if (!hold) {
+    throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+  }
+
+  if (hold.userId !== req.user.id) {
+    throw new AppError('You can only release your own holds', 403, 'UNAUTHORIZED');
+  }
+
+  if (hold.status !== 'ACTIVE') {
+    throw new AppError('Only active holds can be released', 400, 'INVALID_HOLD_STATUS');
+  }
+
+  await prisma.bookingHold.update({
+    where: { id: holdId },
+    data: { status: 'RELEASED' }
+  });
+
+  res.json({
+    success: true,
+    message: 'Hold released successfully'
+  });
+}));
+
 /**
  * POST /api/bookings
  * Create a new parking booking
@@ -126,7 +446,8 @@ router.post('/', authMiddleware, asyncHandler(async (req, res) => {
     vehicleModel,
     vehicleColor,
     specialRequests,
-    paymentMethodId
+    paymentMethodId,
+    holdId
   } = value;
 
   // Get parking space details
@@ -157,61 +478,138 @@ router.post('/', authMiddleware, asyncHandler(async (req, res) => {
     throw new AppError('You cannot book your own parking space', 400, 'CANNOT_BOOK_OWN_SPACE');
   }
 
-  // Check availability
-  const isAvailable = await checkSpaceAvailability(spaceId, startTime, endTime);
-  if (!isAvailable) {
-    throw new AppError('Parking space is not available for the selected time', 409, 'SPACE_NOT_AVAILABLE');
+  await assertDriverMeetsMinimum(req.user.id, space);
+
+  // Check the host's weekly schedule
+  const isOpen = await checkSpaceSchedule(spaceId, startTime, endTime);
+  if (!isOpen) {
+    throw new AppError('Parking space is not open for the selected time', 409, 'OUTSIDE_AVAILABILITY');
   }
 
-  // Calculate total cost
-  const totalCost = calculateBookingCost(startTime, endTime, space.price);
+  // Check the hold being consumed belongs to this user and slot
+  if (holdId) {
+    const hold = await prisma.bookingHold.findUnique({
+      where: { id: holdId }
+    });
 
-  // Create booking (initially pending)
-  const booking = await prisma.booking.create({
-    data: {
-      userId: req.user.id,
-      spaceId,
-      startTime: new Date(startTime),
-      endTime: new Date(endTime),
-      totalCost,
-      vehicleReg: vehicleReg.toUpperCase(),
-      vehicleMake,
-      vehicleModel,
-      vehicleColor,
-      specialRequests,
-      status: 'PENDING'
-    },
-    include: {
-      space: {
-        include: {
-          owner: {
-            select: {
-              id: true,
-              firstName: true,
-              lastName: true,
-              email: true
+    if (!hold) {
+      throw new AppError('Hold not found', 404, 'HOLD_NOT_FOUND');
+    }
+
+    if (hold.userId !== req.user.id) {
+      throw new AppError('You can only use your own holds', 403, 'UNAUTHORIZED');
+    }
+
+    const matchesHold = hold.spaceId === spaceId &&
+                        new Date(hold.startTime).getTime() === new Date(startTime).getTime() &&
+                        new Date(hold.endTime).getTime() === new Date(endTime).getTime();
+
+    if (!matchesHold) {
+      throw new AppError('Booking does not match the held space and time', 400, 'HOLD_MISMATCH');
+    }
+  }
+
+  // Calculate total cost from the space's pricing rules
+  const priceQuote = await getPriceQuote(space, startTime, endTime);
+  const { totalCostMinor, currency } = priceQuote;
+
+  // Check availability and create the booking (initially pending) under the
+  // space lock, so concurrent requests for the same slot can't both succeed
+  const booking = await withSpaceLock(spaceId, async (tx) => {
+    if (holdId) {
+      const liveHold = await tx.bookingHold.findFirst({
+        where: { id: holdId, ...liveHoldWhere() },
+        select: { id: true }
+      });
+
+      if (!liveHold) {
+        throw new AppError('Hold has expired or was already used', 409, 'HOLD_EXPIRED');
+      }
+    }
+
+    const isAvailable = await checkSpaceAvailability(spaceId, startTime, endTime, {
+      excludeHoldId: holdId,
+      client: tx
+    });
+    if (!isAvailable) {
+      throw new AppError('Parking space is not available for the selected time', 409, 'SPACE_NOT_AVAILABLE');
+    }
+
+    const pendingBooking = await tx.booking.create({
+      data: {
+        userId: req.user.id,
+        spaceId,
+        startTime: new Date(startTime),
+        endTime: new Date(endTime),
+        totalCostMinor,
+        currency,
+        vehicleReg: vehicleReg.toUpperCase(),
+        vehicleMake,
+        vehicleModel,
+        vehicleColor,
+        specialRequests,
+        cancellationPolicy: space.cancellationPolicy,
+        status: 'PENDING'
+      },
+      include: {
+        space: {
+          include: {
+            owner: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true,
+                email: true
+              }
             }
           }
-        }
-      },
-      user: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true
+        },
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
         }
       }
+    });
+
+    // The pending booking now blocks the slot; the hold is handed back if
+    // payment fails
+    if (holdId) {
+      await tx.bookingHold.update({
+        where: { id: holdId },
+        data: {
+          status: 'CONSUMED',
+          bookingId: pendingBooking.id
+        }
+      });
     }
+
+    return pendingBooking;
   });
 
   try {
+    // Keep the card on the driver's Stripe customer so overstays can be
+    // charged to it after they leave
+    const customerId = await createOrGetCustomer(req.user);
+
+    // Pay the host through their connected account when they have one
+    const transfer = await getHostTransfer(space.ownerId, totalCostMinor);
+
+    // Request-to-book spaces only authorise the card until the host approves
+    const requiresApproval = space.bookingMode === 'REQUEST';
+
     // Process payment
     const paymentResult = await processPayment({
-      amount: totalCost,
-      currency: 'gbp',
+      amountMinor: totalCostMinor,
+      currency,
       paymentMethodId,
-      customerId: req.user.stripeCustomerId,
+      customerId,
+      saveForOffSession: true,
+      captureLater: requiresApproval,
+      transfer,
       metadata: {
         bookingId: booking.id,
         spaceId: space.id,
@@ -219,6 +617,69 @@ router.post('/', authMiddleware, asyncHandler(async (req, res) => {
       }
     });
 
+    // Create payment record; a charge waiting on the driver to authenticate
+    // stays PENDING until POST /api/payments/confirm completes it
+    const paymentStatus = requiresApproval ? 'AUTHORIZED' : 'SUCCEEDED';
+    const payment = await prisma.payment.create({
+      data: {
+        userId: req.user.id,
+        bookingId: booking.id,
+        type: 'BOOKING',
+        amountMinor: totalCostMinor,
+        currency,
+        status: paymentResult.requiresAction ? 'PENDING' : paymentStatus,
+        stripePaymentId: paymentResult.id,
+        paymentMethod: paymentResult.payment_method?.type || 'card',
+        last4: paymentResult.payment_method?.card?.last4,
+        brand: paymentResult.payment_method?.card?.brand,
+        stripePaymentMethodId: paymentMethodId,
+        applicationFeeMinor: transfer.applicationFeeMinor,
+        transferDestination: transfer.destination
+      }
+    });
+
+    if (paymentResult.requiresAction) {
+      // The booking stays PENDING, holding the slot, while the driver
+      // authenticates; the lifecycle job expires it if they never do
+      return res.status(201).json({
+        success: false,
+        requiresAction: true,
+        clientSecret: paymentResult.clientSecret,
+        message: 'Payment requires additional authentication',
+        data: {
+          booking,
+          priceBreakdown: priceQuote,
+          payment: {
+            id: paymentResult.id,
+            amountMinor: totalCostMinor,
+            currency,
+            status: paymentResult.status
+          }
+        }
+      });
+    }
+
+    if (requiresApproval) {
+      const requestedBooking = await requestBookingApproval(booking.id);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Booking requested. Your card has been authorised and will only be charged if the host approves.',
+        data: {
+          booking: requestedBooking,
+          priceBreakdown: priceQuote,
+          payment: {
+            id: paymentResult.id,
+            amountMinor: totalCostMinor,
+            currency,
+            status: paymentResult.status
+          }
+        }
+      });
+    }
+
+    await recordHostEarning(payment, space.ownerId);
+
     // Update booking status to confirmed
     const confirmedBooking = await prisma.booking.update({
       where: { id: booking.id },
@@ -229,21 +690,16 @@ router.post('/', authMiddleware, asyncHandler(async (req, res) => {
       }
     });
 
-    // Create payment record
-    await prisma.payment.create({
-      data: {
-        userId: req.user.id,
-        bookingId: booking.id,
-        amount: totalCost,
-        currency: 'GBP',
-        status: 'SUCCEEDED',
-        stripePaymentId: paymentResult.id,
-        paymentMethod: paymentResult.payment_method?.type || 'card',
-        last4: paymentResult.payment_method?.card?.last4,
-        brand: paymentResult.payment_method?.card?.brand
-      }
+    await createNotification({
+      userId: space.ownerId,
+      type: 'SPACE_BOOKED',
+      title: 'New booking',
+      message: `${confirmedBooking.user.firstName} has booked ${space.title} from ` +
+        `${new Date(confirmedBooking.startTime).toLocaleString()} to ${new Date(confirmedBooking.endTime).toLocaleString()}.`
     });
 
+    await publishBookingEvents(booking.id, 'booking.created');
+
     // Send confirmation emails
     try {
       await Promise.all([
@@ -261,20 +717,29 @@ router.post('/', authMiddleware, asyncHandler(async (req, res) => {
       message: 'Booking created and payment processed successfully',
       data: {
         booking: confirmedBooking,
+        priceBreakdown: priceQuote,
         payment: {
           id: paymentResult.id,
-          amount: totalCost,
+          amountMinor: totalCostMinor,
+          currency,
           status: 'succeeded'
         }
       }
     });
 
   } catch (paymentError) {
-    // Payment failed - cancel the booking
-    await prisma.booking.update({
-      where: { id: booking.id },
-      data: { status: 'CANCELLED' }
-    });
+    // Payment failed - cancel the booking, handing the slot back to the
+    // driver's hold (with its original expiry) so they can try another card
+    await prisma.$transaction([
+      prisma.booking.update({
+        where: { id: booking.id },
+        data: { status: 'CANCELLED' }
+      }),
+      ...(holdId ? [prisma.bookingHold.updateMany({
+        where: { id: holdId, status: 'CONSUMED', bookingId: booking.id },
+        data: { status: 'ACTIVE', bookingId: null }
+      })] : [])
+    ]);
 
     console.error('Payment processing failed:', paymentError);
     throw new AppError('Payment processing failed. Please try again.', 400, 'PAYMENT_FAILED');
@@ -334,14 +799,20 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
             }
           }
         },
-        payment: {
+        payments: {
           select: {
             id: true,
-            amount: true,
+            type: true,
+            amountMinor: true,
+            currency: true,
             status: true,
             paymentMethod: true,
             createdAt: true
-          }
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        series: {
+          select: { billing: true }
         }
       },
       orderBy: { createdAt: 'desc' },
@@ -357,7 +828,8 @@ router.get('/', authMiddleware, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      bookings,
+      // Later months of a MONTHLY series aren't paid for until invoiced
+      bookings: bookings.map(booking => ({ ...booking, paymentDueAt: getPaymentDueAt(booking) })),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -400,10 +872,17 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
           firstName: true,
           lastName: true,
           email: true,
-          phone: true
+          phone: true,
+          driverRating: true,
+          driverRatingCount: true
         }
       },
-      payment: true,
+      payments: {
+        orderBy: { createdAt: 'asc' }
+      },
+      series: {
+        select: { billing: true }
+      },
       review: true
     }
   });
@@ -423,7 +902,13 @@ router.get('/:id', authMiddleware, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { booking }
+    data: {
+      booking,
+      ledger: summariseLedger(booking.payments),
+      paymentDueAt: getPaymentDueAt(booking),
+      // Hosts see the driver's reputation from other hosts
+      ...(booking.userId !== req.user.id && { driverReputation: describeDriverReputation(booking.user) })
+    }
   });
 }));
 
@@ -477,7 +962,7 @@ router.put('/:id', authMiddleware, asyncHandler(async (req, res) => {
     },
     include: {
       space: true,
-      payment: true
+      payments: true
     }
   });
 
@@ -523,28 +1008,46 @@ router.post('/:id/extend', authMiddleware, asyncHandler(async (req, res) => {
 
   const { newEndTime, paymentMethodId } = value;
 
-  // Check availability for extended time
-  const isAvailable = await checkSpaceAvailability(
-    booking.spaceId,
-    booking.endTime,
-    newEndTime,
-    booking.id
-  );
-
-  if (!isAvailable) {
-    throw new AppError('Space is not available for the extended time', 409, 'SPACE_NOT_AVAILABLE');
+  // Check the host's weekly schedule covers the extended time
+  const isOpen = await checkSpaceSchedule(booking.spaceId, booking.endTime, newEndTime);
+  if (!isOpen) {
+    throw new AppError('Space is not open for the extended time', 409, 'OUTSIDE_AVAILABILITY');
   }
 
-  // Calculate additional cost
-  const additionalCost = calculateBookingCost(booking.endTime, newEndTime, booking.space.price);
+  // Calculate additional cost by re-pricing the whole stay, less what the
+  // driver has already paid for it
+  const extensionQuote = await getExtensionQuote(booking.space, booking, newEndTime);
+  const { additionalCostMinor } = extensionQuote;
+
+  // Claim the extended time under the space lock before charging, so a
+  // concurrent booking can't take the same slot while payment is in flight
+  await withSpaceLock(booking.spaceId, async (tx) => {
+    const isAvailable = await checkSpaceAvailability(booking.spaceId, booking.endTime, newEndTime, {
+      excludeBookingId: booking.id,
+      client: tx
+    });
+
+    if (!isAvailable) {
+      throw new AppError('Space is not available for the extended time', 409, 'SPACE_NOT_AVAILABLE');
+    }
+
+    await tx.booking.update({
+      where: { id },
+      data: { endTime: new Date(newEndTime) }
+    });
+  });
+
+  const transfer = await getHostTransfer(booking.space.ownerId, additionalCostMinor);
 
+  let paymentResult;
   try {
     // Process additional payment
-    const paymentResult = await processPayment({
-      amount: additionalCost,
-      currency: 'gbp',
+    paymentResult = await processPayment({
+      amountMinor: additionalCostMinor,
+      currency: booking.currency,
       paymentMethodId,
       customerId: req.user.stripeCustomerId,
+      transfer,
       metadata: {
         bookingId: booking.id,
         type: 'extension',
@@ -553,46 +1056,64 @@ router.post('/:id/extend', authMiddleware, asyncHandler(async (req, res) => {
       }
     });
 
-    // Update booking
-    const updatedBooking = await prisma.booking.update({
+    // The extension is only granted for a completed charge, so one that
+    // needs the driver to authenticate is dropped for them to retry
+    if (paymentResult.requiresAction) {
+      await cancelPaymentAuthorization(paymentResult.id);
+      throw new AppError('Extension payment requires additional authentication', 400, 'PAYMENT_REQUIRES_ACTION');
+    }
+  } catch (paymentError) {
+    // Release the claimed extension
+    await prisma.booking.update({
       where: { id },
-      data: {
-        endTime: new Date(newEndTime),
-        totalCost: booking.totalCost + additionalCost
-      },
-      include: {
-        space: true,
-        payment: true
-      }
-    });
-
-    // Create additional payment record
-    await prisma.payment.create({
-      data: {
-        userId: req.user.id,
-        bookingId: booking.id,
-        amount: additionalCost,
-        currency: 'GBP',
-        status: 'SUCCEEDED',
-        stripePaymentId: paymentResult.id,
-        paymentMethod: paymentResult.payment_method?.type || 'card'
-      }
-    });
-
-    res.json({
-      success: true,
-      message: 'Booking extended successfully',
-      data: {
-        booking: updatedBooking,
-        additionalCost,
-        newTotalCost: updatedBooking.totalCost
-      }
+      data: { endTime: booking.endTime }
     });
 
-  } catch (paymentError) {
     console.error('Extension payment failed:', paymentError);
     throw new AppError('Payment for extension failed. Please try again.', 400, 'PAYMENT_FAILED');
   }
+
+  // Record the extension in the booking's ledger; the total follows from it
+  const payment = await prisma.payment.create({
+    data: {
+      userId: req.user.id,
+      bookingId: booking.id,
+      type: 'EXTENSION',
+      amountMinor: additionalCostMinor,
+      currency: booking.currency,
+      status: 'SUCCEEDED',
+      stripePaymentId: paymentResult.id,
+      paymentMethod: paymentResult.payment_method?.type || 'card',
+      stripePaymentMethodId: paymentMethodId,
+      applicationFeeMinor: transfer.applicationFeeMinor,
+      transferDestination: transfer.destination
+    }
+  });
+  await recordHostEarning(payment, booking.space.ownerId);
+  await syncBookingTotal(booking.id);
+  await publishBookingEvents(booking.id);
+
+  const updatedBooking = await prisma.booking.findUnique({
+    where: { id },
+    include: {
+      space: true,
+      payments: {
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Booking extended successfully',
+    data: {
+      booking: updatedBooking,
+      currency: updatedBooking.currency,
+      additionalCostMinor,
+      newTotalCostMinor: updatedBooking.totalCostMinor,
+      priceBreakdown: extensionQuote
+    }
+  });
 }));
 
 /**
@@ -606,7 +1127,7 @@ router.post('/:id/cancel', authMiddleware, asyncHandler(async (req, res) => {
     where: { id },
     include: {
       space: true,
-      payment: true
+      payments: true
     }
   });
 
@@ -618,53 +1139,180 @@ router.post('/:id/cancel', authMiddleware, asyncHandler(async (req, res) => {
     throw new AppError('You can only cancel your own bookings', 403, 'UNAUTHORIZED');
   }
 
+  // Nothing has been charged on a request yet, so withdrawing it just
+  // releases the card authorisation
+  if (booking.status === 'REQUESTED') {
+    const withdrawnBooking = await withdrawBookingRequest(booking);
+
+    return res.json({
+      success: true,
+      message: 'Booking request withdrawn. You have not been charged.',
+      data: {
+        booking: withdrawnBooking,
+        currency: withdrawnBooking.currency,
+        refundAmountMinor: 0,
+        refundStatus: null,
+        refunds: []
+      }
+    });
+  }
+
   if (!['CONFIRMED', 'PENDING'].includes(booking.status)) {
     throw new AppError('Only confirmed or pending bookings can be cancelled', 400, 'INVALID_BOOKING_STATUS');
   }
 
-  // Check cancellation policy (e.g., must cancel at least 1 hour before)
-  const hoursUntilStart = (new Date(booking.startTime) - new Date()) / (1000 * 60 * 60);
-  const canCancel = hoursUntilStart >= 1;
-  const refundAmount = canCancel ? booking.totalCost : booking.totalCost * 0.5; // 50% refund for late cancellation
+  // Apply the policy the booking was made under (older bookings fall back
+  // to the space's current policy)
+  const { policy, tier, refundAmountMinor } = calculateCancellationRefund(
+    booking,
+    booking.cancellationPolicy || booking.space.cancellationPolicy
+  );
 
-  // Update booking status
-  const cancelledBooking = await prisma.booking.update({
+  // Cancel the booking only if it's still cancellable, so a concurrent
+  // cancellation (by the driver or the host) can't refund it twice
+  const claim = await prisma.booking.updateMany({
+    where: { id, status: { in: ['CONFIRMED', 'PENDING'] } },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: new Date(),
+      cancelledBy: 'DRIVER'
+    }
+  });
+
+  if (claim.count === 0) {
+    throw new AppError('This booking has already been cancelled or started', 409, 'BOOKING_NOT_CANCELLABLE');
+  }
+
+  await publishBookingEvents(id);
+
+  // Process refund if applicable. A failed refund doesn't undo the
+  // cancellation; its ledger entry is left FAILED for retry.
+  const { refundStatus, refunds } = refundAmountMinor > 0
+    ? await refundBooking(id, refundAmountMinor)
+    : { refundStatus: null, refunds: [] };
+
+  const cancelledBooking = await prisma.booking.findUnique({
     where: { id },
-    data: { status: 'CANCELLED' },
     include: { space: true }
   });
 
-  // Process refund if applicable
-  if (refundAmount > 0 && booking.payment) {
-    try {
-      // TODO: Implement refund processing with Stripe
-      // const refundResult = await processRefund(booking.payment.stripePaymentId, refundAmount);
-      
-      // Update payment record
-      await prisma.payment.update({
-        where: { id: booking.payment.id },
-        data: {
-          status: 'REFUNDED',
-          refundAmount
+  res.json({
+    success: true,
+    message: refundStatus === 'FAILED'
+      ? 'Booking cancelled. Your refund could not be processed yet and will be retried.'
+      : 'Booking cancelled successfully',
+    data: {
+      booking: cancelledBooking,
+      currency: cancelledBooking.currency,
+      refundAmountMinor: refundStatus ? refundAmountMinor : 0,
+      refundStatus,
+      refundId: refunds.length > 0 ? refunds[0].stripeRefundId : null,
+      refunds,
+      refundPolicy: tier.label,
+      cancellationPolicy: policy,
+      refundTier: tier
+    }
+  });
+}));
+
+/**
+ * POST /api/bookings/:id/host-cancel
+ * Cancel a booking as the space's host or an admin (driver is refunded in full)
+ */
+router.post('/:id/host-cancel', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const { error, value } = hostCancelSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id },
+    include: {
+      space: true,
+      payments: true,
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          email: true
         }
-      });
-    } catch (refundError) {
-      console.error('Refund processing failed:', refundError);
-      // Don't fail cancellation if refund fails - handle manually
+      }
     }
+  });
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only cancel bookings for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  if (!['CONFIRMED', 'PENDING'].includes(booking.status)) {
+    throw new AppError('Only confirmed or pending bookings can be cancelled', 400, 'INVALID_BOOKING_STATUS');
   }
 
+  const result = await cancelBookingAsHost(booking, req.user, value.reason);
+
   res.json({
     success: true,
-    message: 'Booking cancelled successfully',
+    message: result.refundStatus === 'FAILED'
+      ? 'Booking cancelled. The driver\'s refund could not be processed yet and will be retried.'
+      : 'Booking cancelled and the driver has been refunded in full',
     data: {
-      booking: cancelledBooking,
-      refundAmount,
-      refundPolicy: canCancel ? 'Full refund' : '50% refund (late cancellation)'
+      booking: result.booking,
+      cancelledBy: result.cancelledBy,
+      currency: result.currency,
+      refundAmountMinor: result.refundAmountMinor,
+      refundStatus: result.refundStatus,
+      refunds: result.refunds,
+      alternatives: result.alternatives,
+      hostCancellationCount: result.host ? result.host.hostCancellationCount : undefined,
+      hostFlagged: result.host ? result.host.isFlagged : undefined
     }
   });
 }));
 
+/**
+ * POST /api/bookings/:id/approve
+ * Approve a booking request as the space's host or an admin (the driver's card is charged)
+ */
+router.post('/:id/approve', authMiddleware, asyncHandler(async (req, res) => {
+  const booking = await getBookingRequest(req.params.id, req.user);
+
+  const confirmedBooking = await approveBookingRequest(booking);
+
+  res.json({
+    success: true,
+    message: 'Booking request approved and the driver has been charged',
+    data: { booking: confirmedBooking }
+  });
+}));
+
+/**
+ * POST /api/bookings/:id/decline
+ * Decline a booking request as the space's host or an admin (the driver's card is released)
+ */
+router.post('/:id/decline', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = declineRequestSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const booking = await getBookingRequest(req.params.id, req.user);
+
+  const declinedBooking = await declineBookingRequest(booking, value.reason);
+
+  res.json({
+    success: true,
+    message: 'Booking request declined',
+    data: { booking: declinedBooking }
+  });
+}));
+
 /**
  * POST /api/bookings/:id/start
  * Start parking session (mark as active)
@@ -679,7 +1327,8 @@ router.post('/:id/start', authMiddleware, asyncHandler(async (req, res) => {
       userId: true,
       startTime: true,
       endTime: true,
-      status: true
+      status: true,
+      checkedInAt: true
     }
   });
 
@@ -691,37 +1340,7 @@ router.post('/:id/start', authMiddleware, asyncHandler(async (req, res) => {
     throw new AppError('You can only start your own bookings', 403, 'UNAUTHORIZED');
   }
 
-  if (booking.status !== 'CONFIRMED') {
-    throw new AppError('Only confirmed bookings can be started', 400, 'INVALID_BOOKING_STATUS');
-  }
-
-  // Check if it's time to start (allow 15 minutes early)
-  const now = new Date();
-  const startTime = new Date(booking.startTime);
-  const earlyStartAllowed = new Date(startTime.getTime() - 15 * 60 * 1000);
-
-  if (now < earlyStartAllowed) {
-    throw new AppError('Cannot start parking session more than 15 minutes early', 400, 'TOO_EARLY');
-  }
-
-  if (now > new Date(booking.endTime)) {
-    throw new AppError('Booking has expired', 400, 'BOOKING_EXPIRED');
-  }
-
-  // Update booking status
-  const activeBooking = await prisma.booking.update({
-    where: { id },
-    data: { status: 'ACTIVE' },
-    include: {
-      space: {
-        select: {
-          title: true,
-          address: true,
-          accessInstructions: true
-        }
-      }
-    }
-  });
+  const activeBooking = await checkInBooking(booking);
 
   res.json({
     success: true,
@@ -735,15 +1354,41 @@ router.post('/:id/start', authMiddleware, asyncHandler(async (req, res) => {
  * Stop parking session (mark as completed)
  */
 router.post('/:id/stop', authMiddleware, asyncHandler(async (req, res) => {
+  const booking = await getBookingForCheckOut(req.params.id);
+
+  if (booking.userId !== req.user.id) {
+    throw new AppError('You can only stop your own bookings', 403, 'UNAUTHORIZED');
+  }
+
+  const session = await checkOutBooking(booking);
+
+  res.json({
+    success: true,
+    message: session.overstay.payment && session.overstay.payment.status === 'FAILED'
+      ? 'Parking session completed. Your overstay charge could not be taken; please update your payment details.'
+      : 'Parking session completed successfully',
+    data: session
+  });
+}));
+
+/**
+ * POST /api/bookings/:id/arrived
+ * Mark the driver as arrived (host or admin), starting the parking session
+ */
+router.post('/:id/arrived', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const booking = await prisma.booking.findUnique({
     where: { id },
     select: {
       id: true,
-      userId: true,
+      startTime: true,
       endTime: true,
-      status: true
+      status: true,
+      checkedInAt: true,
+      space: {
+        select: { ownerId: true }
+      }
     }
   });
 
@@ -751,32 +1396,83 @@ router.post('/:id/stop', authMiddleware, asyncHandler(async (req, res) => {
     throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
   }
 
-  if (booking.userId !== req.user.id) {
-    throw new AppError('You can only stop your own bookings', 403, 'UNAUTHORIZED');
+  if (booking.space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only manage bookings for your own parking spaces', 403, 'UNAUTHORIZED');
   }
 
-  if (booking.status !== 'ACTIVE') {
-    throw new AppError('Only active bookings can be stopped', 400, 'INVALID_BOOKING_STATUS');
+  const activeBooking = await checkInBooking(booking);
+
+  res.json({
+    success: true,
+    message: 'Driver marked as arrived',
+    data: { booking: activeBooking }
+  });
+}));
+
+/**
+ * POST /api/bookings/:id/departed
+ * Mark the driver as departed (host or admin), completing the parking
+ * session and charging any overstay
+ */
+router.post('/:id/departed', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const booking = await getBookingForCheckOut(req.params.id);
+
+  if (booking.space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only manage bookings for your own parking spaces', 403, 'UNAUTHORIZED');
   }
 
-  // Update booking status
-  const completedBooking = await prisma.booking.update({
-    where: { id },
-    data: { status: 'COMPLETED' },
+  if (booking.status === 'ACTIVE' && !booking.checkedInAt) {
+    throw new AppError('The driver has not been marked as arrived', 400, 'NOT_CHECKED_IN');
+  }
+
+  const session = await checkOutBooking(booking);
+
+  res.json({
+    success: true,
+    message: session.overstay.payment && session.overstay.payment.status === 'FAILED'
+      ? 'Driver marked as departed. The overstay charge could not be taken and the driver has been asked to update their payment details.'
+      : 'Driver marked as departed',
+    data: session
+  });
+}));
+
+/**
+ * POST /api/bookings/:id/driver-rating
+ * Rate the driver of a completed booking (the space's host)
+ */
+router.post('/:id/driver-rating', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const { error, value } = rateDriverSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: req.params.id },
     include: {
-      space: {
-        select: {
-          id: true,
-          title: true
-        }
-      }
+      space: true,
+      driverRatingEntry: true
     }
   });
 
-  res.json({
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  // Ratings feed other hosts' decisions, so only the host who had the
+  // driver can give one
+  if (booking.space.ownerId !== req.user.id) {
+    throw new AppError('You can only rate drivers who parked at your own spaces', 403, 'UNAUTHORIZED');
+  }
+
+  const { driverRating, reputation } = await rateDriver(booking, req.user, value);
+
+  res.status(201).json({
     success: true,
-    message: 'Parking session completed successfully',
-    data: { booking: completedBooking }
+    message: 'Driver rated successfully',
+    data: {
+      driverRating,
+      driverReputation: reputation
+    }
   });
 }));
 
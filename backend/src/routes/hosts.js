@@ -0,0 +1,408 @@
+/**
+ * Host Routes
+ *
+ * This file handles endpoints for hosts managing their own account:
+ * - Set up a Stripe Connect payout account
+ * - Check the payout account's status
+ * - List pending earnings and past payouts
+ * - Report earnings and occupancy, with CSV export
+ * - List bookings across the host's spaces, with each driver's reputation
+ * - List hosts flagged for repeated cancellations (admins)
+ *
+ * All routes require a host or admin account.
+ */
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const {
+  startHostOnboarding,
+  refreshHostAccount,
+  describePayoutAccount,
+  getHostBalances,
+  PLATFORM_FEE_PERCENTAGE
+} = require('../services/payoutService');
+const { EARNINGS_GROUPINGS, getHostEarnings, earningsToCsv } = require('../services/earningsService');
+const { describeDriverReputation } = require('../services/driverRatingService');
+const { getPaymentDueAt } = require('../services/bookingSeriesService');
+const { listFlaggedHosts, HOST_CANCELLATION_FLAG_THRESHOLD } = require('../services/cancellationService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const pageSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const earningsSchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  groupBy: Joi.string().valid(...EARNINGS_GROUPINGS).default('day'),
+  spaceId: Joi.string(),
+  format: Joi.string().valid('json', 'csv').default('json')
+});
+
+const hostBookingsSchema = Joi.object({
+  spaceId: Joi.string(),
+  status: Joi.string().uppercase().valid(
+    'PENDING', 'REQUESTED', 'DECLINED', 'CONFIRMED', 'ACTIVE', 'COMPLETED', 'CANCELLED', 'REFUNDED', 'NO_SHOW', 'EXPIRED'
+  ),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().greater(Joi.ref('from')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Longest range an earnings report may cover
+const MAX_EARNINGS_RANGE_DAYS = 366;
+
+/**
+ * Helper function to load the host's payout account fields
+ * @param {string} userId - Host's user ID
+ * @returns {Promise<Object>} - User with Stripe Connect fields
+ */
+const getPayoutHost = async (userId) => {
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      stripeAccountId: true,
+      stripeChargesEnabled: true,
+      stripePayoutsEnabled: true
+    }
+  });
+};
+
+/**
+ * Helper function to list a page of the host's ledger
+ * @param {Object} where - Ledger entry filters
+ * @param {Object} query - Request query (page, limit)
+ * @returns {Promise<Object>} - { entries, pagination }
+ */
+const listLedgerEntries = async (where, query) => {
+  const { error, value } = pageSchema.validate(query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { page, limit } = value;
+
+  const [entries, totalCount] = await Promise.all([
+    prisma.hostLedgerEntry.findMany({
+      where,
+      include: {
+        booking: {
+          select: {
+            id: true,
+            startTime: true,
+            endTime: true,
+            status: true,
+            space: {
+              select: { id: true, title: true, address: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.hostLedgerEntry.count({ where })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    entries,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+/**
+ * GET /api/hosts/me/payout-account
+ * Get the status of the host's payout account
+ */
+router.get('/me/payout-account', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const host = await getPayoutHost(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      payoutAccount: host.stripeAccountId ? await refreshHostAccount(host) : null,
+      platformFeePercentage: PLATFORM_FEE_PERCENTAGE
+    }
+  });
+}));
+
+/**
+ * POST /api/hosts/me/payout-account
+ * Start (or resume) payout account setup; returns a Stripe onboarding link
+ */
+router.post('/me/payout-account', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const host = await getPayoutHost(req.user.id);
+
+  const onboarding = await startHostOnboarding(host);
+
+  res.status(201).json({
+    success: true,
+    message: 'Continue payout account setup with Stripe',
+    data: {
+      onboarding,
+      payoutAccount: describePayoutAccount({ ...host, stripeAccountId: onboarding.accountId })
+    }
+  });
+}));
+
+/**
+ * GET /api/hosts/me/payouts/pending
+ * Get the host's pending balance and the earnings that make it up
+ */
+router.get('/me/payouts/pending', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const [balances, ledger] = await Promise.all([
+    getHostBalances(req.user.id),
+    listLedgerEntries({
+      hostId: req.user.id,
+      status: 'PENDING',
+      type: { in: ['EARNING', 'REVERSAL'] }
+    }, req.query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      balances: balances.map(({ currency, pendingMinor, awaitingTransferMinor }) => ({
+        currency,
+        pendingMinor,
+        awaitingTransferMinor
+      })),
+      ...ledger
+    }
+  });
+}));
+
+/**
+ * GET /api/hosts/me/payouts/paid
+ * Get the host's paid-out total and past payouts to their bank
+ */
+router.get('/me/payouts/paid', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const [balances, ledger] = await Promise.all([
+    getHostBalances(req.user.id),
+    listLedgerEntries({
+      hostId: req.user.id,
+      type: 'PAYOUT'
+    }, req.query)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      balances: balances.map(({ currency, paidOutMinor }) => ({
+        currency,
+        paidOutMinor
+      })),
+      ...ledger
+    }
+  });
+}));
+
+/**
+ * GET /api/hosts/me/earnings
+ * Get the host's earnings report, as JSON or CSV (?format=csv)
+ */
+router.get('/me/earnings', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const { error, value } = earningsSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { groupBy, spaceId, format } = value;
+  const to = value.to || new Date();
+  const from = value.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (to <= from) {
+    throw new AppError('"to" must be after "from"', 400, 'VALIDATION_ERROR');
+  }
+
+  if (to - from > MAX_EARNINGS_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(`Earnings range cannot exceed ${MAX_EARNINGS_RANGE_DAYS} days`, 400, 'VALIDATION_ERROR');
+  }
+
+  if (spaceId) {
+    const space = await prisma.parkingSpace.findUnique({
+      where: { id: spaceId },
+      select: { ownerId: true }
+    });
+
+    if (!space) {
+      throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+    }
+
+    if (space.ownerId !== req.user.id) {
+      throw new AppError('Not authorized to view earnings for this space', 403, 'UNAUTHORIZED');
+    }
+  }
+
+  const report = await getHostEarnings(req.user.id, { from, to, groupBy, spaceId });
+
+  if (format === 'csv') {
+    const filename = `earnings-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.send(earningsToCsv(report));
+  }
+
+  res.json({
+    success: true,
+    data: {
+      earnings: report
+    }
+  });
+}));
+
+/**
+ * GET /api/hosts/me/bookings
+ * Get bookings across the host's spaces, with the driver's vehicle details
+ */
+router.get('/me/bookings', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(async (req, res) => {
+  const { error, value } = hostBookingsSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { spaceId, status, from, to, page, limit } = value;
+
+  // Build filters; a date range matches bookings that overlap it
+  const where = {
+    space: { ownerId: req.user.id },
+    ...(spaceId && { spaceId }),
+    ...(status && { status }),
+    ...(from && { endTime: { gt: from } }),
+    ...(to && { startTime: { lt: to } })
+  };
+
+  const [bookings, totalCount, spaces] = await Promise.all([
+    prisma.booking.findMany({
+      where,
+      select: {
+        id: true,
+        startTime: true,
+        endTime: true,
+        status: true,
+        totalCostMinor: true,
+        currency: true,
+        vehicleReg: true,
+        vehicleMake: true,
+        vehicleModel: true,
+        vehicleColor: true,
+        specialRequests: true,
+        checkedInAt: true,
+        checkedOutAt: true,
+        overstayMinutes: true,
+        approvalDeadline: true,
+        declineReason: true,
+        stripeInvoiceId: true,
+        createdAt: true,
+        series: {
+          select: { billing: true }
+        },
+        space: {
+          select: {
+            id: true,
+            title: true,
+            address: true
+          }
+        },
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            driverRating: true,
+            driverRatingCount: true
+          }
+        },
+        driverRatingEntry: {
+          select: { rating: true }
+        }
+      },
+      orderBy: { startTime: 'asc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.booking.count({ where }),
+    // The host's spaces, for filtering
+    prisma.parkingSpace.findMany({
+      where: { ownerId: req.user.id },
+      select: { id: true, title: true },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  res.json({
+    success: true,
+    data: {
+      bookings: bookings.map(({ stripeInvoiceId, series, ...booking }) => ({
+        ...booking,
+        // Later months of a MONTHLY series aren't paid for until invoiced
+        paymentDueAt: getPaymentDueAt({ ...booking, stripeInvoiceId, series }),
+        driverReputation: describeDriverReputation(booking.user)
+      })),
+      spaces,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/hosts/flagged
+ * List hosts flagged for repeated cancellations (admin only)
+ */
+router.get('/flagged', authMiddleware, requireRole('ADMIN'), asyncHandler(async (req, res) => {
+  const { error, value } = pageSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { page, limit } = value;
+  const { hosts, totalCount } = await listFlaggedHosts({ page, limit });
+  const totalPages = Math.ceil(totalCount / limit);
+
+  res.json({
+    success: true,
+    data: {
+      hosts,
+      flagThreshold: HOST_CANCELLATION_FLAG_THRESHOLD,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,115 @@
+/**
+ * Notification Routes
+ *
+ * This file handles the signed-in user's in-app notifications:
+ * - List notifications with the unread count
+ * - Get just the unread count (for the notification bell)
+ * - Mark one notification, or all of them, as read
+ *
+ * All routes require authentication and include proper validation.
+ */
+
+const express = require('express');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  getUnreadCount,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../services/notificationService');
+
+const router = express.Router();
+
+// Validation schemas
+const listNotificationsSchema = Joi.object({
+  unread: Joi.boolean().default(false), // Only unread notifications
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+/**
+ * GET /api/notifications
+ * Get the user's notifications, newest first, with the unread count
+ */
+router.get('/', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = listNotificationsSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { unread, page, limit } = value;
+  const { notifications, totalCount, unreadCount } = await listNotifications(req.user.id, {
+    page,
+    limit,
+    unreadOnly: unread
+  });
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/notifications/unread-count
+ * Get the number of unread notifications
+ */
+router.get('/unread-count', authMiddleware, asyncHandler(async (req, res) => {
+  const unreadCount = await getUnreadCount(req.user.id);
+
+  res.json({
+    success: true,
+    data: { unreadCount }
+  });
+}));
+
+/**
+ * POST /api/notifications/read-all
+ * Mark all of the user's notifications as read
+ */
+router.post('/read-all', authMiddleware, asyncHandler(async (req, res) => {
+  const markedCount = await markAllNotificationsRead(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: {
+      markedCount,
+      unreadCount: 0
+    }
+  });
+}));
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark a notification as read
+ */
+router.post('/:id/read', authMiddleware, asyncHandler(async (req, res) => {
+  const notification = await markNotificationRead(req.user.id, req.params.id);
+  const unreadCount = await getUnreadCount(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      notification,
+      unreadCount
+    }
+  });
+}));
+
+module.exports = router;
@@ -14,14 +14,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const Joi = require('joi');
-const Stripe = require('stripe');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authMiddleware, requireRole } = require('../middleware/auth');
 const {
   createOrGetCustomer,
   processPayment,
   confirmPayment,
-  processRefund,
+  refundPayment,
+  getRefundableAmount,
+  summariseLedger,
+  CHARGE_TYPES,
+  REFUNDABLE_STATUSES,
   getPaymentMethods,
   attachPaymentMethod,
   detachPaymentMethod,
@@ -29,10 +32,15 @@ const {
   createSetupIntent,
   getPaymentStats
 } = require('../services/paymentService');
+const { getHostTransfer, recordHostEarning } = require('../services/payoutService');
+const { requestBookingApproval } = require('../services/bookingRequestService');
+const { createNotification } = require('../services/notificationService');
+const { publishBookingEvents } = require('../services/realtimeService');
+const { constructWebhookEvent } = require('../services/stripeClient');
+const { toMinorUnits } = require('../utils/money');
 
 const router = express.Router();
 const prisma = new PrismaClient();
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
 // Validation schemas
 const processPaymentSchema = Joi.object({
@@ -98,12 +106,20 @@ router.post('/process', authMiddleware, asyncHandler(async (req, res) => {
     }
   }
 
+  // Pay the host through their connected account when they have one
+  const transfer = await getHostTransfer(booking.space.ownerId, booking.totalCostMinor);
+
+  // Request-to-book spaces only authorise the card until the host approves
+  const requiresApproval = booking.space.bookingMode === 'REQUEST';
+
   // Process payment
   const paymentResult = await processPayment({
-    amount: booking.totalCost,
-    currency: 'gbp',
+    amountMinor: booking.totalCostMinor,
+    currency: booking.currency,
     paymentMethodId,
     customerId,
+    captureLater: requiresApproval,
+    transfer,
     metadata: {
       bookingId: booking.id,
       spaceId: booking.spaceId,
@@ -113,13 +129,61 @@ router.post('/process', authMiddleware, asyncHandler(async (req, res) => {
 
   // Handle different payment outcomes
   if (paymentResult.requiresAction) {
-    // Payment requires additional authentication
+    // Payment requires additional authentication - record it as PENDING
+    // and leave the booking PENDING until /confirm completes it
+    await prisma.payment.create({
+      data: {
+        userId: req.user.id,
+        bookingId: booking.id,
+        type: 'BOOKING',
+        amountMinor: booking.totalCostMinor,
+        currency: booking.currency,
+        status: 'PENDING',
+        stripePaymentId: paymentResult.id,
+        paymentMethod: paymentResult.payment_method?.type || 'card',
+        last4: paymentResult.payment_method?.card?.last4,
+        brand: paymentResult.payment_method?.card?.brand,
+        stripePaymentMethodId: paymentMethodId,
+        applicationFeeMinor: transfer.applicationFeeMinor,
+        transferDestination: transfer.destination
+      }
+    });
+
     res.json({
       success: false,
       requiresAction: true,
       clientSecret: paymentResult.clientSecret,
       message: 'Payment requires additional authentication'
     });
+  } else if (paymentResult.authorized) {
+    // Card authorised - record it and send the booking to the host
+    const paymentRecord = await prisma.payment.create({
+      data: {
+        userId: req.user.id,
+        bookingId: booking.id,
+        type: 'BOOKING',
+        amountMinor: booking.totalCostMinor,
+        currency: booking.currency,
+        status: 'AUTHORIZED',
+        stripePaymentId: paymentResult.id,
+        paymentMethod: paymentResult.payment_method?.type || 'card',
+        last4: paymentResult.payment_method?.card?.last4,
+        brand: paymentResult.payment_method?.card?.brand,
+        stripePaymentMethodId: paymentMethodId,
+        applicationFeeMinor: transfer.applicationFeeMinor,
+        transferDestination: transfer.destination
+      }
+    });
+    const requestedBooking = await requestBookingApproval(booking.id);
+
+    res.json({
+      success: true,
+      message: 'Card authorised. The booking will be confirmed once the host approves it.',
+      data: {
+        booking: requestedBooking,
+        payment: paymentRecord
+      }
+    });
   } else if (paymentResult.success) {
     // Payment successful - update booking and create payment record
     const [updatedBooking, paymentRecord] = await Promise.all([
@@ -135,16 +199,22 @@ router.post('/process', authMiddleware, asyncHandler(async (req, res) => {
         data: {
           userId: req.user.id,
           bookingId: booking.id,
-          amount: booking.totalCost,
-          currency: 'GBP',
+          type: 'BOOKING',
+          amountMinor: booking.totalCostMinor,
+          currency: booking.currency,
           status: 'SUCCEEDED',
           stripePaymentId: paymentResult.id,
           paymentMethod: paymentResult.payment_method?.type || 'card',
           last4: paymentResult.payment_method?.card?.last4,
-          brand: paymentResult.payment_method?.card?.brand
+          brand: paymentResult.payment_method?.card?.brand,
+          stripePaymentMethodId: paymentMethodId,
+          applicationFeeMinor: transfer.applicationFeeMinor,
+          transferDestination: transfer.destination
         }
       })
     ]);
+    await recordHostEarning(paymentRecord, booking.space.ownerId);
+    await publishBookingEvents(bookingId, 'booking.created');
 
     res.json({
       success: true,
@@ -170,47 +240,94 @@ router.post('/confirm', authMiddleware, asyncHandler(async (req, res) => {
 
   const { paymentIntentId } = value;
 
+  // Find the booking charge left PENDING while the driver authenticated
+  const payment = await prisma.payment.findFirst({
+    where: {
+      stripePaymentId: paymentIntentId,
+      type: 'BOOKING'
+    },
+    include: {
+      booking: {
+        include: { space: true }
+      }
+    }
+  });
+
+  if (!payment) {
+    throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+  }
+
+  if (payment.userId !== req.user.id) {
+    throw new AppError('You can only confirm your own payments', 403, 'UNAUTHORIZED');
+  }
+
+  if (payment.status !== 'PENDING') {
+    throw new AppError('This payment has already been confirmed', 409, 'PAYMENT_ALREADY_CONFIRMED');
+  }
+
+  if (payment.booking.status !== 'PENDING') {
+    throw new AppError('Only pending bookings can be paid for', 400, 'INVALID_BOOKING_STATUS');
+  }
+
   // Confirm payment
   const confirmResult = await confirmPayment(paymentIntentId);
 
-  if (confirmResult.success) {
-    // Get payment intent details to find booking
-    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
-    const bookingId = paymentIntent.metadata?.bookingId;
+  // Move the charge on from PENDING only once, so a repeated confirm can't
+  // confirm the booking or record the host's earning twice
+  const claim = await prisma.payment.updateMany({
+    where: {
+      id: payment.id,
+      status: 'PENDING'
+    },
+    data: {
+      status: confirmResult.authorized ? 'AUTHORIZED' : 'SUCCEEDED'
+    }
+  });
 
-    if (bookingId) {
-      // Update booking status
-      const updatedBooking = await prisma.booking.update({
-        where: { id: bookingId },
-        data: { status: 'CONFIRMED' },
-        include: {
-          space: true,
-          user: true
-        }
-      });
+  if (claim.count === 0) {
+    throw new AppError('This payment has already been confirmed', 409, 'PAYMENT_ALREADY_CONFIRMED');
+  }
 
-      // Update payment record
-      await prisma.payment.updateMany({
-        where: {
-          stripePaymentId: paymentIntentId
-        },
-        data: {
-          status: 'SUCCEEDED'
-        }
-      });
-
-      res.json({
-        success: true,
-        message: 'Payment confirmed successfully',
-        data: { booking: updatedBooking }
-      });
-    } else {
-      res.json({
-        success: true,
-        message: 'Payment confirmed successfully'
-      });
-    }
+  const { booking } = payment;
+
+  if (confirmResult.authorized) {
+    // Request-to-book: the card is only authorised until the host approves
+    const requestedBooking = await requestBookingApproval(booking.id);
+
+    return res.json({
+      success: true,
+      message: 'Card authorised. The booking will be confirmed once the host approves it.',
+      data: { booking: requestedBooking }
+    });
   }
+
+  await recordHostEarning({ ...payment, status: 'SUCCEEDED' }, booking.space.ownerId);
+
+  // Update booking status
+  const updatedBooking = await prisma.booking.update({
+    where: { id: booking.id },
+    data: { status: 'CONFIRMED' },
+    include: {
+      space: true,
+      user: true
+    }
+  });
+
+  await createNotification({
+    userId: booking.space.ownerId,
+    type: 'SPACE_BOOKED',
+    title: 'New booking',
+    message: `${updatedBooking.user.firstName} has booked ${booking.space.title} from ` +
+      `${new Date(updatedBooking.startTime).toLocaleString()} to ${new Date(updatedBooking.endTime).toLocaleString()}.`
+  });
+
+  await publishBookingEvents(booking.id, 'booking.created');
+
+  res.json({
+    success: true,
+    message: 'Payment confirmed successfully',
+    data: { booking: updatedBooking }
+  });
 }));
 
 /**
@@ -354,7 +471,9 @@ router.post('/refund', authMiddleware, requireRole('ADMIN'), asyncHandler(async
   const payment = await prisma.payment.findUnique({
     where: { id: paymentId },
     include: {
-      booking: true,
+      booking: {
+        include: { payments: true }
+      },
       user: true
     }
   });
@@ -363,47 +482,61 @@ router.post('/refund', authMiddleware, requireRole('ADMIN'), asyncHandler(async
     throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
   }
 
-  if (payment.status !== 'SUCCEEDED') {
-    throw new AppError('Only successful payments can be refunded', 400, 'INVALID_PAYMENT_STATUS');
+  if (!CHARGE_TYPES.includes(payment.type) || !REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new AppError('Only successful charges can be refunded', 400, 'INVALID_PAYMENT_STATUS');
   }
 
-  // Use provided amount or full payment amount
-  const refundAmount = amount || payment.amount;
+  // Use provided amount (in the payment's major units). Otherwise retry the
+  // charge's last refund if it failed (e.g. a 50% late cancellation), or
+  // refund whatever hasn't been refunded yet.
+  const refundableMinor = getRefundableAmount(payment, payment.booking.payments);
+  const [latestRefund] = payment.booking.payments
+    .filter(entry => entry.type === 'REFUND' && entry.refundedPaymentId === payment.id)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  const defaultAmountMinor = latestRefund && latestRefund.status === 'FAILED'
+    ? Math.min(latestRefund.amountMinor, refundableMinor)
+    : refundableMinor;
+  const refundAmountMinor = amount ? toMinorUnits(amount, payment.currency) : defaultAmountMinor;
+
+  if (refundableMinor === 0) {
+    throw new AppError('This payment has already been refunded in full', 400, 'ALREADY_REFUNDED');
+  }
 
-  if (refundAmount > payment.amount) {
-    throw new AppError('Refund amount cannot exceed payment amount', 400, 'INVALID_REFUND_AMOUNT');
+  if (refundAmountMinor > refundableMinor) {
+    throw new AppError('Refund amount cannot exceed the amount left to refund', 400, 'INVALID_REFUND_AMOUNT');
   }
 
   // Process refund
-  const refundResult = await processRefund(payment.stripePaymentId, refundAmount, reason);
+  const refundResult = await refundPayment(payment, refundAmountMinor, reason);
 
-  if (refundResult.success) {
-    // Update payment record
-    const updatedPayment = await prisma.payment.update({
-      where: { id: paymentId },
-      data: {
-        status: 'REFUNDED',
-        refundAmount: refundAmount
-      }
-    });
+  if (!refundResult.success) {
+    throw new AppError('Refund processing failed. The payment can be retried.', 502, 'REFUND_ERROR');
+  }
 
-    // Update booking status if full refund
-    if (refundAmount === payment.amount) {
-      await prisma.booking.update({
-        where: { id: payment.bookingId },
-        data: { status: 'REFUNDED' }
-      });
-    }
+  // Mark the booking refunded once nothing paid is left on it
+  const ledgerEntries = await prisma.payment.findMany({
+    where: { bookingId: payment.bookingId }
+  });
+  const ledger = summariseLedger(ledgerEntries);
 
-    res.json({
-      success: true,
-      message: 'Refund processed successfully',
-      data: {
-        payment: updatedPayment,
-        refund: refundResult
-      }
+  if (ledger.netMinor <= 0) {
+    await prisma.booking.update({
+      where: { id: payment.bookingId },
+      data: { status: 'REFUNDED' }
     });
+    await publishBookingEvents(payment.bookingId);
   }
+
+  res.json({
+    success: true,
+    message: 'Refund processed successfully',
+    data: {
+      payment: refundResult.payment,
+      refund: refundResult.refund,
+      refundEntry: refundResult.refundEntry,
+      ledger
+    }
+  });
 }));
 
 /**
@@ -430,13 +563,12 @@ router.get('/stats', authMiddleware, requireRole('ADMIN'), asyncHandler(async (r
  */
 router.post('/webhooks/stripe', express.raw({ type: 'application/json' }), asyncHandler(async (req, res) => {
   const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
 
   let event;
 
   try {
-    // Verify webhook signature
-    event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+    // Verify webhook signature (platform or connected account)
+    event = constructWebhookEvent(req.body, sig);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
@@ -0,0 +1,105 @@
+/**
+ * Realtime Routes
+ *
+ * This file handles the live update stream for signed-in users:
+ * - A server-sent events (SSE) stream of booking, payment and notification
+ *   events (see realtimeService)
+ *
+ * The stream authenticates with the same Bearer token as the rest of the
+ * API, so clients read it with fetch rather than EventSource (which can't
+ * send headers). Reconnecting clients send the last event ID they saw in
+ * the Last-Event-ID header and are replayed what they missed.
+ *
+ * All routes require authentication and include proper validation.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authMiddleware } = require('../middleware/auth');
+const { subscribe } = require('../services/realtimeService');
+
+const router = express.Router();
+
+// How often a comment is sent to keep idle connections (and proxies) open
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How long clients wait before reconnecting after the stream drops
+const RECONNECT_DELAY_MS = 3000;
+
+// Longest delay setTimeout supports
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// Validation schemas
+const lastEventIdSchema = Joi.number().integer().min(0).allow(null);
+
+/**
+ * Helper function to write one event to an SSE stream
+ * @param {Object} res - Express response
+ * @param {Object} message - { id, type, data, createdAt }
+ */
+const writeEvent = (res, message) => {
+  const payload = JSON.stringify({ data: message.data, createdAt: message.createdAt });
+  res.write(`id: ${message.id}\nevent: ${message.type}\ndata: ${payload}\n\n`);
+};
+
+/**
+ * GET /api/realtime/events
+ * Stream the user's live events, replaying any after Last-Event-ID
+ */
+router.get('/events', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value: lastEventId } = lastEventIdSchema.validate(
+    req.header('Last-Event-ID') || null
+  );
+  if (error) {
+    throw new AppError('Last-Event-ID must be an event ID', 400, 'VALIDATION_ERROR');
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression from buffering events
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  let closed = false;
+  let unsubscribe = null;
+  let expiryTimer = null;
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+    if (unsubscribe) unsubscribe();
+    res.end();
+  };
+
+  req.on('close', close);
+
+  // End the stream when the token expires, so the client has to reconnect
+  // with a fresh one
+  const { exp } = jwt.decode(req.header('Authorization').replace('Bearer ', '')) || {};
+  if (exp) {
+    expiryTimer = setTimeout(close, Math.min(Math.max(exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MS));
+  }
+
+  try {
+    const stop = await subscribe(req.user.id, lastEventId, (message) => writeEvent(res, message));
+
+    if (closed) {
+      stop();
+    } else {
+      unsubscribe = stop;
+    }
+  } catch (subscribeError) {
+    console.error('Failed to open realtime stream:', subscribeError);
+    close();
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,154 @@
+/**
+ * Review Routes
+ *
+ * This file handles reviews of parking spaces:
+ * - Review a completed booking (drivers, within the review window)
+ * - Edit a review while the window is open
+ * - Post a public reply to a review (the space's host)
+ *
+ * Reviews for a space are listed through GET /api/spaces/:id/reviews.
+ *
+ * All routes require authentication and include proper validation.
+ */
+
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const Joi = require('joi');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const { authMiddleware } = require('../middleware/auth');
+const {
+  getReviewDeadline,
+  createReview,
+  updateReview,
+  replyToReview
+} = require('../services/reviewService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Validation schemas
+const createReviewSchema = Joi.object({
+  bookingId: Joi.string().uuid().required(),
+  rating: Joi.number().integer().min(1).max(5).required(),
+  comment: Joi.string().trim().max(1000).allow('').optional()
+});
+
+const updateReviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  comment: Joi.string().trim().max(1000).allow('')
+}).min(1);
+
+const replySchema = Joi.object({
+  reply: Joi.string().trim().min(1).max(1000).required()
+});
+
+/**
+ * POST /api/reviews
+ * Review a completed booking
+ */
+router.post('/', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = createReviewSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const booking = await prisma.booking.findUnique({
+    where: { id: value.bookingId },
+    include: {
+      space: true,
+      review: true
+    }
+  });
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'BOOKING_NOT_FOUND');
+  }
+
+  if (booking.userId !== req.user.id) {
+    throw new AppError('You can only review your own bookings', 403, 'UNAUTHORIZED');
+  }
+
+  const review = await createReview(booking, value);
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for your review',
+    data: {
+      review,
+      editableUntil: getReviewDeadline(booking)
+    }
+  });
+}));
+
+/**
+ * PUT /api/reviews/:id
+ * Edit your review while the review window is open
+ */
+router.put('/:id', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = updateReviewSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.id },
+    include: { booking: true }
+  });
+
+  if (!review) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  if (review.userId !== req.user.id) {
+    throw new AppError('You can only edit your own reviews', 403, 'UNAUTHORIZED');
+  }
+
+  const updatedReview = await updateReview(review, value);
+
+  res.json({
+    success: true,
+    message: 'Review updated successfully',
+    data: {
+      review: updatedReview,
+      editableUntil: getReviewDeadline(review.booking)
+    }
+  });
+}));
+
+/**
+ * POST /api/reviews/:id/reply
+ * Post the host's public reply to a review of their space
+ */
+router.post('/:id/reply', authMiddleware, asyncHandler(async (req, res) => {
+  const { error, value } = replySchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const review = await prisma.review.findUnique({
+    where: { id: req.params.id },
+    include: {
+      space: {
+        select: { ownerId: true }
+      }
+    }
+  });
+
+  if (!review) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  if (review.space.ownerId !== req.user.id) {
+    throw new AppError('You can only reply to reviews of your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  const repliedReview = await replyToReview(review, value.reply);
+
+  res.status(201).json({
+    success: true,
+    message: 'Reply posted successfully',
+    data: { review: repliedReview }
+  });
+}));
+
+module.exports = router;
@@ -4,10 +4,15 @@
  * This file handles all parking space-related endpoints including:
  * - Search and filter parking spaces
  * - Get space details
+ * - Get free/busy calendar for a space
+ * - List a space's reviews
  * - Create new parking spaces (hosts)
  * - Update existing spaces
  * - Upload space images
  * - Manage space availability
+ * - Manage availability exceptions (blackouts and one-off openings)
+ * - Suspend a space for a period, cancelling the bookings it affects
+ * - Manage pricing rules
  * 
  * Routes are protected based on user roles and ownership.
  */
@@ -19,6 +24,23 @@ const multer = require('multer');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
 const { uploadToS3, deleteFromS3 } = require('../services/uploadService');
+const {
+  isWithinSchedule,
+  checkSpaceAvailability,
+  getSpaceCalendar,
+  liveHoldWhere,
+  withSpaceLock,
+  BLOCKING_BOOKING_STATUSES
+} = require('../services/availabilityService');
+const {
+  getCancellationPolicy,
+  cancelBookingAsHost,
+  recordHostCancellation
+} = require('../services/cancellationService');
+const { declineBookingRequest } = require('../services/bookingRequestService');
+const { REVIEW_INCLUDE } = require('../services/reviewService');
+const { calculateDistanceKm, getBoundingBox } = require('../utils/geo');
+const { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, toMinorUnits } = require('../utils/money');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -50,12 +72,15 @@ const searchSchema = Joi.object({
   type: Joi.string().valid('DRIVEWAY', 'GARAGE', 'CAR_PARK', 'STREET_PARKING', 'COMMERCIAL_LOT').optional(),
   minPrice: Joi.number().min(0).optional(),
   maxPrice: Joi.number().min(0).optional(),
+  currency: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).optional(),
   hasEVCharging: Joi.boolean().optional(),
   isCovered: Joi.boolean().optional(),
   hasCCTV: Joi.boolean().optional(),
   has24Access: Joi.boolean().optional(),
   hasDisabledAccess: Joi.boolean().optional(),
+  minRating: Joi.number().min(1).max(5).optional(),
   radius: Joi.number().min(0.1).max(50).default(5), // Search radius in km
+  sort: Joi.string().valid('distance', 'price', 'rating').optional(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(20)
 });
@@ -70,6 +95,7 @@ const createSpaceSchema = Joi.object({
   longitude: Joi.number().min(-180).max(180).required(),
   type: Joi.string().valid('DRIVEWAY', 'GARAGE', 'CAR_PARK', 'STREET_PARKING', 'COMMERCIAL_LOT').required(),
   price: Joi.number().min(0.5).max(50).required(),
+  currency: Joi.string().uppercase().valid(...SUPPORTED_CURRENCIES).optional(),
   maxHeight: Joi.number().min(1).max(5).optional(),
   maxWidth: Joi.number().min(1).max(5).optional(),
   maxLength: Joi.number().min(2).max(15).optional(),
@@ -78,7 +104,11 @@ const createSpaceSchema = Joi.object({
   hasCCTV: Joi.boolean().default(false),
   has24Access: Joi.boolean().default(false),
   hasDisabledAccess: Joi.boolean().default(false),
-  accessInstructions: Joi.string().max(1000).optional()
+  accessInstructions: Joi.string().max(1000).optional(),
+  cancellationPolicy: Joi.string().valid('FLEXIBLE', 'MODERATE', 'STRICT').optional(),
+  bookingMode: Joi.string().valid('INSTANT', 'REQUEST').optional(),
+  minDriverRating: Joi.number().min(1).max(5).allow(null).optional(),
+  overtimeRate: Joi.number().min(0.5).max(100).optional()
 });
 
 const updateSpaceSchema = createSpaceSchema.fork(['latitude', 'longitude'], (schema) => schema.optional());
@@ -94,6 +124,142 @@ const availabilitySchema = Joi.object({
   ).min(1).required()
 });
 
+const timeOfDayPattern = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/; // HH:MM format
+
+const pricingRulesSchema = Joi.object({
+  rules: Joi.array().items(
+    Joi.object({
+      type: Joi.string().valid('HOURLY_RATE', 'DAILY_CAP', 'OVERNIGHT_FLAT', 'WEEKLY', 'MONTHLY').required(),
+      name: Joi.string().max(50).optional(),
+      daysOfWeek: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().default([]), // Empty = every day
+      startTime: Joi.string().pattern(timeOfDayPattern).when('type', {
+        is: Joi.valid('HOURLY_RATE', 'OVERNIGHT_FLAT'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      endTime: Joi.string().pattern(timeOfDayPattern).when('type', {
+        is: Joi.valid('HOURLY_RATE', 'OVERNIGHT_FLAT'),
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      }),
+      amount: Joi.number().min(0).max(10000).required(), // Major units of the space's currency
+      priority: Joi.number().integer().min(0).max(100).default(0),
+      isActive: Joi.boolean().default(true)
+    })
+  ).max(50).required()
+});
+
+const calendarSchema = Joi.object({
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  granularity: Joi.string().valid('5m', '15m', '30m', '60m').default('15m')
+});
+
+const reviewListSchema = Joi.object({
+  sortBy: Joi.string().valid('newest', 'highest', 'lowest').default('newest'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const availabilityExceptionSchema = Joi.object({
+  type: Joi.string().valid('BLACKOUT', 'OPEN').required(),
+  startTime: Joi.date().iso().required(),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+  reason: Joi.string().max(200).optional()
+});
+
+const suspendSpaceSchema = Joi.object({
+  startTime: Joi.date().iso().default(() => new Date()),
+  endTime: Joi.date().iso().greater(Joi.ref('startTime')).required(),
+  reason: Joi.string().min(3).max(200).required()
+});
+
+// Related data returned with each search result
+const searchResultInclude = {
+  images: {
+    orderBy: { order: 'asc' },
+    take: 3 // Limit images for search results
+  },
+  owner: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      profileImage: true
+    }
+  },
+  _count: {
+    select: {
+      bookings: true
+    }
+  }
+};
+
+/**
+ * Helper function to turn validated space fields into stored columns
+ * Prices come in as major units and are stored in minor units.
+ * @param {Object} value - Validated create/update body
+ * @param {string} currency - Currency the prices are in
+ * @returns {Object} - Data for prisma.parkingSpace.create/update
+ */
+const toSpaceData = ({ price, overtimeRate, ...fields }, currency) => ({
+  ...fields,
+  ...(price !== undefined && { priceMinor: toMinorUnits(price, currency) }),
+  ...(overtimeRate !== undefined && { overtimeRateMinor: toMinorUnits(overtimeRate, currency) })
+});
+
+/**
+ * Helper function to check who may set a minimum driver rating
+ * Hosts can only screen drivers on request-to-book spaces; admins can set
+ * one on any space.
+ * @param {Object} user - User making the change
+ * @param {string} bookingMode - Space's booking mode after the change
+ * @param {number|null} minDriverRating - Space's minimum driver rating after the change
+ */
+const checkMinDriverRating = (user, bookingMode, minDriverRating) => {
+  if (minDriverRating && bookingMode !== 'REQUEST' && user.role !== 'ADMIN') {
+    throw new AppError('A minimum driver rating can only be set on request-to-book spaces', 400, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Helper function to filter search candidates to the search radius and order them
+ * @param {Array} candidates - Spaces with id, latitude, longitude, priceMinor, avgRating, reviewCount and createdAt
+ * @param {Object} options - Ranking options
+ * @param {number} options.latitude - Search centre latitude (optional)
+ * @param {number} options.longitude - Search centre longitude (optional)
+ * @param {number} options.radius - Search radius in km
+ * @param {string} options.sortBy - 'distance', 'price', 'rating' or 'newest'
+ * @returns {Array} - Ordered candidates with distance (km) attached
+ */
+const rankSearchCandidates = (candidates, { latitude, longitude, radius, sortBy }) => {
+  const hasLocation = latitude !== undefined && longitude !== undefined;
+
+  let ranked = candidates.map(candidate => ({
+    ...candidate,
+    distance: hasLocation
+      ? calculateDistanceKm(latitude, longitude, candidate.latitude, candidate.longitude)
+      : null
+  }));
+
+  // The bounding box over-selects at its corners, keep only the true circle
+  if (hasLocation) {
+    ranked = ranked.filter(candidate => candidate.distance <= radius);
+  }
+
+  const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+  const byDistance = (a, b) => (hasLocation ? a.distance - b.distance : 0);
+
+  const comparators = {
+    distance: (a, b) => byDistance(a, b) || byNewest(a, b),
+    price: (a, b) => a.priceMinor - b.priceMinor || byDistance(a, b) || byNewest(a, b),
+    rating: (a, b) => b.avgRating - a.avgRating || b.reviewCount - a.reviewCount || byDistance(a, b) || byNewest(a, b),
+    newest: byNewest
+  };
+
+  return ranked.sort(comparators[sortBy]);
+};
+
 /**
  * GET /api/spaces/search
  * Search for available parking spaces with filters
@@ -114,46 +280,57 @@ router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
     type,
     minPrice,
     maxPrice,
+    currency,
     hasEVCharging,
     isCovered,
     hasCCTV,
     has24Access,
     hasDisabledAccess,
+    minRating,
     radius,
+    sort,
     page,
     limit
   } = value;
 
+  const hasLocation = latitude !== undefined && longitude !== undefined;
+  // Nearest first when searching around a point, otherwise newest first
+  const sortBy = sort || (hasLocation ? 'distance' : 'newest');
+
+  if (sortBy === 'distance' && !hasLocation) {
+    throw new AppError('Latitude and longitude are required to sort by distance', 400, 'VALIDATION_ERROR');
+  }
+
+  // Price filters are in major units of one currency, so they only match
+  // spaces priced in that currency. Prices in different currencies can't be
+  // compared either, so sorting by price also sticks to one currency.
+  const hasPriceFilter = minPrice !== undefined || maxPrice !== undefined;
+  const priceCurrency = currency || DEFAULT_CURRENCY;
+  const inOneCurrency = Boolean(currency) || hasPriceFilter || sortBy === 'price';
+
   // Build search filters
   const where = {
     isActive: true,
     ...(type && { type }),
-    ...(minPrice !== undefined && { price: { gte: minPrice } }),
-    ...(maxPrice !== undefined && { price: { ...where.price, lte: maxPrice } }),
+    ...(inOneCurrency && { currency: priceCurrency }),
+    ...(hasPriceFilter && {
+      priceMinor: {
+        ...(minPrice !== undefined && { gte: toMinorUnits(minPrice, priceCurrency) }),
+        ...(maxPrice !== undefined && { lte: toMinorUnits(maxPrice, priceCurrency) })
+      }
+    }),
     ...(hasEVCharging !== undefined && { hasEVCharging }),
     ...(isCovered !== undefined && { isCovered }),
     ...(hasCCTV !== undefined && { hasCCTV }),
     ...(has24Access !== undefined && { has24Access }),
-    ...(hasDisabledAccess !== undefined && { hasDisabledAccess })
+    ...(hasDisabledAccess !== undefined && { hasDisabledAccess }),
+    ...(minRating !== undefined && { avgRating: { gte: minRating } })
   };
 
-  // Add location-based search if coordinates provided
-  if (latitude && longitude) {
-    // Use Haversine formula for distance calculation
-    // This is a simplified version - in production, consider using PostGIS
-    const latRad = latitude * Math.PI / 180;
-    const lonRad = longitude * Math.PI / 180;
-    const deltaLat = radius / 111.32; // Approximate km per degree latitude
-    const deltaLon = radius / (111.32 * Math.cos(latRad)); // Adjust for longitude
-
-    where.latitude = {
-      gte: latitude - deltaLat,
-      lte: latitude + deltaLat
-    };
-    where.longitude = {
-      gte: longitude - deltaLon,
-      lte: longitude + deltaLon
-    };
+  // Restrict to the bounding box first so the (latitude, longitude) index can
+  // be used; the exact radius check happens once candidates are loaded
+  if (hasLocation) {
+    Object.assign(where, getBoundingBox(latitude, longitude, radius));
   }
 
   // Add text search for address if provided
@@ -171,7 +348,7 @@ router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
     where.bookings = {
       none: {
         AND: [
-          { status: { in: ['CONFIRMED', 'ACTIVE'] } },
+          { status: { in: BLOCKING_BOOKING_STATUSES } },
           {
             OR: [
               {
@@ -197,78 +374,119 @@ router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
         ]
       }
     };
+
+    // ...and no live checkout holds
+    where.holds = {
+      none: {
+        ...liveHoldWhere(),
+        startTime: { lt: new Date(endTime) },
+        endTime: { gt: new Date(startTime) }
+      }
+    };
   }
 
   // Calculate pagination
   const skip = (page - 1) * limit;
 
-  // Get spaces with related data
-  const [spaces, totalCount] = await Promise.all([
-    prisma.parkingSpace.findMany({
+  let spaces;
+  let totalCount;
+  let distances = new Map();
+
+  const hasTimeWindow = Boolean(startTime && endTime);
+
+  if (hasLocation || hasTimeWindow) {
+    // Rank the lightweight candidate set in memory so the radius check,
+    // weekly schedule check and distance ordering happen before
+    // pagination is applied
+    let candidates = await prisma.parkingSpace.findMany({
       where,
-      include: {
-        images: {
-          orderBy: { order: 'asc' },
-          take: 3 // Limit images for search results
-        },
-        owner: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true,
-            profileImage: true
-          }
-        },
-        reviews: {
-          select: {
-            rating: true
-          }
-        },
-        _count: {
-          select: {
-            reviews: true,
-            bookings: true
+      select: {
+        id: true,
+        latitude: true,
+        longitude: true,
+        priceMinor: true,
+        avgRating: true,
+        reviewCount: true,
+        createdAt: true,
+        ...(hasTimeWindow && {
+          availability: {
+            where: { isActive: true },
+            select: {
+              dayOfWeek: true,
+              startTime: true,
+              endTime: true,
+              isActive: true
+            }
+          },
+          availabilityExceptions: {
+            where: {
+              startTime: { lt: new Date(endTime) },
+              endTime: { gt: new Date(startTime) }
+            },
+            select: {
+              type: true,
+              startTime: true,
+              endTime: true
+            }
           }
-        }
-      },
-      skip,
-      take: limit,
-      orderBy: [
-        // If location provided, we could add distance ordering here
-        { createdAt: 'desc' }
-      ]
-    }),
-    prisma.parkingSpace.count({ where })
-  ]);
+        })
+      }
+    });
 
-  // Calculate average ratings and add distance if coordinates provided
-  const spacesWithMetadata = spaces.map(space => {
-    const avgRating = space.reviews.length > 0
-      ? space.reviews.reduce((sum, review) => sum + review.rating, 0) / space.reviews.length
-      : 0;
-
-    let distance = null;
-    if (latitude && longitude) {
-      // Calculate distance using Haversine formula
-      const R = 6371; // Earth's radius in km
-      const dLat = (space.latitude - latitude) * Math.PI / 180;
-      const dLon = (space.longitude - longitude) * Math.PI / 180;
-      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                Math.cos(latitude * Math.PI / 180) * Math.cos(space.latitude * Math.PI / 180) *
-                Math.sin(dLon/2) * Math.sin(dLon/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      distance = R * c;
+    // Drop spaces whose schedule and exceptions don't cover the requested window
+    if (hasTimeWindow) {
+      candidates = candidates.filter(candidate =>
+        isWithinSchedule(candidate.availability, startTime, endTime, candidate.availabilityExceptions)
+      );
     }
 
+    const ranked = rankSearchCandidates(candidates, {
+      latitude,
+      longitude,
+      radius,
+      sortBy
+    });
+
+    distances = new Map(ranked.map(candidate => [candidate.id, candidate.distance]));
+    totalCount = ranked.length;
+
+    const pageIds = ranked.slice(skip, skip + limit).map(candidate => candidate.id);
+    const pageSpaces = await prisma.parkingSpace.findMany({
+      where: { id: { in: pageIds } },
+      include: searchResultInclude
+    });
+
+    // Restore the ranked order lost by the IN query
+    const spacesById = new Map(pageSpaces.map(space => [space.id, space]));
+    spaces = pageIds.map(id => spacesById.get(id)).filter(Boolean);
+  } else {
+    [spaces, totalCount] = await Promise.all([
+      prisma.parkingSpace.findMany({
+        where,
+        include: searchResultInclude,
+        skip,
+        take: limit,
+        orderBy: {
+          price: [{ priceMinor: 'asc' }, { createdAt: 'desc' }],
+          rating: [{ avgRating: 'desc' }, { reviewCount: 'desc' }, { createdAt: 'desc' }],
+          newest: [{ createdAt: 'desc' }]
+        }[sortBy]
+      }),
+      prisma.parkingSpace.count({ where })
+    ]);
+  }
+
+  // Round ratings for display and attach distance if coordinates provided
+  const spacesWithMetadata = spaces.map(space => {
+    const distance = distances.get(space.id);
+
     return {
       ...space,
-      avgRating: Math.round(avgRating * 10) / 10,
-      reviewCount: space._count.reviews,
+      avgRating: Math.round(space.avgRating * 10) / 10,
       bookingCount: space._count.bookings,
-      ...(distance !== null && { distance: Math.round(distance * 100) / 100 })
+      ...(distance !== undefined && distance !== null && { distance: Math.round(distance * 100) / 100 })
     };
   });
-
   // Calculate pagination metadata
   const totalPages = Math.ceil(totalCount / limit);
   const hasNextPage = page < totalPages;
@@ -287,11 +505,14 @@ router.get('/search', optionalAuth, asyncHandler(async (req, res) => {
         limit
       },
       filters: {
-        ...(latitude && longitude && { center: { latitude, longitude } }),
+        ...(hasLocation && { center: { latitude, longitude } }),
         radius,
+        sort: sortBy,
         ...(type && { type }),
+        ...(inOneCurrency && { currency: priceCurrency }),
         ...(minPrice !== undefined && { minPrice }),
-        ...(maxPrice !== undefined && { maxPrice })
+        ...(maxPrice !== undefined && { maxPrice }),
+        ...(minRating !== undefined && { minRating })
       }
     }
   });
@@ -336,9 +557,12 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
         where: { isActive: true },
         orderBy: { dayOfWeek: 'asc' }
       },
+      pricingRules: {
+        where: { isActive: true },
+        orderBy: [{ type: 'asc' }, { priority: 'desc' }]
+      },
       _count: {
         select: {
-          reviews: true,
           bookings: true
         }
       }
@@ -353,11 +577,6 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     throw new AppError('Parking space is not available', 404, 'SPACE_INACTIVE');
   }
 
-  // Calculate average rating
-  const avgRating = space.reviews.length > 0
-    ? space.reviews.reduce((sum, review) => sum + review.rating, 0) / space.reviews.length
-    : 0;
-
   // Check if current user is the owner
   const isOwner = req.user && req.user.id === space.ownerId;
 
@@ -366,8 +585,8 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     data: {
       space: {
         ...space,
-        avgRating: Math.round(avgRating * 10) / 10,
-        reviewCount: space._count.reviews,
+        cancellationPolicyDetails: getCancellationPolicy(space.cancellationPolicy),
+        avgRating: Math.round(space.avgRating * 10) / 10,
         bookingCount: space._count.bookings,
         isOwner
       }
@@ -375,6 +594,134 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/spaces/:id/calendar
+ * Get free and busy intervals for a parking space (defaults to the next 14 days)
+ */
+router.get('/:id/calendar', optionalAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate query parameters
+  const { error, value } = calendarSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const from = value.from ? new Date(value.from) : new Date();
+  const to = value.to ? new Date(value.to) : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+  const granularityMinutes = parseInt(value.granularity);
+
+  if (to <= from) {
+    throw new AppError('"to" must be after "from"', 400, 'VALIDATION_ERROR');
+  }
+
+  // Keep calendars to a month so the schedule expansion stays cheap
+  if (to - from > 31 * 24 * 60 * 60 * 1000) {
+    throw new AppError('Calendar range cannot exceed 31 days', 400, 'VALIDATION_ERROR');
+  }
+
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, isActive: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (!space.isActive) {
+    throw new AppError('Parking space is not available', 404, 'SPACE_INACTIVE');
+  }
+
+  const { free, busy } = await getSpaceCalendar(id, from, to, granularityMinutes);
+
+  res.json({
+    success: true,
+    data: {
+      calendar: {
+        spaceId: id,
+        from,
+        to,
+        granularityMinutes,
+        free,
+        busy
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/spaces/:id/reviews
+ * Get a page of a parking space's reviews with host replies
+ */
+router.get('/:id/reviews', optionalAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Validate query parameters
+  const { error, value } = reviewListSchema.validate(req.query);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { sortBy, page, limit } = value;
+
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      isActive: true,
+      avgRating: true,
+      reviewCount: true,
+      ratingHistogram: true
+    }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (!space.isActive) {
+    throw new AppError('Parking space is not available', 404, 'SPACE_INACTIVE');
+  }
+
+  const orderBy = {
+    newest: [{ createdAt: 'desc' }],
+    highest: [{ rating: 'desc' }, { createdAt: 'desc' }],
+    lowest: [{ rating: 'asc' }, { createdAt: 'desc' }]
+  }[sortBy];
+
+  const [reviews, totalCount] = await Promise.all([
+    prisma.review.findMany({
+      where: { spaceId: id },
+      include: REVIEW_INCLUDE,
+      orderBy,
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.review.count({ where: { spaceId: id } })
+  ]);
+
+  const totalPages = Math.ceil(totalCount / limit);
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      avgRating: Math.round(space.avgRating * 10) / 10,
+      reviewCount: space.reviewCount,
+      ratingHistogram: space.ratingHistogram,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalCount,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    }
+  });
+}));
+
 /**
  * POST /api/spaces
  * Create a new parking space (hosts only)
@@ -386,10 +733,12 @@ router.post('/', authMiddleware, requireRole(['HOST', 'ADMIN']), asyncHandler(as
     throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
   }
 
+  checkMinDriverRating(req.user, value.bookingMode || 'INSTANT', value.minDriverRating);
+
   // Create parking space
   const space = await prisma.parkingSpace.create({
     data: {
-      ...value,
+      ...toSpaceData(value, value.currency || DEFAULT_CURRENCY),
       ownerId: req.user.id
     },
     include: {
@@ -422,7 +771,7 @@ router.put('/:id', authMiddleware, asyncHandler(async (req, res) => {
   // Check if space exists and user is owner or admin
   const existingSpace = await prisma.parkingSpace.findUnique({
     where: { id },
-    select: { id: true, ownerId: true }
+    select: { id: true, ownerId: true, currency: true, bookingMode: true, minDriverRating: true }
   });
 
   if (!existingSpace) {
@@ -439,10 +788,16 @@ router.put('/:id', authMiddleware, asyncHandler(async (req, res) => {
     throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
   }
 
+  checkMinDriverRating(
+    req.user,
+    value.bookingMode || existingSpace.bookingMode,
+    value.minDriverRating !== undefined ? value.minDriverRating : existingSpace.minDriverRating
+  );
+
   // Update space
   const updatedSpace = await prisma.parkingSpace.update({
     where: { id },
-    data: value,
+    data: toSpaceData(value, value.currency || existingSpace.currency),
     include: {
       images: true,
       owner: {
@@ -652,4 +1007,419 @@ router.put('/:id/availability', authMiddleware, asyncHandler(async (req, res) =>
   });
 }));
 
+/**
+ * GET /api/spaces/:id/availability/exceptions
+ * List date-specific availability exceptions for a parking space (owner only)
+ */
+router.get('/:id/availability/exceptions', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { includePast = 'false' } = req.query;
+
+  // Check if space exists and user is owner
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only view exceptions for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  const exceptions = await prisma.availabilityException.findMany({
+    where: {
+      spaceId: id,
+      ...(includePast !== 'true' && { endTime: { gt: new Date() } })
+    },
+    orderBy: { startTime: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    data: { exceptions }
+  });
+}));
+
+/**
+ * POST /api/spaces/:id/availability/exceptions
+ * Add a blackout period or one-off opening to a parking space
+ */
+router.post('/:id/availability/exceptions', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Check if space exists and user is owner
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only update availability for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  // Validate request body
+  const { error, value } = availabilityExceptionSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  // A blackout can't remove time drivers have already booked
+  if (value.type === 'BLACKOUT') {
+    const isAvailable = await checkSpaceAvailability(id, value.startTime, value.endTime);
+    if (!isAvailable) {
+      throw new AppError('Blackout period overlaps existing bookings', 409, 'HAS_ACTIVE_BOOKINGS');
+    }
+  }
+
+  const exception = await prisma.availabilityException.create({
+    data: {
+      spaceId: id,
+      ...value
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Availability exception created successfully',
+    data: { exception }
+  });
+}));
+
+/**
+ * PUT /api/spaces/:id/availability/exceptions/:exceptionId
+ * Update an availability exception (owner only)
+ */
+router.put('/:id/availability/exceptions/:exceptionId', authMiddleware, asyncHandler(async (req, res) => {
+  const { id, exceptionId } = req.params;
+
+  // Check if space exists and user is owner
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only update availability for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  const existingException = await prisma.availabilityException.findUnique({
+    where: { id: exceptionId },
+    select: { id: true, spaceId: true }
+  });
+
+  if (!existingException || existingException.spaceId !== id) {
+    throw new AppError('Availability exception not found', 404, 'EXCEPTION_NOT_FOUND');
+  }
+
+  // Validate request body
+  const { error, value } = availabilityExceptionSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  // A blackout can't remove time drivers have already booked
+  if (value.type === 'BLACKOUT') {
+    const isAvailable = await checkSpaceAvailability(id, value.startTime, value.endTime);
+    if (!isAvailable) {
+      throw new AppError('Blackout period overlaps existing bookings', 409, 'HAS_ACTIVE_BOOKINGS');
+    }
+  }
+
+  const exception = await prisma.availabilityException.update({
+    where: { id: exceptionId },
+    data: {
+      reason: null,
+      ...value
+    }
+  });
+
+  res.json({
+    success: true,
+    message: 'Availability exception updated successfully',
+    data: { exception }
+  });
+}));
+
+/**
+ * DELETE /api/spaces/:id/availability/exceptions/:exceptionId
+ * Remove an availability exception (owner only)
+ */
+router.delete('/:id/availability/exceptions/:exceptionId', authMiddleware, asyncHandler(async (req, res) => {
+  const { id, exceptionId } = req.params;
+
+  // Check if space exists and user is owner
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only update availability for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  const exception = await prisma.availabilityException.findUnique({
+    where: { id: exceptionId },
+    select: { id: true, spaceId: true }
+  });
+
+  if (!exception || exception.spaceId !== id) {
+    throw new AppError('Availability exception not found', 404, 'EXCEPTION_NOT_FOUND');
+  }
+
+  await prisma.availabilityException.delete({
+    where: { id: exceptionId }
+  });
+
+  res.json({
+    success: true,
+    message: 'Availability exception deleted successfully'
+  });
+}));
+
+/**
+ * POST /api/spaces/:id/suspend
+ * Block out a space for a period (e.g. a broken gate) and cancel the
+ * bookings it affects with a full refund (owner only)
+ */
+router.post('/:id/suspend', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Check if space exists and user is owner
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only suspend your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  // Validate request body
+  const { error, value } = suspendSpaceSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  const { startTime, endTime, reason } = value;
+  const overlap = {
+    startTime: { lt: endTime },
+    endTime: { gt: startTime }
+  };
+
+  // Block the period and collect the bookings it affects under the space
+  // lock, so no new booking can claim the period in between
+  const { exception, affectedBookings } = await withSpaceLock(id, async (tx) => {
+    const activeSessions = await tx.booking.count({
+      where: { spaceId: id, status: 'ACTIVE', ...overlap }
+    });
+
+    if (activeSessions > 0) {
+      throw new AppError('A driver is parked in this space during the suspension period', 409, 'SPACE_IN_USE');
+    }
+
+    const exception = await tx.availabilityException.create({
+      data: {
+        spaceId: id,
+        type: 'BLACKOUT',
+        startTime,
+        endTime,
+        reason
+      }
+    });
+
+    await tx.bookingHold.updateMany({
+      where: { spaceId: id, ...liveHoldWhere(), ...overlap },
+      data: { status: 'RELEASED' }
+    });
+
+    const affectedBookings = await tx.booking.findMany({
+      where: {
+        spaceId: id,
+        status: { in: ['PENDING', 'REQUESTED', 'CONFIRMED'] },
+        ...overlap
+      },
+      include: {
+        space: true,
+        payments: true,
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true
+          }
+        }
+      },
+      orderBy: { startTime: 'asc' }
+    });
+
+    return { exception, affectedBookings };
+  });
+
+  // Refunds go to Stripe, so cancel outside the transaction. Requests
+  // haven't been charged, so they are declined instead.
+  const cancellations = [];
+  const declinedRequests = [];
+  for (const booking of affectedBookings) {
+    if (booking.status === 'REQUESTED') {
+      try {
+        await declineBookingRequest(booking, reason);
+      } catch (declineError) {
+        // Answered or withdrawn since it was found
+        if (declineError.code === 'REQUEST_ALREADY_ANSWERED') continue;
+        throw declineError;
+      }
+      declinedRequests.push({ bookingId: booking.id });
+      continue;
+    }
+
+    // One suspension counts as a single cancellation against the host,
+    // however many bookings it affects (see below)
+    let result;
+    try {
+      result = await cancelBookingAsHost(booking, req.user, reason, { countAgainstHost: false });
+    } catch (cancelError) {
+      // Cancelled by the driver (or started) since it was found
+      if (cancelError.code === 'BOOKING_NOT_CANCELLABLE') continue;
+      throw cancelError;
+    }
+
+    cancellations.push({
+      bookingId: booking.id,
+      currency: result.currency,
+      refundAmountMinor: result.refundAmountMinor,
+      refundStatus: result.refundStatus,
+      alternatives: result.alternatives
+    });
+  }
+
+  const host = cancellations.length > 0 && space.ownerId === req.user.id
+    ? await recordHostCancellation(space.ownerId)
+    : null;
+
+  res.status(201).json({
+    success: true,
+    message: cancellations.length > 0 || declinedRequests.length > 0
+      ? `Space suspended; ${cancellations.length} booking(s) cancelled with a full refund ` +
+        `and ${declinedRequests.length} request(s) declined`
+      : 'Space suspended successfully',
+    data: {
+      exception,
+      cancellations,
+      declinedRequests,
+      hostCancellationCount: host ? host.hostCancellationCount : undefined,
+      hostFlagged: host ? host.isFlagged : undefined
+    }
+  });
+}));
+
+/**
+ * GET /api/spaces/:id/pricing-rules
+ * Get pricing rules for a parking space
+ */
+router.get('/:id/pricing-rules', optionalAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true, priceMinor: true, currency: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  // Owners and admins also see inactive rules
+  const canManage = req.user && (req.user.id === space.ownerId || req.user.role === 'ADMIN');
+
+  const rules = await prisma.pricingRule.findMany({
+    where: {
+      spaceId: id,
+      ...(!canManage && { isActive: true })
+    },
+    orderBy: [{ type: 'asc' }, { priority: 'desc' }]
+  });
+
+  res.json({
+    success: true,
+    data: {
+      currency: space.currency,
+      basePriceMinor: space.priceMinor,
+      rules
+    }
+  });
+}));
+
+/**
+ * PUT /api/spaces/:id/pricing-rules
+ * Replace the pricing rules for a parking space (owner only)
+ */
+router.put('/:id/pricing-rules', authMiddleware, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  // Check if space exists and user is owner
+  const space = await prisma.parkingSpace.findUnique({
+    where: { id },
+    select: { id: true, ownerId: true, currency: true }
+  });
+
+  if (!space) {
+    throw new AppError('Parking space not found', 404, 'SPACE_NOT_FOUND');
+  }
+
+  if (space.ownerId !== req.user.id && req.user.role !== 'ADMIN') {
+    throw new AppError('You can only update pricing for your own parking spaces', 403, 'UNAUTHORIZED');
+  }
+
+  // Validate request body
+  const { error, value } = pricingRulesSchema.validate(req.body);
+  if (error) {
+    throw new AppError(error.details[0].message, 400, 'VALIDATION_ERROR');
+  }
+
+  // Delete existing rules and create new ones
+  await prisma.$transaction([
+    prisma.pricingRule.deleteMany({
+      where: { spaceId: id }
+    }),
+    prisma.pricingRule.createMany({
+      data: value.rules.map(({ amount, ...rule }) => ({
+        spaceId: id,
+        ...rule,
+        amountMinor: toMinorUnits(amount, space.currency)
+      }))
+    })
+  ]);
+
+  const rules = await prisma.pricingRule.findMany({
+    where: { spaceId: id },
+    orderBy: [{ type: 'asc' }, { priority: 'desc' }]
+  });
+
+  res.json({
+    success: true,
+    message: 'Pricing rules updated successfully',
+    data: { rules }
+  });
+}));
+
 module.exports = router;
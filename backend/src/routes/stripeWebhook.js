@@ -11,7 +11,7 @@
  */
 
 const express = require('express');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { constructWebhookEvent } = require('../services/stripeClient');
 const { handleWebhookEvent } = require('../services/paymentService');
 
 const router = express.Router();
@@ -22,7 +22,7 @@ router.post('/', async (req, res) => {
 
   try {
     // Verify webhook signature for security
-    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET && !process.env.STRIPE_CONNECT_WEBHOOK_SECRET) {
       console.error('Stripe webhook secret not configured');
       return res.status(500).json({
         success: false,
@@ -31,12 +31,8 @@ router.post('/', async (req, res) => {
       });
     }
 
-    // Construct and verify the event
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
+    // Construct and verify the event (platform or connected account)
+    event = constructWebhookEvent(req.body, sig);
 
     console.log(`Stripe webhook received: ${event.type}`);
 
@@ -10,6 +10,7 @@
  * - Stripe payment integration
  * - File upload handling with AWS S3
  * - Email notifications
+ * - Live booking and notification updates (server-sent events)
  * - Rate limiting and security middleware
  */
 
@@ -23,15 +24,22 @@ const rateLimit = require('express-rate-limit');
 
 const authMiddleware = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
+const { moneyResponse } = require('./middleware/money');
 const authRoutes = require('./routes/auth');
 /* const userRoutes = require('./routes/users'); */
 const spaceRoutes = require('./routes/spaces');
 const bookingRoutes = require('./routes/bookings');
+const bookingSeriesRoutes = require('./routes/bookingSeries');
 const paymentRoutes = require('./routes/payments');
+const hostRoutes = require('./routes/hosts');
+const reviewRoutes = require('./routes/reviews');
+const notificationRoutes = require('./routes/notifications');
+const realtimeRoutes = require('./routes/realtime');
 const councilSpacesRoutes = require('./routes/councilSpaces');
 /* const adminRoutes = require('./routes/admin'); */
 const errorLogsRouter = require('./routes/errorLogs');
 const stripeWebhookHandler = require('./routes/stripeWebhook');
+const { startJobs } = require('./jobs');
 
 // Initialize Express app
 const app = express();
@@ -56,6 +64,10 @@ app.use(compression());
 // Request logging middleware
 app.use(morgan('combined'));
 
+// Stripe webhook handler (must be before the JSON body parser, as the
+// signature is checked against the raw body)
+app.use('/api/webhooks/stripe', express.raw({ type: 'application/json' }), stripeWebhookHandler);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -74,6 +86,9 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
+// Amounts are stored in minor units; responses also carry them in major units
+app.use('/api/', moneyResponse);
+
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5,
@@ -97,13 +112,15 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authLimiter, authRoutes); // Authentication routes
 app.use('/api/spaces', spaceRoutes); // Parking spaces routes
 app.use('/api/bookings', authMiddleware, bookingRoutes); // Booking routes
+app.use('/api/booking-series', authMiddleware, bookingSeriesRoutes); // Recurring booking routes
 app.use('/api/payments', authMiddleware, paymentRoutes); // Payment routes
+app.use('/api/hosts', hostRoutes); // Host account and payout routes
+app.use('/api/reviews', reviewRoutes); // Review routes
+app.use('/api/notifications', notificationRoutes); // In-app notification routes
+app.use('/api/realtime', realtimeRoutes); // Live update stream
 app.use('/api/council-spaces', councilSpacesRoutes); // Council spaces routes
 app.use('/api/error-logs', errorLogsRouter); // Error logs routes
 
-// Stripe webhook handler (must be before other payment routes to handle raw body)
-app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), stripeWebhookHandler);
-
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -116,14 +133,19 @@ app.use('*', (req, res) => {
 // Global error handling middleware
 app.use(errorHandler);
 
+// Background jobs (hold expiry, booking lifecycle)
+const scheduler = startJobs();
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  if (scheduler) scheduler.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  if (scheduler) scheduler.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,562 @@
+/**
+ * Availability Service
+ *
+ * This service decides whether a parking space can be used for a given
+ * time window. It combines:
+ * - The host's recurring weekly schedule (Availability rows)
+ * - Date-specific exceptions (AvailabilityException rows): OPEN exceptions
+ *   add time on top of the schedule, BLACKOUT exceptions always win
+ * - Existing PENDING/CONFIRMED/ACTIVE bookings for the space
+ * - Live checkout holds (BookingHold rows that are ACTIVE and not expired)
+ *
+ * It also checks every occurrence of a recurring series in one pass, builds
+ * free/busy calendars used by the booking slot picker and finds free spaces
+ * nearby when a booking falls through.
+ *
+ * Schedule slots are "HH:MM" wall-clock times interpreted in the server's
+ * local time zone (set TZ, e.g. TZ=Europe/London). A slot whose end time is
+ * not after its start time runs past midnight into the next day, so
+ * "22:00"-"06:00" is an overnight slot and "00:00"-"00:00" is a full day.
+ *
+ * Spaces without any active schedule rows are treated as always open
+ * (apart from their blackouts).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { calculateDistanceKm, getBoundingBox } = require('../utils/geo');
+
+const prisma = new PrismaClient();
+
+// Booking statuses that occupy a space. PENDING bookings have claimed the
+// slot and are waiting on payment, and REQUESTED ones are waiting on the
+// host, so they block it too.
+const BLOCKING_BOOKING_STATUSES = ['PENDING', 'REQUESTED', 'CONFIRMED', 'ACTIVE'];
+
+// How long a checkout hold keeps a slot reserved
+const HOLD_TTL_MINUTES = parseInt(process.env.BOOKING_HOLD_TTL_MINUTES) || 10;
+
+/**
+ * Prisma filter matching holds that still reserve their slot
+ * @param {Date} now - Current time
+ * @returns {Object} - BookingHold where clause
+ */
+const liveHoldWhere = (now = new Date()) => ({
+  status: 'ACTIVE',
+  expiresAt: { gt: now }
+});
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes after midnight
+ */
+const parseTimeOfDay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Merge overlapping or touching intervals
+ * @param {Array<{start: Date, end: Date}>} intervals - Intervals in any order
+ * @returns {Array<{start: Date, end: Date}>} - Sorted, non-overlapping intervals
+ */
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) {
+        last.end = new Date(interval.end);
+      }
+    } else {
+      merged.push({ start: new Date(interval.start), end: new Date(interval.end) });
+    }
+  });
+
+  return merged;
+};
+
+/**
+ * Expand a weekly schedule into concrete open intervals
+ * @param {Array} schedule - Availability rows (dayOfWeek, startTime, endTime, isActive)
+ * @param {Date} from - Start of the period to expand
+ * @param {Date} to - End of the period to expand
+ * @returns {Array<{start: Date, end: Date}>} - Merged open intervals overlapping the period
+ */
+const expandSchedule = (schedule, from, to) => {
+  const slots = schedule.filter(slot => slot.isActive !== false);
+  const intervals = [];
+
+  // Start a day early so overnight slots from the previous day are included
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+
+  while (day < to) {
+    slots
+      .filter(slot => slot.dayOfWeek === day.getDay())
+      .forEach(slot => {
+        const start = new Date(day);
+        start.setHours(0, parseTimeOfDay(slot.startTime), 0, 0);
+        const end = new Date(day);
+        end.setHours(0, parseTimeOfDay(slot.endTime), 0, 0);
+
+        if (end <= start) {
+          end.setDate(end.getDate() + 1);
+        }
+
+        if (end > from && start < to) {
+          intervals.push({ start, end });
+        }
+      });
+
+    day.setDate(day.getDate() + 1);
+  }
+
+  return mergeIntervals(intervals);
+};
+
+/**
+ * Remove blocked intervals from a list of open intervals
+ * @param {Array<{start: Date, end: Date}>} intervals - Merged open intervals
+ * @param {Array<{start: Date, end: Date}>} removals - Intervals to cut out
+ * @returns {Array<{start: Date, end: Date}>} - Remaining open intervals
+ */
+const subtractIntervals = (intervals, removals) => {
+  const blocked = mergeIntervals(removals);
+
+  return intervals.flatMap(interval => {
+    let pieces = [{ start: new Date(interval.start), end: new Date(interval.end) }];
+
+    blocked.forEach(block => {
+      pieces = pieces.flatMap(piece => {
+        if (block.end <= piece.start || block.start >= piece.end) {
+          return [piece];
+        }
+
+        const remaining = [];
+        if (block.start > piece.start) {
+          remaining.push({ start: piece.start, end: new Date(block.start) });
+        }
+        if (block.end < piece.end) {
+          remaining.push({ start: new Date(block.end), end: piece.end });
+        }
+        return remaining;
+      });
+    });
+
+    return pieces;
+  });
+};
+
+/**
+ * Work out when a space is open over a period
+ * @param {Array} schedule - Availability rows for the space
+ * @param {Array} exceptions - AvailabilityException rows overlapping the period
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Array<{start: Date, end: Date}>} - Merged open intervals overlapping the period
+ */
+const getOpenIntervals = (schedule, exceptions, from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+  const hasSchedule = Boolean(schedule && schedule.some(slot => slot.isActive !== false));
+
+  const toInterval = exception => ({
+    start: new Date(exception.startTime),
+    end: new Date(exception.endTime)
+  });
+  const openings = (exceptions || []).filter(exception => exception.type === 'OPEN').map(toInterval);
+  const blackouts = (exceptions || []).filter(exception => exception.type === 'BLACKOUT').map(toInterval);
+
+  const baseIntervals = hasSchedule
+    ? expandSchedule(schedule, start, end)
+    : [{ start, end }];
+
+  return subtractIntervals(mergeIntervals([...baseIntervals, ...openings]), blackouts);
+};
+
+/**
+ * Check whether a time window falls entirely inside a space's open hours
+ * @param {Array} schedule - Availability rows for the space
+ * @param {Date} startTime - Requested start time
+ * @param {Date} endTime - Requested end time
+ * @param {Array} exceptions - AvailabilityException rows for the space (optional)
+ * @returns {boolean} - True if the window is covered by open time
+ */
+const isWithinSchedule = (schedule, startTime, endTime, exceptions = []) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  return getOpenIntervals(schedule, exceptions, start, end)
+    .some(interval => interval.start <= start && interval.end >= end);
+};
+
+/**
+ * Load a space's weekly schedule and the exceptions overlapping a period
+ * @param {string} spaceId - Parking space ID
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<Object>} - { schedule, exceptions }
+ */
+const getSpaceSchedule = async (spaceId, from, to) => {
+  const [schedule, exceptions] = await Promise.all([
+    prisma.availability.findMany({
+      where: { spaceId, isActive: true },
+      select: {
+        dayOfWeek: true,
+        startTime: true,
+        endTime: true,
+        isActive: true
+      }
+    }),
+    prisma.availabilityException.findMany({
+      where: {
+        spaceId,
+        startTime: { lt: new Date(to) },
+        endTime: { gt: new Date(from) }
+      },
+      select: {
+        type: true,
+        startTime: true,
+        endTime: true
+      }
+    })
+  ]);
+
+  return { schedule, exceptions };
+};
+
+/**
+ * Check a space's weekly schedule and exceptions for a time window
+ * @param {string} spaceId - Parking space ID
+ * @param {Date} startTime - Requested start time
+ * @param {Date} endTime - Requested end time
+ * @returns {Promise<boolean>} - True if the space is open for the whole window
+ */
+const checkSpaceSchedule = async (spaceId, startTime, endTime) => {
+  const { schedule, exceptions } = await getSpaceSchedule(spaceId, startTime, endTime);
+
+  return isWithinSchedule(schedule, startTime, endTime, exceptions);
+};
+
+/**
+ * Check a space for conflicting bookings and live holds
+ * @param {string} spaceId - Parking space ID
+ * @param {Date} startTime - Requested start time
+ * @param {Date} endTime - Requested end time
+ * @param {Object} options - Check options
+ * @param {string} options.excludeBookingId - Booking ID to exclude from conflict check
+ * @param {string} options.excludeHoldId - Hold ID to exclude (the caller's own hold)
+ * @param {Object} options.client - Prisma client or transaction to query with
+ * @returns {Promise<boolean>} - True if available
+ */
+const checkSpaceAvailability = async (spaceId, startTime, endTime, options = {}) => {
+  const { excludeBookingId = null, excludeHoldId = null, client = prisma } = options;
+  const overlap = {
+    startTime: { lt: new Date(endTime) },
+    endTime: { gt: new Date(startTime) }
+  };
+
+  const conflictingBookings = await client.booking.findMany({
+    where: {
+      spaceId,
+      status: { in: BLOCKING_BOOKING_STATUSES },
+      ...(excludeBookingId && { id: { not: excludeBookingId } }),
+      ...overlap
+    },
+    select: { id: true }
+  });
+
+  if (conflictingBookings.length > 0) {
+    return false;
+  }
+
+  const conflictingHolds = await client.bookingHold.findMany({
+    where: {
+      spaceId,
+      ...liveHoldWhere(),
+      ...(excludeHoldId && { id: { not: excludeHoldId } }),
+      ...overlap
+    },
+    select: { id: true }
+  });
+
+  return conflictingHolds.length === 0;
+};
+
+/**
+ * Check each occurrence of a recurring series against the space's schedule,
+ * bookings and live holds
+ *
+ * The schedule, bookings and holds are loaded once for the whole series and
+ * the occurrences are checked against them in memory.
+ *
+ * @param {string} spaceId - Parking space ID
+ * @param {Array<{startTime: Date, endTime: Date}>} occurrences - Occurrence windows, in order
+ * @param {Object} options - Check options
+ * @param {Object} options.client - Prisma client or transaction to query bookings and holds with
+ * @returns {Promise<Array>} - Occurrences that can't be booked, each with a reason
+ *   (OUTSIDE_AVAILABILITY or SPACE_NOT_AVAILABLE)
+ */
+const findOccurrenceConflicts = async (spaceId, occurrences, options = {}) => {
+  const { client = prisma } = options;
+
+  if (occurrences.length === 0) {
+    return [];
+  }
+
+  const from = new Date(Math.min(...occurrences.map(occurrence => new Date(occurrence.startTime))));
+  const to = new Date(Math.max(...occurrences.map(occurrence => new Date(occurrence.endTime))));
+  const overlap = {
+    startTime: { lt: to },
+    endTime: { gt: from }
+  };
+
+  const [{ schedule, exceptions }, bookings, holds] = await Promise.all([
+    getSpaceSchedule(spaceId, from, to),
+    client.booking.findMany({
+      where: {
+        spaceId,
+        status: { in: BLOCKING_BOOKING_STATUSES },
+        ...overlap
+      },
+      select: { startTime: true, endTime: true }
+    }),
+    client.bookingHold.findMany({
+      where: {
+        spaceId,
+        ...liveHoldWhere(),
+        ...overlap
+      },
+      select: { startTime: true, endTime: true }
+    })
+  ]);
+
+  const taken = [...bookings, ...holds];
+
+  return occurrences
+    .map(occurrence => {
+      const start = new Date(occurrence.startTime);
+      const end = new Date(occurrence.endTime);
+
+      if (!isWithinSchedule(schedule, start, end, exceptions)) {
+        return { ...occurrence, reason: 'OUTSIDE_AVAILABILITY' };
+      }
+
+      const clashes = taken.some(slot => new Date(slot.startTime) < end && new Date(slot.endTime) > start);
+      return clashes ? { ...occurrence, reason: 'SPACE_NOT_AVAILABLE' } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Run a callback in a transaction holding a row lock on the parking space
+ *
+ * Every write that claims time on a space goes through this lock, so a
+ * conflict check made inside the callback can't be invalidated by a
+ * concurrent request before the callback's writes commit.
+ *
+ * @param {string} spaceId - Parking space ID
+ * @param {Function} callback - Receives the transaction client
+ * @returns {Promise<*>} - Whatever the callback returns
+ */
+const withSpaceLock = async (spaceId, callback) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM parking_spaces WHERE id = ${spaceId} FOR UPDATE`;
+    return callback(tx);
+  });
+};
+
+/**
+ * Shrink intervals to whole granularity steps (epoch aligned)
+ * @param {Array<{start: Date, end: Date}>} intervals - Intervals to snap
+ * @param {number} granularityMinutes - Step size in minutes
+ * @returns {Array<{start: Date, end: Date}>} - Snapped, non-empty intervals
+ */
+const snapIntervals = (intervals, granularityMinutes) => {
+  const stepMs = granularityMinutes * 60 * 1000;
+
+  return intervals
+    .map(interval => ({
+      start: new Date(Math.ceil(interval.start.getTime() / stepMs) * stepMs),
+      end: new Date(Math.floor(interval.end.getTime() / stepMs) * stepMs)
+    }))
+    .filter(interval => interval.end > interval.start);
+};
+
+/**
+ * Build a free/busy calendar for a space
+ * @param {string} spaceId - Parking space ID
+ * @param {Date} from - Start of the calendar period
+ * @param {Date} to - End of the calendar period
+ * @param {number} granularityMinutes - Slot size free intervals are aligned to
+ * @returns {Promise<Object>} - { free, busy } where busy entries carry a reason
+ */
+const getSpaceCalendar = async (spaceId, from, to, granularityMinutes) => {
+  const start = new Date(from);
+  const end = new Date(to);
+
+  const [{ schedule, exceptions }, bookings, holds] = await Promise.all([
+    getSpaceSchedule(spaceId, start, end),
+    prisma.booking.findMany({
+      where: {
+        spaceId,
+        status: { in: BLOCKING_BOOKING_STATUSES },
+        startTime: { lt: end },
+        endTime: { gt: start }
+      },
+      select: {
+        startTime: true,
+        endTime: true
+      }
+    }),
+    prisma.bookingHold.findMany({
+      where: {
+        spaceId,
+        ...liveHoldWhere(),
+        startTime: { lt: end },
+        endTime: { gt: start }
+      },
+      select: {
+        startTime: true,
+        endTime: true
+      }
+    })
+  ]);
+
+  const clip = interval => ({
+    start: new Date(Math.max(interval.start, start)),
+    end: new Date(Math.min(interval.end, end))
+  });
+
+  const open = getOpenIntervals(schedule, exceptions, start, end).map(clip);
+  const booked = mergeIntervals(bookings.map(booking => clip({
+    start: new Date(booking.startTime),
+    end: new Date(booking.endTime)
+  })));
+  const held = subtractIntervals(mergeIntervals(holds.map(hold => clip({
+    start: new Date(hold.startTime),
+    end: new Date(hold.endTime)
+  }))), booked);
+  const closed = subtractIntervals([{ start, end }], open);
+
+  const free = snapIntervals(subtractIntervals(open, [...booked, ...held]), granularityMinutes);
+  const busy = [
+    ...closed.map(interval => ({ ...interval, reason: 'CLOSED' })),
+    ...booked.map(interval => ({ ...interval, reason: 'BOOKED' })),
+    ...held.map(interval => ({ ...interval, reason: 'HELD' }))
+  ].sort((a, b) => a.start - b.start);
+
+  return { free, busy };
+};
+
+/**
+ * Mark holds that have passed their expiry as EXPIRED
+ *
+ * Expired holds already stop blocking their slot; this keeps the stored
+ * status in line so they are no longer reported as active.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of holds released
+ */
+const releaseExpiredHolds = async (now = new Date()) => {
+  const result = await prisma.bookingHold.updateMany({
+    where: {
+      status: 'ACTIVE',
+      expiresAt: { lte: now }
+    },
+    data: { status: 'EXPIRED' }
+  });
+
+  return result.count;
+};
+
+/**
+ * Find nearby active spaces that are free for a time window
+ * @param {Object} space - Space to search around (id, latitude, longitude)
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @param {Object} options - { radiusKm, limit, excludeOwnerId }
+ * @returns {Promise<Array>} - Closest free spaces with a distance in km
+ */
+const findAlternativeSpaces = async (space, startTime, endTime, options = {}) => {
+  const { radiusKm = 5, limit = 3, excludeOwnerId = null } = options;
+  const overlap = {
+    startTime: { lt: new Date(endTime) },
+    endTime: { gt: new Date(startTime) }
+  };
+
+  const candidates = await prisma.parkingSpace.findMany({
+    where: {
+      id: { not: space.id },
+      isActive: true,
+      ...(excludeOwnerId && { ownerId: { not: excludeOwnerId } }),
+      ...getBoundingBox(space.latitude, space.longitude, radiusKm),
+      bookings: {
+        none: {
+          status: { in: BLOCKING_BOOKING_STATUSES },
+          ...overlap
+        }
+      },
+      holds: {
+        none: {
+          ...liveHoldWhere(),
+          ...overlap
+        }
+      }
+    },
+    select: {
+      id: true,
+      title: true,
+      address: true,
+      city: true,
+      postcode: true,
+      latitude: true,
+      longitude: true,
+      type: true,
+      priceMinor: true,
+      currency: true,
+      availability: {
+        where: { isActive: true },
+        select: { dayOfWeek: true, startTime: true, endTime: true, isActive: true }
+      },
+      availabilityExceptions: {
+        where: overlap,
+        select: { type: true, startTime: true, endTime: true }
+      }
+    }
+  });
+
+  return candidates
+    .filter(candidate => isWithinSchedule(candidate.availability, startTime, endTime, candidate.availabilityExceptions))
+    .map(({ availability, availabilityExceptions, ...candidate }) => ({
+      ...candidate,
+      distance: Math.round(calculateDistanceKm(space.latitude, space.longitude, candidate.latitude, candidate.longitude) * 100) / 100
+    }))
+    .filter(candidate => candidate.distance <= radiusKm)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit);
+};
+
+module.exports = {
+  parseTimeOfDay,
+  mergeIntervals,
+  expandSchedule,
+  subtractIntervals,
+  getOpenIntervals,
+  isWithinSchedule,
+  getSpaceSchedule,
+  checkSpaceSchedule,
+  checkSpaceAvailability,
+  findOccurrenceConflicts,
+  withSpaceLock,
+  getSpaceCalendar,
+  findAlternativeSpaces,
+  liveHoldWhere,
+  releaseExpiredHolds,
+  BLOCKING_BOOKING_STATUSES,
+  HOLD_TTL_MINUTES
+};
@@ -0,0 +1,194 @@
+/**
+ * Booking Lifecycle Service
+ *
+ * This service moves bookings through their statuses as time passes:
+ * - PENDING bookings whose payment never completed are EXPIRED, with longer
+ *   for drivers still authenticating the charge (3D Secure)
+ * - Booking requests the host didn't answer in time are DECLINED, releasing
+ *   the driver's card authorisation (see bookingRequestService)
+ * - CONFIRMED bookings become ACTIVE once their start time arrives
+ * - Drivers with a checked-in session are warned before their end time
+ * - Bookings past their end time that the driver never checked in to
+ *   become NO_SHOW
+ * - Checked-in sessions the driver never stopped are COMPLETED a while
+ *   after their end time, and the overstay up to then is charged
+ *
+ * Every transition is a single conditional update on the booking's current
+ * status, so running it from several instances at once (or racing the
+ * driver's /start and /stop calls) can't move a booking twice. The drivers
+ * and hosts of the bookings moved are sent a live update.
+ *
+ * All functions take the current time as an argument so they can be driven
+ * by a fake clock.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { chargeOverstay, sendOverstayWarnings } = require('./overstayService');
+const { declineExpiredBookingRequests } = require('./bookingRequestService');
+const { publishBookingEvents } = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+// How long a booking may wait in PENDING for its payment to complete
+const PENDING_BOOKING_TTL_MINUTES = parseInt(process.env.PENDING_BOOKING_TTL_MINUTES) || 15;
+
+// How long a booking may wait while the driver authenticates its charge
+const PENDING_AUTHENTICATION_TTL_MINUTES = parseInt(process.env.PENDING_AUTHENTICATION_TTL_MINUTES) || 60;
+
+// How long after endTime a session the driver never stopped is closed
+// (0 closes it at endTime)
+const parsedAutoCloseMinutes = parseInt(process.env.OVERSTAY_AUTO_CLOSE_MINUTES, 10);
+const OVERSTAY_AUTO_CLOSE_MINUTES = Number.isNaN(parsedAutoCloseMinutes) ? 60 : parsedAutoCloseMinutes;
+
+/**
+ * Move every booking matching a condition to a new status
+ *
+ * The matching bookings are loaded first so their drivers and hosts can be
+ * told, and the update repeats the condition so a booking that moved on in
+ * between is left alone.
+ *
+ * @param {Object} where - Condition on the bookings to move
+ * @param {string} status - New status
+ * @returns {Promise<number>} - Number of bookings moved
+ */
+const transitionBookings = async (where, status) => {
+  const bookings = await prisma.booking.findMany({
+    where,
+    select: { id: true }
+  });
+
+  if (bookings.length === 0) {
+    return 0;
+  }
+
+  const ids = bookings.map(booking => booking.id);
+  const result = await prisma.booking.updateMany({
+    where: { ...where, id: { in: ids } },
+    data: { status }
+  });
+
+  await publishBookingEvents(ids);
+
+  return result.count;
+};
+
+/**
+ * Expire PENDING bookings left behind by payments that never completed
+ *
+ * A booking whose charge is waiting on the driver to authenticate has a
+ * PENDING payment, and gets PENDING_AUTHENTICATION_TTL_MINUTES rather than
+ * PENDING_BOOKING_TTL_MINUTES so a slow challenge isn't cut short.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings expired
+ */
+const expireStalePendingBookings = async (now) => {
+  const cutoff = new Date(now.getTime() - PENDING_BOOKING_TTL_MINUTES * 60 * 1000);
+  const authenticationCutoff = new Date(now.getTime() - PENDING_AUTHENTICATION_TTL_MINUTES * 60 * 1000);
+
+  return transitionBookings({
+    status: 'PENDING',
+    OR: [
+      { createdAt: { lte: cutoff }, payments: { none: { status: 'PENDING' } } },
+      { createdAt: { lte: authenticationCutoff } }
+    ]
+  }, 'EXPIRED');
+};
+
+/**
+ * Activate CONFIRMED bookings whose start time has arrived
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings activated
+ */
+const activateStartedBookings = (now) => transitionBookings({
+  status: 'CONFIRMED',
+  startTime: { lte: now },
+  endTime: { gt: now }
+}, 'ACTIVE');
+
+/**
+ * Mark bookings that ended without the driver checking in as no-shows
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of bookings marked
+ */
+const markNoShows = (now) => transitionBookings({
+  status: { in: ['CONFIRMED', 'ACTIVE'] },
+  checkedInAt: null,
+  endTime: { lte: now }
+}, 'NO_SHOW');
+
+/**
+ * Complete checked-in sessions the driver never stopped, charging the
+ * overstay up to the time the session was closed
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of sessions completed
+ */
+const closeOverstayedSessions = async (now) => {
+  const autoCloseMs = OVERSTAY_AUTO_CLOSE_MINUTES * 60 * 1000;
+
+  const sessions = await prisma.booking.findMany({
+    where: {
+      status: 'ACTIVE',
+      checkedInAt: { not: null },
+      endTime: { lte: new Date(now.getTime() - autoCloseMs) }
+    },
+    include: {
+      space: true,
+      user: {
+        select: {
+          id: true,
+          stripeCustomerId: true
+        }
+      },
+      payments: true
+    }
+  });
+
+  let completed = 0;
+  for (const booking of sessions) {
+    const checkedOutAt = new Date(booking.endTime.getTime() + autoCloseMs);
+
+    // Skip sessions the driver stopped (or another instance closed) since
+    // they were loaded
+    const claim = await prisma.booking.updateMany({
+      where: { id: booking.id, status: 'ACTIVE' },
+      data: { status: 'COMPLETED', checkedOutAt }
+    });
+
+    if (claim.count === 0) {
+      continue;
+    }
+
+    await publishBookingEvents(booking.id);
+    await chargeOverstay(booking, checkedOutAt);
+    completed++;
+  }
+
+  return completed;
+};
+
+/**
+ * Run every lifecycle transition that is due
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Counts of bookings moved by each transition
+ */
+const runBookingLifecycle = async (now = new Date()) => {
+  const expired = await expireStalePendingBookings(now);
+  const declined = await declineExpiredBookingRequests(now);
+  const activated = await activateStartedBookings(now);
+  const warned = await sendOverstayWarnings(now);
+  const noShows = await markNoShows(now);
+  const completed = await closeOverstayedSessions(now);
+
+  return { expired, declined, activated, warned, noShows, completed };
+};
+
+module.exports = {
+  expireStalePendingBookings,
+  activateStartedBookings,
+  markNoShows,
+  closeOverstayedSessions,
+  runBookingLifecycle,
+  PENDING_BOOKING_TTL_MINUTES,
+  PENDING_AUTHENTICATION_TTL_MINUTES
+};
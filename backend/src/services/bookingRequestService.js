@@ -0,0 +1,411 @@
+/**
+ * Booking Request Service
+ *
+ * This service handles request-to-book spaces (bookingMode REQUEST):
+ * - Putting a booking in front of the host once the driver's card is authorised
+ * - Approving a request, capturing the authorisation
+ * - Declining a request (or the driver withdrawing it), releasing the authorisation
+ * - Declining requests the host didn't answer in time
+ *
+ * A request holds the slot while it waits. Each answer is a conditional
+ * update on the REQUESTED status, so the host, the driver and the lifecycle
+ * job can't answer the same request twice.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const { capturePayment, cancelPaymentAuthorization, getPaymentIntent } = require('./paymentService');
+const { recordHostEarning } = require('./payoutService');
+const { sendBookingConfirmationEmail } = require('./emailService');
+const { describeDriverReputation } = require('./driverRatingService');
+const { createNotification } = require('./notificationService');
+const { publishBookingEvents, publishPaymentFailed } = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+// How long a host has to answer a request. Card authorisations lapse after
+// about a week, so keep this well under that.
+const BOOKING_REQUEST_TTL_HOURS = parseInt(process.env.BOOKING_REQUEST_TTL_HOURS) || 24;
+
+// Attempts at capturing an authorisation while Stripe can't be reached
+const CAPTURE_ATTEMPTS = 2;
+
+/**
+ * Work out when an unanswered request is declined: after the TTL, or at the
+ * booking's start time if that comes first
+ * @param {Date} startTime - Booking start time
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const getApprovalDeadline = (startTime, now = new Date()) => {
+  const deadline = new Date(now.getTime() + BOOKING_REQUEST_TTL_HOURS * 60 * 60 * 1000);
+  return deadline < new Date(startTime) ? deadline : new Date(startTime);
+};
+
+/**
+ * Send a booking to the host for approval once the driver's card is authorised
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object>} - Requested booking with space and user
+ */
+const requestBookingApproval = async (bookingId) => {
+  const { startTime } = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    select: { startTime: true }
+  });
+
+  const requestedBooking = await prisma.booking.update({
+    where: { id: bookingId },
+    data: {
+      status: 'REQUESTED',
+      approvalDeadline: getApprovalDeadline(startTime)
+    },
+    include: {
+      space: true,
+      user: true
+    }
+  });
+
+  const { rating, ratingCount } = describeDriverReputation(requestedBooking.user);
+  const reputation = rating === null
+    ? 'They haven\'t been rated by a host yet.'
+    : `Hosts rate them ${rating}/5 from ${ratingCount} stay${ratingCount === 1 ? '' : 's'}.`;
+
+  await createNotification({
+    userId: requestedBooking.space.ownerId,
+    type: 'BOOKING_REQUESTED',
+    title: 'New booking request',
+    message: `${requestedBooking.user.firstName} has requested ${requestedBooking.space.title} on ` +
+      `${new Date(requestedBooking.startTime).toLocaleString()}. ${reputation} ` +
+      `Please approve or decline by ${requestedBooking.approvalDeadline.toLocaleString()}.`
+  });
+
+  await publishBookingEvents(bookingId, 'booking.created');
+
+  return requestedBooking;
+};
+
+/**
+ * Capture a request's card authorisation
+ *
+ * While Stripe can't be reached the capture is retried with the same
+ * idempotency key. If it still fails, the PaymentIntent decides the
+ * outcome, since a capture whose response was lost may have gone through.
+ *
+ * @param {Object} authorisation - AUTHORIZED booking payment
+ * @returns {Promise<Object>} - { outcome, paymentIntent }; outcome is CAPTURED,
+ *   DECLINED (the card or authorisation is no good) or UNAVAILABLE (try again later)
+ */
+const captureAuthorisation = async (authorisation) => {
+  let captureError;
+  for (let attempt = 1; attempt <= CAPTURE_ATTEMPTS; attempt++) {
+    try {
+      await capturePayment(authorisation.stripePaymentId, {
+        idempotencyKey: `capture-${authorisation.id}`
+      });
+      return { outcome: 'CAPTURED' };
+    } catch (error) {
+      captureError = error;
+      if (error.code !== 'SERVICE_UNAVAILABLE') {
+        break;
+      }
+    }
+  }
+
+  let paymentIntent;
+  try {
+    paymentIntent = await getPaymentIntent(authorisation.stripePaymentId);
+  } catch (error) {
+    return { outcome: 'UNAVAILABLE' };
+  }
+
+  if (paymentIntent.status === 'succeeded') {
+    return { outcome: 'CAPTURED', paymentIntent };
+  }
+  if (captureError.code === 'SERVICE_UNAVAILABLE' && paymentIntent.status === 'requires_capture') {
+    return { outcome: 'UNAVAILABLE', paymentIntent };
+  }
+  return { outcome: 'DECLINED', paymentIntent };
+};
+
+/**
+ * Approve a booking request, capturing the driver's card authorisation
+ *
+ * If the card can't be charged (say the authorisation has lapsed) the
+ * authorisation is released, the booking is cancelled and the driver is
+ * told. If Stripe can't be reached the request is left for the host to
+ * approve again.
+ *
+ * @param {Object} booking - Booking with space and payments included
+ * @returns {Promise<Object>} - Confirmed booking with space and user
+ */
+const approveBookingRequest = async (booking) => {
+  const now = new Date();
+
+  if (booking.approvalDeadline && new Date(booking.approvalDeadline) <= now) {
+    throw new AppError('This booking request has expired', 409, 'REQUEST_EXPIRED');
+  }
+
+  const claim = await prisma.booking.updateMany({
+    where: { id: booking.id, status: 'REQUESTED' },
+    data: {
+      status: 'CONFIRMED',
+      respondedAt: now
+    }
+  });
+
+  if (claim.count === 0) {
+    throw new AppError('This booking request has already been answered', 409, 'REQUEST_ALREADY_ANSWERED');
+  }
+
+  const authorisation = booking.payments.find(payment =>
+    payment.type === 'BOOKING' && payment.status === 'AUTHORIZED'
+  );
+
+  const { outcome, paymentIntent } = authorisation
+    ? await captureAuthorisation(authorisation)
+    : { outcome: 'DECLINED' };
+
+  if (outcome === 'UNAVAILABLE') {
+    await prisma.booking.updateMany({
+      where: { id: booking.id, status: 'CONFIRMED' },
+      data: {
+        status: 'REQUESTED',
+        respondedAt: null
+      }
+    });
+
+    throw new AppError('We couldn\'t reach the payment provider. Please try approving the booking again shortly.', 503, 'SERVICE_UNAVAILABLE');
+  }
+
+  if (outcome === 'DECLINED') {
+    console.error('Booking request capture failed:', { bookingId: booking.id, paymentIntentStatus: paymentIntent?.status });
+
+    if (authorisation) {
+      // Release what is left of the authorisation; one that has lapsed is
+      // already cancelled
+      let released = paymentIntent?.status === 'canceled';
+      if (!released) {
+        try {
+          await cancelPaymentAuthorization(authorisation.stripePaymentId);
+          released = true;
+        } catch (error) {
+          console.error('Failed to release card authorisation:', { paymentId: authorisation.id, error: error.message });
+        }
+      }
+
+      await prisma.payment.update({
+        where: { id: authorisation.id },
+        data: { status: released ? 'CANCELLED' : 'FAILED' }
+      });
+    }
+
+    await prisma.booking.update({
+      where: { id: booking.id },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date(),
+        cancellationReason: 'The card authorisation could not be captured'
+      }
+    });
+
+    await createNotification({
+      userId: booking.userId,
+      type: 'PAYMENT_FAILED',
+      title: 'Booking could not be confirmed',
+      message: `The host approved your booking at ${booking.space.address}, but we couldn't take payment, ` +
+        'so the booking has been cancelled. Please check your payment details and book again.'
+    });
+
+    await publishBookingEvents(booking.id);
+    await publishPaymentFailed(booking.userId, {
+      bookingId: booking.id,
+      message: 'We couldn\'t take payment for your approved booking, so it has been cancelled.'
+    });
+
+    throw new AppError('The driver\'s card could not be charged, so the booking has been cancelled', 400, 'PAYMENT_FAILED');
+  }
+
+  const payment = await prisma.payment.update({
+    where: { id: authorisation.id },
+    data: { status: 'SUCCEEDED' }
+  });
+  await recordHostEarning(payment, booking.space.ownerId);
+
+  const confirmedBooking = await prisma.booking.findUnique({
+    where: { id: booking.id },
+    include: {
+      space: true,
+      user: true
+    }
+  });
+
+  await createNotification({
+    userId: booking.userId,
+    type: 'BOOKING_CONFIRMED',
+    title: 'Booking request approved',
+    message: `Your booking at ${booking.space.address} on ${new Date(booking.startTime).toLocaleString()} ` +
+      'has been approved and your card has been charged.'
+  });
+
+  await publishBookingEvents(booking.id);
+
+  try {
+    await sendBookingConfirmationEmail(confirmedBooking, confirmedBooking.user, confirmedBooking.space);
+  } catch (emailError) {
+    console.error('Failed to send confirmation email:', emailError);
+  }
+
+  return confirmedBooking;
+};
+
+/**
+ * Close a booking request and release the driver's card authorisation
+ * @param {Object} booking - Booking with payments included
+ * @param {Object} data - Booking fields to set (status and reason)
+ * @param {Date} now - Time the request was answered
+ * @returns {Promise<boolean>} - False if the request had already been answered
+ */
+const releaseBookingRequest = async (booking, data, now = new Date()) => {
+  const claim = await prisma.booking.updateMany({
+    where: { id: booking.id, status: 'REQUESTED' },
+    data: {
+      ...data,
+      respondedAt: now
+    }
+  });
+
+  if (claim.count === 0) {
+    return false;
+  }
+
+  await publishBookingEvents(booking.id);
+
+  const authorisations = booking.payments.filter(payment => payment.status === 'AUTHORIZED');
+
+  for (const authorisation of authorisations) {
+    // An authorisation that can't be released lapses on its own, so the
+    // request stays closed either way
+    try {
+      await cancelPaymentAuthorization(authorisation.stripePaymentId);
+      await prisma.payment.update({
+        where: { id: authorisation.id },
+        data: { status: 'CANCELLED' }
+      });
+    } catch (error) {
+      console.error('Failed to release card authorisation:', { paymentId: authorisation.id, error: error.message });
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Decline a booking request
+ * @param {Object} booking - Booking with space and payments included
+ * @param {string} reason - Reason shown to the driver (optional)
+ * @returns {Promise<Object>} - Declined booking
+ */
+const declineBookingRequest = async (booking, reason) => {
+  const released = await releaseBookingRequest(booking, {
+    status: 'DECLINED',
+    declineReason: reason
+  });
+
+  if (!released) {
+    throw new AppError('This booking request has already been answered', 409, 'REQUEST_ALREADY_ANSWERED');
+  }
+
+  await createNotification({
+    userId: booking.userId,
+    type: 'BOOKING_DECLINED',
+    title: 'Booking request declined',
+    message: `Your request for ${booking.space.address} on ${new Date(booking.startTime).toLocaleString()} was declined` +
+      `${reason ? `: ${reason}` : '.'} You have not been charged.`
+  });
+
+  return prisma.booking.findUnique({
+    where: { id: booking.id },
+    include: { space: true }
+  });
+};
+
+/**
+ * Withdraw a booking request on behalf of the driver
+ * @param {Object} booking - Booking with space and payments included
+ * @returns {Promise<Object>} - Cancelled booking
+ */
+const withdrawBookingRequest = async (booking) => {
+  const released = await releaseBookingRequest(booking, {
+    status: 'CANCELLED',
+    cancelledAt: new Date(),
+    cancelledBy: 'DRIVER'
+  });
+
+  if (!released) {
+    throw new AppError('This booking request has already been answered', 409, 'REQUEST_ALREADY_ANSWERED');
+  }
+
+  await createNotification({
+    userId: booking.space.ownerId,
+    type: 'BOOKING_CANCELLED',
+    title: 'Booking request withdrawn',
+    message: `The request for ${booking.space.title} on ${new Date(booking.startTime).toLocaleString()} was withdrawn by the driver.`
+  });
+
+  return prisma.booking.findUnique({
+    where: { id: booking.id },
+    include: { space: true }
+  });
+};
+
+/**
+ * Decline requests whose approval deadline has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of requests declined
+ */
+const declineExpiredBookingRequests = async (now) => {
+  const requests = await prisma.booking.findMany({
+    where: {
+      status: 'REQUESTED',
+      approvalDeadline: { lte: now }
+    },
+    include: {
+      space: true,
+      payments: true
+    }
+  });
+
+  let declined = 0;
+  for (const booking of requests) {
+    // Skip requests the host answered since they were loaded
+    const released = await releaseBookingRequest(booking, {
+      status: 'DECLINED',
+      declineReason: 'The host did not respond in time'
+    }, now);
+
+    if (!released) {
+      continue;
+    }
+
+    await createNotification({
+      userId: booking.userId,
+      type: 'BOOKING_DECLINED',
+      title: 'Booking request expired',
+      message: `The host didn't respond to your request for ${booking.space.address} on ` +
+        `${new Date(booking.startTime).toLocaleString()} in time. You have not been charged.`
+    });
+    declined++;
+  }
+
+  return declined;
+};
+
+module.exports = {
+  BOOKING_REQUEST_TTL_HOURS,
+  getApprovalDeadline,
+  requestBookingApproval,
+  approveBookingRequest,
+  declineBookingRequest,
+  withdrawBookingRequest,
+  declineExpiredBookingRequests
+};
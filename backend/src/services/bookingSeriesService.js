@@ -0,0 +1,707 @@
+/**
+ * Booking Series Service
+ *
+ * This service handles recurring bookings such as weekdays 08:00-18:00 for
+ * a season:
+ * - Expanding a weekly recurrence rule into occurrence windows
+ * - Quoting a series as a package, with the dates that can't be booked
+ * - Creating a series, with one ordinary booking per occurrence
+ * - Charging a series up front, or by invoice a month at a time
+ * - Cancelling a whole series (single occurrences are cancelled like any
+ *   other booking)
+ *
+ * Occurrences are checked against the schedule, bookings and holds together
+ * under the space lock, so a series either claims all of its dates or none
+ * of them (unless the driver asks to skip the dates that are taken).
+ *
+ * Recurrence times are "HH:MM" wall-clock times in the server's local time
+ * zone, the same as the availability schedule. An end time not after the
+ * start time runs into the next day.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  createOrGetCustomer,
+  processPayment,
+  attachPaymentMethod,
+  createInvoice,
+  payInvoice,
+  recordInvoicePayment,
+  refundBooking,
+  processRefund
+} = require('./paymentService');
+const { calculateSeriesQuote } = require('./pricingService');
+const { calculateCancellationRefund } = require('./cancellationService');
+const { getHostTransfer, recordHostEarning } = require('./payoutService');
+const { assertDriverMeetsMinimum } = require('./driverRatingService');
+const { createNotification } = require('./notificationService');
+const { publishBookingEvents, publishPaymentFailed } = require('./realtimeService');
+const { parseTimeOfDay, findOccurrenceConflicts, withSpaceLock } = require('./availabilityService');
+const { allocateMinor } = require('../utils/money');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period a single series can cover
+const MAX_SERIES_DAYS = 366;
+
+// How many days before a month starts its occurrences are invoiced
+const SERIES_INVOICE_LEAD_DAYS = parseInt(process.env.SERIES_INVOICE_LEAD_DAYS) || 3;
+
+/**
+ * Expand a weekly recurrence rule into occurrence windows
+ * Occurrences that have already started are left out.
+ * @param {Object} rule - { daysOfWeek, startTime, endTime, startDate, endDate }
+ * @param {Date} now - Current time
+ * @returns {Array<{startTime: Date, endTime: Date}>} - Occurrences in order
+ */
+const expandRecurrence = (rule, now = new Date()) => {
+  const day = new Date(rule.startDate);
+  day.setHours(0, 0, 0, 0);
+  const lastDay = new Date(rule.endDate);
+  lastDay.setHours(0, 0, 0, 0);
+
+  if ((lastDay - day) / DAY_MS > MAX_SERIES_DAYS) {
+    throw new AppError(`A series can cover at most ${MAX_SERIES_DAYS} days`, 400, 'VALIDATION_ERROR');
+  }
+
+  const occurrences = [];
+  while (day <= lastDay) {
+    if (rule.daysOfWeek.includes(day.getDay())) {
+      const startTime = new Date(day);
+      startTime.setHours(0, parseTimeOfDay(rule.startTime), 0, 0);
+      const endTime = new Date(day);
+      endTime.setHours(0, parseTimeOfDay(rule.endTime), 0, 0);
+
+      if (endTime <= startTime) {
+        endTime.setDate(endTime.getDate() + 1);
+      }
+
+      if (startTime > now) {
+        occurrences.push({ startTime, endTime });
+      }
+    }
+
+    day.setDate(day.getDate() + 1);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Billing period an occurrence is invoiced in (YYYY-MM, local time)
+ * @param {Date} date - Occurrence start time
+ * @returns {string}
+ */
+const getBillingPeriod = (date) => {
+  const start = new Date(date);
+  return `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * When a MONTHLY occurrence not invoiced yet will be charged
+ *
+ * Later months of a MONTHLY series are CONFIRMED straight away but only
+ * paid for when their invoice is taken, SERIES_INVOICE_LEAD_DAYS before
+ * the month starts; until then drivers and hosts are shown the date the
+ * payment is due.
+ *
+ * @param {Object} booking - Booking with series billing included
+ * @returns {Date|null} - Date the invoice is taken, or null if it isn't awaiting one
+ */
+const getPaymentDueAt = (booking) => {
+  if (booking.series?.billing !== 'MONTHLY' || booking.stripeInvoiceId || booking.status !== 'CONFIRMED') {
+    return null;
+  }
+
+  const start = new Date(booking.startTime);
+  const monthStart = new Date(start.getFullYear(), start.getMonth(), 1);
+  return new Date(monthStart.getTime() - SERIES_INVOICE_LEAD_DAYS * DAY_MS);
+};
+
+/**
+ * Drop the occurrences that clash with something already on the space
+ * @param {Array} occurrences - Occurrence windows
+ * @param {Array} conflicts - Conflicts from findOccurrenceConflicts
+ * @returns {Array} - Occurrences that can be booked
+ */
+const withoutConflicts = (occurrences, conflicts) => {
+  const taken = new Set(conflicts.map(conflict => new Date(conflict.startTime).getTime()));
+  return occurrences.filter(occurrence => !taken.has(occurrence.startTime.getTime()));
+};
+
+/**
+ * Load a space's active pricing rules
+ * @param {string} spaceId - Parking space ID
+ * @returns {Promise<Array>}
+ */
+const getPricingRules = (spaceId) => prisma.pricingRule.findMany({
+  where: { spaceId, isActive: true }
+});
+
+/**
+ * Quote a series, listing the occurrences that can't be booked
+ * The quote only prices the occurrences that are free.
+ * @param {Object} space - Parking space (id, priceMinor, currency)
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { quote, conflicts }
+ */
+const quoteBookingSeries = async (space, rule, now = new Date()) => {
+  const occurrences = expandRecurrence(rule, now);
+
+  if (occurrences.length === 0) {
+    throw new AppError('The series has no upcoming dates', 400, 'NO_OCCURRENCES');
+  }
+
+  const [conflicts, rules] = await Promise.all([
+    findOccurrenceConflicts(space.id, occurrences),
+    getPricingRules(space.id)
+  ]);
+
+  return {
+    quote: calculateSeriesQuote(space, rules, withoutConflicts(occurrences, conflicts)),
+    conflicts
+  };
+};
+
+/**
+ * Cancel a series' occurrences that haven't been paid for
+ * @param {string} seriesId - Booking series ID
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<void>}
+ */
+const abandonBookingSeries = async (seriesId, reason) => {
+  const now = new Date();
+
+  await prisma.booking.updateMany({
+    where: { seriesId, status: { in: ['PENDING', 'CONFIRMED'] } },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: now,
+      cancellationReason: reason
+    }
+  });
+
+  await prisma.bookingSeries.update({
+    where: { id: seriesId },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: now
+    }
+  });
+};
+
+/**
+ * Refund a series charge taken before setting up the series failed
+ *
+ * Occurrences whose share of the charge was already recorded are refunded
+ * through their ledgers, so the host's earnings are reversed with them;
+ * whatever wasn't recorded yet is refunded straight from the charge.
+ *
+ * @param {string} seriesId - Booking series ID
+ * @param {Object} charge - { paymentIntentId, amountMinor, transferDestination }
+ * @returns {Promise<void>}
+ */
+const refundSeriesCharge = async (seriesId, charge) => {
+  const payments = await prisma.payment.findMany({
+    where: {
+      stripePaymentId: charge.paymentIntentId,
+      type: 'BOOKING',
+      status: 'SUCCEEDED'
+    }
+  });
+
+  let recordedMinor = 0;
+  for (const payment of payments) {
+    await refundBooking(payment.bookingId, payment.amountMinor);
+    recordedMinor += payment.amountMinor;
+  }
+
+  const unrecordedMinor = charge.amountMinor - recordedMinor;
+  if (unrecordedMinor > 0) {
+    await processRefund(charge.paymentIntentId, unrecordedMinor, 'requested_by_customer', {
+      idempotencyKey: `series-refund-${seriesId}`,
+      reverseTransfer: Boolean(charge.transferDestination)
+    });
+  }
+};
+
+/**
+ * Invoice and charge one month of a MONTHLY series
+ *
+ * The occurrences are tagged with the invoice before it is paid, so they
+ * aren't picked up again. If payment fails they are cancelled and
+ * SERIES_INVOICE_UNPAID is thrown; any other error leaves them CONFIRMED
+ * and uninvoiced, to be tried again.
+ *
+ * @param {Object} series - Series with user and space included
+ * @param {Array} bookings - The month's CONFIRMED occurrences
+ * @param {string} period - Billing period (YYYY-MM)
+ * @returns {Promise<Object>} - Paid Stripe invoice, still to be recorded with recordInvoicePayment
+ */
+const chargeSeriesPeriod = async (series, bookings, period) => {
+  const amountMinor = bookings.reduce((sum, booking) => sum + booking.totalCostMinor, 0);
+  const customerId = await createOrGetCustomer(series.user);
+  const transfer = await getHostTransfer(series.space.ownerId, amountMinor);
+
+  const invoice = await createInvoice({
+    customerId,
+    currency: series.currency,
+    lines: bookings.map(booking => ({
+      amountMinor: booking.totalCostMinor,
+      description: `${series.space.title}, ${new Date(booking.startTime).toLocaleString()}`
+    })),
+    metadata: {
+      seriesId: series.id,
+      period
+    },
+    transfer,
+    idempotencyKey: `series-invoice-${series.id}-${period}`
+  });
+
+  await prisma.booking.updateMany({
+    where: { id: { in: bookings.map(booking => booking.id) } },
+    data: { stripeInvoiceId: invoice.id }
+  });
+
+  let paidInvoice;
+  try {
+    paidInvoice = await payInvoice(invoice.id, series.stripePaymentMethodId);
+  } catch (error) {
+    await prisma.booking.updateMany({
+      where: { stripeInvoiceId: invoice.id, status: 'CONFIRMED' },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: new Date(),
+        cancellationReason: `The invoice for ${period} could not be paid`
+      }
+    });
+
+    console.error('Series invoice payment failed:', { seriesId: series.id, period, error: error.message });
+    throw new AppError(`The invoice for ${period} could not be paid`, 400, 'SERIES_INVOICE_UNPAID');
+  }
+
+  return paidInvoice;
+};
+
+/**
+ * Invoice, charge and record one month of a MONTHLY series
+ * @param {Object} series - Series with user and space included
+ * @param {Array} bookings - The month's CONFIRMED occurrences
+ * @param {string} period - Billing period (YYYY-MM)
+ * @returns {Promise<Array>} - Charge entries recorded
+ */
+const invoiceSeriesPeriod = async (series, bookings, period) => {
+  const paidInvoice = await chargeSeriesPeriod(series, bookings, period);
+  return recordInvoicePayment(paidInvoice);
+};
+
+/**
+ * Book a recurring series
+ *
+ * UPFRONT series are charged for every occurrence in one payment. MONTHLY
+ * series save the card and are invoiced a month at a time, starting with
+ * the first month straight away. If the first payment fails, or anything
+ * after it, the whole series is cancelled and whatever was charged is
+ * refunded.
+ *
+ * @param {Object} user - Driver booking the series
+ * @param {Object} space - Parking space
+ * @param {Object} data - Recurrence rule, vehicle, billing, paymentMethodId and skipConflicts
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { series, quote, skipped }
+ */
+const createBookingSeries = async (user, space, data, now = new Date()) => {
+  const { billing, paymentMethodId, skipConflicts } = data;
+
+  if (space.bookingMode === 'REQUEST') {
+    throw new AppError('This space takes booking requests, so it can\'t be booked as a series', 400, 'SERIES_NOT_SUPPORTED');
+  }
+
+  await assertDriverMeetsMinimum(user.id, space);
+
+  const occurrences = expandRecurrence(data, now);
+  if (occurrences.length === 0) {
+    throw new AppError('The series has no upcoming dates', 400, 'NO_OCCURRENCES');
+  }
+
+  const rules = await getPricingRules(space.id);
+
+  const { series, bookings, quote, skipped } = await withSpaceLock(space.id, async (tx) => {
+    const conflicts = await findOccurrenceConflicts(space.id, occurrences, { client: tx });
+
+    if (conflicts.length > 0 && !skipConflicts) {
+      throw new AppError(
+        `${conflicts.length} of the ${occurrences.length} dates in this series are not available. ` +
+        'Check the quote for details, or skip those dates.',
+        409,
+        'SERIES_CONFLICT'
+      );
+    }
+
+    const available = withoutConflicts(occurrences, conflicts);
+    if (available.length === 0) {
+      throw new AppError('None of the dates in this series are available', 409, 'SERIES_CONFLICT');
+    }
+
+    const seriesQuote = calculateSeriesQuote(space, rules, available);
+
+    const createdSeries = await tx.bookingSeries.create({
+      data: {
+        userId: user.id,
+        spaceId: space.id,
+        daysOfWeek: data.daysOfWeek,
+        startTime: data.startTime,
+        endTime: data.endTime,
+        startDate: new Date(data.startDate),
+        endDate: new Date(data.endDate),
+        billing,
+        currency: seriesQuote.currency,
+        subtotalMinor: seriesQuote.subtotalMinor,
+        discountMinor: seriesQuote.discount.amountMinor,
+        totalCostMinor: seriesQuote.totalCostMinor,
+        stripePaymentMethodId: paymentMethodId,
+        vehicleReg: data.vehicleReg.toUpperCase(),
+        vehicleMake: data.vehicleMake,
+        vehicleModel: data.vehicleModel,
+        vehicleColor: data.vehicleColor
+      }
+    });
+
+    await tx.booking.createMany({
+      data: seriesQuote.occurrences.map(occurrence => ({
+        userId: user.id,
+        spaceId: space.id,
+        seriesId: createdSeries.id,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        totalCostMinor: occurrence.totalCostMinor,
+        currency: seriesQuote.currency,
+        vehicleReg: createdSeries.vehicleReg,
+        vehicleMake: data.vehicleMake,
+        vehicleModel: data.vehicleModel,
+        vehicleColor: data.vehicleColor,
+        specialRequests: data.specialRequests,
+        cancellationPolicy: space.cancellationPolicy,
+        status: 'PENDING'
+      }))
+    });
+
+    const createdBookings = await tx.booking.findMany({
+      where: { seriesId: createdSeries.id },
+      orderBy: { startTime: 'asc' }
+    });
+
+    return { series: createdSeries, bookings: createdBookings, quote: seriesQuote, skipped: conflicts };
+  });
+
+  // Money taken from the driver so far, refunded if a later step fails
+  let charge = null;
+
+  try {
+    const customerId = await createOrGetCustomer(user);
+
+    if (billing === 'UPFRONT') {
+      const transfer = await getHostTransfer(space.ownerId, quote.totalCostMinor);
+
+      // Keep the card on the driver's Stripe customer so overstays can be
+      // charged to it after they leave
+      const paymentResult = await processPayment({
+        amountMinor: quote.totalCostMinor,
+        currency: quote.currency,
+        paymentMethodId,
+        customerId,
+        saveForOffSession: true,
+        transfer,
+        description: `EasyParkNow booking series - ${series.id}`,
+        metadata: {
+          seriesId: series.id,
+          spaceId: space.id,
+          userId: user.id
+        }
+      });
+
+      if (!paymentResult.success) {
+        throw new AppError('This card needs extra authentication, which isn\'t supported for series', 400, 'PAYMENT_FAILED');
+      }
+
+      charge = {
+        paymentIntentId: paymentResult.id,
+        amountMinor: quote.totalCostMinor,
+        transferDestination: transfer.destination
+      };
+
+      // One charge pays for every occurrence, so each gets its share in its
+      // own ledger and can be refunded on its own
+      const fees = allocateMinor(transfer.applicationFeeMinor, bookings.map(booking => booking.totalCostMinor));
+
+      for (const [index, booking] of bookings.entries()) {
+        const payment = await prisma.payment.create({
+          data: {
+            userId: user.id,
+            bookingId: booking.id,
+            type: 'BOOKING',
+            amountMinor: booking.totalCostMinor,
+            currency: booking.currency,
+            status: 'SUCCEEDED',
+            stripePaymentId: paymentResult.id,
+            paymentMethod: paymentResult.payment_method?.type || 'card',
+            last4: paymentResult.payment_method?.card?.last4,
+            brand: paymentResult.payment_method?.card?.brand,
+            stripePaymentMethodId: paymentMethodId,
+            applicationFeeMinor: fees[index],
+            transferDestination: transfer.destination
+          }
+        });
+
+        await recordHostEarning(payment, space.ownerId);
+      }
+
+      await prisma.booking.updateMany({
+        where: { seriesId: series.id, status: 'PENDING' },
+        data: { status: 'CONFIRMED' }
+      });
+    } else {
+      await attachPaymentMethod(paymentMethodId, customerId);
+
+      await prisma.booking.updateMany({
+        where: { seriesId: series.id, status: 'PENDING' },
+        data: { status: 'CONFIRMED' }
+      });
+
+      const firstPeriod = getBillingPeriod(bookings[0].startTime);
+      const firstMonth = bookings.filter(booking => getBillingPeriod(booking.startTime) === firstPeriod);
+
+      const paidInvoice = await chargeSeriesPeriod({ ...series, user, space }, firstMonth, firstPeriod);
+      charge = {
+        paymentIntentId: paidInvoice.payment_intent,
+        amountMinor: paidInvoice.amount_paid,
+        transferDestination: paidInvoice.transfer_data?.destination || null
+      };
+
+      await recordInvoicePayment(paidInvoice);
+    }
+  } catch (paymentError) {
+    if (charge) {
+      try {
+        await refundSeriesCharge(series.id, charge);
+      } catch (refundError) {
+        console.error('Failed to refund series charge, needs a manual refund:', {
+          seriesId: series.id,
+          paymentIntentId: charge.paymentIntentId,
+          error: refundError.message
+        });
+      }
+    }
+
+    await abandonBookingSeries(series.id, 'Payment for the series failed');
+
+    console.error('Series payment failed:', paymentError);
+    throw new AppError('Payment processing failed. Please try again.', 400, 'PAYMENT_FAILED');
+  }
+
+  const confirmedSeries = await prisma.bookingSeries.findUnique({
+    where: { id: series.id },
+    include: {
+      space: true,
+      bookings: {
+        orderBy: { startTime: 'asc' }
+      }
+    }
+  });
+
+  await publishBookingEvents(
+    confirmedSeries.bookings.filter(booking => booking.status === 'CONFIRMED').map(booking => booking.id),
+    'booking.created'
+  );
+
+  return { series: confirmedSeries, quote, skipped };
+};
+
+/**
+ * Invoice the upcoming month of every MONTHLY series
+ *
+ * A month is invoiced SERIES_INVOICE_LEAD_DAYS before it starts. If a
+ * month can't be paid its occurrences are cancelled and the driver is
+ * told; later months are still tried when they come due. A month that
+ * fails before its invoice is charged is left as it was and tried again on
+ * the next run.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of invoices paid
+ */
+const invoiceUpcomingSeriesMonths = async (now) => {
+  const horizon = new Date(now.getTime() + SERIES_INVOICE_LEAD_DAYS * DAY_MS);
+  const dueBefore = new Date(horizon.getFullYear(), horizon.getMonth() + 1, 1);
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: 'CONFIRMED',
+      stripeInvoiceId: null,
+      startTime: { lt: dueBefore },
+      series: {
+        status: 'ACTIVE',
+        billing: 'MONTHLY'
+      }
+    },
+    include: {
+      series: {
+        include: {
+          user: true,
+          space: true
+        }
+      }
+    },
+    orderBy: { startTime: 'asc' }
+  });
+
+  const months = new Map();
+  bookings.forEach(booking => {
+    const period = getBillingPeriod(booking.startTime);
+    const key = `${booking.seriesId}:${period}`;
+    if (!months.has(key)) {
+      months.set(key, { series: booking.series, period, bookings: [] });
+    }
+    months.get(key).bookings.push(booking);
+  });
+
+  let invoiced = 0;
+  for (const { series, period, bookings: monthBookings } of months.values()) {
+    try {
+      await invoiceSeriesPeriod(series, monthBookings, period);
+      invoiced++;
+    } catch (error) {
+      if (error.code !== 'SERIES_INVOICE_UNPAID') {
+        console.error('Series invoice failed, will retry:', { seriesId: series.id, period, error: error.message });
+        continue;
+      }
+
+      await createNotification({
+        userId: series.userId,
+        type: 'PAYMENT_FAILED',
+        title: 'Series payment failed',
+        message: `We couldn't take payment for your ${period} bookings at ${series.space.address}, ` +
+          'so they have been cancelled. Please check your payment details.'
+      });
+
+      await publishBookingEvents(monthBookings.map(booking => booking.id));
+      await publishPaymentFailed(series.userId, {
+        seriesId: series.id,
+        message: `We couldn't take payment for your ${period} bookings, so they have been cancelled.`
+      });
+    }
+  }
+
+  return invoiced;
+};
+
+/**
+ * Cancel the rest of a series on behalf of the driver
+ *
+ * Every occurrence that hasn't started yet is cancelled and refunded under
+ * the cancellation policy it was booked with, the same as cancelling it on
+ * its own. Occurrences not invoiced yet are simply dropped.
+ *
+ * @param {Object} series - Booking series with space included
+ * @param {string} cancelledBy - DRIVER or ADMIN
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { series, cancelledCount, refundAmountMinor, refundStatus }
+ */
+const cancelBookingSeries = async (series, cancelledBy, now = new Date()) => {
+  const claim = await prisma.bookingSeries.updateMany({
+    where: { id: series.id, status: 'ACTIVE' },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: now
+    }
+  });
+
+  if (claim.count === 0) {
+    throw new AppError('This series has already been cancelled', 409, 'SERIES_ALREADY_CANCELLED');
+  }
+
+  const upcoming = await prisma.booking.findMany({
+    where: {
+      seriesId: series.id,
+      status: { in: ['PENDING', 'CONFIRMED'] },
+      startTime: { gt: now }
+    },
+    orderBy: { startTime: 'asc' }
+  });
+
+  const cancelledIds = [];
+  let refundAmountMinor = 0;
+  const refundStatuses = [];
+
+  for (const booking of upcoming) {
+    // Skip occurrences cancelled on their own since they were loaded
+    const cancelled = await prisma.booking.updateMany({
+      where: { id: booking.id, status: { in: ['PENDING', 'CONFIRMED'] } },
+      data: {
+        status: 'CANCELLED',
+        cancelledAt: now,
+        cancelledBy
+      }
+    });
+
+    if (cancelled.count === 0) {
+      continue;
+    }
+    cancelledIds.push(booking.id);
+
+    const refund = calculateCancellationRefund(
+      booking,
+      booking.cancellationPolicy || series.space.cancellationPolicy,
+      now
+    );
+
+    if (refund.refundAmountMinor > 0) {
+      const { refundedAmountMinor, refundStatus } = await refundBooking(booking.id, refund.refundAmountMinor);
+      refundAmountMinor += refundedAmountMinor;
+      if (refundStatus) {
+        refundStatuses.push(refundStatus);
+      }
+    }
+  }
+
+  await publishBookingEvents(cancelledIds);
+
+  let refundStatus = null;
+  if (refundStatuses.includes('FAILED')) {
+    refundStatus = 'FAILED';
+  } else if (refundStatuses.length > 0) {
+    refundStatus = refundStatuses.every(status => status === 'SUCCEEDED') ? 'SUCCEEDED' : 'PENDING';
+  }
+
+  const cancelledSeries = await prisma.bookingSeries.findUnique({
+    where: { id: series.id },
+    include: {
+      space: true,
+      bookings: {
+        orderBy: { startTime: 'asc' }
+      }
+    }
+  });
+
+  return {
+    series: cancelledSeries,
+    cancelledCount: cancelledIds.length,
+    refundAmountMinor,
+    refundStatus
+  };
+};
+
+module.exports = {
+  MAX_SERIES_DAYS,
+  SERIES_INVOICE_LEAD_DAYS,
+  expandRecurrence,
+  getBillingPeriod,
+  getPaymentDueAt,
+  quoteBookingSeries,
+  createBookingSeries,
+  invoiceUpcomingSeriesMonths,
+  cancelBookingSeries
+};
@@ -0,0 +1,278 @@
+/**
+ * Cancellation Service
+ *
+ * This service defines the cancellation policies hosts can pick for their
+ * parking spaces and works out how much of a booking is refunded when a
+ * driver cancels.
+ *
+ * Each policy is a list of tiers ordered from earliest to latest
+ * cancellation. The first tier whose cutoff (hours before start) has not
+ * passed decides the refund percentage.
+ *
+ * It also handles cancellations made by hosts and admins, which ignore the
+ * policy: the driver always gets a full refund, is told why and is pointed
+ * at free spaces nearby. Cancellations by the host count against them, and
+ * hosts who cancel too often are flagged for admins to review.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const { refundBooking, summariseLedger } = require('./paymentService');
+const { findAlternativeSpaces } = require('./availabilityService');
+const { sendHostCancellationEmail } = require('./emailService');
+const { createNotification } = require('./notificationService');
+const { publishBookingEvents } = require('./realtimeService');
+const { formatMoney, percentageOf } = require('../utils/money');
+
+const prisma = new PrismaClient();
+
+const CANCELLATION_POLICIES = {
+  FLEXIBLE: {
+    name: 'Flexible',
+    description: 'Full refund up to 1 hour before start, 50% after that.',
+    tiers: [
+      { code: 'FULL_REFUND', label: 'Full refund', minHoursBeforeStart: 1, refundPercentage: 100 },
+      { code: 'LATE_CANCELLATION', label: '50% refund (late cancellation)', minHoursBeforeStart: null, refundPercentage: 50 }
+    ]
+  },
+  MODERATE: {
+    name: 'Moderate',
+    description: 'Full refund up to 24 hours before start, 50% up to 1 hour before, no refund after that.',
+    tiers: [
+      { code: 'FULL_REFUND', label: 'Full refund', minHoursBeforeStart: 24, refundPercentage: 100 },
+      { code: 'PARTIAL_REFUND', label: '50% refund', minHoursBeforeStart: 1, refundPercentage: 50 },
+      { code: 'NO_REFUND', label: 'No refund (late cancellation)', minHoursBeforeStart: null, refundPercentage: 0 }
+    ]
+  },
+  STRICT: {
+    name: 'Strict',
+    description: 'Full refund up to 7 days before start, 50% up to 48 hours before, no refund after that.',
+    tiers: [
+      { code: 'FULL_REFUND', label: 'Full refund', minHoursBeforeStart: 168, refundPercentage: 100 },
+      { code: 'PARTIAL_REFUND', label: '50% refund', minHoursBeforeStart: 48, refundPercentage: 50 },
+      { code: 'NO_REFUND', label: 'No refund (late cancellation)', minHoursBeforeStart: null, refundPercentage: 0 }
+    ]
+  }
+};
+
+const DEFAULT_CANCELLATION_POLICY = 'FLEXIBLE';
+
+// Booking statuses a host or admin can cancel
+const HOST_CANCELLABLE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+// Hosts who cancel this many bookings are flagged for review
+const HOST_CANCELLATION_FLAG_THRESHOLD = parseInt(process.env.HOST_CANCELLATION_FLAG_THRESHOLD) || 3;
+
+/**
+ * Get a cancellation policy by key, falling back to the default
+ * @param {string} policyKey - FLEXIBLE, MODERATE or STRICT
+ * @returns {Object} - Policy with its key
+ */
+const getCancellationPolicy = (policyKey) => {
+  const key = CANCELLATION_POLICIES[policyKey] ? policyKey : DEFAULT_CANCELLATION_POLICY;
+  return { key, ...CANCELLATION_POLICIES[key] };
+};
+
+/**
+ * Work out the refund for a driver cancelling a booking
+ * @param {Object} booking - Booking (startTime, totalCostMinor)
+ * @param {string} policyKey - Cancellation policy to apply
+ * @param {Date} now - Cancellation time
+ * @returns {Object} - { policy, tier, hoursUntilStart, refundAmountMinor }
+ */
+const calculateCancellationRefund = (booking, policyKey, now = new Date()) => {
+  const policy = getCancellationPolicy(policyKey);
+  const hoursUntilStart = (new Date(booking.startTime) - now) / (1000 * 60 * 60);
+
+  const tier = policy.tiers.find(candidate =>
+    candidate.minHoursBeforeStart === null || hoursUntilStart >= candidate.minHoursBeforeStart
+  );
+
+  const refundAmountMinor = percentageOf(booking.totalCostMinor, tier.refundPercentage);
+
+  return {
+    policy: {
+      key: policy.key,
+      name: policy.name,
+      description: policy.description
+    },
+    tier,
+    hoursUntilStart,
+    refundAmountMinor
+  };
+};
+
+/**
+ * Check whether a host has cancelled enough bookings to be flagged
+ * @param {Object} host - User with hostCancellationCount
+ * @returns {boolean}
+ */
+const isFlaggedHost = (host) => host.hostCancellationCount >= HOST_CANCELLATION_FLAG_THRESHOLD;
+
+/**
+ * Count a cancellation against a host, flagging them for admin review once
+ * they reach the threshold
+ * @param {string} hostId - Host's user ID
+ * @param {Date} now - Cancellation time
+ * @returns {Promise<Object>} - Host record (id, hostCancellationCount, hostFlaggedAt, isFlagged)
+ */
+const recordHostCancellation = async (hostId, now = new Date()) => {
+  let host = await prisma.user.update({
+    where: { id: hostId },
+    data: {
+      hostCancellationCount: { increment: 1 },
+      lastHostCancellationAt: now
+    },
+    select: { id: true, hostCancellationCount: true, hostFlaggedAt: true }
+  });
+
+  if (isFlaggedHost(host) && !host.hostFlaggedAt) {
+    host = await prisma.user.update({
+      where: { id: hostId },
+      data: { hostFlaggedAt: now },
+      select: { id: true, hostCancellationCount: true, hostFlaggedAt: true }
+    });
+
+    console.warn('Host flagged for repeated cancellations:', {
+      hostId: host.id,
+      hostCancellationCount: host.hostCancellationCount
+    });
+  }
+
+  return { ...host, isFlagged: isFlaggedHost(host) };
+};
+
+/**
+ * List hosts flagged for repeated cancellations, most recently flagged first
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { hosts, totalCount }
+ */
+const listFlaggedHosts = async ({ page = 1, limit = 20 } = {}) => {
+  const where = { hostFlaggedAt: { not: null } };
+
+  const [hosts, totalCount] = await Promise.all([
+    prisma.user.findMany({
+      where,
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        email: true,
+        hostCancellationCount: true,
+        lastHostCancellationAt: true,
+        hostFlaggedAt: true
+      },
+      orderBy: { hostFlaggedAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.user.count({ where })
+  ]);
+
+  return { hosts, totalCount };
+};
+
+/**
+ * Cancel a booking on behalf of the space's host or an admin
+ *
+ * The driver is refunded in full whatever the space's policy says. A failed
+ * refund doesn't undo the cancellation; the payment is left with
+ * refundStatus FAILED for retry. A booking cancelled or started since the
+ * caller loaded it is rejected with BOOKING_NOT_CANCELLABLE.
+ *
+ * @param {Object} booking - Booking with space, user and payments included
+ * @param {Object} actor - User cancelling (the host or an admin)
+ * @param {string} reason - Reason shown to the driver
+ * @param {Object} options - Extra options
+ * @param {boolean} options.countAgainstHost - Count the cancellation against the host (default true);
+ *   callers cancelling several bookings for one reason count it once with recordHostCancellation
+ * @returns {Promise<Object>} - Cancelled booking, refund outcome, alternatives and host record
+ */
+const cancelBookingAsHost = async (booking, actor, reason, { countAgainstHost = true } = {}) => {
+  const cancelledBy = actor.id === booking.space.ownerId ? 'HOST' : 'ADMIN';
+
+  // Cancel the booking only if it's still cancellable, so a concurrent
+  // cancellation (by the driver or the host) can't refund it twice
+  const claim = await prisma.booking.updateMany({
+    where: { id: booking.id, status: { in: HOST_CANCELLABLE_STATUSES } },
+    data: {
+      status: 'CANCELLED',
+      cancelledAt: new Date(),
+      cancelledBy,
+      cancellationReason: reason
+    }
+  });
+
+  if (claim.count === 0) {
+    throw new AppError('This booking has already been cancelled or started', 409, 'BOOKING_NOT_CANCELLABLE');
+  }
+
+  await publishBookingEvents(booking.id);
+
+  // Everything the driver has paid and not yet had back
+  const { netMinor } = summariseLedger(booking.payments);
+  const { refundStatus, refunds } = netMinor > 0
+    ? await refundBooking(booking.id, netMinor)
+    : { refundStatus: null, refunds: [] };
+  const refundAmountMinor = refundStatus ? netMinor : 0;
+
+  const cancelledBooking = await prisma.booking.findUnique({
+    where: { id: booking.id },
+    include: { space: true }
+  });
+
+  // Only cancellations made by the host themselves count against them
+  const host = cancelledBy === 'HOST' && countAgainstHost
+    ? await recordHostCancellation(booking.space.ownerId)
+    : null;
+
+  const alternatives = await findAlternativeSpaces(booking.space, booking.startTime, booking.endTime, {
+    excludeOwnerId: booking.userId
+  });
+
+  // Only promise the refund Stripe has actually taken on
+  const refundAmount = formatMoney(netMinor, booking.currency);
+  let refundSummary = 'You haven\'t been charged for this booking.';
+  if (refundStatus === 'FAILED') {
+    refundSummary = `Your full refund of ${refundAmount} couldn't be issued yet. Our team will issue it and let you know once it's on its way.`;
+  } else if (refundStatus) {
+    refundSummary = `You'll receive a full refund of ${refundAmount}.`;
+  }
+
+  await createNotification({
+    userId: booking.userId,
+    type: 'BOOKING_CANCELLED',
+    title: cancelledBy === 'HOST' ? 'Booking cancelled by host' : 'Booking cancelled',
+    message: `Your booking at ${booking.space.address} on ${new Date(booking.startTime).toLocaleString()} was cancelled by ` +
+      `${cancelledBy === 'HOST' ? 'the host' : 'EasyParkNow'}. ${refundSummary}`
+  });
+
+  try {
+    await sendHostCancellationEmail(cancelledBooking, booking.user, booking.space, alternatives, refundSummary);
+  } catch (emailError) {
+    console.error('Failed to send host cancellation email:', emailError);
+  }
+
+  return {
+    booking: cancelledBooking,
+    cancelledBy,
+    currency: booking.currency,
+    refundAmountMinor,
+    refundStatus,
+    refunds,
+    alternatives,
+    host
+  };
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  DEFAULT_CANCELLATION_POLICY,
+  getCancellationPolicy,
+  calculateCancellationRefund,
+  isFlaggedHost,
+  recordHostCancellation,
+  listFlaggedHosts,
+  cancelBookingAsHost,
+  HOST_CANCELLATION_FLAG_THRESHOLD
+};
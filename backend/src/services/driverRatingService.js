@@ -0,0 +1,132 @@
+/**
+ * Driver Rating Service
+ *
+ * This service handles hosts rating the drivers who park with them:
+ * - Rating the driver of a completed booking (one rating per booking)
+ * - Keeping each driver's reputation (driverRating, driverRatingCount) in
+ *   step with their ratings
+ * - Turning away drivers below a space's minimum driver rating
+ *
+ * Hosts rate within the same window drivers have to review the space.
+ * Drivers nobody has rated yet are let through any minimum, so new
+ * drivers can still book.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const { getReviewDeadline, REVIEW_WINDOW_DAYS } = require('./reviewService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Recalculate a driver's stored reputation from their ratings
+ * @param {string} driverId - Driver's user ID
+ * @returns {Promise<Object>} - { driverRating, driverRatingCount }
+ */
+const refreshDriverRating = async (driverId) => {
+  const ratings = await prisma.driverRating.aggregate({
+    where: { driverId },
+    _avg: { rating: true },
+    _count: { _all: true }
+  });
+
+  const reputation = {
+    driverRating: Math.round((ratings._avg.rating || 0) * 100) / 100,
+    driverRatingCount: ratings._count._all
+  };
+
+  await prisma.user.update({
+    where: { id: driverId },
+    data: reputation
+  });
+
+  return reputation;
+};
+
+/**
+ * Describe a driver's reputation for hosts
+ * @param {Object} driver - User (driverRating, driverRatingCount)
+ * @returns {Object} - { rating, ratingCount }; rating is null until someone rates them
+ */
+const describeDriverReputation = (driver) => ({
+  rating: driver.driverRatingCount > 0 ? Math.round(driver.driverRating * 10) / 10 : null,
+  ratingCount: driver.driverRatingCount
+});
+
+/**
+ * Check a driver meets a space's minimum driver rating
+ * @param {string} driverId - Driver's user ID
+ * @param {Object} space - Parking space (minDriverRating)
+ */
+const assertDriverMeetsMinimum = async (driverId, space) => {
+  if (!space.minDriverRating) {
+    return;
+  }
+
+  const driver = await prisma.user.findUnique({
+    where: { id: driverId },
+    select: { driverRating: true, driverRatingCount: true }
+  });
+
+  if (driver.driverRatingCount > 0 && driver.driverRating < space.minDriverRating) {
+    throw new AppError(
+      `This space only accepts drivers rated ${space.minDriverRating} or higher by other hosts`,
+      403,
+      'DRIVER_RATING_TOO_LOW'
+    );
+  }
+};
+
+/**
+ * Rate the driver of a completed booking
+ * @param {Object} booking - Booking with driverRatingEntry included
+ * @param {Object} host - User rating the driver (the space's host)
+ * @param {Object} data - { rating, comment }
+ * @returns {Promise<Object>} - { driverRating, reputation }
+ */
+const rateDriver = async (booking, host, data) => {
+  if (booking.status !== 'COMPLETED') {
+    throw new AppError('Drivers can only be rated on completed bookings', 400, 'INVALID_BOOKING_STATUS');
+  }
+
+  if (getReviewDeadline(booking) < new Date()) {
+    throw new AppError(`Drivers can only be rated within ${REVIEW_WINDOW_DAYS} days of the stay ending`, 400, 'RATING_WINDOW_CLOSED');
+  }
+
+  if (booking.driverRatingEntry) {
+    throw new AppError('You have already rated the driver on this booking', 409, 'DRIVER_RATING_EXISTS');
+  }
+
+  let driverRating;
+  try {
+    driverRating = await prisma.driverRating.create({
+      data: {
+        rating: data.rating,
+        comment: data.comment,
+        driverId: booking.userId,
+        hostId: host.id,
+        bookingId: booking.id
+      }
+    });
+  } catch (error) {
+    // Two submissions at once; bookingId is unique
+    if (error.code === 'P2002') {
+      throw new AppError('You have already rated the driver on this booking', 409, 'DRIVER_RATING_EXISTS');
+    }
+    throw error;
+  }
+
+  const reputation = await refreshDriverRating(booking.userId);
+
+  return {
+    driverRating,
+    reputation: describeDriverReputation(reputation)
+  };
+};
+
+module.exports = {
+  refreshDriverRating,
+  describeDriverReputation,
+  assertDriverMeetsMinimum,
+  rateDriver
+};
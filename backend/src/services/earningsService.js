@@ -0,0 +1,383 @@
+/**
+ * Earnings Service
+ *
+ * This service reports what a host's spaces have earned over a date range,
+ * grouped by day, week or month and by space:
+ * - Gross booking value (everything charged to drivers)
+ * - Platform fees (less fees given back on refunds)
+ * - Refunds
+ * - Net earnings (gross less refunds and platform fees)
+ * - Occupancy (booked time as a share of the space's open hours)
+ * - Average booking length
+ *
+ * Money is attributed to the period a booking starts in; occupancy counts
+ * the part of each stay that falls in the period. Periods follow the
+ * server's local time zone, like the availability schedule, and weeks
+ * start on Monday.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { CHARGE_TYPES, PAID_STATUSES, OUTSTANDING_REFUND_STATUSES, summariseLedger } = require('./paymentService');
+const { getSpaceSchedule, getOpenIntervals } = require('./availabilityService');
+const { formatAmount } = require('../utils/money');
+
+const prisma = new PrismaClient();
+
+const EARNINGS_GROUPINGS = ['day', 'week', 'month'];
+
+// Bookings that can carry money (cancelled ones may keep a partial charge)
+const EARNING_BOOKING_STATUSES = ['CONFIRMED', 'ACTIVE', 'COMPLETED', 'NO_SHOW', 'CANCELLED', 'REFUNDED'];
+
+// Bookings that held the space for their whole window
+const OCCUPYING_BOOKING_STATUSES = ['CONFIRMED', 'ACTIVE', 'COMPLETED', 'NO_SHOW'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Find the start of the period containing a date
+ * @param {Date} date
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {Date}
+ */
+const startOfPeriod = (date, groupBy) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+  if (groupBy === 'week') {
+    start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+  } else if (groupBy === 'month') {
+    start.setDate(1);
+  }
+
+  return start;
+};
+
+/**
+ * Find the start of the period after the one starting at a date
+ * @param {Date} start - Period start
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {Date}
+ */
+const nextPeriodStart = (start, groupBy) => {
+  const next = new Date(start);
+
+  if (groupBy === 'month') {
+    next.setMonth(next.getMonth() + 1);
+  } else {
+    next.setDate(next.getDate() + (groupBy === 'week' ? 7 : 1));
+  }
+
+  return next;
+};
+
+/**
+ * Label a period (YYYY-MM-DD, or YYYY-MM for months)
+ * @param {Date} start - Period start
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {string}
+ */
+const periodLabel = (start, groupBy) => {
+  const month = String(start.getMonth() + 1).padStart(2, '0');
+  const day = String(start.getDate()).padStart(2, '0');
+
+  return groupBy === 'month'
+    ? `${start.getFullYear()}-${month}`
+    : `${start.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Split a date range into periods, clipped to the range
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @param {string} groupBy - 'day', 'week' or 'month'
+ * @returns {Array<{period: string, start: Date, end: Date}>}
+ */
+const buildPeriods = (from, to, groupBy) => {
+  const periods = [];
+
+  for (let start = startOfPeriod(from, groupBy); start < to; start = nextPeriodStart(start, groupBy)) {
+    const end = nextPeriodStart(start, groupBy);
+    periods.push({
+      period: periodLabel(start, groupBy),
+      start: start < from ? new Date(from) : start,
+      end: end > to ? new Date(to) : end
+    });
+  }
+
+  return periods;
+};
+
+/**
+ * Minutes two intervals overlap by
+ * @param {Date} startA
+ * @param {Date} endA
+ * @param {Date} startB
+ * @param {Date} endB
+ * @returns {number}
+ */
+const overlapMinutes = (startA, endA, startB, endB) => {
+  const overlap = Math.min(endA, endB) - Math.max(startA, startB);
+  return overlap > 0 ? overlap / MINUTE_MS : 0;
+};
+
+/**
+ * Work out the money side of one booking from its payments
+ * @param {Array} payments - Ledger entries for the booking
+ * @returns {Object} - { grossMinor, platformFeesMinor, refundsMinor, netMinor }
+ */
+const summariseBookingEarnings = (payments) => {
+  const { chargedMinor, refundedMinor } = summariseLedger(payments);
+
+  const charges = payments.filter(payment =>
+    CHARGE_TYPES.includes(payment.type) && PAID_STATUSES.includes(payment.status)
+  );
+  const feesMinor = charges.reduce((sum, charge) => sum + (charge.applicationFeeMinor || 0), 0);
+
+  // Refunds give back the platform fee in proportion to the charge
+  const feesRefundedMinor = payments
+    .filter(payment => payment.type === 'REFUND' && OUTSTANDING_REFUND_STATUSES.includes(payment.status))
+    .reduce((sum, refund) => {
+      const charge = charges.find(candidate => candidate.id === refund.refundedPaymentId);
+      if (!charge || !charge.applicationFeeMinor || charge.amountMinor === 0) {
+        return sum;
+      }
+      return sum + Math.round(refund.amountMinor * charge.applicationFeeMinor / charge.amountMinor);
+    }, 0);
+
+  const platformFeesMinor = feesMinor - feesRefundedMinor;
+
+  return {
+    grossMinor: chargedMinor,
+    platformFeesMinor,
+    refundsMinor: refundedMinor,
+    netMinor: chargedMinor - refundedMinor - platformFeesMinor
+  };
+};
+
+const emptyTotals = () => ({
+  bookingCount: 0,
+  grossMinor: 0,
+  platformFeesMinor: 0,
+  refundsMinor: 0,
+  netMinor: 0,
+  bookedMinutes: 0,
+  openMinutes: 0,
+  totalBookingMinutes: 0
+});
+
+/**
+ * Add one set of running totals into another
+ * @param {Object} target - Totals to add to
+ * @param {Object} source - Totals to add
+ * @returns {Object} - target
+ */
+const addTotals = (target, source) => {
+  Object.keys(target).forEach(key => {
+    target[key] += source[key];
+  });
+  return target;
+};
+
+/**
+ * Turn running totals into reported figures
+ * @param {Object} totals - Running totals
+ * @returns {Object} - Money, occupancy rate (0-1) and average booking length
+ */
+const finishTotals = ({ totalBookingMinutes, ...totals }) => ({
+  ...totals,
+  bookedMinutes: Math.round(totals.bookedMinutes),
+  openMinutes: Math.round(totals.openMinutes),
+  occupancyRate: totals.openMinutes > 0
+    ? Math.round(Math.min(totals.bookedMinutes / totals.openMinutes, 1) * 10000) / 10000
+    : 0,
+  averageBookingMinutes: totals.bookingCount > 0
+    ? Math.round(totalBookingMinutes / totals.bookingCount)
+    : 0
+});
+
+/**
+ * Group running totals by a key, keeping the first row's labels
+ * @param {Array} cells - Period/space cells
+ * @param {Function} keyOf - Key for a cell
+ * @param {Function} labelsOf - Fields describing the group
+ * @returns {Array}
+ */
+const groupCells = (cells, keyOf, labelsOf) => {
+  const groups = new Map();
+
+  cells.forEach(cell => {
+    const key = keyOf(cell);
+    if (!groups.has(key)) {
+      groups.set(key, { ...labelsOf(cell), totals: emptyTotals() });
+    }
+    addTotals(groups.get(key).totals, cell.totals);
+  });
+
+  return [...groups.values()].map(({ totals, ...labels }) => ({ ...labels, ...finishTotals(totals) }));
+};
+
+/**
+ * Calculate a host's earnings report
+ * @param {string} hostId - Host's user ID
+ * @param {Object} options - Report options
+ * @param {Date} options.from - Range start
+ * @param {Date} options.to - Range end
+ * @param {string} options.groupBy - 'day', 'week' or 'month'
+ * @param {string} options.spaceId - Only report on this space (optional)
+ * @returns {Promise<Object>} - { groupBy, from, to, periods, spaces, breakdown, totals }
+ */
+const getHostEarnings = async (hostId, { from, to, groupBy, spaceId }) => {
+  const spaces = await prisma.parkingSpace.findMany({
+    where: {
+      ownerId: hostId,
+      ...(spaceId && { id: spaceId })
+    },
+    select: { id: true, title: true, currency: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const [bookings, schedules] = await Promise.all([
+    prisma.booking.findMany({
+      where: {
+        spaceId: { in: spaces.map(space => space.id) },
+        status: { in: EARNING_BOOKING_STATUSES },
+        startTime: { lt: to },
+        endTime: { gt: from }
+      },
+      select: {
+        id: true,
+        spaceId: true,
+        status: true,
+        startTime: true,
+        endTime: true,
+        payments: true
+      }
+    }),
+    Promise.all(spaces.map(space => getSpaceSchedule(space.id, from, to)))
+  ]);
+
+  const periods = buildPeriods(from, to, groupBy);
+
+  // One cell per period and space, so quiet periods still show up
+  const cells = [];
+  const cellIndex = new Map();
+  spaces.forEach((space, spaceIndex) => {
+    const { schedule, exceptions } = schedules[spaceIndex];
+
+    periods.forEach(period => {
+      const openMinutes = getOpenIntervals(schedule, exceptions, period.start, period.end)
+        .reduce((sum, interval) => sum + overlapMinutes(interval.start, interval.end, period.start, period.end), 0);
+
+      const cell = {
+        ...period,
+        spaceId: space.id,
+        title: space.title,
+        currency: space.currency,
+        totals: { ...emptyTotals(), openMinutes }
+      };
+      cells.push(cell);
+      cellIndex.set(`${period.period}|${space.id}`, cell);
+    });
+  });
+
+  bookings.forEach(booking => {
+    const startTime = new Date(booking.startTime);
+    const endTime = new Date(booking.endTime);
+    const occupies = OCCUPYING_BOOKING_STATUSES.includes(booking.status);
+
+    if (occupies) {
+      periods.forEach(period => {
+        const minutes = overlapMinutes(startTime, endTime, period.start, period.end);
+        if (minutes > 0) {
+          cellIndex.get(`${period.period}|${booking.spaceId}`).totals.bookedMinutes += minutes;
+        }
+      });
+    }
+
+    // Money and booking counts belong to the period the stay starts in
+    if (startTime < from) {
+      return;
+    }
+
+    const startPeriod = periods.find(period => startTime >= period.start && startTime < period.end);
+    const totals = cellIndex.get(`${startPeriod.period}|${booking.spaceId}`).totals;
+    addTotals(totals, {
+      ...emptyTotals(),
+      ...summariseBookingEarnings(booking.payments),
+      ...(occupies && {
+        bookingCount: 1,
+        totalBookingMinutes: (endTime - startTime) / MINUTE_MS
+      })
+    });
+  });
+
+  return {
+    groupBy,
+    from,
+    to,
+    periods: groupCells(
+      cells,
+      cell => `${cell.period}|${cell.currency}`,
+      ({ period, start, end, currency }) => ({ period, start, end, currency })
+    ),
+    spaces: groupCells(
+      cells,
+      cell => cell.spaceId,
+      ({ spaceId, title, currency }) => ({ spaceId, title, currency })
+    ),
+    breakdown: cells.map(({ totals, ...labels }) => ({ ...labels, ...finishTotals(totals) })),
+    totals: groupCells(cells, cell => cell.currency, ({ currency }) => ({ currency }))
+  };
+};
+
+/**
+ * Quote a CSV field if it needs it
+ * Text that a spreadsheet would run as a formula is prefixed with a quote.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render an earnings report as CSV, one row per period and space
+ * @param {Object} report - Report from getHostEarnings
+ * @returns {string}
+ */
+const earningsToCsv = (report) => {
+  const header = [
+    'period', 'period_start', 'period_end', 'space_id', 'space', 'currency', 'bookings',
+    'gross', 'platform_fees', 'refunds', 'net', 'booked_hours', 'occupancy_rate', 'average_booking_minutes'
+  ];
+
+  const rows = report.breakdown.map(row => [
+    row.period,
+    row.start.toISOString(),
+    row.end.toISOString(),
+    row.spaceId,
+    row.title,
+    row.currency,
+    row.bookingCount,
+    formatAmount(row.grossMinor, row.currency),
+    formatAmount(row.platformFeesMinor, row.currency),
+    formatAmount(row.refundsMinor, row.currency),
+    formatAmount(row.netMinor, row.currency),
+    (row.bookedMinutes / 60).toFixed(2),
+    row.occupancyRate,
+    row.averageBookingMinutes
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  EARNINGS_GROUPINGS,
+  buildPeriods,
+  summariseBookingEarnings,
+  getHostEarnings,
+  earningsToCsv
+};
@@ -11,12 +11,14 @@
  * - Booking confirmations
  * - Payment receipts
  * - Booking reminders
+ * - Host cancellation notices
  * - HTML email templates
  */
 
 const nodemailer = require('nodemailer');
 const path = require('path');
 const fs = require('fs').promises;
+const { formatMoney } = require('../utils/money');
 
 /**
  * Email transporter configuration
@@ -191,7 +193,7 @@ const emailTemplates = {
               </div>
               <div class="detail-row">
                 <strong>Total Cost:</strong>
-                <span>£{{totalCost}}</span>
+                <span>{{totalCost}}</span>
               </div>
             </div>
 
@@ -271,7 +273,7 @@ const emailTemplates = {
               </div>
               <div class="detail-row total-row">
                 <span>Total Paid:</span>
-                <span>£{{amount}}</span>
+                <span>{{amount}}</span>
               </div>
             </div>
 
@@ -286,6 +288,71 @@ const emailTemplates = {
       </body>
       </html>
     `
+  },
+
+  'booking-cancelled-by-host': {
+    subject: 'Your Booking Has Been Cancelled - EasyParkNow',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Booking Cancelled - EasyParkNow</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #dc2626; color: white; padding: 20px; text-align: center; }
+          .content { padding: 30px 20px; }
+          .booking-details { background: #fef2f2; border: 1px solid #fecaca; padding: 20px; border-radius: 5px; margin: 20px 0; }
+          .detail-row { display: flex; justify-content: space-between; margin: 10px 0; }
+          .footer { background: #f8f9fa; padding: 20px; text-align: center; font-size: 14px; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Booking Cancelled</h1>
+          </div>
+          <div class="content">
+            <h2>Hi {{firstName}},</h2>
+            <p>We're sorry - {{cancelledByText}} has had to cancel your booking.</p>
+
+            <div class="booking-details">
+              <h3>Booking Details</h3>
+              <div class="detail-row">
+                <strong>Booking ID:</strong>
+                <span>{{bookingId}}</span>
+              </div>
+              <div class="detail-row">
+                <strong>Location:</strong>
+                <span>{{spaceAddress}}</span>
+              </div>
+              <div class="detail-row">
+                <strong>Date & Time:</strong>
+                <span>{{startTime}} - {{endTime}}</span>
+              </div>
+              <div class="detail-row">
+                <strong>Reason:</strong>
+                <span>{{reason}}</span>
+              </div>
+              <div class="detail-row">
+                <strong>Refund:</strong>
+                <span>{{refundSummary}}</span>
+              </div>
+            </div>
+
+            <h3>Other Spaces Nearby</h3>
+            {{alternativesHtml}}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 EasyParkNow. All rights reserved.</p>
+            <p>Need help? Contact us at support@easyparkNow.com</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
   }
 };
 
@@ -411,7 +478,7 @@ const sendBookingConfirmationEmail = async (booking, user, space) => {
       startTime: new Date(booking.startTime).toLocaleString(),
       endTime: new Date(booking.endTime).toLocaleString(),
       vehicleReg: booking.vehicleReg,
-      totalCost: booking.totalCost.toFixed(2),
+      totalCost: formatMoney(booking.totalCostMinor, booking.currency),
       accessInstructions: space.accessInstructions || 'No special instructions'
     }
   });
@@ -431,7 +498,51 @@ const sendPaymentReceiptEmail = async (payment, user, booking, space) => {
       paymentMethod: payment.paymentMethod || 'Card',
       bookingId: booking.id,
       spaceAddress: space.address,
-      amount: payment.amount.toFixed(2)
+      amount: formatMoney(payment.amountMinor, payment.currency)
+    }
+  });
+};
+
+/**
+ * Escape text for use in email HTML
+ * @param {string} text - Text entered by a user
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Send booking cancelled by host (or admin) email, with nearby alternatives
+ * @param {Object} booking - Cancelled booking (cancelledBy, cancellationReason)
+ * @param {Object} user - Driver
+ * @param {Object} space - Parking space
+ * @param {Array} alternatives - Nearby spaces from findAlternativeSpaces
+ * @param {string} refundSummary - What the driver gets back
+ */
+const sendHostCancellationEmail = async (booking, user, space, alternatives, refundSummary) => {
+  const alternativesHtml = alternatives.length > 0
+    ? `<ul>${alternatives.map(alt =>
+      `<li>${escapeHtml(alt.title)}, ${escapeHtml(alt.address)} - ${alt.distance} km away, ${formatMoney(alt.priceMinor, alt.currency)}/hour</li>`
+    ).join('')}</ul>`
+    : '<p>We couldn\'t find another free space nearby for your times. Try searching the app for other options.</p>';
+
+  return sendEmail({
+    to: user.email,
+    template: 'booking-cancelled-by-host',
+    data: {
+      firstName: escapeHtml(user.firstName),
+      cancelledByText: booking.cancelledBy === 'HOST' ? 'the host of your parking space' : 'EasyParkNow',
+      bookingId: booking.id,
+      spaceAddress: escapeHtml(space.address),
+      startTime: new Date(booking.startTime).toLocaleString(),
+      endTime: new Date(booking.endTime).toLocaleString(),
+      reason: escapeHtml(booking.cancellationReason || 'Not given'),
+      refundSummary: escapeHtml(refundSummary),
+      alternativesHtml
     }
   });
 };
@@ -441,5 +552,6 @@ module.exports = {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendBookingConfirmationEmail,
-  sendPaymentReceiptEmail
+  sendPaymentReceiptEmail,
+  sendHostCancellationEmail
 };
@@ -0,0 +1,118 @@
+/**
+ * Notification Service
+ *
+ * This service handles in-app notifications:
+ * - Creating notifications for booking, payment and review events
+ * - Listing a user's notifications with their unread count
+ * - Marking one or all of a user's notifications as read
+ *
+ * Notifications are a side effect of whatever raised them, so one that
+ * can't be saved is logged rather than failing a booking or payment that
+ * has already gone through.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const { publishEvent } = require('./realtimeService');
+
+const prisma = new PrismaClient();
+
+/**
+ * Create a notification for a user and push it to their open connections
+ * @param {Object} notification - { userId, type, title, message }
+ * @returns {Promise<Object|null>} - Created notification, or null if it couldn't be saved
+ */
+const createNotification = async ({ userId, type, title, message }) => {
+  let notification;
+  try {
+    notification = await prisma.notification.create({
+      data: { userId, type, title, message }
+    });
+  } catch (error) {
+    console.error('Failed to create notification:', { userId, type, error: error.message });
+    return null;
+  }
+
+  await publishEvent(userId, 'notification.created', { notification });
+
+  return notification;
+};
+
+/**
+ * Count a user's unread notifications
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const getUnreadCount = (userId) => prisma.notification.count({
+  where: { userId, isRead: false }
+});
+
+/**
+ * List a user's notifications, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit, unreadOnly }
+ * @returns {Promise<Object>} - { notifications, totalCount, unreadCount }
+ */
+const listNotifications = async (userId, { page = 1, limit = 20, unreadOnly = false } = {}) => {
+  const where = {
+    userId,
+    ...(unreadOnly && { isRead: false })
+  };
+
+  const [notifications, totalCount, unreadCount] = await Promise.all([
+    prisma.notification.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit
+    }),
+    prisma.notification.count({ where }),
+    getUnreadCount(userId)
+  ]);
+
+  return { notifications, totalCount, unreadCount };
+};
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {string} userId - User ID
+ * @param {string} notificationId - Notification ID
+ * @returns {Promise<Object>} - Updated notification
+ */
+const markNotificationRead = async (userId, notificationId) => {
+  // Scoped to the user, so nobody can touch another user's notifications
+  const { count } = await prisma.notification.updateMany({
+    where: { id: notificationId, userId },
+    data: { isRead: true }
+  });
+
+  if (count === 0) {
+    throw new AppError('Notification not found', 404, 'NOTIFICATION_NOT_FOUND');
+  }
+
+  return prisma.notification.findUnique({
+    where: { id: notificationId }
+  });
+};
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Number of notifications marked
+ */
+const markAllNotificationsRead = async (userId) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId, isRead: false },
+    data: { isRead: true }
+  });
+
+  return count;
+};
+
+module.exports = {
+  createNotification,
+  getUnreadCount,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
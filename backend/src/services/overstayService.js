@@ -0,0 +1,251 @@
+/**
+ * Overstay Service
+ *
+ * This service handles drivers who stay past their booking's end time:
+ * - Warning drivers shortly before their end time
+ * - Working out how long a driver overstayed and what it costs
+ * - Charging the overstay to the card used for the booking, recorded as a
+ *   separate OVERSTAY payment
+ *
+ * Overstays are billed per started 15-minute increment after a short
+ * grace period, at the space's overtime rate (or the base price times
+ * OVERSTAY_RATE_MULTIPLIER when the host hasn't set one).
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { processPayment, syncBookingTotal } = require('./paymentService');
+const { sendEmail } = require('./emailService');
+const { createNotification } = require('./notificationService');
+const { publishPaymentFailed } = require('./realtimeService');
+const { BILLING_INCREMENT_MINUTES } = require('./pricingService');
+const { getHostTransfer, recordHostEarning } = require('./payoutService');
+const { formatMoney } = require('../utils/money');
+
+const prisma = new PrismaClient();
+
+// Minutes past endTime before an overstay is charged (0 charges from the
+// first minute)
+const parsedGraceMinutes = parseInt(process.env.OVERSTAY_GRACE_MINUTES, 10);
+const OVERSTAY_GRACE_MINUTES = Number.isNaN(parsedGraceMinutes) ? 10 : parsedGraceMinutes;
+
+// Overtime rate as a multiple of the base hourly price
+const OVERSTAY_RATE_MULTIPLIER = parseFloat(process.env.OVERSTAY_RATE_MULTIPLIER) || 1.5;
+
+// How long before endTime drivers are warned
+const OVERSTAY_WARNING_MINUTES = parseInt(process.env.OVERSTAY_WARNING_MINUTES) || 15;
+
+/**
+ * Get the hourly overtime rate for a space
+ * @param {Object} space - Parking space (priceMinor, overtimeRateMinor)
+ * @returns {number} - Rate per hour in minor units
+ */
+const getOvertimeRate = (space) => {
+  if (space.overtimeRateMinor !== null && space.overtimeRateMinor !== undefined) {
+    return space.overtimeRateMinor;
+  }
+
+  return Math.round(space.priceMinor * OVERSTAY_RATE_MULTIPLIER);
+};
+
+/**
+ * Work out how long a driver overstayed and what it costs
+ * @param {Object} booking - Booking (endTime)
+ * @param {Object} space - Parking space (priceMinor, overtimeRateMinor, currency)
+ * @param {Date} checkedOutAt - When the driver left
+ * @returns {Object} - { overstayMinutes, billedMinutes, currency, rateMinor, amountMinor }
+ */
+const calculateOverstay = (booking, space, checkedOutAt) => {
+  const overstayMinutes = Math.max(0, Math.ceil((checkedOutAt - new Date(booking.endTime)) / (60 * 1000)));
+  const rateMinor = getOvertimeRate(space);
+  const { currency } = space;
+
+  if (overstayMinutes <= OVERSTAY_GRACE_MINUTES) {
+    return { overstayMinutes, billedMinutes: 0, currency, rateMinor, amountMinor: 0 };
+  }
+
+  const billedMinutes = Math.ceil(overstayMinutes / BILLING_INCREMENT_MINUTES) * BILLING_INCREMENT_MINUTES;
+  const amountMinor = Math.round(rateMinor * billedMinutes / 60);
+
+  return { overstayMinutes, billedMinutes, currency, rateMinor, amountMinor };
+};
+
+/**
+ * Record a booking's overstay and charge it to the driver's saved card
+ *
+ * The charge uses an idempotency key per booking, so retrying after a
+ * crash can't charge the driver twice. A failed charge is recorded as a
+ * FAILED payment and the driver is notified.
+ *
+ * @param {Object} booking - Booking with space, user and payments included
+ * @param {Date} checkedOutAt - When the driver left (or the session was closed)
+ * @returns {Promise<Object>} - Overstay details with the payment, if any
+ */
+const chargeOverstay = async (booking, checkedOutAt) => {
+  const overstay = calculateOverstay(booking, booking.space, checkedOutAt);
+
+  await prisma.booking.update({
+    where: { id: booking.id },
+    data: { overstayMinutes: overstay.overstayMinutes }
+  });
+
+  if (overstay.amountMinor <= 0) {
+    return { ...overstay, payment: null };
+  }
+
+  const originalPayment = booking.payments.find(payment =>
+    payment.type === 'BOOKING' && payment.stripePaymentMethodId
+  );
+
+  const transfer = await getHostTransfer(booking.space.ownerId, overstay.amountMinor);
+
+  const paymentData = {
+    userId: booking.userId,
+    bookingId: booking.id,
+    type: 'OVERSTAY',
+    amountMinor: overstay.amountMinor,
+    currency: booking.currency,
+    paymentMethod: originalPayment?.paymentMethod,
+    last4: originalPayment?.last4,
+    brand: originalPayment?.brand,
+    stripePaymentMethodId: originalPayment?.stripePaymentMethodId,
+    applicationFeeMinor: transfer.applicationFeeMinor,
+    transferDestination: transfer.destination
+  };
+
+  try {
+    if (!originalPayment || !booking.user.stripeCustomerId) {
+      throw new Error('No saved payment method for booking');
+    }
+
+    const paymentResult = await processPayment({
+      amountMinor: overstay.amountMinor,
+      currency: booking.currency,
+      paymentMethodId: originalPayment.stripePaymentMethodId,
+      customerId: booking.user.stripeCustomerId,
+      offSession: true,
+      idempotencyKey: `overstay-${booking.id}`,
+      transfer,
+      metadata: {
+        bookingId: booking.id,
+        type: 'overstay',
+        overstayMinutes: String(overstay.overstayMinutes)
+      }
+    });
+
+    const payment = await prisma.payment.create({
+      data: {
+        ...paymentData,
+        status: 'SUCCEEDED',
+        stripePaymentId: paymentResult.id
+      }
+    });
+    await recordHostEarning(payment, booking.space.ownerId);
+    await syncBookingTotal(booking.id);
+
+    return { ...overstay, payment };
+  } catch (error) {
+    console.error('Overstay charge failed:', { bookingId: booking.id, error: error.message });
+
+    const payment = await prisma.payment.create({
+      data: {
+        ...paymentData,
+        status: 'FAILED'
+      }
+    });
+
+    await createNotification({
+      userId: booking.userId,
+      type: 'PAYMENT_FAILED',
+      title: 'Overstay payment failed',
+      message: `We couldn't charge ${formatMoney(overstay.amountMinor, booking.currency)} for overstaying your booking at ${booking.space.address}. ` +
+        'Please update your payment details.'
+    });
+
+    await publishPaymentFailed(booking.userId, {
+      bookingId: booking.id,
+      message: `We couldn't charge ${formatMoney(overstay.amountMinor, booking.currency)} for overstaying your booking.`
+    });
+
+    return { ...overstay, payment };
+  }
+};
+
+/**
+ * Warn drivers whose checked-in sessions end soon
+ *
+ * Each booking is claimed by setting overstayWarningSentAt before the
+ * warning goes out, so only one instance warns each driver.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of drivers warned
+ */
+const sendOverstayWarnings = async (now) => {
+  const warnBefore = new Date(now.getTime() + OVERSTAY_WARNING_MINUTES * 60 * 1000);
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: 'ACTIVE',
+      checkedInAt: { not: null },
+      overstayWarningSentAt: null,
+      endTime: { gt: now, lte: warnBefore }
+    },
+    include: {
+      space: true,
+      user: {
+        select: {
+          id: true,
+          firstName: true,
+          email: true
+        }
+      }
+    }
+  });
+
+  let warned = 0;
+  for (const booking of bookings) {
+    const claim = await prisma.booking.updateMany({
+      where: { id: booking.id, overstayWarningSentAt: null },
+      data: { overstayWarningSentAt: now }
+    });
+
+    if (claim.count === 0) {
+      continue;
+    }
+
+    const endTime = new Date(booking.endTime).toLocaleTimeString();
+    const rate = formatMoney(getOvertimeRate(booking.space), booking.currency);
+    const message = `Your parking at ${booking.space.address} ends at ${endTime}. ` +
+      `Staying later is charged at ${rate}/hour, or extend your booking in the app.`;
+
+    await createNotification({
+      userId: booking.userId,
+      type: 'REMINDER',
+      title: 'Your parking ends soon',
+      message
+    });
+
+    try {
+      await sendEmail({
+        to: booking.user.email,
+        subject: 'Your parking ends soon - EasyParkNow',
+        html: `<p>Hi ${booking.user.firstName},</p><p>${message}</p>`,
+        text: message
+      });
+    } catch (emailError) {
+      console.error('Failed to send overstay warning email:', emailError);
+    }
+
+    warned++;
+  }
+
+  return warned;
+};
+
+module.exports = {
+  getOvertimeRate,
+  calculateOverstay,
+  chargeOverstay,
+  sendOverstayWarnings,
+  OVERSTAY_GRACE_MINUTES,
+  OVERSTAY_WARNING_MINUTES
+};
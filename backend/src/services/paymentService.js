@@ -4,7 +4,11 @@
  * This service handles all payment processing for the EasyParkNow platform
  * using Stripe as the payment processor. It manages:
  * - Payment processing for bookings
- * - Refunds for cancelled bookings
+ * - Card authorisations captured later (request-to-book spaces)
+ * - Monthly invoices for recurring booking series
+ * - Routing charges to hosts' Stripe Connect accounts (see payoutService)
+ * - A per-booking ledger of charges (booking, extensions, overstays) and refunds
+ * - Refunds for cancelled bookings (with retryable failure tracking)
  * - Webhook handling for payment events
  * - Customer management
  * - Payment method storage
@@ -17,12 +21,21 @@
  * - Payment failure handling
  */
 
-const Stripe = require('stripe');
 const { PrismaClient } = require('@prisma/client');
 const { AppError } = require('../middleware/errorHandler');
+const { stripe } = require('./stripeClient');
 const { sendPaymentReceiptEmail } = require('./emailService');
+const { createNotification } = require('./notificationService');
+const { publishBookingEvents, publishPaymentFailed } = require('./realtimeService');
+const { DEFAULT_CURRENCY, allocateMinor, formatMoney } = require('../utils/money');
+const {
+  recordHostEarning,
+  reverseHostEarning,
+  cancelHostReversal,
+  syncHostAccount,
+  recordHostPayout
+} = require('./payoutService');
 
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 const prisma = new PrismaClient();
 
 /**
@@ -72,49 +85,74 @@ const createOrGetCustomer = async (user) => {
 /**
  * Process payment for booking
  * @param {Object} paymentData - Payment information
- * @param {number} paymentData.amount - Amount in pounds
- * @param {string} paymentData.currency - Currency code (default: 'gbp')
+ * @param {number} paymentData.amountMinor - Amount in minor units (pence for GBP)
+ * @param {string} paymentData.currency - Currency code (default: DEFAULT_CURRENCY)
  * @param {string} paymentData.paymentMethodId - Stripe payment method ID
  * @param {string} paymentData.customerId - Stripe customer ID
  * @param {Object} paymentData.metadata - Additional metadata
+ * @param {boolean} paymentData.saveForOffSession - Keep the card on the customer for later off-session charges
+ * @param {boolean} paymentData.offSession - Charge a saved card without the customer present
+ * @param {boolean} paymentData.captureLater - Only authorise the card; capture with capturePayment
+ * @param {string} paymentData.idempotencyKey - Stripe idempotency key (optional)
+ * @param {string} paymentData.description - Statement description (defaults to the booking ID)
+ * @param {Object} paymentData.transfer - Host routing from getHostTransfer (optional);
+ *   with a destination the charge is paid to the host less applicationFeeMinor
  * @returns {Promise<Object>} - Payment result
  */
 const processPayment = async (paymentData) => {
   try {
     const {
-      amount,
-      currency = 'gbp',
+      amountMinor,
+      currency = DEFAULT_CURRENCY,
       paymentMethodId,
       customerId,
-      metadata = {}
+      metadata = {},
+      saveForOffSession = false,
+      offSession = false,
+      captureLater = false,
+      idempotencyKey,
+      description,
+      transfer
     } = paymentData;
 
-    // Convert amount to pence (Stripe uses smallest currency unit)
-    const amountInPence = Math.round(amount * 100);
+    // Off-session charges can't ask the customer to authenticate, so they
+    // fail instead of returning requires_action
+    const confirmation = offSession
+      ? { off_session: true }
+      : { confirmation_method: 'manual', return_url: `${process.env.FRONTEND_URL}/booking-success` };
 
     // Create payment intent
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInPence,
+      // Stripe also takes amounts in the currency's smallest unit
+      amount: amountMinor,
       currency: currency.toLowerCase(),
       customer: customerId,
       payment_method: paymentMethodId,
-      confirmation_method: 'manual',
       confirm: true,
-      return_url: `${process.env.FRONTEND_URL}/booking-success`,
+      ...confirmation,
+      ...(saveForOffSession && { setup_future_usage: 'off_session' }),
+      ...(captureLater && { capture_method: 'manual' }),
+      ...(transfer && transfer.destination && {
+        transfer_data: { destination: transfer.destination },
+        application_fee_amount: transfer.applicationFeeMinor
+      }),
       metadata: {
         ...metadata,
         platform: 'EasyParkNow'
       },
-      description: `EasyParkNow parking booking - ${metadata.bookingId || 'Unknown'}`
-    });
+      description: description || `EasyParkNow parking booking - ${metadata.bookingId || 'Unknown'}`
+    }, idempotencyKey ? { idempotencyKey } : undefined);
 
     // Handle different payment statuses
     if (paymentIntent.status === 'requires_action' || paymentIntent.status === 'requires_source_action') {
-      // Payment requires additional authentication (3D Secure)
+      // Payment requires additional authentication (3D Secure); once the
+      // customer has authenticated it is completed with confirmPayment
       return {
         requiresAction: true,
+        id: paymentIntent.id,
         clientSecret: paymentIntent.client_secret,
-        status: paymentIntent.status
+        status: paymentIntent.status,
+        payment_method: paymentIntent.payment_method
       };
     } else if (paymentIntent.status === 'succeeded') {
       // Payment successful
@@ -122,10 +160,21 @@ const processPayment = async (paymentData) => {
       return {
         success: true,
         id: paymentIntent.id,
-        amount: amount,
+        amountMinor,
         status: 'succeeded',
         payment_method: paymentIntent.payment_method
       };
+    } else if (paymentIntent.status === 'requires_capture') {
+      // Card authorised, to be captured (or released) later
+      console.log('Payment authorised:', paymentIntent.id);
+      return {
+        success: true,
+        authorized: true,
+        id: paymentIntent.id,
+        amountMinor,
+        status: 'requires_capture',
+        payment_method: paymentIntent.payment_method
+      };
     } else {
       // Payment failed
       throw new AppError(`Payment failed with status: ${paymentIntent.status}`, 400, 'PAYMENT_FAILED');
@@ -158,11 +207,12 @@ const confirmPayment = async (paymentIntentId) => {
   try {
     const paymentIntent = await stripe.paymentIntents.confirm(paymentIntentId);
 
-    if (paymentIntent.status === 'succeeded') {
+    if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'requires_capture') {
       return {
         success: true,
+        authorized: paymentIntent.status === 'requires_capture',
         id: paymentIntent.id,
-        status: 'succeeded'
+        status: paymentIntent.status
       };
     } else {
       throw new AppError(`Payment confirmation failed: ${paymentIntent.status}`, 400, 'CONFIRMATION_FAILED');
@@ -174,27 +224,114 @@ const confirmPayment = async (paymentIntentId) => {
   }
 };
 
+/**
+ * Get a payment intent as Stripe has it now
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Stripe payment intent
+ */
+const getPaymentIntent = async (paymentIntentId) => {
+  try {
+    return await stripe.paymentIntents.retrieve(paymentIntentId);
+  } catch (error) {
+    console.error('Error retrieving payment intent:', error);
+    throw new AppError('Failed to retrieve payment', 503, 'SERVICE_UNAVAILABLE');
+  }
+};
+
+/**
+ * Capture an authorised payment
+ * @param {string} paymentIntentId - Payment intent ID
+ * @param {Object} options - Extra options
+ * @param {string} options.idempotencyKey - Stripe idempotency key, so retries can't capture twice
+ * @returns {Promise<Object>} - Capture result
+ */
+const capturePayment = async (paymentIntentId, options = {}) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.capture(paymentIntentId, {}, {
+      ...(options.idempotencyKey && { idempotencyKey: options.idempotencyKey })
+    });
+
+    if (paymentIntent.status !== 'succeeded') {
+      throw new AppError(`Payment capture failed with status: ${paymentIntent.status}`, 400, 'CAPTURE_FAILED');
+    }
+
+    console.log('Payment captured:', paymentIntent.id);
+
+    return {
+      success: true,
+      id: paymentIntent.id,
+      amountMinor: paymentIntent.amount_received,
+      status: 'succeeded'
+    };
+
+  } catch (error) {
+    console.error('Payment capture error:', error);
+
+    if (error instanceof AppError) {
+      throw error;
+    } else if (error.type === 'StripeCardError') {
+      throw new AppError(error.message, 400, 'CARD_ERROR');
+    } else if (['StripeAPIError', 'StripeConnectionError', 'StripeRateLimitError'].includes(error.type)) {
+      // The capture may or may not have gone through
+      throw new AppError('Payment service temporarily unavailable', 503, 'SERVICE_UNAVAILABLE');
+    }
+    throw new AppError('Payment capture failed', 400, 'CAPTURE_FAILED');
+  }
+};
+
+/**
+ * Release an authorised payment without capturing it
+ * @param {string} paymentIntentId - Payment intent ID
+ * @returns {Promise<Object>} - Cancellation result
+ */
+const cancelPaymentAuthorization = async (paymentIntentId) => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.cancel(paymentIntentId, {
+      cancellation_reason: 'abandoned'
+    });
+
+    console.log('Payment authorisation released:', paymentIntent.id);
+
+    return {
+      success: true,
+      id: paymentIntent.id,
+      status: paymentIntent.status
+    };
+
+  } catch (error) {
+    console.error('Payment authorisation release error:', error);
+    throw new AppError('Payment authorisation could not be released', 500, 'AUTHORIZATION_RELEASE_ERROR');
+  }
+};
+
 /**
  * Process refund for cancelled booking
  * @param {string} paymentIntentId - Original payment intent ID
- * @param {number} amount - Refund amount in pounds
+ * @param {number} amountMinor - Refund amount in minor units
  * @param {string} reason - Refund reason
+ * @param {Object} options - Extra options
+ * @param {string} options.idempotencyKey - Stripe idempotency key, so retries can't refund twice
+ * @param {boolean} options.reverseTransfer - Take the host's share and the platform fee back too
+ *   (for charges paid to a host's connected account)
  * @returns {Promise<Object>} - Refund result
  */
-const processRefund = async (paymentIntentId, amount, reason = 'requested_by_customer') => {
+const processRefund = async (paymentIntentId, amountMinor, reason = 'requested_by_customer', options = {}) => {
   try {
-    // Convert amount to pence
-    const amountInPence = Math.round(amount * 100);
-
     // Create refund
     const refund = await stripe.refunds.create({
       payment_intent: paymentIntentId,
-      amount: amountInPence,
+      amount: amountMinor,
       reason: reason,
+      ...(options.reverseTransfer && {
+        reverse_transfer: true,
+        refund_application_fee: true
+      }),
       metadata: {
         platform: 'EasyParkNow',
         refund_type: 'booking_cancellation'
       }
+    }, {
+      ...(options.idempotencyKey && { idempotencyKey: options.idempotencyKey })
     });
 
     console.log('Refund processed:', refund.id);
@@ -202,7 +339,7 @@ const processRefund = async (paymentIntentId, amount, reason = 'requested_by_cus
     return {
       success: true,
       id: refund.id,
-      amount: amount,
+      amountMinor,
       status: refund.status,
       reason: reason
     };
@@ -213,6 +350,426 @@ const processRefund = async (paymentIntentId, amount, reason = 'requested_by_cus
   }
 };
 
+/**
+ * Create an invoice for a customer, ready to be charged with payInvoice
+ * @param {Object} invoiceData - Invoice information
+ * @param {string} invoiceData.customerId - Stripe customer ID
+ * @param {string} invoiceData.currency - Currency code
+ * @param {Array<{amountMinor: number, description: string}>} invoiceData.lines - Invoice lines
+ * @param {Object} invoiceData.metadata - Additional metadata
+ * @param {Object} invoiceData.transfer - Host routing from getHostTransfer (optional)
+ * @param {string} invoiceData.idempotencyKey - Base for the Stripe idempotency keys
+ * @returns {Promise<Object>} - Draft Stripe invoice
+ */
+const createInvoice = async (invoiceData) => {
+  const {
+    customerId,
+    currency = DEFAULT_CURRENCY,
+    lines,
+    metadata = {},
+    transfer,
+    idempotencyKey
+  } = invoiceData;
+
+  try {
+    // Charged straight away by payInvoice rather than on Stripe's schedule
+    const invoice = await stripe.invoices.create({
+      customer: customerId,
+      currency: currency.toLowerCase(),
+      collection_method: 'charge_automatically',
+      auto_advance: false,
+      pending_invoice_items_behavior: 'exclude',
+      ...(transfer && transfer.destination && {
+        transfer_data: { destination: transfer.destination },
+        application_fee_amount: transfer.applicationFeeMinor
+      }),
+      metadata: {
+        ...metadata,
+        platform: 'EasyParkNow'
+      }
+    }, { idempotencyKey });
+
+    for (const [index, line] of lines.entries()) {
+      await stripe.invoiceItems.create({
+        customer: customerId,
+        invoice: invoice.id,
+        amount: line.amountMinor,
+        currency: currency.toLowerCase(),
+        description: line.description
+      }, { idempotencyKey: `${idempotencyKey}-line-${index}` });
+    }
+
+    return invoice;
+
+  } catch (error) {
+    console.error('Invoice creation error:', error);
+    throw new AppError('Failed to create invoice', 500, 'INVOICE_ERROR');
+  }
+};
+
+/**
+ * Finalise an invoice and charge it to a saved card
+ *
+ * An invoice that can't be paid is voided, so it can't be collected later.
+ *
+ * @param {string} invoiceId - Stripe invoice ID
+ * @param {string} paymentMethodId - Saved Stripe payment method ID
+ * @returns {Promise<Object>} - Paid Stripe invoice
+ */
+const payInvoice = async (invoiceId, paymentMethodId) => {
+  try {
+    await stripe.invoices.finalizeInvoice(invoiceId, { auto_advance: false });
+    const invoice = await stripe.invoices.pay(invoiceId, {
+      payment_method: paymentMethodId,
+      off_session: true
+    }, { idempotencyKey: `pay-${invoiceId}` });
+
+    if (invoice.status !== 'paid') {
+      throw new AppError(`Invoice payment failed with status: ${invoice.status}`, 400, 'PAYMENT_FAILED');
+    }
+
+    console.log('Invoice paid:', invoice.id);
+    return invoice;
+
+  } catch (error) {
+    console.error('Invoice payment error:', error);
+
+    try {
+      await stripe.invoices.voidInvoice(invoiceId);
+    } catch (voidError) {
+      console.error('Failed to void unpaid invoice:', { invoiceId, error: voidError.message });
+    }
+
+    if (error.type === 'StripeCardError') {
+      throw new AppError(error.message, 400, 'CARD_ERROR');
+    } else if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError('Invoice payment failed', 400, 'PAYMENT_FAILED');
+  }
+};
+
+/**
+ * Record a paid series invoice in the bookings' ledgers
+ *
+ * The amount paid and the platform fee are shared out across the bookings
+ * the invoice covers, in proportion to their price, and each share is
+ * recorded as a BOOKING charge with its host earning. Bookings whose share
+ * is already recorded are skipped (after recording its host earning, if the
+ * run that recorded it stopped short of that), so this is safe to call
+ * again, or at the same time, from the webhook.
+ *
+ * @param {Object} invoice - Paid Stripe invoice
+ * @returns {Promise<Array>} - Charge entries created
+ */
+const recordInvoicePayment = async (invoice) => {
+  const bookings = await prisma.booking.findMany({
+    where: {
+      stripeInvoiceId: invoice.id,
+      // A series abandoned after its invoice was paid has been refunded
+      series: { status: { not: 'CANCELLED' } }
+    },
+    include: { space: { select: { ownerId: true } } },
+    orderBy: { startTime: 'asc' }
+  });
+
+  if (bookings.length === 0) {
+    return [];
+  }
+
+  const weights = bookings.map(booking => booking.totalCostMinor);
+  const amounts = allocateMinor(invoice.amount_paid, weights);
+  const fees = allocateMinor(invoice.application_fee_amount || 0, weights);
+
+  const payments = [];
+  for (const [index, booking] of bookings.entries()) {
+    let payment;
+    try {
+      payment = await prisma.payment.create({
+        data: {
+          userId: booking.userId,
+          bookingId: booking.id,
+          type: 'BOOKING',
+          amountMinor: amounts[index],
+          currency: booking.currency,
+          status: 'SUCCEEDED',
+          stripePaymentId: invoice.payment_intent,
+          paymentMethod: 'card',
+          stripePaymentMethodId: invoice.default_payment_method,
+          applicationFeeMinor: fees[index],
+          transferDestination: invoice.transfer_data?.destination || null
+        }
+      });
+    } catch (error) {
+      // Already recorded, by the webhook and the series racing each other
+      // or by an earlier run; (bookingId, stripePaymentId, type) is unique
+      if (error.code !== 'P2002') {
+        throw error;
+      }
+
+      payment = await prisma.payment.findFirst({
+        where: { bookingId: booking.id, stripePaymentId: invoice.payment_intent, type: 'BOOKING' }
+      });
+      const earning = await prisma.hostLedgerEntry.findUnique({
+        where: { paymentId: payment.id }
+      });
+      if (earning) {
+        continue;
+      }
+    }
+
+    try {
+      await recordHostEarning(payment, booking.space.ownerId);
+    } catch (error) {
+      // Recorded by a concurrent run; paymentId is unique on the ledger
+      if (error.code === 'P2002') {
+        continue;
+      }
+      throw error;
+    }
+    payments.push(payment);
+  }
+
+  return payments;
+};
+
+// Ledger entries that take money from the driver
+const CHARGE_TYPES = ['BOOKING', 'EXTENSION', 'OVERSTAY'];
+
+// Charge statuses once the money has been taken; refunds move a charge
+// from SUCCEEDED through PARTIALLY_REFUNDED to REFUNDED
+const PAID_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+// Paid charges with money left to refund
+const REFUNDABLE_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED'];
+
+// Refund entries that count against their charge (FAILED ones don't, so
+// the money can be refunded again)
+const OUTSTANDING_REFUND_STATUSES = ['PENDING', 'SUCCEEDED'];
+
+/**
+ * Summarise a booking's payments ledger
+ * @param {Array} payments - Ledger entries for one booking
+ * @returns {Object} - { chargedMinor, refundedMinor, netMinor, currency }
+ */
+const summariseLedger = (payments) => {
+  const chargedMinor = payments
+    .filter(payment => CHARGE_TYPES.includes(payment.type) && PAID_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amountMinor, 0);
+
+  const refundedMinor = payments
+    .filter(payment => payment.type === 'REFUND' && OUTSTANDING_REFUND_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amountMinor, 0);
+
+  return {
+    chargedMinor,
+    refundedMinor,
+    netMinor: chargedMinor - refundedMinor,
+    currency: payments.length > 0 ? payments[0].currency : DEFAULT_CURRENCY
+  };
+};
+
+/**
+ * Get how much of a charge hasn't been refunded yet
+ * @param {Object} charge - Charge entry
+ * @param {Array} payments - Ledger entries for the charge's booking
+ * @returns {number} - Refundable amount in minor units
+ */
+const getRefundableAmount = (charge, payments) => {
+  const refundedMinor = payments
+    .filter(payment => payment.refundedPaymentId === charge.id && OUTSTANDING_REFUND_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amountMinor, 0);
+
+  return Math.max(0, charge.amountMinor - refundedMinor);
+};
+
+/**
+ * Work out a paid charge's status from how much of it has been refunded
+ * @param {Object} charge - Charge entry
+ * @param {number} refundedMinor - Outstanding refunds against it in minor units
+ * @returns {string} - SUCCEEDED, PARTIALLY_REFUNDED or REFUNDED
+ */
+const getChargeStatus = (charge, refundedMinor) => {
+  if (refundedMinor >= charge.amountMinor) {
+    return 'REFUNDED';
+  }
+  return refundedMinor > 0 ? 'PARTIALLY_REFUNDED' : 'SUCCEEDED';
+};
+
+/**
+ * Bring a charge's refund summary in line with its REFUND entries
+ * @param {string} chargeId - Charge payment ID
+ * @returns {Promise<Object>} - Updated charge
+ */
+const syncChargeRefunds = async (chargeId) => {
+  const [charge, refunds] = await Promise.all([
+    prisma.payment.findUnique({ where: { id: chargeId } }),
+    prisma.payment.findMany({
+      where: { refundedPaymentId: chargeId },
+      orderBy: { createdAt: 'asc' }
+    })
+  ]);
+
+  const outstanding = refunds.filter(refund => OUTSTANDING_REFUND_STATUSES.includes(refund.status));
+  const refundedMinor = outstanding.reduce((sum, refund) => sum + refund.amountMinor, 0);
+  const latest = refunds[refunds.length - 1];
+  const isPaid = PAID_STATUSES.includes(charge.status);
+
+  return prisma.payment.update({
+    where: { id: chargeId },
+    data: {
+      refundAmountMinor: refundedMinor > 0 ? refundedMinor : null,
+      refundStatus: latest ? latest.status : null,
+      refundedAt: outstanding.length > 0 ? outstanding[outstanding.length - 1].createdAt : null,
+      ...(isPaid && { status: getChargeStatus(charge, refundedMinor) })
+    }
+  });
+};
+
+/**
+ * Recalculate a booking's totalCostMinor from its ledger (charges less refunds)
+ *
+ * Bookings with nothing charged yet keep their quoted price.
+ *
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object|null>} - Updated booking, or null if nothing has been charged
+ */
+const syncBookingTotal = async (bookingId) => {
+  const payments = await prisma.payment.findMany({ where: { bookingId } });
+  const { chargedMinor, netMinor } = summariseLedger(payments);
+
+  if (chargedMinor === 0) {
+    return null;
+  }
+
+  return prisma.booking.update({
+    where: { id: bookingId },
+    data: { totalCostMinor: netMinor }
+  });
+};
+
+/**
+ * Refund part or all of a charge through Stripe and record it in the ledger
+ *
+ * The refund is written as a PENDING REFUND entry before Stripe is called
+ * and its ID is used as the idempotency key. If Stripe fails the entry is
+ * marked FAILED and no longer counts against the charge, so the money can
+ * be refunded again later. The charge is marked PARTIALLY_REFUNDED until
+ * all of it has been refunded.
+ *
+ * @param {Object} payment - Charge entry to refund
+ * @param {number} amountMinor - Refund amount in minor units
+ * @param {string} reason - Refund reason
+ * @returns {Promise<Object>} - { success, payment, refundEntry, refund?, error? }
+ */
+const refundPayment = async (payment, amountMinor, reason = 'requested_by_customer') => {
+  const pendingEntry = await prisma.payment.create({
+    data: {
+      userId: payment.userId,
+      bookingId: payment.bookingId,
+      type: 'REFUND',
+      amountMinor,
+      currency: payment.currency,
+      status: 'PENDING',
+      refundedPaymentId: payment.id
+    }
+  });
+
+  let result;
+  try {
+    if (!payment.stripePaymentId) {
+      throw new AppError('Payment has no Stripe charge to refund', 400, 'REFUND_ERROR');
+    }
+
+    const refund = await processRefund(payment.stripePaymentId, amountMinor, reason, {
+      idempotencyKey: `refund-${pendingEntry.id}`,
+      reverseTransfer: Boolean(payment.transferDestination)
+    });
+
+    const refundEntry = await prisma.payment.update({
+      where: { id: pendingEntry.id },
+      data: {
+        status: refund.status === 'succeeded' ? 'SUCCEEDED' : 'PENDING',
+        stripeRefundId: refund.id
+      }
+    });
+
+    await reverseHostEarning(payment, refundEntry);
+
+    result = { success: true, refundEntry, refund };
+
+  } catch (error) {
+    console.error('Refund failed, payment left for retry:', {
+      paymentId: payment.id,
+      error: error.message
+    });
+
+    const refundEntry = await prisma.payment.update({
+      where: { id: pendingEntry.id },
+      data: { status: 'FAILED' }
+    });
+
+    result = { success: false, refundEntry, error };
+  }
+
+  const updatedPayment = await syncChargeRefunds(payment.id);
+  await syncBookingTotal(payment.bookingId);
+
+  return { ...result, payment: updatedPayment };
+};
+
+/**
+ * Refund an amount across a booking's charges, newest charge first
+ * @param {string} bookingId - Booking ID
+ * @param {number} amountMinor - Total to refund in minor units
+ * @param {string} reason - Refund reason
+ * @returns {Promise<Object>} - { refundedAmountMinor, refundStatus, refunds }
+ */
+const refundBooking = async (bookingId, amountMinor, reason = 'requested_by_customer') => {
+  const payments = await prisma.payment.findMany({
+    where: { bookingId },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  const charges = payments.filter(payment =>
+    CHARGE_TYPES.includes(payment.type) && REFUNDABLE_STATUSES.includes(payment.status)
+  );
+
+  let remaining = amountMinor;
+  const results = [];
+  for (const charge of charges) {
+    const portion = Math.min(getRefundableAmount(charge, payments), remaining);
+    if (portion <= 0) {
+      continue;
+    }
+
+    results.push(await refundPayment(charge, portion, reason));
+    remaining -= portion;
+
+    if (remaining <= 0) {
+      break;
+    }
+  }
+
+  const refunds = results.map(result => result.refundEntry);
+  const refundedAmountMinor = refunds
+    .filter(refund => refund.status !== 'FAILED')
+    .reduce((sum, refund) => sum + refund.amountMinor, 0);
+
+  let refundStatus = null;
+  if (refunds.some(refund => refund.status === 'FAILED')) {
+    refundStatus = 'FAILED';
+  } else if (refunds.length > 0) {
+    refundStatus = refunds.every(refund => refund.status === 'SUCCEEDED') ? 'SUCCEEDED' : 'PENDING';
+  }
+
+  return {
+    refundedAmountMinor,
+    refundStatus,
+    refunds
+  };
+};
+
 /**
  * Get payment methods for customer
  * @param {string} customerId - Stripe customer ID
@@ -309,6 +866,19 @@ const handleWebhookEvent = async (event) => {
         await handleInvoicePaymentSucceeded(event.data.object);
         break;
 
+      case 'charge.refund.updated':
+        await handleRefundUpdated(event.data.object);
+        break;
+
+      // Connected account events (event.account is the host's account)
+      case 'account.updated':
+        await syncHostAccount(event.data.object);
+        break;
+
+      case 'payout.paid':
+        await recordHostPayout(event.account, event.data.object);
+        break;
+
       default:
         console.log(`Unhandled event type: ${event.type}`);
     }
@@ -332,31 +902,45 @@ const handlePaymentSucceeded = async (paymentIntent) => {
       return;
     }
 
-    // Update payment record
+    // Update payment record; charges still PENDING on the driver's
+    // authentication are completed by POST /api/payments/confirm
     await prisma.payment.updateMany({
       where: {
-        stripePaymentId: paymentIntent.id
+        stripePaymentId: paymentIntent.id,
+        status: { not: 'PENDING' }
       },
       data: {
         status: 'SUCCEEDED'
       }
     });
 
-    // Get booking details for email
-    const booking = await prisma.booking.findUnique({
-      where: { id: bookingId },
-      include: {
-        user: true,
-        space: true,
-        payment: true
-      }
-    });
+    // Get payment and booking details for email
+    const [payment, booking] = await Promise.all([
+      prisma.payment.findFirst({
+        where: { stripePaymentId: paymentIntent.id }
+      }),
+      prisma.booking.findUnique({
+        where: { id: bookingId },
+        include: {
+          user: true,
+          space: true
+        }
+      })
+    ]);
+
+    if (payment && booking) {
+      await createNotification({
+        userId: booking.userId,
+        type: 'PAYMENT_RECEIVED',
+        title: 'Payment received',
+        message: `We've received your payment of ${formatMoney(payment.amountMinor, payment.currency)} ` +
+          `for ${booking.space.title} on ${new Date(booking.startTime).toLocaleString()}.`
+      });
 
-    if (booking) {
       // Send payment receipt email
       try {
         await sendPaymentReceiptEmail(
-          booking.payment,
+          payment,
           booking.user,
           booking,
           booking.space
@@ -396,10 +980,31 @@ const handlePaymentFailed = async (paymentIntent) => {
       }
     });
 
+    // Extension and overstay charges are handled (and the driver told) where
+    // they're taken; the booking itself still stands
+    if (paymentIntent.metadata.type) {
+      return;
+    }
+
     // Cancel the booking
-    await prisma.booking.update({
+    const booking = await prisma.booking.update({
       where: { id: bookingId },
-      data: { status: 'CANCELLED' }
+      data: { status: 'CANCELLED' },
+      include: { space: true }
+    });
+
+    await createNotification({
+      userId: booking.userId,
+      type: 'PAYMENT_FAILED',
+      title: 'Payment failed',
+      message: `We couldn't take payment for your booking at ${booking.space.address} on ` +
+        `${new Date(booking.startTime).toLocaleString()}, so it has been cancelled. Please check your payment details.`
+    });
+
+    await publishBookingEvents(bookingId);
+    await publishPaymentFailed(booking.userId, {
+      bookingId,
+      message: 'We couldn\'t take payment for your booking, so it has been cancelled.'
     });
 
     console.log('Payment failed webhook processed for booking:', bookingId);
@@ -409,6 +1014,54 @@ const handlePaymentFailed = async (paymentIntent) => {
   }
 };
 
+/**
+ * Handle refund status changes (refunds can settle or fail after creation)
+ * @param {Object} refund - Stripe refund object
+ */
+const handleRefundUpdated = async (refund) => {
+  try {
+    const refundStatus = {
+      succeeded: 'SUCCEEDED',
+      failed: 'FAILED',
+      canceled: 'FAILED'
+    }[refund.status];
+
+    if (!refundStatus) {
+      return;
+    }
+
+    const refundEntry = await prisma.payment.findUnique({
+      where: { stripeRefundId: refund.id }
+    });
+
+    if (!refundEntry) {
+      console.log('No ledger entry for refund:', refund.id);
+      return;
+    }
+
+    // A failed refund means the money stayed with us, so the charge can be refunded again
+    await prisma.payment.update({
+      where: { id: refundEntry.id },
+      data: { status: refundStatus }
+    });
+
+    // The host keeps their share of a refund that never went through
+    if (refundStatus === 'FAILED') {
+      await cancelHostReversal(refundEntry.id);
+    }
+
+    if (refundEntry.refundedPaymentId) {
+      await syncChargeRefunds(refundEntry.refundedPaymentId);
+    }
+    await syncBookingTotal(refundEntry.bookingId);
+
+    console.log('Refund updated webhook processed:', refund.id, refund.status);
+
+  } catch (error) {
+    console.error('Error handling refund update:', error);
+  }
+};
+
 /**
  * Handle charge dispute
  * @param {Object} dispute - Stripe dispute object
@@ -428,15 +1081,23 @@ const handleChargeDispute = async (dispute) => {
 };
 
 /**
- * Handle invoice payment succeeded (for subscriptions if implemented)
+ * Handle invoice payment succeeded (monthly booking series invoices)
  * @param {Object} invoice - Stripe invoice object
  */
 const handleInvoicePaymentSucceeded = async (invoice) => {
   try {
     console.log('Invoice payment succeeded:', invoice.id);
-    
-    // TODO: Handle subscription payments if implemented
-    
+
+    if (!invoice.metadata?.seriesId) {
+      console.log('No booking series ID in invoice metadata');
+      return;
+    }
+
+    // Normally recorded when the invoice is paid; this catches any the
+    // invoicing job didn't get to record
+    const payments = await recordInvoicePayment(invoice);
+    console.log('Invoice payment webhook processed:', invoice.id, `(${payments.length} charges recorded)`);
+
   } catch (error) {
     console.error('Error handling invoice payment:', error);
   }
@@ -483,29 +1144,53 @@ const getPaymentStats = async (filters = {}) => {
       };
     }
 
+    // Counts are of charges; refunds are netted off the revenue
+    const charges = { ...where, type: { in: CHARGE_TYPES } };
+
     const [
       totalPayments,
       successfulPayments,
       failedPayments,
       refundedPayments,
-      totalRevenue
+      chargedByCurrency,
+      refundedByCurrency
     ] = await Promise.all([
-      prisma.payment.count({ where }),
-      prisma.payment.count({ where: { ...where, status: 'SUCCEEDED' } }),
-      prisma.payment.count({ where: { ...where, status: 'FAILED' } }),
-      prisma.payment.count({ where: { ...where, status: 'REFUNDED' } }),
-      prisma.payment.aggregate({
-        where: { ...where, status: 'SUCCEEDED' },
-        _sum: { amount: true }
+      prisma.payment.count({ where: charges }),
+      prisma.payment.count({ where: { ...charges, status: { in: REFUNDABLE_STATUSES } } }),
+      prisma.payment.count({ where: { ...charges, status: 'FAILED' } }),
+      prisma.payment.count({ where: { ...charges, status: 'REFUNDED' } }),
+      prisma.payment.groupBy({
+        by: ['currency'],
+        where: { ...charges, status: { in: PAID_STATUSES } },
+        _sum: { amountMinor: true }
+      }),
+      prisma.payment.groupBy({
+        by: ['currency'],
+        where: { ...where, type: 'REFUND', status: { in: OUTSTANDING_REFUND_STATUSES } },
+        _sum: { amountMinor: true }
       })
     ]);
 
+    // Amounts in different currencies can't be added together
+    const revenue = {};
+    chargedByCurrency.forEach(group => {
+      revenue[group.currency] = (revenue[group.currency] || 0) + (group._sum.amountMinor || 0);
+    });
+    refundedByCurrency.forEach(group => {
+      revenue[group.currency] = (revenue[group.currency] || 0) - (group._sum.amountMinor || 0);
+    });
+
     return {
       totalPayments,
       successfulPayments,
       failedPayments,
       refundedPayments,
-      totalRevenue: totalRevenue._sum.amount || 0,
+      currency: DEFAULT_CURRENCY,
+      totalRevenueMinor: revenue[DEFAULT_CURRENCY] || 0,
+      revenueByCurrency: Object.entries(revenue).map(([currency, totalRevenueMinor]) => ({
+        currency,
+        totalRevenueMinor
+      })),
       successRate: totalPayments > 0 ? (successfulPayments / totalPayments * 100).toFixed(2) : 0
     };
 
@@ -519,7 +1204,22 @@ module.exports = {
   createOrGetCustomer,
   processPayment,
   confirmPayment,
+  getPaymentIntent,
+  capturePayment,
+  cancelPaymentAuthorization,
+  createInvoice,
+  payInvoice,
+  recordInvoicePayment,
   processRefund,
+  refundPayment,
+  refundBooking,
+  summariseLedger,
+  getRefundableAmount,
+  syncBookingTotal,
+  CHARGE_TYPES,
+  PAID_STATUSES,
+  REFUNDABLE_STATUSES,
+  OUTSTANDING_REFUND_STATUSES,
   getPaymentMethods,
   attachPaymentMethod,
   detachPaymentMethod,
@@ -0,0 +1,470 @@
+/**
+ * Payout Service
+ *
+ * This service pays hosts for their bookings through Stripe Connect:
+ * - Onboarding hosts onto Express connected accounts
+ * - Routing charges to the host's account with a platform application fee
+ * - Keeping a per-host ledger of earnings, refund reversals and payouts
+ * - Transferring earnings the platform held while a host wasn't onboarded
+ *
+ * Hosts with charges enabled are paid through destination charges, so
+ * Stripe moves their share to the connected account as the driver pays.
+ * Charges for hosts without an account are taken by the platform and
+ * transferred once the host can receive payouts. Stripe then pays the
+ * connected account out to the host's bank on its payout schedule, which
+ * is reported back through payout.paid webhooks.
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const { stripe } = require('./stripeClient');
+const { percentageOf } = require('../utils/money');
+
+const prisma = new PrismaClient();
+
+// Platform's share of every charge
+const PLATFORM_FEE_PERCENTAGE = parseFloat(process.env.PLATFORM_FEE_PERCENTAGE ?? 10);
+
+// Country new connected accounts are created in
+const STRIPE_CONNECT_COUNTRY = process.env.STRIPE_CONNECT_COUNTRY || 'GB';
+
+/**
+ * Work out the platform fee on a charge
+ * @param {number} amountMinor - Charge amount in minor units
+ * @returns {number} - Fee in minor units
+ */
+const calculateApplicationFee = (amountMinor) => percentageOf(amountMinor, PLATFORM_FEE_PERCENTAGE);
+
+/**
+ * Work out where a charge for a host's booking should go
+ * @param {string} hostId - Space owner's user ID
+ * @param {number} amountMinor - Charge amount in minor units
+ * @returns {Promise<Object>} - { destination, applicationFeeMinor }; destination is
+ *   null when the host can't take charges yet and the platform holds the money
+ */
+const getHostTransfer = async (hostId, amountMinor) => {
+  const host = await prisma.user.findUnique({
+    where: { id: hostId },
+    select: { stripeAccountId: true, stripeChargesEnabled: true }
+  });
+
+  return {
+    destination: host && host.stripeChargesEnabled ? host.stripeAccountId : null,
+    applicationFeeMinor: calculateApplicationFee(amountMinor)
+  };
+};
+
+/**
+ * Update a host's payout status from their Stripe account
+ * @param {Object} account - Stripe account object
+ * @returns {Promise<number>} - Number of hosts updated
+ */
+const syncHostAccount = async (account) => {
+  const result = await prisma.user.updateMany({
+    where: { stripeAccountId: account.id },
+    data: {
+      stripeChargesEnabled: Boolean(account.charges_enabled),
+      stripePayoutsEnabled: Boolean(account.payouts_enabled)
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Describe a host's payout account
+ * @param {Object} host - User (stripeAccountId, stripeChargesEnabled, stripePayoutsEnabled)
+ * @param {Object} account - Stripe account object (optional)
+ * @returns {Object} - Payout account status
+ */
+const describePayoutAccount = (host, account) => ({
+  accountId: host.stripeAccountId,
+  chargesEnabled: host.stripeChargesEnabled,
+  payoutsEnabled: host.stripePayoutsEnabled,
+  detailsSubmitted: account ? Boolean(account.details_submitted) : false,
+  requirements: account?.requirements?.currently_due || []
+});
+
+/**
+ * Fetch a host's payout account from Stripe and store its status
+ * @param {Object} host - User (id, stripeAccountId)
+ * @returns {Promise<Object|null>} - Payout account status, or null if the host has none
+ */
+const refreshHostAccount = async (host) => {
+  if (!host.stripeAccountId) {
+    return null;
+  }
+
+  const account = await stripe.accounts.retrieve(host.stripeAccountId);
+  const updatedHost = await prisma.user.update({
+    where: { id: host.id },
+    data: {
+      stripeChargesEnabled: Boolean(account.charges_enabled),
+      stripePayoutsEnabled: Boolean(account.payouts_enabled)
+    },
+    select: {
+      stripeAccountId: true,
+      stripeChargesEnabled: true,
+      stripePayoutsEnabled: true
+    }
+  });
+
+  return describePayoutAccount(updatedHost, account);
+};
+
+/**
+ * Start (or resume) onboarding a host onto a Stripe connected account
+ * @param {Object} host - User (id, email, stripeAccountId)
+ * @returns {Promise<Object>} - { accountId, onboardingUrl, expiresAt }
+ */
+const startHostOnboarding = async (host) => {
+  try {
+    let accountId = host.stripeAccountId;
+
+    if (!accountId) {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        country: STRIPE_CONNECT_COUNTRY,
+        email: host.email,
+        capabilities: {
+          card_payments: { requested: true },
+          transfers: { requested: true }
+        },
+        metadata: {
+          userId: host.id,
+          platform: 'EasyParkNow'
+        }
+      }, { idempotencyKey: `connect-account-${host.id}` });
+
+      accountId = account.id;
+      await prisma.user.update({
+        where: { id: host.id },
+        data: { stripeAccountId: accountId }
+      });
+    }
+
+    const accountLink = await stripe.accountLinks.create({
+      account: accountId,
+      refresh_url: `${process.env.FRONTEND_URL}/host/payouts?refresh=true`,
+      return_url: `${process.env.FRONTEND_URL}/host/payouts?onboarded=true`,
+      type: 'account_onboarding'
+    });
+
+    return {
+      accountId,
+      onboardingUrl: accountLink.url,
+      expiresAt: new Date(accountLink.expires_at * 1000)
+    };
+
+  } catch (error) {
+    console.error('Error starting host onboarding:', error);
+    throw new AppError('Failed to start payout account setup', 500, 'PAYOUT_ACCOUNT_ERROR');
+  }
+};
+
+/**
+ * Record a host's share of a successful charge
+ * @param {Object} payment - Charge entry (amountMinor, applicationFeeMinor, transferDestination)
+ * @param {string} hostId - Space owner's user ID
+ * @returns {Promise<Object>} - EARNING ledger entry
+ */
+const recordHostEarning = async (payment, hostId) => {
+  const feeMinor = payment.applicationFeeMinor || 0;
+
+  return prisma.hostLedgerEntry.create({
+    data: {
+      type: 'EARNING',
+      grossMinor: payment.amountMinor,
+      feeMinor,
+      amountMinor: payment.amountMinor - feeMinor,
+      currency: payment.currency,
+      heldByPlatform: !payment.transferDestination,
+      hostId,
+      bookingId: payment.bookingId,
+      paymentId: payment.id
+    }
+  });
+};
+
+/**
+ * Take back the host's share of a refund
+ *
+ * The host's share and the platform fee are refunded in proportion to the
+ * original charge. Destination charges are reversed by Stripe along with
+ * the refund; earnings already transferred by the platform are reversed
+ * here. If that reversal fails, the entry is left to be netted off the
+ * host's next transfer.
+ *
+ * @param {Object} charge - Charge entry that was refunded
+ * @param {Object} refundEntry - REFUND ledger entry
+ * @returns {Promise<Object|null>} - REVERSAL ledger entry, or null if the charge has no earning
+ */
+const reverseHostEarning = async (charge, refundEntry) => {
+  const earning = await prisma.hostLedgerEntry.findUnique({
+    where: { paymentId: charge.id }
+  });
+
+  if (!earning || earning.grossMinor === 0) {
+    return null;
+  }
+
+  const amountMinor = Math.round(refundEntry.amountMinor * earning.amountMinor / earning.grossMinor);
+  let heldByPlatform = earning.heldByPlatform && !earning.stripeTransferId;
+
+  if (earning.heldByPlatform && earning.stripeTransferId && amountMinor > 0) {
+    try {
+      await stripe.transfers.createReversal(earning.stripeTransferId, {
+        amount: amountMinor,
+        metadata: { refundId: refundEntry.id }
+      }, { idempotencyKey: `reversal-${refundEntry.id}` });
+    } catch (error) {
+      console.error('Transfer reversal failed, netting off next transfer:', {
+        transferId: earning.stripeTransferId,
+        error: error.message
+      });
+      heldByPlatform = true;
+    }
+  }
+
+  return prisma.hostLedgerEntry.create({
+    data: {
+      type: 'REVERSAL',
+      grossMinor: refundEntry.amountMinor,
+      feeMinor: refundEntry.amountMinor - amountMinor,
+      amountMinor,
+      currency: earning.currency,
+      heldByPlatform,
+      hostId: earning.hostId,
+      bookingId: earning.bookingId,
+      paymentId: refundEntry.id
+    }
+  });
+};
+
+/**
+ * Drop the reversal for a refund that failed after it was recorded
+ * @param {string} refundEntryId - REFUND ledger entry ID
+ * @returns {Promise<number>} - Number of entries removed
+ */
+const cancelHostReversal = async (refundEntryId) => {
+  const result = await prisma.hostLedgerEntry.deleteMany({
+    where: {
+      paymentId: refundEntryId,
+      type: 'REVERSAL',
+      status: 'PENDING'
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Transfer earnings the platform held to hosts who can now receive payouts
+ *
+ * Held earnings less held reversals are sent as one transfer per host and
+ * currency. The idempotency key is derived from the entries, so a retry
+ * after a crash can't pay the same entries twice.
+ *
+ * @returns {Promise<number>} - Number of transfers made
+ */
+const transferHeldEarnings = async () => {
+  const entries = await prisma.hostLedgerEntry.findMany({
+    where: {
+      heldByPlatform: true,
+      stripeTransferId: null,
+      type: { in: ['EARNING', 'REVERSAL'] },
+      host: {
+        stripeAccountId: { not: null },
+        stripePayoutsEnabled: true
+      }
+    },
+    include: {
+      host: { select: { stripeAccountId: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.hostId}:${entry.currency}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(entry);
+  });
+
+  let transferred = 0;
+  for (const group of groups.values()) {
+    const amountMinor = group.reduce((sum, entry) =>
+      sum + (entry.type === 'EARNING' ? entry.amountMinor : -entry.amountMinor), 0);
+
+    // Wait for more earnings if refunds have wiped out what's owed
+    if (amountMinor <= 0) {
+      continue;
+    }
+
+    const { hostId, currency, host } = group[0];
+    const entryIds = group.map(entry => entry.id);
+    const idempotencyKey = `host-transfer-${crypto.createHash('sha256').update(entryIds.join(',')).digest('hex')}`;
+
+    try {
+      const transfer = await stripe.transfers.create({
+        amount: amountMinor,
+        currency: currency.toLowerCase(),
+        destination: host.stripeAccountId,
+        metadata: { hostId, platform: 'EasyParkNow' }
+      }, { idempotencyKey });
+
+      await prisma.hostLedgerEntry.updateMany({
+        where: { id: { in: entryIds } },
+        data: { stripeTransferId: transfer.id }
+      });
+      transferred++;
+
+    } catch (error) {
+      console.error('Host transfer failed, will retry:', { hostId, error: error.message });
+    }
+  }
+
+  return transferred;
+};
+
+/**
+ * Record a payout from a host's connected account to their bank
+ *
+ * Pending entries are marked PAID_OUT oldest first, as far as the payout
+ * covers them. Each payout is only recorded once.
+ *
+ * @param {string} accountId - Connected account the payout came from
+ * @param {Object} payout - Stripe payout object
+ * @returns {Promise<Object|null>} - PAYOUT ledger entry, or null if it was already recorded
+ */
+const recordHostPayout = async (accountId, payout) => {
+  const host = await prisma.user.findUnique({
+    where: { stripeAccountId: accountId },
+    select: { id: true }
+  });
+
+  if (!host) {
+    console.log('No host for connected account:', accountId);
+    return null;
+  }
+
+  const existing = await prisma.hostLedgerEntry.findUnique({
+    where: { stripePayoutId: payout.id }
+  });
+
+  if (existing) {
+    return null;
+  }
+
+  const currency = payout.currency.toUpperCase();
+  const paidOutAt = new Date(payout.arrival_date * 1000);
+
+  const pendingEntries = await prisma.hostLedgerEntry.findMany({
+    where: {
+      hostId: host.id,
+      currency,
+      status: 'PENDING',
+      type: { in: ['EARNING', 'REVERSAL'] },
+      // Held entries only reach the connected account once transferred
+      OR: [{ heldByPlatform: false }, { stripeTransferId: { not: null } }]
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  // Take the longest run of oldest entries the payout covers; a reversal
+  // can bring the running total back under the payout amount
+  let runningMinor = 0;
+  let paidCount = 0;
+  pendingEntries.forEach((entry, index) => {
+    runningMinor += entry.type === 'EARNING' ? entry.amountMinor : -entry.amountMinor;
+    if (runningMinor <= payout.amount) {
+      paidCount = index + 1;
+    }
+  });
+  const paidEntryIds = pendingEntries.slice(0, paidCount).map(entry => entry.id);
+
+  const [payoutEntry] = await prisma.$transaction([
+    prisma.hostLedgerEntry.create({
+      data: {
+        type: 'PAYOUT',
+        status: 'PAID_OUT',
+        grossMinor: payout.amount,
+        amountMinor: payout.amount,
+        currency,
+        stripePayoutId: payout.id,
+        paidOutAt,
+        hostId: host.id
+      }
+    }),
+    prisma.hostLedgerEntry.updateMany({
+      where: { id: { in: paidEntryIds } },
+      data: { status: 'PAID_OUT', paidOutAt }
+    })
+  ]);
+
+  return payoutEntry;
+};
+
+/**
+ * Summarise a host's balances in each currency they've earned in
+ * @param {string} hostId - Host's user ID
+ * @returns {Promise<Array>} - [{ currency, pendingMinor, paidOutMinor, awaitingTransferMinor }]
+ */
+const getHostBalances = async (hostId) => {
+  const [groups, heldGroups] = await Promise.all([
+    prisma.hostLedgerEntry.groupBy({
+      by: ['currency', 'type', 'status'],
+      where: { hostId },
+      _sum: { amountMinor: true }
+    }),
+    prisma.hostLedgerEntry.groupBy({
+      by: ['currency', 'type'],
+      where: { hostId, heldByPlatform: true, stripeTransferId: null },
+      _sum: { amountMinor: true }
+    })
+  ]);
+
+  const balances = new Map();
+  const balanceFor = (currency) => {
+    if (!balances.has(currency)) {
+      balances.set(currency, { currency, pendingMinor: 0, paidOutMinor: 0, awaitingTransferMinor: 0 });
+    }
+    return balances.get(currency);
+  };
+  const signed = (group) => (group.type === 'REVERSAL' ? -1 : 1) * (group._sum.amountMinor || 0);
+
+  groups.forEach(group => {
+    const balance = balanceFor(group.currency);
+    if (group.type === 'PAYOUT') {
+      balance.paidOutMinor += signed(group);
+    } else if (group.status === 'PENDING') {
+      balance.pendingMinor += signed(group);
+    }
+  });
+
+  // Part of the pending balance the platform still has to transfer
+  heldGroups.forEach(group => {
+    balanceFor(group.currency).awaitingTransferMinor += signed(group);
+  });
+
+  return [...balances.values()];
+};
+
+module.exports = {
+  PLATFORM_FEE_PERCENTAGE,
+  calculateApplicationFee,
+  getHostTransfer,
+  syncHostAccount,
+  describePayoutAccount,
+  refreshHostAccount,
+  startHostOnboarding,
+  recordHostEarning,
+  reverseHostEarning,
+  cancelHostReversal,
+  transferHeldEarnings,
+  recordHostPayout,
+  getHostBalances
+};
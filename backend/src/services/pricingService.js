@@ -0,0 +1,446 @@
+/**
+ * Pricing Service
+ *
+ * This service prices a booking window for a parking space. It starts from
+ * the space's base hourly price and applies the host's pricing rules:
+ * - HOURLY_RATE: peak/off-peak hourly rates by day and time of day
+ * - DAILY_CAP: maximum charge per calendar day
+ * - OVERNIGHT_FLAT: flat price for a stay inside an overnight window
+ * - WEEKLY / MONTHLY: flat prices per 7 / 30 days
+ *
+ * Durations are billed in 15 minute increments (rounded up). A flat booking
+ * service fee (BOOKING_SERVICE_FEE, major units) is added on top when
+ * configured. Amounts are worked out and returned in minor units of the
+ * space's currency as an itemised breakdown.
+ *
+ * Recurring series are priced occurrence by occurrence, less a package
+ * discount (SERIES_DISCOUNT_PERCENTAGE), with one service fee for the series.
+ * Times of day are interpreted in the server's local time zone, the same
+ * as the availability schedule.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { parseTimeOfDay } = require('./availabilityService');
+const { DEFAULT_CURRENCY, toMinorUnits, percentageOf, allocateMinor } = require('../utils/money');
+
+const prisma = new PrismaClient();
+
+const BILLING_INCREMENT_MINUTES = 15;
+const BILLING_INCREMENT_MS = BILLING_INCREMENT_MINUTES * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MONTH_MS = 30 * DAY_MS;
+
+// Flat fee added to every booking, in major units of the booking's currency
+const BOOKING_SERVICE_FEE = parseFloat(process.env.BOOKING_SERVICE_FEE) || 0;
+
+// Discount on a recurring series, taken off the occurrences' combined price
+const SERIES_DISCOUNT_PERCENTAGE = parseFloat(process.env.SERIES_DISCOUNT_PERCENTAGE ?? 10);
+
+/**
+ * Check if a rule applies on a day of the week
+ * @param {Object} rule - Pricing rule
+ * @param {number} dayOfWeek - 0 = Sunday
+ * @returns {boolean}
+ */
+const appliesOnDay = (rule, dayOfWeek) => {
+  return !rule.daysOfWeek || rule.daysOfWeek.length === 0 || rule.daysOfWeek.includes(dayOfWeek);
+};
+
+/**
+ * Check if a time-of-day rule covers an instant
+ * Overnight windows (end not after start) belong to the day they start on.
+ * @param {Object} rule - Pricing rule with startTime/endTime
+ * @param {Date} instant - Instant to test
+ * @returns {boolean}
+ */
+const coversInstant = (rule, instant) => {
+  const minutes = instant.getHours() * 60 + instant.getMinutes();
+  const start = parseTimeOfDay(rule.startTime);
+  const end = parseTimeOfDay(rule.endTime);
+  const day = instant.getDay();
+
+  if (start < end) {
+    return appliesOnDay(rule, day) && minutes >= start && minutes < end;
+  }
+
+  if (minutes >= start) {
+    return appliesOnDay(rule, day);
+  }
+
+  return minutes < end && appliesOnDay(rule, (day + 6) % 7);
+};
+
+/**
+ * Pick the highest priority active rule of a type
+ * @param {Array} rules - Pricing rules
+ * @param {string} type - Rule type
+ * @param {Function} predicate - Extra filter (optional)
+ * @returns {Object|undefined}
+ */
+const pickRule = (rules, type, predicate = () => true) => {
+  return rules
+    .filter(rule => rule.type === type && rule.isActive !== false && predicate(rule))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0))[0];
+};
+
+/**
+ * Local calendar day key for grouping (YYYY-MM-DD)
+ * @param {Date} date
+ * @returns {string}
+ */
+const dayKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Price a window by the hour, applying time-of-day rates and daily caps
+ * @param {Object} space - Parking space (priceMinor)
+ * @param {Array} rules - Active pricing rules
+ * @param {Date} from - Window start
+ * @param {Date} to - Window end (whole billing increments after from)
+ * @returns {Object} - { lineItems, totalMinor }
+ */
+const priceByHour = (space, rules, from, to) => {
+  const hourlyRules = rules
+    .filter(rule => rule.type === 'HOURLY_RATE' && rule.isActive !== false)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  const rateGroups = new Map();
+  const days = new Map();
+
+  for (let time = from.getTime(); time < to.getTime(); time += BILLING_INCREMENT_MS) {
+    const instant = new Date(time);
+    const rule = hourlyRules.find(candidate => coversInstant(candidate, instant));
+    const rateMinor = rule ? rule.amountMinor : space.priceMinor;
+    const incrementMinor = rateMinor * BILLING_INCREMENT_MINUTES / 60;
+
+    const groupKey = rule ? rule.id : 'BASE';
+    if (!rateGroups.has(groupKey)) {
+      rateGroups.set(groupKey, { rule, rateMinor, increments: 0 });
+    }
+    rateGroups.get(groupKey).increments += 1;
+
+    const key = dayKey(instant);
+    if (!days.has(key)) {
+      days.set(key, { date: new Date(instant), minor: 0 });
+    }
+    days.get(key).minor += incrementMinor;
+  }
+
+  const lineItems = [...rateGroups.values()].map(group => {
+    const hours = group.increments * BILLING_INCREMENT_MINUTES / 60;
+    return {
+      code: group.rule ? 'HOURLY_RATE' : 'BASE_RATE',
+      description: group.rule ? (group.rule.name || 'Time-of-day rate') : 'Standard hourly rate',
+      ...(group.rule && { ruleId: group.rule.id }),
+      quantity: hours,
+      unit: 'hour',
+      unitPriceMinor: group.rateMinor,
+      amountMinor: hours * group.rateMinor
+    };
+  });
+
+  // Daily caps show up as discounts so the hourly lines stay readable
+  days.forEach(day => {
+    const cap = pickRule(rules, 'DAILY_CAP', rule => appliesOnDay(rule, day.date.getDay()));
+    if (cap && day.minor > cap.amountMinor) {
+      lineItems.push({
+        code: 'DAILY_CAP',
+        description: `${cap.name || 'Daily cap'} (${dayKey(day.date)})`,
+        ruleId: cap.id,
+        quantity: 1,
+        unit: 'day',
+        unitPriceMinor: cap.amountMinor,
+        amountMinor: cap.amountMinor - day.minor
+      });
+    }
+  });
+
+  // The lines above can hold fractions of a minor unit. Round their running
+  // total rather than each line, so the lines add up to the window's exact
+  // price rounded once.
+  let roundedSoFar = 0;
+  let exactSoFar = 0;
+  lineItems.forEach(item => {
+    exactSoFar += item.amountMinor;
+    item.amountMinor = Math.round(exactSoFar) - roundedSoFar;
+    roundedSoFar += item.amountMinor;
+  });
+
+  return { lineItems, totalMinor: roundedSoFar };
+};
+
+/**
+ * Find an overnight flat rate whose window contains the whole stay
+ * @param {Array} rules - Active pricing rules
+ * @param {Date} from - Stay start
+ * @param {Date} to - Stay end
+ * @returns {Object|undefined} - Matching rule
+ */
+const findOvernightRule = (rules, from, to) => {
+  return pickRule(rules, 'OVERNIGHT_FLAT', rule => {
+    // The stay can sit in a window starting the same day or the day before
+    return [0, 1].some(daysBack => {
+      const windowStart = new Date(from);
+      windowStart.setDate(windowStart.getDate() - daysBack);
+      windowStart.setHours(0, parseTimeOfDay(rule.startTime), 0, 0);
+
+      const windowEnd = new Date(windowStart);
+      windowEnd.setHours(0, parseTimeOfDay(rule.endTime), 0, 0);
+      if (windowEnd <= windowStart) {
+        windowEnd.setDate(windowEnd.getDate() + 1);
+      }
+
+      return appliesOnDay(rule, windowStart.getDay()) && from >= windowStart && to <= windowEnd;
+    });
+  });
+};
+
+/**
+ * Price a stay shorter than the package lengths
+ * @param {Object} space - Parking space
+ * @param {Array} rules - Active pricing rules
+ * @param {Date} from - Stay start
+ * @param {Date} to - Stay end
+ * @returns {Object} - { lineItems, totalMinor }
+ */
+const priceShortStay = (space, rules, from, to) => {
+  const hourly = priceByHour(space, rules, from, to);
+  const overnight = findOvernightRule(rules, from, to);
+
+  if (overnight && overnight.amountMinor < hourly.totalMinor) {
+    return {
+      lineItems: [{
+        code: 'OVERNIGHT_FLAT',
+        description: overnight.name || 'Overnight rate',
+        ruleId: overnight.id,
+        quantity: 1,
+        unit: 'night',
+        unitPriceMinor: overnight.amountMinor,
+        amountMinor: overnight.amountMinor
+      }],
+      totalMinor: overnight.amountMinor
+    };
+  }
+
+  return hourly;
+};
+
+/**
+ * Build a package line item
+ * @param {Object} rule - WEEKLY or MONTHLY rule
+ * @param {number} quantity - Number of packages
+ * @returns {Object} - Line item
+ */
+const packageLineItem = (rule, quantity) => ({
+  code: rule.type,
+  description: rule.name || (rule.type === 'WEEKLY' ? 'Weekly rate' : 'Monthly rate'),
+  ruleId: rule.id,
+  quantity,
+  unit: rule.type === 'WEEKLY' ? 'week' : 'month',
+  unitPriceMinor: rule.amountMinor,
+  amountMinor: quantity * rule.amountMinor
+});
+
+/**
+ * Build the fee lines added on top of a booking's price
+ * @param {string} currency - Booking currency
+ * @returns {Array} - Fee line items
+ */
+const getServiceFees = (currency) => {
+  return BOOKING_SERVICE_FEE > 0
+    ? [{ code: 'SERVICE_FEE', description: 'Booking service fee', amountMinor: toMinorUnits(BOOKING_SERVICE_FEE, currency) }]
+    : [];
+};
+
+/**
+ * Calculate an itemised price quote for a booking window
+ * @param {Object} space - Parking space (priceMinor, currency)
+ * @param {Array} rules - Pricing rules for the space
+ * @param {Date} startTime - Booking start time
+ * @param {Date} endTime - Booking end time
+ * @returns {Object} - Quote with rounding details, line items, fees and totalCostMinor
+ */
+const calculatePriceQuote = (space, rules, startTime, endTime) => {
+  const activeRules = (rules || []).filter(rule => rule.isActive !== false);
+  const currency = space.currency || DEFAULT_CURRENCY;
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  // Round up to nearest 15 minutes for billing
+  const durationMs = end - start;
+  const billedMs = Math.ceil(durationMs / BILLING_INCREMENT_MS) * BILLING_INCREMENT_MS;
+  const billedEnd = new Date(start.getTime() + billedMs);
+
+  const monthly = pickRule(activeRules, 'MONTHLY');
+  const weekly = pickRule(activeRules, 'WEEKLY');
+
+  let cursor = start;
+  let months = 0;
+  let weeks = 0;
+
+  if (monthly) {
+    months = Math.floor(billedMs / MONTH_MS);
+    cursor = new Date(cursor.getTime() + months * MONTH_MS);
+  }
+
+  if (weekly) {
+    weeks = Math.floor((billedEnd - cursor) / WEEK_MS);
+    cursor = new Date(cursor.getTime() + weeks * WEEK_MS);
+  }
+
+  let remainder = cursor < billedEnd
+    ? priceShortStay(space, activeRules, cursor, billedEnd)
+    : { lineItems: [], totalMinor: 0 };
+
+  // A whole package can undercut paying for the leftover time
+  if (weekly && remainder.totalMinor > weekly.amountMinor) {
+    weeks += 1;
+    remainder = { lineItems: [], totalMinor: 0 };
+  }
+
+  const tailMinor = weeks * (weekly ? weekly.amountMinor : 0) + remainder.totalMinor;
+  if (monthly && tailMinor > monthly.amountMinor) {
+    months += 1;
+    weeks = 0;
+    remainder = { lineItems: [], totalMinor: 0 };
+  }
+
+  const lineItems = [
+    ...(months > 0 ? [packageLineItem(monthly, months)] : []),
+    ...(weeks > 0 ? [packageLineItem(weekly, weeks)] : []),
+    ...remainder.lineItems
+  ];
+  const subtotalMinor = lineItems.reduce((sum, item) => sum + item.amountMinor, 0);
+
+  const fees = getServiceFees(currency);
+  const totalCostMinor = subtotalMinor + fees.reduce((sum, fee) => sum + fee.amountMinor, 0);
+
+  return {
+    currency,
+    startTime: start,
+    endTime: end,
+    durationMinutes: Math.round(durationMs / 60000),
+    billedMinutes: Math.round(billedMs / 60000),
+    roundingIncrementMinutes: BILLING_INCREMENT_MINUTES,
+    lineItems,
+    subtotalMinor,
+    fees,
+    totalCostMinor
+  };
+};
+
+/**
+ * Load a space's pricing rules and quote a booking window
+ * @param {Object} space - Parking space (id, priceMinor, currency)
+ * @param {Date} startTime - Booking start time
+ * @param {Date} endTime - Booking end time
+ * @returns {Promise<Object>} - Price quote
+ */
+const getPriceQuote = async (space, startTime, endTime) => {
+  const rules = await prisma.pricingRule.findMany({
+    where: { spaceId: space.id, isActive: true }
+  });
+
+  return calculatePriceQuote(space, rules, startTime, endTime);
+};
+
+/**
+ * Quote the extra cost of moving a booking's end time
+ * The whole stay is re-priced so caps and packages carry across the
+ * extension, and what the driver has already paid comes off it. The time
+ * already booked is never charged again, even if the host has changed
+ * their prices since.
+ * @param {Object} space - Parking space (id, priceMinor, currency)
+ * @param {Object} booking - Booking being extended (startTime, totalCostMinor)
+ * @param {Date} newEndTime - Requested end time
+ * @returns {Promise<Object>} - Quote for the whole stay plus additionalCostMinor
+ */
+const getExtensionQuote = async (space, booking, newEndTime) => {
+  const rules = await prisma.pricingRule.findMany({
+    where: { spaceId: space.id, isActive: true }
+  });
+
+  const extendedQuote = calculatePriceQuote(space, rules, booking.startTime, newEndTime);
+  const additionalCostMinor = extendedQuote.totalCostMinor - booking.totalCostMinor;
+
+  return {
+    ...extendedQuote,
+    additionalCostMinor: Math.max(additionalCostMinor, 0)
+  };
+};
+
+/**
+ * Price the occurrences of a recurring series as one package
+ *
+ * Each occurrence is priced on its own (without fees), the series discount
+ * comes off their combined price and one service fee is added. The total
+ * is then shared out across the occurrences in proportion to their price,
+ * so each occurrence carries its part of the package for cancellations.
+ *
+ * @param {Object} space - Parking space (priceMinor, currency)
+ * @param {Array} rules - Pricing rules for the space
+ * @param {Array<{startTime: Date, endTime: Date}>} occurrences - Occurrence windows
+ * @returns {Object} - Series quote with per-occurrence prices, discount, fees and totalCostMinor
+ */
+const calculateSeriesQuote = (space, rules, occurrences) => {
+  const currency = space.currency || DEFAULT_CURRENCY;
+  const priced = occurrences.map(occurrence => {
+    const quote = calculatePriceQuote(space, rules, occurrence.startTime, occurrence.endTime);
+    return {
+      startTime: quote.startTime,
+      endTime: quote.endTime,
+      billedMinutes: quote.billedMinutes,
+      subtotalMinor: quote.subtotalMinor
+    };
+  });
+
+  const subtotalMinor = priced.reduce((sum, occurrence) => sum + occurrence.subtotalMinor, 0);
+  const discountMinor = percentageOf(subtotalMinor, SERIES_DISCOUNT_PERCENTAGE);
+  const fees = priced.length > 0 ? getServiceFees(currency) : [];
+  const totalCostMinor = subtotalMinor - discountMinor + fees.reduce((sum, fee) => sum + fee.amountMinor, 0);
+
+  const shares = allocateMinor(totalCostMinor, priced.map(occurrence => occurrence.subtotalMinor));
+
+  return {
+    currency,
+    occurrenceCount: priced.length,
+    occurrences: priced.map((occurrence, index) => ({
+      ...occurrence,
+      totalCostMinor: shares[index]
+    })),
+    subtotalMinor,
+    discount: {
+      percentage: SERIES_DISCOUNT_PERCENTAGE,
+      amountMinor: discountMinor
+    },
+    fees,
+    totalCostMinor
+  };
+};
+
+/**
+ * Load a space's pricing rules and quote the occurrences of a series
+ * @param {Object} space - Parking space (id, priceMinor, currency)
+ * @param {Array<{startTime: Date, endTime: Date}>} occurrences - Occurrence windows
+ * @returns {Promise<Object>} - Series quote
+ */
+const getSeriesQuote = async (space, occurrences) => {
+  const rules = await prisma.pricingRule.findMany({
+    where: { spaceId: space.id, isActive: true }
+  });
+
+  return calculateSeriesQuote(space, rules, occurrences);
+};
+
+module.exports = {
+  calculatePriceQuote,
+  getPriceQuote,
+  getExtensionQuote,
+  calculateSeriesQuote,
+  getSeriesQuote,
+  BILLING_INCREMENT_MINUTES
+};
@@ -0,0 +1,358 @@
+/**
+ * Realtime Service
+ *
+ * This service pushes live updates to signed-in users' open connections
+ * (see routes/realtime.js):
+ * - Booking status changes, to the driver and the space's host
+ * - New bookings on a host's spaces
+ * - Payment failures
+ * - New in-app notifications
+ *
+ * Every event is saved to the realtime_events table before it is pushed,
+ * and event IDs are used as SSE event IDs. A client that reconnects sends
+ * the last ID it saw and is replayed everything after it, along with the
+ * last REALTIME_POLL_LOOKBACK_MS of events in case one with a lower ID
+ * committed after it disconnected. Events raised on this
+ * instance are pushed straight away; each instance also polls the table
+ * while it has connections open, so events raised on other instances (and
+ * by background jobs) reach them too.
+ *
+ * IDs aren't committed in order (events are inserted concurrently, from
+ * several instances), so a poll can't just pick up after the highest ID it
+ * has seen: it looks back over the last REALTIME_POLL_LOOKBACK_MS of events
+ * instead, and each connection drops the ones it has already sent.
+ *
+ * Publishing never throws: a live update that can't be sent is logged
+ * rather than failing the booking or payment that raised it.
+ */
+
+const { EventEmitter } = require('events');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// How long events are kept for replay
+const REALTIME_EVENT_RETENTION_HOURS = parseInt(process.env.REALTIME_EVENT_RETENTION_HOURS) || 24;
+
+// How often the table is polled for events raised on other instances
+const REALTIME_POLL_INTERVAL_MS = parseInt(process.env.REALTIME_POLL_INTERVAL_MS) || 1000;
+
+// How far back each poll looks, to catch events whose IDs committed late
+const REALTIME_POLL_LOOKBACK_MS = parseInt(process.env.REALTIME_POLL_LOOKBACK_MS) || 5000;
+
+// Most events replayed on reconnect; clients further behind are told to resync
+const REPLAY_LIMIT = 200;
+
+// Most users whose events are fetched by one poll query
+const POLL_BATCH_SIZE = 500;
+
+// Events raised on this instance, keyed by user ID
+const localEvents = new EventEmitter();
+localEvents.setMaxListeners(0);
+
+// Open connections on this instance, by user ID
+const connections = new Map();
+
+let pollTimer = null;
+
+/**
+ * Shape a stored event for sending
+ * @param {Object} event - RealtimeEvent row
+ * @returns {Object} - { id, type, data, createdAt }
+ */
+const toMessage = (event) => ({
+  id: event.id,
+  type: event.type,
+  data: event.data,
+  createdAt: event.createdAt
+});
+
+/**
+ * Get the ID of the newest event on any instance
+ * @returns {Promise<number>}
+ */
+const getLatestEventId = async () => {
+  const latest = await prisma.realtimeEvent.aggregate({ _max: { id: true } });
+  return latest._max.id || 0;
+};
+
+/**
+ * Get a user's events up to an ID that a poll could still return
+ * @param {string} userId - User ID
+ * @param {number} upToId - Highest event ID
+ * @returns {Promise<Array>} - [{ id, createdAt }] in ID order
+ */
+const getRecentEvents = (userId, upToId) => prisma.realtimeEvent.findMany({
+  where: {
+    userId,
+    id: { lte: upToId },
+    createdAt: { gte: new Date(Date.now() - REALTIME_POLL_LOOKBACK_MS) }
+  },
+  select: { id: true, createdAt: true },
+  orderBy: { id: 'asc' }
+});
+
+/**
+ * Publish an event to one or more users
+ * @param {string|string[]} userIds - Users to send the event to
+ * @param {string} type - Event type, e.g. 'booking.updated'
+ * @param {Object} data - Event payload (JSON)
+ * @returns {Promise<void>}
+ */
+const publishEvent = async (userIds, type, data) => {
+  const recipients = [...new Set([].concat(userIds).filter(Boolean))];
+
+  try {
+    const events = await Promise.all(recipients.map(userId => prisma.realtimeEvent.create({
+      data: { userId, type, data }
+    })));
+
+    events.forEach(event => localEvents.emit(event.userId, toMessage(event)));
+  } catch (error) {
+    console.error('Failed to publish realtime event:', { type, error: error.message });
+  }
+};
+
+/**
+ * Tell the driver and the host that bookings have changed
+ *
+ * Each booking is reloaded, so the event carries its current status
+ * whatever the caller last saw.
+ *
+ * @param {string|string[]} bookingIds - Booking IDs
+ * @param {string} type - 'booking.updated' or 'booking.created'
+ * @returns {Promise<void>}
+ */
+const publishBookingEvents = async (bookingIds, type = 'booking.updated') => {
+  const ids = [].concat(bookingIds).filter(Boolean);
+  if (ids.length === 0) {
+    return;
+  }
+
+  try {
+    const bookings = await prisma.booking.findMany({
+      where: { id: { in: ids } },
+      select: {
+        id: true,
+        status: true,
+        startTime: true,
+        endTime: true,
+        userId: true,
+        seriesId: true,
+        space: {
+          select: {
+            id: true,
+            title: true,
+            ownerId: true
+          }
+        }
+      }
+    });
+
+    for (const { userId, space: { ownerId, ...space }, ...booking } of bookings) {
+      await publishEvent([userId, ownerId], type, {
+        booking: { ...booking, space }
+      });
+    }
+  } catch (error) {
+    console.error('Failed to publish booking events:', { type, error: error.message });
+  }
+};
+
+/**
+ * Tell a driver a payment has failed
+ * @param {string} userId - Driver's user ID
+ * @param {Object} data - { bookingId or seriesId, message }
+ * @returns {Promise<void>}
+ */
+const publishPaymentFailed = (userId, data) => publishEvent(userId, 'payment.failed', data);
+
+/**
+ * Poll for recent events raised on other instances and pass them to the
+ * open connections here, which drop any they've already sent
+ * @param {Date} now - Current time
+ * @returns {Promise<void>}
+ */
+const pollEvents = async (now = new Date()) => {
+  const userIds = [...connections.keys()];
+
+  try {
+    for (let index = 0; index < userIds.length; index += POLL_BATCH_SIZE) {
+      const events = await prisma.realtimeEvent.findMany({
+        where: {
+          createdAt: { gte: new Date(now.getTime() - REALTIME_POLL_LOOKBACK_MS) },
+          userId: { in: userIds.slice(index, index + POLL_BATCH_SIZE) }
+        },
+        orderBy: { id: 'asc' }
+      });
+
+      events.forEach(event => localEvents.emit(event.userId, toMessage(event)));
+    }
+  } catch (error) {
+    console.error('Failed to poll realtime events:', error.message);
+  }
+};
+
+/**
+ * Start or stop polling as connections open and close
+ */
+const updatePolling = () => {
+  if (connections.size > 0 && !pollTimer) {
+    pollTimer = setInterval(() => pollEvents(), REALTIME_POLL_INTERVAL_MS);
+    pollTimer.unref();
+  } else if (connections.size === 0 && pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+/**
+ * Subscribe a connection to a user's events
+ *
+ * Events after lastEventId, and any from the last poll look-back whatever
+ * their ID, are replayed first, followed by a 'ready' event. The client may
+ * already have some of the look-back's events, so it should apply events
+ * idempotently. If the client is too far behind to replay (or the events it
+ * missed have been pruned) it gets a 'resync' event instead and should
+ * reload what it shows. Either one carries an ID to resume from, so a
+ * client that hasn't been sent anything else can still reconnect without
+ * missing events.
+ *
+ * Each message is sent once, carrying the highest event ID sent so far as
+ * its ID, so a client always resumes after everything it has been sent
+ * even when an event whose ID committed late arrives after newer ones.
+ *
+ * @param {string} userId - User ID
+ * @param {number|null} lastEventId - Last event ID the client saw
+ * @param {Function} send - Called with each message
+ * @returns {Promise<Function>} - Unsubscribes the connection
+ */
+const subscribe = async (userId, lastEventId, send) => {
+  // A client connecting for the first time starts from the newest event
+  const startId = lastEventId === null ? await getLatestEventId() : lastEventId;
+  let cursor = startId;
+  let pending = [];
+
+  // The same event can arrive directly and through several polls, so IDs
+  // sent are remembered for as long as a poll could return them again
+  const sent = new Map();
+  const markSent = (event) => sent.set(event.id, new Date(event.createdAt).getTime());
+  const forgetOldEvents = () => {
+    const before = Date.now() - 2 * REALTIME_POLL_LOOKBACK_MS;
+    for (const [id, createdAt] of sent) {
+      if (createdAt >= before) {
+        break;
+      }
+      sent.delete(id);
+    }
+  };
+
+  const deliver = (message) => {
+    if (sent.has(message.id)) {
+      return;
+    }
+
+    forgetOldEvents();
+    markSent(message);
+    cursor = Math.max(cursor, message.id);
+    send({ ...message, id: cursor });
+  };
+
+  // Hold live events back until the replay has been sent
+  const listener = (message) => {
+    if (pending) {
+      pending.push(message);
+    } else {
+      deliver(message);
+    }
+  };
+
+  localEvents.on(userId, listener);
+  connections.set(userId, (connections.get(userId) || 0) + 1);
+  updatePolling();
+
+  const unsubscribe = () => {
+    localEvents.off(userId, listener);
+    const remaining = connections.get(userId) - 1;
+    if (remaining > 0) {
+      connections.set(userId, remaining);
+    } else {
+      connections.delete(userId);
+    }
+    updatePolling();
+  };
+
+  try {
+    const isResuming = lastEventId !== null;
+    const [missed, oldest, seen] = await Promise.all([
+      prisma.realtimeEvent.findMany({
+        where: {
+          userId,
+          OR: [
+            { id: { gt: startId } },
+            // An event below the resume ID may have committed after the
+            // client last heard from us
+            ...(isResuming ? [{ createdAt: { gte: new Date(Date.now() - REALTIME_POLL_LOOKBACK_MS) } }] : [])
+          ]
+        },
+        orderBy: { id: 'asc' },
+        take: REPLAY_LIMIT + 1
+      }),
+      prisma.realtimeEvent.findFirst({
+        orderBy: { id: 'asc' },
+        select: { id: true }
+      }),
+      isResuming ? [] : getRecentEvents(userId, startId)
+    ]);
+
+    // A new connection starts after everything already raised
+    seen.forEach(markSent);
+
+    // Events are pruned oldest first, so anything older than the oldest
+    // one left may have been missed
+    const pruned = isResuming && oldest !== null && oldest.id > lastEventId + 1;
+    const resync = missed.length > REPLAY_LIMIT || pruned;
+
+    if (resync) {
+      // The client reloads instead, so skip everything up to the newest event
+      cursor = Math.max(cursor, await getLatestEventId());
+      (await getRecentEvents(userId, cursor)).forEach(markSent);
+    } else {
+      missed.forEach(event => deliver(toMessage(event)));
+    }
+
+    send({ id: cursor, type: resync ? 'resync' : 'ready', data: {}, createdAt: new Date() });
+
+    pending.sort((a, b) => a.id - b.id).forEach(deliver);
+    pending = null;
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return unsubscribe;
+};
+
+/**
+ * Delete events too old to be replayed
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of events deleted
+ */
+const pruneRealtimeEvents = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - REALTIME_EVENT_RETENTION_HOURS * 60 * 60 * 1000);
+
+  const result = await prisma.realtimeEvent.deleteMany({
+    where: { createdAt: { lt: cutoff } }
+  });
+
+  return result.count;
+};
+
+module.exports = {
+  REALTIME_EVENT_RETENTION_HOURS,
+  publishEvent,
+  publishBookingEvents,
+  publishPaymentFailed,
+  subscribe,
+  pruneRealtimeEvents
+};
@@ -0,0 +1,222 @@
+/**
+ * Review Service
+ *
+ * This service handles driver reviews of parking spaces:
+ * - Deciding whether a booking can still be reviewed (or its review edited)
+ * - Creating a review and telling the host about it
+ * - Recording the host's public reply
+ * - Keeping each space's rating summary (avgRating, reviewCount and
+ *   ratingHistogram) in step with its reviews
+ *
+ * Each booking gets at most one review, written by its driver once the
+ * booking is COMPLETED and within REVIEW_WINDOW_DAYS of the stay ending.
+ * The same window applies to editing the review.
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../middleware/errorHandler');
+const { createNotification } = require('./notificationService');
+const { withSpaceLock } = require('./availabilityService');
+
+const prisma = new PrismaClient();
+
+// How long after a stay ends the driver can review it
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS) || 14;
+
+// Fields shown with a review
+const REVIEW_INCLUDE = {
+  user: {
+    select: {
+      firstName: true,
+      lastName: true,
+      profileImage: true
+    }
+  }
+};
+
+/**
+ * Recalculate a space's stored rating summary from its reviews
+ *
+ * The summary is worked out from a count per star rating rather than
+ * adjusted in place, and under the space's row lock, so two reviews written
+ * at once can't leave it missing either of them: whichever refresh takes
+ * the lock second counts both.
+ *
+ * @param {string} spaceId - Parking space ID
+ * @returns {Promise<Object>} - { avgRating, reviewCount, ratingHistogram }
+ */
+const refreshSpaceRating = (spaceId) => withSpaceLock(spaceId, async (tx) => {
+  const counts = await tx.review.groupBy({
+    by: ['rating'],
+    where: { spaceId },
+    _count: { _all: true }
+  });
+
+  const ratingHistogram = [0, 0, 0, 0, 0];
+  counts.forEach(row => {
+    ratingHistogram[row.rating - 1] = row._count._all;
+  });
+
+  const reviewCount = ratingHistogram.reduce((sum, count) => sum + count, 0);
+  const ratingTotal = ratingHistogram.reduce((sum, count, index) => sum + count * (index + 1), 0);
+  const summary = {
+    avgRating: reviewCount > 0 ? Math.round(ratingTotal / reviewCount * 100) / 100 : 0,
+    reviewCount,
+    ratingHistogram
+  };
+
+  await tx.parkingSpace.update({
+    where: { id: spaceId },
+    data: summary
+  });
+
+  return summary;
+});
+
+/**
+ * Fill in the stored rating summary of every reviewed space, for spaces
+ * reviewed before the summary existed
+ * @returns {Promise<Array>} - { spaceId, ...summary } for each space updated
+ */
+const backfillSpaceRatings = async () => {
+  const reviewed = await prisma.review.groupBy({ by: ['spaceId'] });
+
+  const updated = [];
+  for (const { spaceId } of reviewed) {
+    updated.push({ spaceId, ...await refreshSpaceRating(spaceId) });
+  }
+
+  return updated;
+};
+
+/**
+ * Work out when a booking stops being open for review
+ * @param {Object} booking - Booking (endTime, checkedOutAt)
+ * @returns {Date}
+ */
+const getReviewDeadline = (booking) => {
+  const endedAt = new Date(booking.checkedOutAt || booking.endTime);
+  return new Date(endedAt.getTime() + REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check a booking can be reviewed (or its review edited) now
+ * @param {Object} booking - Booking (status, endTime, checkedOutAt)
+ * @param {Date} now - Current time
+ */
+const assertReviewWindowOpen = (booking, now = new Date()) => {
+  if (booking.status !== 'COMPLETED') {
+    throw new AppError('Only completed bookings can be reviewed', 400, 'INVALID_BOOKING_STATUS');
+  }
+
+  if (getReviewDeadline(booking) < now) {
+    throw new AppError(`Bookings can only be reviewed within ${REVIEW_WINDOW_DAYS} days of the stay ending`, 400, 'REVIEW_WINDOW_CLOSED');
+  }
+};
+
+/**
+ * Review a completed booking
+ * @param {Object} booking - Booking with space and review included
+ * @param {Object} data - { rating, comment }
+ * @returns {Promise<Object>} - Created review
+ */
+const createReview = async (booking, data) => {
+  assertReviewWindowOpen(booking);
+
+  if (booking.review) {
+    throw new AppError('This booking has already been reviewed', 409, 'REVIEW_EXISTS');
+  }
+
+  let review;
+  try {
+    review = await prisma.review.create({
+      data: {
+        rating: data.rating,
+        comment: data.comment,
+        userId: booking.userId,
+        spaceId: booking.spaceId,
+        bookingId: booking.id
+      },
+      include: REVIEW_INCLUDE
+    });
+  } catch (error) {
+    // Two submissions at once; bookingId is unique
+    if (error.code === 'P2002') {
+      throw new AppError('This booking has already been reviewed', 409, 'REVIEW_EXISTS');
+    }
+    throw error;
+  }
+
+  await refreshSpaceRating(booking.spaceId);
+
+  await createNotification({
+    userId: booking.space.ownerId,
+    type: 'REVIEW_RECEIVED',
+    title: 'New review',
+    message: `${review.user.firstName} left a ${review.rating}-star review for ${booking.space.title}.`
+  });
+
+  return review;
+};
+
+/**
+ * Update the driver's own review while the review window is open
+ * @param {Object} review - Review with booking included
+ * @param {Object} data - { rating, comment }
+ * @returns {Promise<Object>} - Updated review
+ */
+const updateReview = async (review, data) => {
+  assertReviewWindowOpen(review.booking);
+
+  const updatedReview = await prisma.review.update({
+    where: { id: review.id },
+    data: {
+      ...(data.rating !== undefined && { rating: data.rating }),
+      ...(data.comment !== undefined && { comment: data.comment })
+    },
+    include: REVIEW_INCLUDE
+  });
+
+  if (updatedReview.rating !== review.rating) {
+    await refreshSpaceRating(review.spaceId);
+  }
+
+  return updatedReview;
+};
+
+/**
+ * Post the host's public reply to a review
+ * Only one reply is allowed, so it can't be changed after the fact.
+ * @param {Object} review - Review
+ * @param {string} reply - Reply text
+ * @returns {Promise<Object>} - Review with the reply
+ */
+const replyToReview = async (review, reply) => {
+  const claim = await prisma.review.updateMany({
+    where: { id: review.id, hostReply: null },
+    data: {
+      hostReply: reply,
+      hostRepliedAt: new Date()
+    }
+  });
+
+  if (claim.count === 0) {
+    throw new AppError('This review already has a reply', 409, 'REPLY_EXISTS');
+  }
+
+  return prisma.review.findUnique({
+    where: { id: review.id },
+    include: REVIEW_INCLUDE
+  });
+};
+
+module.exports = {
+  REVIEW_WINDOW_DAYS,
+  REVIEW_INCLUDE,
+  refreshSpaceRating,
+  backfillSpaceRatings,
+  getReviewDeadline,
+  createReview,
+  updateReview,
+  replyToReview
+};
@@ -0,0 +1,79 @@
+/**
+ * Stripe Client
+ *
+ * Shared Stripe client for the payment and payout services. It talks to
+ * the live Stripe API by default. Set STRIPE_API_HOST (with STRIPE_API_PORT
+ * and STRIPE_API_PROTOCOL as needed) to point it at a local stand-in such
+ * as stripe-mock, or call setStripeClient to swap in another client
+ * altogether.
+ *
+ * Webhooks for platform events and for connected accounts' events come
+ * from separate Stripe endpoints, each signed with its own secret
+ * (STRIPE_WEBHOOK_SECRET and STRIPE_CONNECT_WEBHOOK_SECRET).
+ */
+
+const Stripe = require('stripe');
+
+/**
+ * Create a Stripe client from the environment
+ * @returns {Object} - Stripe client
+ */
+const createStripeClient = () => {
+  return Stripe(process.env.STRIPE_SECRET_KEY, {
+    ...(process.env.STRIPE_API_HOST && {
+      host: process.env.STRIPE_API_HOST,
+      port: process.env.STRIPE_API_PORT,
+      protocol: process.env.STRIPE_API_PROTOCOL || 'https'
+    })
+  });
+};
+
+let client = createStripeClient();
+
+/**
+ * Replace the client used by every module sharing this one
+ * @param {Object} stripeClient - Stripe client (or an object with the same API)
+ */
+const setStripeClient = (stripeClient) => {
+  client = stripeClient;
+};
+
+// Resolves the current client on each use, so setStripeClient also applies
+// to modules that took a reference at load time
+const stripe = new Proxy({}, {
+  get: (target, property) => client[property]
+});
+
+/**
+ * Verify a webhook's signature and parse its event
+ *
+ * The signature is checked against each configured webhook secret, so
+ * platform and connected account events can be sent to the same URL.
+ *
+ * @param {Buffer|string} payload - Raw request body
+ * @param {string} signature - Stripe-Signature header
+ * @returns {Object} - Stripe event
+ */
+const constructWebhookEvent = (payload, signature) => {
+  const secrets = [process.env.STRIPE_WEBHOOK_SECRET, process.env.STRIPE_CONNECT_WEBHOOK_SECRET].filter(Boolean);
+
+  let verificationError;
+  for (const secret of secrets) {
+    try {
+      return client.webhooks.constructEvent(payload, signature, secret);
+    } catch (error) {
+      if (error.type !== 'StripeSignatureVerificationError') {
+        throw error;
+      }
+      verificationError = error;
+    }
+  }
+
+  throw verificationError;
+};
+
+module.exports = {
+  stripe,
+  setStripeClient,
+  constructWebhookEvent
+};
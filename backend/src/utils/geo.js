@@ -0,0 +1,70 @@
+/**
+ * Geo Utilities
+ *
+ * Helper functions for location-based search:
+ * - Great-circle distance between two coordinates (Haversine)
+ * - Bounding box around a point for index-friendly pre-filtering
+ *
+ * The bounding box is used as a cheap first pass against the
+ * (latitude, longitude) index on parking_spaces; the exact radius check
+ * is then done with the Haversine distance.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LATITUDE = 111.32;
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Angle in radians
+ */
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Calculate distance between two points using the Haversine formula
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} - Distance in kilometres
+ */
+const calculateDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+            Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * Get the bounding box that fully contains a circle around a point
+ * @param {number} latitude - Centre latitude
+ * @param {number} longitude - Centre longitude
+ * @param {number} radiusKm - Circle radius in kilometres
+ * @returns {Object} - Prisma-ready latitude/longitude range filters
+ */
+const getBoundingBox = (latitude, longitude, radiusKm) => {
+  const deltaLat = radiusKm / KM_PER_DEGREE_LATITUDE;
+  // Clamp the cosine so the box stays finite near the poles
+  const cosLat = Math.max(Math.cos(toRadians(latitude)), 0.01);
+  const deltaLon = radiusKm / (KM_PER_DEGREE_LATITUDE * cosLat);
+
+  return {
+    latitude: {
+      gte: latitude - deltaLat,
+      lte: latitude + deltaLat
+    },
+    longitude: {
+      gte: longitude - deltaLon,
+      lte: longitude + deltaLon
+    }
+  };
+};
+
+module.exports = {
+  calculateDistanceKm,
+  getBoundingBox
+};
@@ -0,0 +1,176 @@
+/**
+ * Money Utilities
+ *
+ * Amounts are stored and calculated as integers in the currency's minor
+ * unit (pence for GBP) so repeated arithmetic can't drift by a penny.
+ * Fields holding minor units end in "Minor" (priceMinor, totalCostMinor,
+ * amountMinor, ...), with the currency stored alongside.
+ *
+ * API requests still send amounts in major units (pounds), and responses
+ * carry both: withMajorUnits adds a major-unit field next to every
+ * "...Minor" field, so existing clients keep reading price, totalCost,
+ * amount and refundAmount as before.
+ */
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'GBP').toUpperCase();
+
+// Digits after the decimal point for each supported currency
+const CURRENCY_EXPONENTS = {
+  GBP: 2,
+  EUR: 2,
+  USD: 2
+};
+
+const CURRENCY_SYMBOLS = {
+  GBP: '£',
+  EUR: '€',
+  USD: '$'
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_EXPONENTS);
+
+const MINOR_SUFFIX = 'Minor';
+
+/**
+ * Get the number of minor-unit digits for a currency
+ * @param {string} currency - ISO currency code
+ * @returns {number}
+ */
+const getExponent = (currency = DEFAULT_CURRENCY) => {
+  const exponent = CURRENCY_EXPONENTS[currency.toUpperCase()];
+  return exponent === undefined ? 2 : exponent;
+};
+
+/**
+ * Convert a major-unit amount (e.g. pounds) to integer minor units
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Amount in minor units
+ */
+const toMinorUnits = (amount, currency = DEFAULT_CURRENCY) => {
+  // Shift the decimal point in the string form so 1.005 becomes 100.5, not 100.4999...
+  return Math.round(Number(`${amount}e${getExponent(currency)}`));
+};
+
+/**
+ * Convert integer minor units to a major-unit amount
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO currency code
+ * @returns {number} - Amount in major units
+ */
+const fromMinorUnits = (minor, currency = DEFAULT_CURRENCY) => {
+  return Number(`${Math.round(minor)}e-${getExponent(currency)}`);
+};
+
+/**
+ * Format minor units as a plain decimal amount (e.g. "12.50")
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO currency code
+ * @returns {string}
+ */
+const formatAmount = (minor, currency = DEFAULT_CURRENCY) => {
+  return fromMinorUnits(minor, currency).toFixed(getExponent(currency));
+};
+
+/**
+ * Format minor units for display (e.g. "£12.50")
+ * @param {number} minor - Amount in minor units
+ * @param {string} currency - ISO currency code
+ * @returns {string}
+ */
+const formatMoney = (minor, currency = DEFAULT_CURRENCY) => {
+  const code = currency.toUpperCase();
+  const amount = formatAmount(minor, code);
+  return CURRENCY_SYMBOLS[code] ? `${CURRENCY_SYMBOLS[code]}${amount}` : `${amount} ${code}`;
+};
+
+/**
+ * Take a percentage of a minor-unit amount, rounded to a whole minor unit
+ * @param {number} minor - Amount in minor units
+ * @param {number} percentage - Percentage (0-100)
+ * @returns {number}
+ */
+const percentageOf = (minor, percentage) => Math.round(minor * percentage / 100);
+
+/**
+ * Split a minor-unit amount in proportion to some weights
+ *
+ * Each share is rounded down and the leftover minor units go to the shares
+ * with the largest remainders, so the shares always add up to the total.
+ * With no positive weights the amount is split evenly.
+ *
+ * @param {number} totalMinor - Amount to split in minor units
+ * @param {Array<number>} weights - One weight per share
+ * @returns {Array<number>} - Shares in minor units, in the same order as the weights
+ */
+const allocateMinor = (totalMinor, weights) => {
+  if (weights.length === 0) {
+    return [];
+  }
+
+  const weightTotal = weights.reduce((sum, weight) => sum + Math.max(weight, 0), 0);
+  const exact = weights.map(weight => (weightTotal > 0
+    ? totalMinor * Math.max(weight, 0) / weightTotal
+    : totalMinor / weights.length));
+  const shares = exact.map(Math.floor);
+
+  let leftover = totalMinor - shares.reduce((sum, share) => sum + share, 0);
+  const byRemainder = exact
+    .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; leftover > 0; i = (i + 1) % byRemainder.length) {
+    shares[byRemainder[i].index] += 1;
+    leftover -= 1;
+  }
+
+  return shares;
+};
+
+/**
+ * Add major-unit fields next to every "...Minor" field in a response body
+ *
+ * Objects use their own currency field if they have one, otherwise the
+ * nearest enclosing object's (falling back to the default currency).
+ *
+ * @param {*} value - Response body (or any part of it)
+ * @param {string} currency - Currency inherited from the enclosing object
+ * @returns {*} - Copy with major-unit fields added
+ */
+const withMajorUnits = (value, currency = DEFAULT_CURRENCY) => {
+  if (Array.isArray(value)) {
+    return value.map(item => withMajorUnits(item, currency));
+  }
+
+  if (!value || typeof value !== 'object' || value instanceof Date || Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  const ownCurrency = typeof value.currency === 'string' ? value.currency : currency;
+  const result = {};
+
+  Object.entries(value).forEach(([key, field]) => {
+    result[key] = withMajorUnits(field, ownCurrency);
+
+    if (key.endsWith(MINOR_SUFFIX) && key.length > MINOR_SUFFIX.length) {
+      const majorKey = key.slice(0, -MINOR_SUFFIX.length);
+      if (!(majorKey in value) && (typeof field === 'number' || field === null)) {
+        result[majorKey] = field === null ? null : fromMinorUnits(field, ownCurrency);
+      }
+    }
+  });
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  toMinorUnits,
+  fromMinorUnits,
+  formatAmount,
+  formatMoney,
+  percentageOf,
+  allocateMinor,
+  withMajorUnits
+};
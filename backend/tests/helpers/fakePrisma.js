@@ -0,0 +1,352 @@
+/**
+ * In-memory Prisma stand-in for tests
+ *
+ * Supports the handful of model methods and filters the services use
+ * (equality, in, not, lt/lte/gt/gte, OR, increment, select, and the
+ * includes and relation filters, including some/none, listed in
+ * RELATIONS), so services can be exercised without a database. Column
+ * defaults are filled in from DEFAULTS and the compound unique constraints
+ * in UNIQUE are enforced on create. Every
+ * PrismaClient created while a test file runs shares one store; call
+ * reset() between tests.
+ *
+ * Usage:
+ *   jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+ */
+
+const { randomUUID } = require('crypto');
+
+const tables = {};
+
+const isDate = (value) => value instanceof Date;
+
+const equals = (a, b) => {
+  if (isDate(a) || isDate(b)) {
+    return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  }
+  return (a === undefined ? null : a) === (b === undefined ? null : b);
+};
+
+const compare = (a, b) => (isDate(a) || isDate(b) ? new Date(a).getTime() - new Date(b).getTime() : a - b);
+
+/**
+ * Apply Prisma update data to a record
+ * @param {Object} record - Stored record
+ * @param {Object} data - Update data
+ * @returns {Object} - Updated record
+ */
+const applyData = (record, data) => {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !isDate(value) && 'increment' in value) {
+      record[key] = (record[key] || 0) + value.increment;
+    } else if (value && typeof value === 'object' && !isDate(value) && 'decrement' in value) {
+      record[key] = (record[key] || 0) - value.decrement;
+    } else {
+      record[key] = value;
+    }
+  });
+  record.updatedAt = new Date();
+  return record;
+};
+
+// Relations that can be loaded with include: model -> field -> how to find it
+const RELATIONS = {
+  booking: {
+    space: { model: 'parkingSpace', key: 'spaceId' },
+    user: { model: 'user', key: 'userId' },
+    series: { model: 'bookingSeries', key: 'seriesId' },
+    payments: { model: 'payment', foreignKey: 'bookingId' }
+  },
+  bookingSeries: {
+    user: { model: 'user', key: 'userId' },
+    space: { model: 'parkingSpace', key: 'spaceId' }
+  },
+  payment: {
+    booking: { model: 'booking', key: 'bookingId' },
+    user: { model: 'user', key: 'userId' }
+  },
+  parkingSpace: {
+    owner: { model: 'user', key: 'ownerId' }
+  },
+  hostLedgerEntry: {
+    host: { model: 'user', key: 'hostId' }
+  },
+  review: {
+    user: { model: 'user', key: 'userId' },
+    booking: { model: 'booking', key: 'bookingId' }
+  }
+};
+
+// Column defaults the database would fill in on create
+const DEFAULTS = {
+  hostLedgerEntry: { status: 'PENDING', grossMinor: 0, feeMinor: 0, heldByPlatform: false },
+  notification: { isRead: false }
+};
+
+// Models with autoincrement IDs
+const AUTOINCREMENT = ['realtimeEvent'];
+
+// Compound unique constraints; like Postgres, nulls never clash
+const UNIQUE = {
+  payment: [['bookingId', 'stripePaymentId', 'type']],
+  hostLedgerEntry: [['paymentId']],
+  review: [['bookingId']],
+  driverRating: [['bookingId']]
+};
+
+const copy = (record) => (record ? { ...record } : null);
+
+/**
+ * Check a record against a Prisma where clause
+ * @param {string} name - Model name
+ * @param {Object} record - Stored record
+ * @param {Object} where - Where clause
+ * @returns {boolean}
+ */
+const matches = (name, record, where = {}) => Object.entries(where).every(([key, condition]) => {
+  if (key === 'OR') {
+    return condition.some(alternative => matches(name, record, alternative));
+  }
+
+  // Filter on a related record
+  const relation = (RELATIONS[name] || {})[key];
+  if (relation && relation.key) {
+    const related = (tables[relation.model] || []).find(candidate => candidate.id === record[relation.key]);
+    return Boolean(related) && matches(relation.model, related, condition);
+  }
+  if (relation && relation.foreignKey) {
+    const related = (tables[relation.model] || []).filter(candidate => candidate[relation.foreignKey] === record.id);
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case 'some': return related.some(candidate => matches(relation.model, candidate, operand));
+        case 'none': return !related.some(candidate => matches(relation.model, candidate, operand));
+        default: throw new Error(`fakePrisma: unsupported filter "${operator}" on ${key}`);
+      }
+    });
+  }
+
+  const value = record[key];
+
+  if (condition === null || isDate(condition) || typeof condition !== 'object') {
+    return equals(value, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case 'in': return operand.some(candidate => equals(value, candidate));
+      case 'notIn': return !operand.some(candidate => equals(value, candidate));
+      case 'not': return operand === null ? value != null : !equals(value, operand);
+      case 'lt': return value != null && compare(value, operand) < 0;
+      case 'lte': return value != null && compare(value, operand) <= 0;
+      case 'gt': return value != null && compare(value, operand) > 0;
+      case 'gte': return value != null && compare(value, operand) >= 0;
+      default: throw new Error(`fakePrisma: unsupported filter "${operator}" on ${key}`);
+    }
+  });
+});
+
+/**
+ * Copy a record, loading the relations named in include, or picking the
+ * fields and relations named in select
+ * @param {string} name - Model name
+ * @param {Object} record - Stored record
+ * @param {Object} shape - Prisma include and/or select
+ * @returns {Object|null}
+ */
+const load = (name, record, { include, select } = {}) => {
+  if (!record) {
+    return null;
+  }
+
+  const loaded = select ? {} : copy(record);
+  Object.entries(select || include || {}).forEach(([field, options]) => {
+    const relation = (RELATIONS[name] || {})[field];
+    if (!options) {
+      return;
+    }
+    if (!relation) {
+      if (select) {
+        loaded[field] = record[field];
+      }
+      return;
+    }
+
+    const related = tables[relation.model] || [];
+    const nested = typeof options === 'object' ? options : {};
+    loaded[field] = relation.foreignKey
+      ? related.filter(candidate => candidate[relation.foreignKey] === record.id).map(candidate => load(relation.model, candidate, nested))
+      : load(relation.model, related.find(candidate => candidate.id === record[relation.key]), nested);
+  });
+  return loaded;
+};
+
+/**
+ * Create a model delegate backed by a table
+ * @param {string} name - Model name
+ * @returns {Object} - Delegate with Prisma's model methods
+ */
+const createModel = (name) => {
+  const rows = () => {
+    tables[name] = tables[name] || [];
+    return tables[name];
+  };
+
+  const nextId = () => (AUTOINCREMENT.includes(name)
+    ? rows().reduce((max, record) => Math.max(max, record.id), 0) + 1
+    : randomUUID());
+
+  const create = async ({ data, include, select }) => {
+    const record = { id: nextId(), createdAt: new Date(), updatedAt: new Date(), ...DEFAULTS[name], ...data };
+    (UNIQUE[name] || []).forEach(fields => {
+      const clashes = fields.every(field => record[field] != null) &&
+        rows().some(existing => fields.every(field => equals(existing[field], record[field])));
+      if (clashes) {
+        throw Object.assign(new Error(`fakePrisma: ${name} ${fields.join(', ')} must be unique`), { code: 'P2002' });
+      }
+    });
+    rows().push(record);
+    return load(name, record, { include, select });
+  };
+
+  return {
+    create,
+    createMany: async ({ data, skipDuplicates = false }) => {
+      let count = 0;
+      for (const item of data) {
+        const key = item.id !== undefined ? 'id' : 'name';
+        if (skipDuplicates && rows().some(record => equals(record[key], item[key]))) {
+          continue;
+        }
+        await create({ data: item });
+        count++;
+      }
+      return { count };
+    },
+    findUnique: async ({ where, include, select }) => load(name, rows().find(record => matches(name, record, where)), { include, select }),
+    findFirst: async ({ where, include, select } = {}) => load(name, rows().find(record => matches(name, record, where)), { include, select }),
+    findMany: async ({ where, include, select, orderBy, skip = 0, take } = {}) => {
+      let found = rows().filter(record => matches(name, record, where)).map(record => load(name, record, { include, select }));
+      if (orderBy) {
+        const [[field, direction]] = Object.entries(orderBy);
+        found.sort((a, b) => compare(a[field], b[field]) * (direction === 'desc' ? -1 : 1));
+      }
+      found = found.slice(skip, take !== undefined ? skip + take : undefined);
+      return found;
+    },
+    count: async ({ where } = {}) => rows().filter(record => matches(name, record, where)).length,
+    update: async ({ where, data, include, select }) => {
+      const record = rows().find(candidate => matches(name, candidate, where));
+      if (!record) {
+        throw Object.assign(new Error(`fakePrisma: ${name} not found`), { code: 'P2025' });
+      }
+      return load(name, applyData(record, data), { include, select });
+    },
+    updateMany: async ({ where, data }) => {
+      const found = rows().filter(record => matches(name, record, where));
+      found.forEach(record => applyData(record, data));
+      return { count: found.length };
+    },
+    deleteMany: async ({ where } = {}) => {
+      const kept = rows().filter(record => !matches(name, record, where));
+      const count = rows().length - kept.length;
+      tables[name] = kept;
+      return { count };
+    },
+    aggregate: async ({ where, _max = {}, _avg = {}, _count }) => {
+      const found = rows().filter(record => matches(name, record, where));
+      const max = {};
+      Object.keys(_max).forEach(field => {
+        max[field] = found.reduce((highest, record) =>
+          (highest === null || compare(record[field], highest) > 0 ? record[field] : highest), null);
+      });
+      const avg = {};
+      Object.keys(_avg).forEach(field => {
+        avg[field] = found.length > 0 ? found.reduce((sum, record) => sum + record[field], 0) / found.length : null;
+      });
+      return { _max: max, _avg: avg, ...(_count && { _count: { _all: found.length } }) };
+    },
+    groupBy: async ({ by, where, _sum = {} }) => {
+      const groups = new Map();
+      rows().filter(record => matches(name, record, where)).forEach(record => {
+        const key = JSON.stringify(by.map(field => record[field]));
+        if (!groups.has(key)) {
+          const group = { _sum: {}, _count: { _all: 0 } };
+          by.forEach(field => {
+            group[field] = record[field];
+          });
+          Object.keys(_sum).forEach(field => {
+            group._sum[field] = 0;
+          });
+          groups.set(key, group);
+        }
+        const group = groups.get(key);
+        group._count._all++;
+        Object.keys(_sum).forEach(field => {
+          group._sum[field] += record[field] || 0;
+        });
+      });
+      return [...groups.values()];
+    }
+  };
+};
+
+const client = new Proxy({}, {
+  get: (target, property) => {
+    if (property === '$transaction') {
+      return async (operations) => (typeof operations === 'function' ? operations(client) : Promise.all(operations));
+    }
+    if (property === '$queryRaw') {
+      // Raw queries are only used for row locks, which a single store
+      // doesn't need
+      return async () => [];
+    }
+    if (typeof property !== 'string' || property.startsWith('$') || property === 'then') {
+      return undefined;
+    }
+    target[property] = target[property] || createModel(property);
+    return target[property];
+  }
+});
+
+/**
+ * Seed a model's table with records
+ * @param {string} name - Model name (e.g. 'booking')
+ * @param {Array} records - Records to store
+ */
+const seed = (name, records) => {
+  tables[name] = tables[name] || [];
+  records.forEach(record => tables[name].push({ id: randomUUID(), createdAt: new Date(), ...DEFAULTS[name], ...record }));
+};
+
+/**
+ * Get the stored records of a model
+ * @param {string} name - Model name
+ * @returns {Array}
+ */
+const table = (name) => tables[name] || [];
+
+/**
+ * Empty every table
+ */
+const reset = () => {
+  Object.keys(tables).forEach(name => delete tables[name]);
+};
+
+class PrismaClientKnownRequestError extends Error {}
+class PrismaClientValidationError extends Error {}
+
+module.exports = {
+  prismaModule: {
+    PrismaClient: function PrismaClient() {
+      return client;
+    },
+    Prisma: {
+      PrismaClientKnownRequestError,
+      PrismaClientValidationError
+    }
+  },
+  client,
+  seed,
+  table,
+  reset
+};
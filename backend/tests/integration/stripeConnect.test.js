@@ -0,0 +1,104 @@
+/**
+ * Stripe Connect tests against stripe-mock
+ *
+ * Runs host onboarding, destination charges, transfers of held earnings
+ * and their reversal through the real Stripe client pointed at
+ * stripe-mock, so every request is checked against Stripe's API. Records
+ * are kept in memory. stripe-mock answers with fixtures, so these check
+ * the requests Stripe accepts and what is recorded from its responses.
+ *
+ * Start stripe-mock (https://github.com/stripe/stripe-mock) and run
+ * `npm run test:stripe-mock`. The suite is skipped when STRIPE_API_HOST
+ * isn't set.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/emailService', () => ({
+  sendPaymentReceiptEmail: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {}),
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { stripe } = require('../../src/services/stripeClient');
+const { processPayment } = require('../../src/services/paymentService');
+const {
+  getHostTransfer,
+  refreshHostAccount,
+  startHostOnboarding,
+  recordHostEarning,
+  reverseHostEarning,
+  transferHeldEarnings
+} = require('../../src/services/payoutService');
+
+const describeWithStripeMock = process.env.STRIPE_API_HOST ? describe : describe.skip;
+
+const user = () => fakePrisma.table('user')[0];
+
+describeWithStripeMock('Stripe Connect against stripe-mock', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates an Express account for a new host and an onboarding link for it', async () => {
+    fakePrisma.seed('user', [{ id: 'host', email: 'host@example.com', stripeAccountId: null }]);
+
+    const onboarding = await startHostOnboarding(user());
+
+    expect(onboarding.accountId).toMatch(/^acct_/);
+    expect(onboarding.onboardingUrl).toEqual(expect.any(String));
+    expect(user().stripeAccountId).toBe(onboarding.accountId);
+  });
+
+  it('stores the status of the host\'s account', async () => {
+    fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripeChargesEnabled: null, stripePayoutsEnabled: null }]);
+
+    const account = await refreshHostAccount(user());
+
+    expect(user()).toMatchObject({
+      stripeChargesEnabled: account.chargesEnabled,
+      stripePayoutsEnabled: account.payoutsEnabled
+    });
+    expect(typeof account.chargesEnabled).toBe('boolean');
+  });
+
+  it('sends a destination charge Stripe accepts', async () => {
+    fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripeChargesEnabled: true }]);
+    const create = jest.spyOn(stripe.paymentIntents, 'create');
+
+    const transfer = await getHostTransfer('host', 1000);
+    // The outcome depends on stripe-mock's fixture; the request is what's checked
+    await processPayment({ amountMinor: 1000, currency: 'GBP', paymentMethodId: 'pm_card_visa', customerId: 'cus_driver', transfer })
+      .catch(() => null);
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      transfer_data: { destination: 'acct_host' },
+      application_fee_amount: transfer.applicationFeeMinor
+    }), undefined);
+    await expect(create.mock.results[0].value).resolves.toMatchObject({ id: expect.stringMatching(/^pi_/) });
+  });
+
+  it('transfers held earnings and reverses them on refund', async () => {
+    fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripePayoutsEnabled: true }]);
+    const charge = { id: 'charge', bookingId: 'booking', amountMinor: 1000, applicationFeeMinor: 100, currency: 'GBP', transferDestination: null };
+    await recordHostEarning(charge, 'host');
+
+    expect(await transferHeldEarnings()).toBe(1);
+    const [earning] = fakePrisma.table('hostLedgerEntry');
+    expect(earning.stripeTransferId).toMatch(/^tr_/);
+
+    const reversal = await reverseHostEarning(charge, { id: 'refund', amountMinor: 1000 });
+    expect(reversal).toMatchObject({ type: 'REVERSAL', amountMinor: 900, heldByPlatform: false });
+  });
+});
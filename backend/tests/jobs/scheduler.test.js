@@ -0,0 +1,139 @@
+/**
+ * Job scheduler tests
+ *
+ * Drives the scheduler with a fake clock against an in-memory job_leases
+ * table, checking that jobs only run when due and that two instances never
+ * run the same job at once.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { createScheduler } = require('../../src/jobs/scheduler');
+
+const MINUTE = 60 * 1000;
+
+const createClock = (start = '2026-03-02T09:00:00Z') => {
+  let current = new Date(start);
+  return {
+    now: () => new Date(current),
+    advance: (ms) => {
+      current = new Date(current.getTime() + ms);
+    }
+  };
+};
+
+const createJob = (overrides = {}) => ({
+  name: 'test-job',
+  intervalMs: MINUTE,
+  run: jest.fn(async () => 'done'),
+  ...overrides
+});
+
+describe('createScheduler', () => {
+  let clock;
+
+  beforeEach(() => {
+    fakePrisma.reset();
+    clock = createClock();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs a due job with the clock\'s time', async () => {
+    const job = createJob();
+    const scheduler = createScheduler({ jobs: [job], clock, instanceId: 'a' });
+
+    const outcome = await scheduler.runJob(job);
+
+    expect(outcome).toEqual({ job: 'test-job', ran: true, result: 'done' });
+    expect(job.run).toHaveBeenCalledWith(clock.now());
+  });
+
+  it('runs a job again only once its interval has passed', async () => {
+    const job = createJob();
+    const scheduler = createScheduler({ jobs: [job], clock, instanceId: 'a' });
+
+    await scheduler.runJob(job);
+
+    clock.advance(MINUTE - 1);
+    expect((await scheduler.runJob(job)).ran).toBe(false);
+
+    clock.advance(1);
+    expect((await scheduler.runJob(job)).ran).toBe(true);
+    expect(job.run).toHaveBeenCalledTimes(2);
+  });
+
+  it('lets only one instance run a job at a time', async () => {
+    let runStarted;
+    let finishRun;
+    const started = new Promise(resolve => {
+      runStarted = resolve;
+    });
+    const job = createJob();
+    job.run.mockImplementationOnce(() => new Promise(resolve => {
+      finishRun = resolve;
+      runStarted();
+    }));
+    const first = createScheduler({ jobs: [job], clock, instanceId: 'a' });
+    const second = createScheduler({ jobs: [job], clock, instanceId: 'b' });
+
+    const firstRun = first.runJob(job);
+    await started;
+
+    expect((await second.runJob(job)).ran).toBe(false);
+    expect(fakePrisma.table('jobLease')[0].holder).toBe('a');
+
+    finishRun('done');
+    expect((await firstRun).ran).toBe(true);
+    expect(fakePrisma.table('jobLease')[0].holder).toBeNull();
+
+    // Once due again, either instance may take it
+    clock.advance(MINUTE);
+    expect((await second.runJob(job)).ran).toBe(true);
+    expect(job.run).toHaveBeenCalledTimes(2);
+  });
+
+  it('releases the lease when a job fails', async () => {
+    const error = new Error('boom');
+    const job = createJob({ run: jest.fn(async () => { throw error; }) });
+    const scheduler = createScheduler({ jobs: [job], clock, instanceId: 'a' });
+
+    expect(await scheduler.runJob(job)).toEqual({ job: 'test-job', ran: true, error });
+
+    const [lease] = fakePrisma.table('jobLease');
+    expect(lease.holder).toBeNull();
+    expect(lease.expiresAt).toEqual(new Date(clock.now().getTime() + MINUTE));
+  });
+
+  it('lets another instance take over a lease left by a crashed run once it expires', async () => {
+    const job = createJob({ leaseMs: 5 * MINUTE });
+    const scheduler = createScheduler({ jobs: [job], clock, instanceId: 'b' });
+
+    // Instance a claimed the job and died without releasing it
+    fakePrisma.seed('jobLease', [{
+      name: job.name,
+      holder: 'a',
+      expiresAt: new Date(clock.now().getTime() + 5 * MINUTE)
+    }]);
+
+    clock.advance(5 * MINUTE - 1);
+    expect((await scheduler.runJob(job)).ran).toBe(false);
+
+    clock.advance(1);
+    expect((await scheduler.runJob(job)).ran).toBe(true);
+  });
+
+  it('runs every due job in turn', async () => {
+    const jobs = [createJob({ name: 'first' }), createJob({ name: 'second', intervalMs: 10 * MINUTE })];
+    const scheduler = createScheduler({ jobs, clock, instanceId: 'a' });
+
+    expect((await scheduler.runAll()).map(outcome => outcome.ran)).toEqual([true, true]);
+
+    clock.advance(MINUTE);
+    expect((await scheduler.runAll()).map(outcome => outcome.ran)).toEqual([true, false]);
+  });
+});
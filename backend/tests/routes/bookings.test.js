@@ -0,0 +1,158 @@
+/**
+ * Booking route tests
+ *
+ * Marks drivers as arrived and departed on in-memory bookings, signed in
+ * as the space's host, with the overstay charge and live updates mocked.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/emailService', () => ({
+  sendBookingConfirmationEmail: jest.fn()
+}));
+jest.mock('../../src/services/overstayService', () => ({
+  chargeOverstay: jest.fn(async () => ({ overstayMinutes: 0, billedMinutes: 0, currency: 'GBP', rateMinor: 0, amountMinor: 0, payment: null }))
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {})
+}));
+
+const express = require('express');
+const request = require('supertest');
+const fakePrisma = require('../helpers/fakePrisma');
+const { chargeOverstay } = require('../../src/services/overstayService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const bookingRoutes = require('../../src/routes/bookings');
+
+let mockUser;
+
+const MINUTE = 60 * 1000;
+const at = (minutesFromNow) => new Date(Date.now() + minutesFromNow * MINUTE);
+
+const app = express();
+app.use(express.json());
+app.use('/api/bookings', bookingRoutes);
+app.use(errorHandler);
+
+const booking = () => fakePrisma.table('booking')[0];
+
+const seedBooking = (data) => fakePrisma.seed('booking', [{
+  id: 'booking',
+  userId: 'driver',
+  spaceId: 'space',
+  checkedInAt: null,
+  ...data
+}]);
+
+describe('booking routes', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    jest.clearAllMocks();
+    mockUser = { id: 'host', role: 'HOST' };
+    fakePrisma.seed('user', [{ id: 'driver', stripeCustomerId: 'cus_123' }]);
+    fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host', title: 'Driveway', address: '1 High Street' }]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('POST /api/bookings/:id/arrived', () => {
+    it('starts the driver\'s session', async () => {
+      seedBooking({ status: 'CONFIRMED', startTime: at(-5), endTime: at(55) });
+
+      const response = await request(app).post('/api/bookings/booking/arrived');
+
+      expect(response.status).toBe(200);
+      expect(booking().status).toBe('ACTIVE');
+      expect(booking().checkedInAt).toBeInstanceOf(Date);
+    });
+
+    it('starts a session the lifecycle job already activated', async () => {
+      seedBooking({ status: 'ACTIVE', startTime: at(-5), endTime: at(55) });
+
+      const response = await request(app).post('/api/bookings/booking/arrived');
+
+      expect(response.status).toBe(200);
+      expect(booking().checkedInAt).toBeInstanceOf(Date);
+    });
+
+    it('rejects a driver more than 15 minutes early', async () => {
+      seedBooking({ status: 'CONFIRMED', startTime: at(20), endTime: at(80) });
+
+      const response = await request(app).post('/api/bookings/booking/arrived');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('TOO_EARLY');
+      expect(booking().status).toBe('CONFIRMED');
+    });
+
+    it('rejects another host', async () => {
+      mockUser = { id: 'other-host', role: 'HOST' };
+      seedBooking({ status: 'CONFIRMED', startTime: at(-5), endTime: at(55) });
+
+      const response = await request(app).post('/api/bookings/booking/arrived');
+
+      expect(response.status).toBe(403);
+      expect(booking().status).toBe('CONFIRMED');
+    });
+
+    it('lets an admin mark any driver as arrived', async () => {
+      mockUser = { id: 'admin', role: 'ADMIN' };
+      seedBooking({ status: 'CONFIRMED', startTime: at(-5), endTime: at(55) });
+
+      const response = await request(app).post('/api/bookings/booking/arrived');
+
+      expect(response.status).toBe(200);
+      expect(booking().status).toBe('ACTIVE');
+    });
+  });
+
+  describe('POST /api/bookings/:id/departed', () => {
+    it('completes the session and charges any overstay', async () => {
+      seedBooking({ status: 'ACTIVE', startTime: at(-60), endTime: at(-5), checkedInAt: at(-55) });
+
+      const response = await request(app).post('/api/bookings/booking/departed');
+
+      expect(response.status).toBe(200);
+      expect(booking().status).toBe('COMPLETED');
+      expect(chargeOverstay).toHaveBeenCalledWith(expect.objectContaining({ id: 'booking' }), booking().checkedOutAt);
+    });
+
+    it('rejects a driver who was never marked as arrived', async () => {
+      seedBooking({ status: 'ACTIVE', startTime: at(-60), endTime: at(-5) });
+
+      const response = await request(app).post('/api/bookings/booking/departed');
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('NOT_CHECKED_IN');
+      expect(booking().status).toBe('ACTIVE');
+    });
+
+    it('rejects a session that has already ended', async () => {
+      seedBooking({ status: 'COMPLETED', startTime: at(-60), endTime: at(-5), checkedInAt: at(-55) });
+
+      const response = await request(app).post('/api/bookings/booking/departed');
+
+      expect(response.status).toBe(400);
+      expect(chargeOverstay).not.toHaveBeenCalled();
+    });
+
+    it('rejects another host', async () => {
+      mockUser = { id: 'other-host', role: 'HOST' };
+      seedBooking({ status: 'ACTIVE', startTime: at(-60), endTime: at(-5), checkedInAt: at(-55) });
+
+      const response = await request(app).post('/api/bookings/booking/departed');
+
+      expect(response.status).toBe(403);
+      expect(booking().status).toBe('ACTIVE');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Host route tests
+ *
+ * Calls the host endpoints against in-memory spaces and bookings, signed
+ * in as a host.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'host', role: 'HOST' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const fakePrisma = require('../helpers/fakePrisma');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const hostRoutes = require('../../src/routes/hosts');
+
+const app = express();
+app.use(express.json());
+app.use('/api/hosts', hostRoutes);
+app.use(errorHandler);
+
+describe('host routes', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    fakePrisma.seed('user', [
+      { id: 'driver', firstName: 'Dana', lastName: 'Driver', phone: '07700 900123' }
+    ]);
+    fakePrisma.seed('parkingSpace', [
+      { id: 'driveway', ownerId: 'host', title: 'Driveway', address: '1 High Street', currency: 'GBP' },
+      { id: 'garage', ownerId: 'other-host', title: 'Garage', address: '2 High Street', currency: 'GBP' }
+    ]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('GET /api/hosts/me/earnings', () => {
+    it('reports on up to 366 days', async () => {
+      const response = await request(app)
+        .get('/api/hosts/me/earnings')
+        .query({ from: '2025-03-01T00:00:00Z', to: '2026-03-02T00:00:00Z' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.earnings.totals).toEqual([expect.objectContaining({ currency: 'GBP', bookingCount: 0 })]);
+    });
+
+    it('rejects a longer range', async () => {
+      const response = await request(app)
+        .get('/api/hosts/me/earnings')
+        .query({ from: '2025-03-01T00:00:00Z', to: '2026-03-02T00:00:01Z' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('VALIDATION_ERROR');
+    });
+
+    it('rejects another host\'s space', async () => {
+      const response = await request(app).get('/api/hosts/me/earnings').query({ spaceId: 'garage' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('rejects a space that doesn\'t exist', async () => {
+      const response = await request(app).get('/api/hosts/me/earnings').query({ spaceId: 'missing' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.code).toBe('SPACE_NOT_FOUND');
+    });
+  });
+
+  describe('GET /api/hosts/me/bookings', () => {
+    beforeEach(() => {
+      fakePrisma.seed('booking', [
+        { id: 'mine', userId: 'driver', spaceId: 'driveway', status: 'CONFIRMED', vehicleReg: 'AB12CDE', startTime: new Date('2026-03-02T09:00:00Z'), endTime: new Date('2026-03-02T17:00:00Z') },
+        { id: 'theirs', userId: 'driver', spaceId: 'garage', status: 'CONFIRMED', vehicleReg: 'AB12CDE', startTime: new Date('2026-03-02T09:00:00Z'), endTime: new Date('2026-03-02T17:00:00Z') }
+      ]);
+    });
+
+    it('lists bookings on the host\'s own spaces with the driver\'s vehicle', async () => {
+      const response = await request(app).get('/api/hosts/me/bookings');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.bookings.map(booking => booking.id)).toEqual(['mine']);
+      expect(response.body.data.bookings[0]).toMatchObject({ vehicleReg: 'AB12CDE' });
+    });
+
+    it('doesn\'t share the driver\'s contact details', async () => {
+      const response = await request(app).get('/api/hosts/me/bookings');
+
+      expect(response.body.data.bookings[0].user).not.toHaveProperty('phone');
+    });
+  });
+});
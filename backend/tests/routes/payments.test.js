@@ -0,0 +1,126 @@
+/**
+ * Payment route tests
+ *
+ * Calls the admin refund endpoint against an in-memory ledger, signed in as
+ * an admin, with the Stripe refund itself mocked.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/middleware/auth', () => ({
+  authMiddleware: (req, res, next) => {
+    req.user = { id: 'admin', role: 'ADMIN' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next()
+}));
+jest.mock('../../src/services/paymentService', () => ({
+  ...jest.requireActual('../../src/services/paymentService'),
+  refundPayment: jest.fn(async (payment) => ({ success: true, payment, refundEntry: null, refund: { id: 're_123' } }))
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {})
+}));
+
+const express = require('express');
+const request = require('supertest');
+const fakePrisma = require('../helpers/fakePrisma');
+const { refundPayment } = require('../../src/services/paymentService');
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const paymentRoutes = require('../../src/routes/payments');
+
+const CHARGE_ID = '6f1c2d3e-4a5b-4c6d-8e7f-8091a2b3c4d5';
+
+const app = express();
+app.use(express.json());
+app.use('/api/payments', paymentRoutes);
+app.use(errorHandler);
+
+/**
+ * Seed a paid booking with its £20 charge and earlier refunds of it
+ * @param {Array} refunds - REFUND entries ({ amountMinor, status, createdAt })
+ */
+const seedLedger = (refunds) => {
+  fakePrisma.seed('booking', [{ id: 'booking', userId: 'driver', spaceId: 'space', status: 'CONFIRMED' }]);
+  fakePrisma.seed('payment', [
+    {
+      id: CHARGE_ID,
+      bookingId: 'booking',
+      userId: 'driver',
+      type: 'BOOKING',
+      status: 'SUCCEEDED',
+      amountMinor: 2000,
+      currency: 'GBP',
+      stripePaymentId: 'pi_123',
+      createdAt: new Date('2026-03-01T09:00:00Z')
+    },
+    ...refunds.map((refund, index) => ({
+      id: `refund-${index}`,
+      bookingId: 'booking',
+      userId: 'driver',
+      type: 'REFUND',
+      currency: 'GBP',
+      refundedPaymentId: CHARGE_ID,
+      ...refund
+    }))
+  ]);
+};
+
+const refund = (body = {}) => request(app)
+  .post('/api/payments/refund')
+  .send({ paymentId: CHARGE_ID, ...body });
+
+describe('payment routes', () => {
+  describe('POST /api/payments/refund', () => {
+    beforeEach(() => {
+      fakePrisma.reset();
+      jest.clearAllMocks();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('retries a failed partial refund for its own amount', async () => {
+      seedLedger([
+        { amountMinor: 1000, status: 'FAILED', createdAt: new Date('2026-03-02T09:00:00Z') }
+      ]);
+
+      const response = await refund();
+
+      expect(response.status).toBe(200);
+      expect(refundPayment).toHaveBeenCalledWith(expect.objectContaining({ id: CHARGE_ID }), 1000, 'requested_by_customer');
+    });
+
+    it('refunds whatever is left once the last refund went through', async () => {
+      seedLedger([
+        { amountMinor: 1000, status: 'FAILED', createdAt: new Date('2026-03-02T09:00:00Z') },
+        { amountMinor: 500, status: 'SUCCEEDED', createdAt: new Date('2026-03-03T09:00:00Z') }
+      ]);
+
+      await refund();
+
+      expect(refundPayment).toHaveBeenCalledWith(expect.anything(), 1500, 'requested_by_customer');
+    });
+
+    it('refunds the amount given in the charge\'s major units', async () => {
+      seedLedger([]);
+
+      await refund({ amount: 7.5 });
+
+      expect(refundPayment).toHaveBeenCalledWith(expect.anything(), 750, 'requested_by_customer');
+    });
+
+    it('rejects a charge with nothing left to refund', async () => {
+      seedLedger([
+        { amountMinor: 2000, status: 'PENDING', createdAt: new Date('2026-03-02T09:00:00Z') }
+      ]);
+
+      const response = await refund();
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('ALREADY_REFUNDED');
+      expect(refundPayment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Booking lifecycle tests
+ *
+ * Runs each lifecycle transition at fixed times against in-memory bookings,
+ * with Stripe, notifications and live updates replaced by mocks.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/paymentService', () => ({
+  capturePayment: jest.fn(),
+  cancelPaymentAuthorization: jest.fn(async () => ({ success: true }))
+}));
+jest.mock('../../src/services/payoutService', () => ({
+  recordHostEarning: jest.fn()
+}));
+jest.mock('../../src/services/overstayService', () => ({
+  chargeOverstay: jest.fn(async () => null),
+  sendOverstayWarnings: jest.fn(async () => 0)
+}));
+jest.mock('../../src/services/emailService', () => ({
+  sendBookingConfirmationEmail: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {}),
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { cancelPaymentAuthorization } = require('../../src/services/paymentService');
+const { chargeOverstay, sendOverstayWarnings } = require('../../src/services/overstayService');
+const { publishBookingEvents } = require('../../src/services/realtimeService');
+const {
+  expireStalePendingBookings,
+  activateStartedBookings,
+  markNoShows,
+  closeOverstayedSessions,
+  runBookingLifecycle,
+  PENDING_BOOKING_TTL_MINUTES,
+  PENDING_AUTHENTICATION_TTL_MINUTES
+} = require('../../src/services/bookingLifecycleService');
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2026-03-02T12:00:00Z');
+
+const at = (minutesFromNow) => new Date(NOW.getTime() + minutesFromNow * MINUTE);
+
+const booking = (id) => fakePrisma.table('booking').find(candidate => candidate.id === id);
+
+const seedBookings = (bookings) => fakePrisma.seed('booking', bookings.map(data => ({
+  userId: 'driver',
+  spaceId: 'space',
+  checkedInAt: null,
+  ...data
+})));
+
+describe('bookingLifecycleService', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    jest.clearAllMocks();
+    fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host', title: 'Driveway', address: '1 High Street' }]);
+  });
+
+  describe('expireStalePendingBookings', () => {
+    it('expires PENDING bookings older than the TTL', async () => {
+      seedBookings([
+        { id: 'stale', status: 'PENDING', createdAt: at(-PENDING_BOOKING_TTL_MINUTES) },
+        { id: 'fresh', status: 'PENDING', createdAt: at(-PENDING_BOOKING_TTL_MINUTES + 1) },
+        { id: 'paid', status: 'CONFIRMED', createdAt: at(-PENDING_BOOKING_TTL_MINUTES * 2) }
+      ]);
+
+      expect(await expireStalePendingBookings(NOW)).toBe(1);
+      expect(booking('stale').status).toBe('EXPIRED');
+      expect(booking('fresh').status).toBe('PENDING');
+      expect(booking('paid').status).toBe('CONFIRMED');
+      expect(publishBookingEvents).toHaveBeenCalledWith(['stale']);
+    });
+
+    it('gives drivers authenticating the charge longer before expiring', async () => {
+      seedBookings([
+        { id: 'authenticating', status: 'PENDING', createdAt: at(-PENDING_BOOKING_TTL_MINUTES) },
+        { id: 'abandoned', status: 'PENDING', createdAt: at(-PENDING_AUTHENTICATION_TTL_MINUTES) }
+      ]);
+      fakePrisma.seed('payment', [
+        { id: 'first', bookingId: 'authenticating', status: 'PENDING', stripePaymentId: 'pi_1' },
+        { id: 'second', bookingId: 'abandoned', status: 'PENDING', stripePaymentId: 'pi_2' }
+      ]);
+
+      expect(await expireStalePendingBookings(NOW)).toBe(1);
+      expect(booking('authenticating').status).toBe('PENDING');
+      expect(booking('abandoned').status).toBe('EXPIRED');
+    });
+  });
+
+  describe('activateStartedBookings', () => {
+    it('activates confirmed bookings once their start time arrives', async () => {
+      seedBookings([
+        { id: 'started', status: 'CONFIRMED', startTime: at(0), endTime: at(60) },
+        { id: 'upcoming', status: 'CONFIRMED', startTime: at(1), endTime: at(60) },
+        { id: 'ended', status: 'CONFIRMED', startTime: at(-60), endTime: at(0) }
+      ]);
+
+      expect(await activateStartedBookings(NOW)).toBe(1);
+      expect(booking('started').status).toBe('ACTIVE');
+      expect(booking('upcoming').status).toBe('CONFIRMED');
+      expect(booking('ended').status).toBe('CONFIRMED');
+    });
+  });
+
+  describe('markNoShows', () => {
+    it('marks bookings that ended without a check-in as no-shows', async () => {
+      seedBookings([
+        { id: 'missed', status: 'ACTIVE', startTime: at(-60), endTime: at(0) },
+        { id: 'parked', status: 'ACTIVE', startTime: at(-60), endTime: at(0), checkedInAt: at(-50) },
+        { id: 'running', status: 'CONFIRMED', startTime: at(-60), endTime: at(1) }
+      ]);
+
+      expect(await markNoShows(NOW)).toBe(1);
+      expect(booking('missed').status).toBe('NO_SHOW');
+      expect(booking('parked').status).toBe('ACTIVE');
+      expect(booking('running').status).toBe('CONFIRMED');
+    });
+  });
+
+  describe('closeOverstayedSessions', () => {
+    it('completes sessions left running past the auto-close time and charges the overstay', async () => {
+      seedBookings([
+        { id: 'forgotten', status: 'ACTIVE', startTime: at(-180), endTime: at(-60), checkedInAt: at(-170) },
+        { id: 'recent', status: 'ACTIVE', startTime: at(-120), endTime: at(-59), checkedInAt: at(-110) }
+      ]);
+
+      expect(await closeOverstayedSessions(NOW)).toBe(1);
+      expect(booking('forgotten')).toMatchObject({ status: 'COMPLETED', checkedOutAt: NOW });
+      expect(booking('recent').status).toBe('ACTIVE');
+      expect(chargeOverstay).toHaveBeenCalledWith(expect.objectContaining({ id: 'forgotten' }), NOW);
+    });
+
+    it('leaves sessions alone that were stopped after they were loaded', async () => {
+      seedBookings([
+        { id: 'forgotten', status: 'ACTIVE', startTime: at(-180), endTime: at(-60), checkedInAt: at(-170) }
+      ]);
+
+      // The driver stops the session while the job is loading it
+      const { client } = fakePrisma;
+      const findMany = client.booking.findMany;
+      client.booking.findMany = async (args) => {
+        const sessions = await findMany(args);
+        booking('forgotten').status = 'COMPLETED';
+        return sessions;
+      };
+
+      try {
+        expect(await closeOverstayedSessions(NOW)).toBe(0);
+        expect(chargeOverstay).not.toHaveBeenCalled();
+      } finally {
+        client.booking.findMany = findMany;
+      }
+    });
+  });
+
+  describe('runBookingLifecycle', () => {
+    it('declines unanswered requests at the job\'s time and releases the card authorisation', async () => {
+      seedBookings([
+        { id: 'request', status: 'REQUESTED', startTime: at(120), endTime: at(180), approvalDeadline: at(0) },
+        { id: 'waiting', status: 'REQUESTED', startTime: at(120), endTime: at(180), approvalDeadline: at(1) }
+      ]);
+      fakePrisma.seed('payment', [
+        { id: 'authorisation', bookingId: 'request', status: 'AUTHORIZED', stripePaymentId: 'pi_123' }
+      ]);
+
+      const counts = await runBookingLifecycle(NOW);
+
+      expect(counts.declined).toBe(1);
+      expect(booking('request')).toMatchObject({ status: 'DECLINED', respondedAt: NOW });
+      expect(booking('waiting').status).toBe('REQUESTED');
+      expect(cancelPaymentAuthorization).toHaveBeenCalledWith('pi_123');
+      expect(fakePrisma.table('payment')[0].status).toBe('CANCELLED');
+    });
+
+    it('runs every transition with the same time and reports what moved', async () => {
+      seedBookings([
+        { id: 'stale', status: 'PENDING', createdAt: at(-60) },
+        { id: 'started', status: 'CONFIRMED', startTime: at(-1), endTime: at(60) },
+        { id: 'missed', status: 'CONFIRMED', startTime: at(-120), endTime: at(-1) }
+      ]);
+
+      expect(await runBookingLifecycle(NOW)).toEqual({
+        expired: 1,
+        declined: 0,
+        activated: 1,
+        warned: 0,
+        noShows: 1,
+        completed: 0
+      });
+      expect(sendOverstayWarnings).toHaveBeenCalledWith(NOW);
+    });
+  });
+});
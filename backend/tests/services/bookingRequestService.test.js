@@ -0,0 +1,119 @@
+/**
+ * Booking request service tests
+ *
+ * Approves in-memory booking requests with the Stripe calls mocked,
+ * checking what happens to the booking and the authorisation when the
+ * capture fails.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/paymentService', () => ({
+  capturePayment: jest.fn(async () => ({ success: true })),
+  cancelPaymentAuthorization: jest.fn(async () => ({ success: true })),
+  getPaymentIntent: jest.fn(async () => ({ status: 'requires_capture' }))
+}));
+jest.mock('../../src/services/emailService', () => ({
+  sendBookingConfirmationEmail: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {}),
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { AppError } = require('../../src/middleware/errorHandler');
+const { capturePayment, cancelPaymentAuthorization, getPaymentIntent } = require('../../src/services/paymentService');
+const { createNotification } = require('../../src/services/notificationService');
+const { approveBookingRequest } = require('../../src/services/bookingRequestService');
+
+const unavailable = () => new AppError('Payment service temporarily unavailable', 503, 'SERVICE_UNAVAILABLE');
+
+const loadRequest = async () => {
+  const [booking] = fakePrisma.table('booking');
+  return {
+    ...booking,
+    space: fakePrisma.table('parkingSpace')[0],
+    payments: fakePrisma.table('payment').map(payment => ({ ...payment }))
+  };
+};
+
+const bookingStatus = () => fakePrisma.table('booking')[0].status;
+const paymentStatus = () => fakePrisma.table('payment')[0].status;
+
+describe('bookingRequestService', () => {
+  describe('approveBookingRequest', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fakePrisma.reset();
+      fakePrisma.seed('user', [{ id: 'driver', firstName: 'Dana', email: 'driver@example.com' }]);
+      fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host', title: 'Driveway', address: '1 High Street' }]);
+      fakePrisma.seed('booking', [{
+        id: 'booking', userId: 'driver', spaceId: 'space', status: 'REQUESTED',
+        startTime: new Date(Date.now() + 24 * 60 * 60 * 1000), approvalDeadline: new Date(Date.now() + 60 * 60 * 1000)
+      }]);
+      fakePrisma.seed('payment', [{
+        id: 'payment', bookingId: 'booking', type: 'BOOKING', status: 'AUTHORIZED',
+        stripePaymentId: 'pi_123', amountMinor: 1000, currency: 'GBP'
+      }]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('captures the authorisation and confirms the booking', async () => {
+      await approveBookingRequest(await loadRequest());
+
+      expect(bookingStatus()).toBe('CONFIRMED');
+      expect(paymentStatus()).toBe('SUCCEEDED');
+      expect(fakePrisma.table('hostLedgerEntry')).toHaveLength(1);
+    });
+
+    it('confirms the booking when the capture went through but its response was lost', async () => {
+      capturePayment.mockRejectedValueOnce(unavailable()).mockRejectedValueOnce(unavailable());
+      getPaymentIntent.mockResolvedValueOnce({ status: 'succeeded' });
+
+      await approveBookingRequest(await loadRequest());
+
+      expect(bookingStatus()).toBe('CONFIRMED');
+      expect(paymentStatus()).toBe('SUCCEEDED');
+    });
+
+    it('retries with the same key and leaves the request open while Stripe is unreachable', async () => {
+      capturePayment.mockRejectedValueOnce(unavailable()).mockRejectedValueOnce(unavailable());
+
+      await expect(approveBookingRequest(await loadRequest())).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+
+      expect(capturePayment).toHaveBeenCalledTimes(2);
+      expect(new Set(capturePayment.mock.calls.map(([, options]) => options.idempotencyKey))).toEqual(new Set(['capture-payment']));
+      expect(bookingStatus()).toBe('REQUESTED');
+      expect(paymentStatus()).toBe('AUTHORIZED');
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('releases the authorisation and cancels the booking when the card is declined', async () => {
+      capturePayment.mockRejectedValueOnce(new AppError('Your card was declined.', 400, 'CARD_ERROR'));
+
+      await expect(approveBookingRequest(await loadRequest())).rejects.toMatchObject({ code: 'PAYMENT_FAILED' });
+
+      expect(cancelPaymentAuthorization).toHaveBeenCalledWith('pi_123');
+      expect(bookingStatus()).toBe('CANCELLED');
+      expect(paymentStatus()).toBe('CANCELLED');
+      expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'PAYMENT_FAILED' }));
+    });
+
+    it('doesn\'t release an authorisation that has already lapsed', async () => {
+      capturePayment.mockRejectedValueOnce(new AppError('Payment capture failed', 400, 'CAPTURE_FAILED'));
+      getPaymentIntent.mockResolvedValueOnce({ status: 'canceled' });
+
+      await expect(approveBookingRequest(await loadRequest())).rejects.toMatchObject({ code: 'PAYMENT_FAILED' });
+
+      expect(cancelPaymentAuthorization).not.toHaveBeenCalled();
+      expect(bookingStatus()).toBe('CANCELLED');
+    });
+  });
+});
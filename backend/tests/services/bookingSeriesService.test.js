@@ -0,0 +1,91 @@
+/**
+ * Booking series service tests
+ *
+ * Invoices the upcoming month of in-memory MONTHLY series with the Stripe
+ * calls mocked, checking what happens to the month when invoicing fails.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/paymentService', () => ({
+  createOrGetCustomer: jest.fn(async () => 'cus_driver'),
+  createInvoice: jest.fn(async () => ({ id: 'in_123' })),
+  payInvoice: jest.fn(async () => ({ id: 'in_123', payment_intent: 'pi_123', amount_paid: 2000 })),
+  recordInvoicePayment: jest.fn(async () => [])
+}));
+jest.mock('../../src/services/payoutService', () => ({
+  getHostTransfer: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {}),
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { createInvoice, payInvoice, recordInvoicePayment } = require('../../src/services/paymentService');
+const { createNotification } = require('../../src/services/notificationService');
+const { publishPaymentFailed } = require('../../src/services/realtimeService');
+const { invoiceUpcomingSeriesMonths } = require('../../src/services/bookingSeriesService');
+
+const now = new Date('2026-03-30T12:00:00Z');
+
+const statuses = () => fakePrisma.table('booking').map(booking => booking.status);
+
+describe('bookingSeriesService', () => {
+  describe('invoiceUpcomingSeriesMonths', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fakePrisma.reset();
+      fakePrisma.seed('user', [{ id: 'driver', email: 'driver@example.com' }]);
+      fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host', title: 'Driveway', address: '1 High Street' }]);
+      fakePrisma.seed('bookingSeries', [{
+        id: 'series', userId: 'driver', spaceId: 'space', status: 'ACTIVE', billing: 'MONTHLY',
+        currency: 'GBP', stripePaymentMethodId: 'pm_card'
+      }]);
+      fakePrisma.seed('booking', [
+        { id: 'first', seriesId: 'series', status: 'CONFIRMED', stripeInvoiceId: null, totalCostMinor: 1000, startTime: new Date('2026-04-01T08:00:00Z') },
+        { id: 'second', seriesId: 'series', status: 'CONFIRMED', stripeInvoiceId: null, totalCostMinor: 1000, startTime: new Date('2026-04-02T08:00:00Z') }
+      ]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('invoices and records the month coming due', async () => {
+      expect(await invoiceUpcomingSeriesMonths(now)).toBe(1);
+
+      expect(createInvoice).toHaveBeenCalledWith(expect.objectContaining({
+        idempotencyKey: 'series-invoice-series-2026-04'
+      }));
+      expect(recordInvoicePayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'in_123' }));
+      expect(fakePrisma.table('booking').map(booking => booking.stripeInvoiceId)).toEqual(['in_123', 'in_123']);
+    });
+
+    it('cancels the month and tells the driver when the invoice can\'t be paid', async () => {
+      payInvoice.mockRejectedValueOnce(new Error('Your card was declined.'));
+
+      expect(await invoiceUpcomingSeriesMonths(now)).toBe(0);
+
+      expect(statuses()).toEqual(['CANCELLED', 'CANCELLED']);
+      expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'PAYMENT_FAILED' }));
+      expect(publishPaymentFailed).toHaveBeenCalled();
+    });
+
+    it('leaves the month to be tried again when it fails before the invoice is created', async () => {
+      createInvoice.mockRejectedValueOnce(new Error('Stripe is unavailable'));
+
+      expect(await invoiceUpcomingSeriesMonths(now)).toBe(0);
+
+      expect(statuses()).toEqual(['CONFIRMED', 'CONFIRMED']);
+      expect(fakePrisma.table('booking').map(booking => booking.stripeInvoiceId)).toEqual([null, null]);
+      expect(createNotification).not.toHaveBeenCalled();
+      expect(publishPaymentFailed).not.toHaveBeenCalled();
+
+      expect(await invoiceUpcomingSeriesMonths(now)).toBe(1);
+    });
+  });
+});
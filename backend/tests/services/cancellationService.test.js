@@ -0,0 +1,111 @@
+/**
+ * Cancellation service tests
+ *
+ * Cancels in-memory bookings on behalf of hosts and admins with the refund
+ * mocked, checking what the driver is told and what ends up in the email.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('nodemailer', () => {
+  const sendMail = jest.fn(async () => ({ messageId: 'message' }));
+  return {
+    sendMail,
+    createTransporter: () => ({ verify: async () => true, sendMail })
+  };
+});
+jest.mock('../../src/services/paymentService', () => ({
+  refundBooking: jest.fn(async () => ({ refundedAmountMinor: 1000, refundStatus: 'SUCCEEDED', refunds: [] })),
+  summariseLedger: jest.fn((payments) => ({
+    netMinor: payments.reduce((sum, payment) => sum + payment.amountMinor, 0)
+  }))
+}));
+jest.mock('../../src/services/availabilityService', () => ({
+  findAlternativeSpaces: jest.fn(async () => [
+    { title: '<b>Bay</b> & more', address: '2 High Street', distance: 0.2, priceMinor: 300, currency: 'GBP' }
+  ])
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {})
+}));
+
+const nodemailer = require('nodemailer');
+const fakePrisma = require('../helpers/fakePrisma');
+const { refundBooking } = require('../../src/services/paymentService');
+const { createNotification } = require('../../src/services/notificationService');
+const { cancelBookingAsHost } = require('../../src/services/cancellationService');
+
+const host = { id: 'host', role: 'HOST' };
+const admin = { id: 'admin', role: 'ADMIN' };
+
+const loadBooking = (payments = [{ type: 'BOOKING', status: 'SUCCEEDED', amountMinor: 1000 }]) => ({
+  ...fakePrisma.table('booking')[0],
+  space: fakePrisma.table('parkingSpace')[0],
+  user: { id: 'driver', firstName: 'Dana', email: 'driver@example.com' },
+  payments
+});
+
+const notification = () => createNotification.mock.calls[0][0];
+const emailHtml = () => nodemailer.sendMail.mock.calls[0][0].html;
+
+describe('cancellationService', () => {
+  describe('cancelBookingAsHost', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fakePrisma.reset();
+      fakePrisma.seed('user', [{ id: 'host', hostCancellationCount: 0 }]);
+      fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host', title: 'Driveway', address: '1 High Street' }]);
+      fakePrisma.seed('booking', [{
+        id: 'booking', userId: 'driver', spaceId: 'space', status: 'CONFIRMED', currency: 'GBP',
+        startTime: new Date('2026-03-02T09:00:00Z'), endTime: new Date('2026-03-02T17:00:00Z')
+      }]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('tells the driver the host cancelled and promises the refund taken', async () => {
+      await cancelBookingAsHost(loadBooking(), host, 'Burst pipe');
+
+      expect(notification()).toMatchObject({ title: 'Booking cancelled by host' });
+      expect(notification().message).toContain('cancelled by the host. You\'ll receive a full refund of £10.00.');
+      expect(emailHtml()).toContain('the host of your parking space has had to cancel');
+    });
+
+    it('doesn\'t blame the host for an admin\'s cancellation', async () => {
+      await cancelBookingAsHost(loadBooking(), admin, 'Listing removed');
+
+      expect(notification().title).toBe('Booking cancelled');
+      expect(notification().message).toContain('cancelled by EasyParkNow');
+      expect(emailHtml()).toContain('EasyParkNow has had to cancel');
+    });
+
+    it('doesn\'t promise a refund that failed', async () => {
+      refundBooking.mockResolvedValueOnce({ refundedAmountMinor: 0, refundStatus: 'FAILED', refunds: [] });
+
+      await cancelBookingAsHost(loadBooking(), host, 'Burst pipe');
+
+      expect(notification().message).toContain('Your full refund of £10.00 couldn\'t be issued yet.');
+      expect(notification().message).not.toContain('You\'ll receive');
+    });
+
+    it('doesn\'t mention a refund when nothing was paid', async () => {
+      await cancelBookingAsHost(loadBooking([]), host, 'Burst pipe');
+
+      expect(refundBooking).not.toHaveBeenCalled();
+      expect(notification().message).toContain('You haven\'t been charged for this booking.');
+    });
+
+    it('escapes the reason and space details in the email', async () => {
+      await cancelBookingAsHost(loadBooking(), host, '<script>alert(1)</script>');
+
+      expect(emailHtml()).not.toContain('<script>');
+      expect(emailHtml()).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+      expect(emailHtml()).toContain('&lt;b&gt;Bay&lt;/b&gt; &amp; more');
+    });
+  });
+});
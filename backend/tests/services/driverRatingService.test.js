@@ -0,0 +1,73 @@
+/**
+ * Driver rating service tests
+ *
+ * Rates in-memory drivers and checks them against spaces' minimum driver
+ * ratings.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { assertDriverMeetsMinimum, rateDriver } = require('../../src/services/driverRatingService');
+
+const driver = () => fakePrisma.table('user').find(user => user.id === 'driver');
+
+const rate = (bookingId, rating) => rateDriver({
+  id: bookingId,
+  userId: 'driver',
+  status: 'COMPLETED',
+  endTime: new Date(Date.now() - 60 * 60 * 1000),
+  checkedOutAt: null,
+  driverRatingEntry: null
+}, { id: 'host' }, { rating });
+
+describe('driverRatingService', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    fakePrisma.seed('user', [{ id: 'driver', driverRating: 0, driverRatingCount: 0 }]);
+  });
+
+  describe('assertDriverMeetsMinimum', () => {
+    it('lets anyone book a space without a minimum', async () => {
+      Object.assign(driver(), { driverRating: 1, driverRatingCount: 3 });
+
+      await expect(assertDriverMeetsMinimum('driver', { minDriverRating: null })).resolves.toBeUndefined();
+    });
+
+    it('lets a driver nobody has rated book', async () => {
+      await expect(assertDriverMeetsMinimum('driver', { minDriverRating: 4 })).resolves.toBeUndefined();
+    });
+
+    it('lets a driver rated at the minimum book', async () => {
+      Object.assign(driver(), { driverRating: 4, driverRatingCount: 2 });
+
+      await expect(assertDriverMeetsMinimum('driver', { minDriverRating: 4 })).resolves.toBeUndefined();
+    });
+
+    it('turns away a driver rated below the minimum', async () => {
+      Object.assign(driver(), { driverRating: 3.5, driverRatingCount: 2 });
+
+      await expect(assertDriverMeetsMinimum('driver', { minDriverRating: 4 }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'DRIVER_RATING_TOO_LOW' });
+    });
+  });
+
+  describe('rateDriver', () => {
+    it('keeps the driver\'s reputation in step with their ratings', async () => {
+      await rate('first', 5);
+      const { reputation } = await rate('second', 2);
+
+      expect(reputation).toEqual({ rating: 3.5, ratingCount: 2 });
+      expect(driver()).toMatchObject({ driverRating: 3.5, driverRatingCount: 2 });
+      await expect(assertDriverMeetsMinimum('driver', { minDriverRating: 4 }))
+        .rejects.toMatchObject({ code: 'DRIVER_RATING_TOO_LOW' });
+    });
+
+    it('rates each booking once', async () => {
+      await rate('first', 5);
+
+      await expect(rate('first', 1)).rejects.toMatchObject({ code: 'DRIVER_RATING_EXISTS' });
+      expect(driver()).toMatchObject({ driverRating: 5, driverRatingCount: 1 });
+    });
+  });
+});
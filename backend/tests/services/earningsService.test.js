@@ -0,0 +1,61 @@
+/**
+ * Earnings service tests
+ *
+ * Renders hand-built earnings reports as CSV.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+
+const { earningsToCsv } = require('../../src/services/earningsService');
+
+/**
+ * Build a one-row report for a space
+ * @param {string} title - Space title
+ * @returns {Object} - Report as returned by getHostEarnings
+ */
+const reportFor = (title) => ({
+  breakdown: [{
+    period: '2026-03-02',
+    start: new Date('2026-03-02T00:00:00Z'),
+    end: new Date('2026-03-03T00:00:00Z'),
+    spaceId: 'space',
+    title,
+    currency: 'GBP',
+    bookingCount: 2,
+    grossMinor: 3050,
+    platformFeesMinor: 305,
+    refundsMinor: 0,
+    netMinor: 2745,
+    bookedMinutes: 150,
+    occupancyRate: 0.1,
+    averageBookingMinutes: 75
+  }]
+});
+
+const dataRow = (csv) => csv.split('\r\n')[1];
+
+describe('earningsService', () => {
+  describe('earningsToCsv', () => {
+    it('writes a header and a row per period and space in major units', () => {
+      const csv = earningsToCsv(reportFor('Driveway'));
+
+      expect(csv.split('\r\n')[0]).toMatch(/^period,period_start,period_end,space_id,space,currency,bookings,gross,/);
+      expect(dataRow(csv)).toBe(
+        '2026-03-02,2026-03-02T00:00:00.000Z,2026-03-03T00:00:00.000Z,space,Driveway,GBP,2,30.50,3.05,0.00,27.45,2.50,0.1,75'
+      );
+      expect(csv.endsWith('\r\n')).toBe(true);
+    });
+
+    it('quotes titles with commas, quotes and line breaks', () => {
+      const csv = earningsToCsv(reportFor('Bay 3, "Rear"\nGate'));
+
+      expect(csv).toContain(',"Bay 3, ""Rear""\nGate",');
+    });
+
+    it('stops a spreadsheet running a title as a formula', () => {
+      expect(earningsToCsv(reportFor('=HYPERLINK("http://example.com")'))).toContain(',"\'=HYPERLINK(""http://example.com"")",');
+      expect(earningsToCsv(reportFor('@SUM(A1)'))).toContain(',\'@SUM(A1),');
+      expect(earningsToCsv(reportFor('-1'))).toContain(',-1,');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Notification service tests
+ *
+ * Creates, lists and reads in-memory notifications, with live updates
+ * mocked.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/realtimeService', () => ({
+  publishEvent: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { publishEvent } = require('../../src/services/realtimeService');
+const {
+  createNotification,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../../src/services/notificationService');
+
+const notification = (id) => fakePrisma.table('notification').find(candidate => candidate.id === id);
+
+/**
+ * Seed a user's notifications a minute apart, oldest first
+ * @param {string} userId - User ID
+ * @param {Array<boolean>} readFlags - isRead for each notification
+ */
+const seedNotifications = (userId, readFlags) => fakePrisma.seed('notification', readFlags.map((isRead, index) => ({
+  id: `${userId}-${index + 1}`,
+  userId,
+  type: 'BOOKING_CONFIRMED',
+  title: 'Booking confirmed',
+  message: 'See you soon.',
+  isRead,
+  createdAt: new Date(Date.UTC(2026, 2, 2, 9, index))
+})));
+
+describe('notificationService', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    jest.clearAllMocks();
+  });
+
+  describe('createNotification', () => {
+    it('saves an unread notification and pushes it to the user', async () => {
+      const created = await createNotification({ userId: 'driver', type: 'BOOKING_CONFIRMED', title: 'Booking confirmed', message: 'See you soon.' });
+
+      expect(created).toMatchObject({ userId: 'driver', isRead: false });
+      expect(publishEvent).toHaveBeenCalledWith('driver', 'notification.created', { notification: created });
+    });
+
+    it('logs rather than throws when the notification can\'t be saved', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const create = jest.spyOn(fakePrisma.client.notification, 'create').mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(createNotification({ userId: 'driver', type: 'BOOKING_CONFIRMED', title: 'Booking confirmed', message: 'See you soon.' }))
+        .resolves.toBeNull();
+      expect(publishEvent).not.toHaveBeenCalled();
+      expect(consoleError).toHaveBeenCalled();
+
+      create.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('listNotifications', () => {
+    beforeEach(() => {
+      seedNotifications('driver', [true, false, false]);
+      seedNotifications('host', [false]);
+    });
+
+    it('lists the user\'s notifications newest first with their unread count', async () => {
+      const { notifications, totalCount, unreadCount } = await listNotifications('driver');
+
+      expect(notifications.map(({ id }) => id)).toEqual(['driver-3', 'driver-2', 'driver-1']);
+      expect(totalCount).toBe(3);
+      expect(unreadCount).toBe(2);
+    });
+
+    it('pages through the notifications', async () => {
+      const { notifications, totalCount } = await listNotifications('driver', { page: 2, limit: 2 });
+
+      expect(notifications.map(({ id }) => id)).toEqual(['driver-1']);
+      expect(totalCount).toBe(3);
+    });
+
+    it('lists only unread notifications when asked', async () => {
+      const { notifications, totalCount } = await listNotifications('driver', { unreadOnly: true });
+
+      expect(notifications.map(({ id }) => id)).toEqual(['driver-3', 'driver-2']);
+      expect(totalCount).toBe(2);
+    });
+  });
+
+  describe('markNotificationRead', () => {
+    beforeEach(() => {
+      seedNotifications('driver', [false]);
+      seedNotifications('host', [false]);
+    });
+
+    it('marks the user\'s notification as read', async () => {
+      await expect(markNotificationRead('driver', 'driver-1')).resolves.toMatchObject({ id: 'driver-1', isRead: true });
+    });
+
+    it('doesn\'t touch another user\'s notification', async () => {
+      await expect(markNotificationRead('driver', 'host-1')).rejects.toMatchObject({ code: 'NOTIFICATION_NOT_FOUND' });
+      expect(notification('host-1').isRead).toBe(false);
+    });
+  });
+
+  describe('markAllNotificationsRead', () => {
+    it('marks only the user\'s unread notifications', async () => {
+      seedNotifications('driver', [true, false, false]);
+      seedNotifications('host', [false]);
+
+      await expect(markAllNotificationsRead('driver')).resolves.toBe(2);
+      expect(fakePrisma.table('notification').filter(({ isRead }) => !isRead).map(({ id }) => id)).toEqual(['host-1']);
+    });
+  });
+});
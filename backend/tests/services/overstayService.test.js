@@ -0,0 +1,124 @@
+/**
+ * Overstay service tests
+ *
+ * Works out overstays against fixed end times and charges them to
+ * in-memory bookings with the Stripe charge mocked.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/paymentService', () => ({
+  processPayment: jest.fn(async () => ({ success: true, id: 'pi_overstay', status: 'succeeded' })),
+  syncBookingTotal: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/emailService', () => ({
+  sendEmail: jest.fn(async () => {})
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { processPayment } = require('../../src/services/paymentService');
+const { createNotification } = require('../../src/services/notificationService');
+const {
+  getOvertimeRate,
+  calculateOverstay,
+  chargeOverstay,
+  OVERSTAY_GRACE_MINUTES
+} = require('../../src/services/overstayService');
+
+const MINUTE = 60 * 1000;
+const END = new Date('2026-03-02T18:00:00Z');
+const after = (minutes) => new Date(END.getTime() + minutes * MINUTE);
+
+const space = { id: 'space', ownerId: 'host', address: '1 High Street', priceMinor: 400, overtimeRateMinor: null, currency: 'GBP' };
+
+describe('overstayService', () => {
+  describe('getOvertimeRate', () => {
+    it('uses the host\'s overtime rate when they set one', () => {
+      expect(getOvertimeRate({ ...space, overtimeRateMinor: 1000 })).toBe(1000);
+    });
+
+    it('falls back to the base price times the multiplier', () => {
+      expect(getOvertimeRate(space)).toBe(600);
+    });
+  });
+
+  describe('calculateOverstay', () => {
+    it('charges nothing for leaving on time or within the grace period', () => {
+      expect(calculateOverstay({ endTime: END }, space, after(-5))).toMatchObject({ overstayMinutes: 0, amountMinor: 0 });
+      expect(calculateOverstay({ endTime: END }, space, after(OVERSTAY_GRACE_MINUTES)))
+        .toMatchObject({ overstayMinutes: OVERSTAY_GRACE_MINUTES, billedMinutes: 0, amountMinor: 0 });
+    });
+
+    it('bills every started 15 minutes once past the grace period', () => {
+      expect(calculateOverstay({ endTime: END }, space, after(OVERSTAY_GRACE_MINUTES + 1)))
+        .toMatchObject({ billedMinutes: 15, rateMinor: 600, amountMinor: 150 });
+      expect(calculateOverstay({ endTime: END }, space, after(46)))
+        .toMatchObject({ overstayMinutes: 46, billedMinutes: 60, amountMinor: 600 });
+    });
+
+    it('counts a part minute as a whole one', () => {
+      expect(calculateOverstay({ endTime: END }, space, new Date(after(30).getTime() + 1000)))
+        .toMatchObject({ overstayMinutes: 31, billedMinutes: 45 });
+    });
+  });
+
+  describe('chargeOverstay', () => {
+    const loadBooking = () => ({
+      ...fakePrisma.table('booking')[0],
+      space,
+      user: { id: 'driver', stripeCustomerId: 'cus_driver' },
+      payments: fakePrisma.table('payment').map(payment => ({ ...payment }))
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      fakePrisma.reset();
+      fakePrisma.seed('booking', [{ id: 'booking', userId: 'driver', spaceId: 'space', endTime: END, currency: 'GBP', totalCostMinor: 800 }]);
+      fakePrisma.seed('payment', [{
+        id: 'original', bookingId: 'booking', type: 'BOOKING', status: 'SUCCEEDED', amountMinor: 800,
+        currency: 'GBP', stripePaymentId: 'pi_booking', stripePaymentMethodId: 'pm_card'
+      }]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.error.mockRestore();
+    });
+
+    it('charges the saved card off-session and records a separate OVERSTAY payment', async () => {
+      const overstay = await chargeOverstay(loadBooking(), after(46));
+
+      expect(processPayment).toHaveBeenCalledWith(expect.objectContaining({
+        amountMinor: 600,
+        paymentMethodId: 'pm_card',
+        customerId: 'cus_driver',
+        offSession: true,
+        idempotencyKey: 'overstay-booking'
+      }));
+      expect(overstay.payment).toMatchObject({ type: 'OVERSTAY', status: 'SUCCEEDED', amountMinor: 600, stripePaymentId: 'pi_overstay' });
+      expect(fakePrisma.table('booking')[0].overstayMinutes).toBe(46);
+    });
+
+    it('records the overstay without charging within the grace period', async () => {
+      const overstay = await chargeOverstay(loadBooking(), after(5));
+
+      expect(overstay.payment).toBeNull();
+      expect(processPayment).not.toHaveBeenCalled();
+      expect(fakePrisma.table('booking')[0].overstayMinutes).toBe(5);
+    });
+
+    it('records a FAILED payment and tells the driver when the card is declined', async () => {
+      processPayment.mockRejectedValueOnce(new Error('Your card was declined.'));
+
+      const overstay = await chargeOverstay(loadBooking(), after(46));
+
+      expect(overstay.payment).toMatchObject({ type: 'OVERSTAY', status: 'FAILED', amountMinor: 600 });
+      expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 'driver', type: 'PAYMENT_FAILED' }));
+    });
+  });
+});
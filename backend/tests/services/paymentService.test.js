@@ -0,0 +1,188 @@
+/**
+ * Payment service tests
+ *
+ * Records paid series invoices against in-memory bookings, checking that
+ * the invoicing job and the invoice webhook can't both record a charge,
+ * refunds charges through a mocked Stripe and handles failed-payment
+ * webhooks.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/stripeClient', () => ({
+  stripe: { refunds: { create: jest.fn() } }
+}));
+jest.mock('../../src/services/emailService', () => ({
+  sendPaymentReceiptEmail: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {}),
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { stripe } = require('../../src/services/stripeClient');
+const { createNotification } = require('../../src/services/notificationService');
+const { recordInvoicePayment, refundPayment, handleWebhookEvent } = require('../../src/services/paymentService');
+
+const invoice = {
+  id: 'in_123',
+  payment_intent: 'pi_123',
+  amount_paid: 3000,
+  application_fee_amount: 300,
+  default_payment_method: 'pm_card',
+  transfer_data: { destination: 'acct_host' }
+};
+
+describe('paymentService', () => {
+  describe('recordInvoicePayment', () => {
+    beforeEach(() => {
+      fakePrisma.reset();
+      fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host' }]);
+      fakePrisma.seed('bookingSeries', [{ id: 'series', status: 'ACTIVE' }]);
+      fakePrisma.seed('booking', [
+        { id: 'first', userId: 'driver', spaceId: 'space', seriesId: 'series', stripeInvoiceId: 'in_123', totalCostMinor: 1000, currency: 'GBP', startTime: new Date('2026-03-02T09:00:00Z') },
+        { id: 'second', userId: 'driver', spaceId: 'space', seriesId: 'series', stripeInvoiceId: 'in_123', totalCostMinor: 2000, currency: 'GBP', startTime: new Date('2026-03-09T09:00:00Z') }
+      ]);
+    });
+
+    it('shares the invoice out across its bookings with their host earnings', async () => {
+      const payments = await recordInvoicePayment(invoice);
+
+      expect(payments.map(payment => [payment.bookingId, payment.amountMinor, payment.applicationFeeMinor]))
+        .toEqual([['first', 1000, 100], ['second', 2000, 200]]);
+      expect(fakePrisma.table('hostLedgerEntry').map(entry => entry.amountMinor)).toEqual([900, 1800]);
+    });
+
+    it('skips bookings already recorded', async () => {
+      await recordInvoicePayment(invoice);
+
+      expect(await recordInvoicePayment(invoice)).toEqual([]);
+      expect(fakePrisma.table('payment')).toHaveLength(2);
+      expect(fakePrisma.table('hostLedgerEntry')).toHaveLength(2);
+    });
+
+    it('records each share once when the webhook races the invoicing job', async () => {
+      const [fromJob, fromWebhook] = await Promise.all([recordInvoicePayment(invoice), recordInvoicePayment(invoice)]);
+
+      expect(fromJob.length + fromWebhook.length).toBe(2);
+      expect(fakePrisma.table('payment')).toHaveLength(2);
+      expect(fakePrisma.table('hostLedgerEntry')).toHaveLength(2);
+    });
+
+    it('skips a series abandoned and refunded after its invoice was paid', async () => {
+      fakePrisma.table('bookingSeries')[0].status = 'CANCELLED';
+
+      expect(await recordInvoicePayment(invoice)).toEqual([]);
+      expect(fakePrisma.table('hostLedgerEntry')).toHaveLength(0);
+    });
+
+    it('finishes an invoice an earlier run only partly recorded', async () => {
+      await recordInvoicePayment(invoice);
+      fakePrisma.table('payment').splice(1);
+      fakePrisma.table('hostLedgerEntry').splice(1);
+
+      const payments = await recordInvoicePayment(invoice);
+
+      expect(payments.map(payment => payment.bookingId)).toEqual(['second']);
+      expect(fakePrisma.table('hostLedgerEntry')).toHaveLength(2);
+    });
+
+    it('records the host earning of a share recorded without one', async () => {
+      await recordInvoicePayment(invoice);
+      fakePrisma.table('hostLedgerEntry').splice(0, 1);
+
+      const payments = await recordInvoicePayment(invoice);
+
+      expect(payments.map(payment => payment.bookingId)).toEqual(['first']);
+      expect(fakePrisma.table('payment')).toHaveLength(2);
+      expect(fakePrisma.table('hostLedgerEntry').map(entry => entry.amountMinor).sort((a, b) => a - b)).toEqual([900, 1800]);
+    });
+  });
+
+  describe('refundPayment', () => {
+    const charge = () => fakePrisma.table('payment').find(payment => payment.id === 'charge');
+
+    beforeEach(() => {
+      fakePrisma.reset();
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fakePrisma.seed('booking', [{ id: 'booking', userId: 'driver', totalCostMinor: 2000, currency: 'GBP' }]);
+      fakePrisma.seed('payment', [{
+        id: 'charge', userId: 'driver', bookingId: 'booking', type: 'BOOKING', amountMinor: 2000, currency: 'GBP', status: 'SUCCEEDED', stripePaymentId: 'pi_789'
+      }]);
+      stripe.refunds.create.mockImplementation(async () => ({ id: `re_${stripe.refunds.create.mock.calls.length}`, status: 'succeeded' }));
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+      console.error.mockRestore();
+    });
+
+    it('marks a charge partly refunded until all of it is refunded', async () => {
+      const { payment } = await refundPayment(charge(), 1000);
+
+      expect(payment).toMatchObject({ status: 'PARTIALLY_REFUNDED', refundAmountMinor: 1000, refundStatus: 'SUCCEEDED' });
+
+      await refundPayment(charge(), 1000);
+
+      expect(charge()).toMatchObject({ status: 'REFUNDED', refundAmountMinor: 2000 });
+    });
+
+    it('sends a retried refund to Stripe as a new request', async () => {
+      stripe.refunds.create.mockRejectedValueOnce(new Error('card_declined'));
+
+      const failed = await refundPayment(charge(), 1000);
+      expect(failed.success).toBe(false);
+      expect(charge()).toMatchObject({ status: 'SUCCEEDED', refundStatus: 'FAILED' });
+
+      const retried = await refundPayment(charge(), 1000);
+      expect(retried.success).toBe(true);
+      expect(charge()).toMatchObject({ status: 'PARTIALLY_REFUNDED', refundAmountMinor: 1000 });
+
+      const [[, first], [, second]] = stripe.refunds.create.mock.calls;
+      expect(first.idempotencyKey).not.toBe(second.idempotencyKey);
+    });
+  });
+
+  describe('payment_intent.payment_failed', () => {
+    const paymentFailed = (metadata) => handleWebhookEvent({
+      type: 'payment_intent.payment_failed',
+      data: { object: { id: 'pi_456', metadata } }
+    });
+
+    beforeEach(() => {
+      fakePrisma.reset();
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      fakePrisma.seed('parkingSpace', [{ id: 'space', ownerId: 'host', address: '1 High Street' }]);
+      fakePrisma.seed('booking', [
+        { id: 'booking', userId: 'driver', spaceId: 'space', status: 'CONFIRMED', startTime: new Date('2026-03-02T09:00:00Z') }
+      ]);
+      fakePrisma.seed('payment', [{ id: 'charge', bookingId: 'booking', stripePaymentId: 'pi_456', status: 'PENDING' }]);
+    });
+
+    afterEach(() => {
+      console.log.mockRestore();
+    });
+
+    it('cancels the booking when its own charge fails', async () => {
+      await paymentFailed({ bookingId: 'booking' });
+
+      expect(fakePrisma.table('payment')[0].status).toBe('FAILED');
+      expect(fakePrisma.table('booking')[0].status).toBe('CANCELLED');
+      expect(createNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: 'driver', type: 'PAYMENT_FAILED' }));
+    });
+
+    it('leaves the booking standing when an extension or overstay charge fails', async () => {
+      await paymentFailed({ bookingId: 'booking', type: 'overstay' });
+
+      expect(fakePrisma.table('payment')[0].status).toBe('FAILED');
+      expect(fakePrisma.table('booking')[0].status).toBe('CONFIRMED');
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+  });
+});
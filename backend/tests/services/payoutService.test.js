@@ -0,0 +1,353 @@
+/**
+ * Payout service tests
+ *
+ * Runs Connect onboarding, destination charges, the host ledger and payouts
+ * against in-memory records, with a fake Stripe client swapped in through
+ * setStripeClient.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/emailService', () => ({
+  sendPaymentReceiptEmail: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/realtimeService', () => ({
+  publishBookingEvents: jest.fn(async () => {}),
+  publishPaymentFailed: jest.fn(async () => {})
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { setStripeClient } = require('../../src/services/stripeClient');
+const { processPayment } = require('../../src/services/paymentService');
+const {
+  PLATFORM_FEE_PERCENTAGE,
+  calculateApplicationFee,
+  getHostTransfer,
+  syncHostAccount,
+  refreshHostAccount,
+  startHostOnboarding,
+  recordHostEarning,
+  reverseHostEarning,
+  cancelHostReversal,
+  transferHeldEarnings,
+  recordHostPayout,
+  getHostBalances
+} = require('../../src/services/payoutService');
+
+/**
+ * Create a Stripe stand-in with the calls the payout flow makes
+ * @returns {Object}
+ */
+const createFakeStripe = () => {
+  let transfers = 0;
+  return {
+    accounts: {
+      create: jest.fn(async () => ({ id: 'acct_new' })),
+      retrieve: jest.fn(async (id) => ({
+        id,
+        charges_enabled: true,
+        payouts_enabled: true,
+        details_submitted: true,
+        requirements: { currently_due: [] }
+      }))
+    },
+    accountLinks: {
+      create: jest.fn(async ({ account }) => ({
+        url: `https://connect.stripe.test/setup/${account}`,
+        expires_at: 1772452800
+      }))
+    },
+    paymentIntents: {
+      create: jest.fn(async (params) => ({
+        id: 'pi_123',
+        status: 'succeeded',
+        amount: params.amount,
+        payment_method: params.payment_method
+      }))
+    },
+    transfers: {
+      create: jest.fn(async () => ({ id: `tr_${++transfers}` })),
+      createReversal: jest.fn(async (id) => ({ id: `trr_${id}` }))
+    }
+  };
+};
+
+const entries = (type) => fakePrisma.table('hostLedgerEntry').filter(entry => entry.type === type);
+
+describe('payoutService', () => {
+  let stripe;
+
+  beforeEach(() => {
+    fakePrisma.reset();
+    stripe = createFakeStripe();
+    setStripeClient(stripe);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Connect onboarding', () => {
+    it('creates an Express account for a new host and returns its onboarding link', async () => {
+      fakePrisma.seed('user', [{ id: 'host', email: 'host@example.com', stripeAccountId: null }]);
+
+      const onboarding = await startHostOnboarding({ id: 'host', email: 'host@example.com', stripeAccountId: null });
+
+      expect(stripe.accounts.create).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'express', email: 'host@example.com' }),
+        { idempotencyKey: 'connect-account-host' }
+      );
+      expect(onboarding).toEqual({
+        accountId: 'acct_new',
+        onboardingUrl: 'https://connect.stripe.test/setup/acct_new',
+        expiresAt: new Date(1772452800 * 1000)
+      });
+      expect(fakePrisma.table('user')[0].stripeAccountId).toBe('acct_new');
+    });
+
+    it('resumes onboarding on the host\'s existing account', async () => {
+      const onboarding = await startHostOnboarding({ id: 'host', email: 'host@example.com', stripeAccountId: 'acct_host' });
+
+      expect(stripe.accounts.create).not.toHaveBeenCalled();
+      expect(onboarding.accountId).toBe('acct_host');
+    });
+
+    it('reports a Stripe failure as PAYOUT_ACCOUNT_ERROR', async () => {
+      stripe.accountLinks.create.mockRejectedValueOnce(new Error('Stripe is down'));
+
+      await expect(startHostOnboarding({ id: 'host', stripeAccountId: 'acct_host' }))
+        .rejects.toMatchObject({ code: 'PAYOUT_ACCOUNT_ERROR' });
+    });
+
+    it('stores the account\'s status once onboarding is complete', async () => {
+      fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripeChargesEnabled: false, stripePayoutsEnabled: false }]);
+
+      const account = await refreshHostAccount({ id: 'host', stripeAccountId: 'acct_host' });
+
+      expect(account).toEqual({
+        accountId: 'acct_host',
+        chargesEnabled: true,
+        payoutsEnabled: true,
+        detailsSubmitted: true,
+        requirements: []
+      });
+      expect(fakePrisma.table('user')[0]).toMatchObject({ stripeChargesEnabled: true, stripePayoutsEnabled: true });
+    });
+
+    it('updates hosts from account.updated webhooks', async () => {
+      fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripeChargesEnabled: true, stripePayoutsEnabled: true }]);
+
+      expect(await syncHostAccount({ id: 'acct_host', charges_enabled: true, payouts_enabled: false })).toBe(1);
+      expect(fakePrisma.table('user')[0].stripePayoutsEnabled).toBe(false);
+    });
+  });
+
+  describe('destination charges', () => {
+    it('routes the charge to an onboarded host less the platform fee', async () => {
+      fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripeChargesEnabled: true }]);
+
+      const transfer = await getHostTransfer('host', 1000);
+      await processPayment({ amountMinor: 1000, currency: 'GBP', paymentMethodId: 'pm_card', customerId: 'cus_driver', transfer });
+
+      expect(transfer).toEqual({ destination: 'acct_host', applicationFeeMinor: calculateApplicationFee(1000) });
+      expect(calculateApplicationFee(1000)).toBe(Math.round(1000 * PLATFORM_FEE_PERCENTAGE / 100));
+      expect(stripe.paymentIntents.create).toHaveBeenCalledWith(expect.objectContaining({
+        amount: 1000,
+        transfer_data: { destination: 'acct_host' },
+        application_fee_amount: calculateApplicationFee(1000)
+      }), undefined);
+    });
+
+    it('keeps the charge with the platform while the host can\'t take charges', async () => {
+      fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripeChargesEnabled: false }]);
+
+      const transfer = await getHostTransfer('host', 1000);
+      await processPayment({ amountMinor: 1000, currency: 'GBP', paymentMethodId: 'pm_card', customerId: 'cus_driver', transfer });
+
+      expect(transfer.destination).toBeNull();
+      const [params] = stripe.paymentIntents.create.mock.calls[0];
+      expect(params).not.toHaveProperty('transfer_data');
+      expect(params).not.toHaveProperty('application_fee_amount');
+    });
+  });
+
+  describe('host ledger', () => {
+    const charge = (overrides = {}) => ({
+      id: 'charge',
+      bookingId: 'booking',
+      amountMinor: 1000,
+      applicationFeeMinor: 100,
+      currency: 'GBP',
+      transferDestination: 'acct_host',
+      ...overrides
+    });
+
+    it('records the host\'s share of a charge as an EARNING', async () => {
+      const earning = await recordHostEarning(charge(), 'host');
+
+      expect(earning).toMatchObject({
+        type: 'EARNING',
+        status: 'PENDING',
+        grossMinor: 1000,
+        feeMinor: 100,
+        amountMinor: 900,
+        heldByPlatform: false,
+        hostId: 'host',
+        paymentId: 'charge'
+      });
+    });
+
+    it('marks earnings from charges the platform kept as held', async () => {
+      const earning = await recordHostEarning(charge({ transferDestination: null }), 'host');
+
+      expect(earning.heldByPlatform).toBe(true);
+    });
+
+    it('reverses the host\'s share of a refund in proportion to the charge', async () => {
+      await recordHostEarning(charge(), 'host');
+
+      const reversal = await reverseHostEarning(charge(), { id: 'refund', amountMinor: 500 });
+
+      expect(reversal).toMatchObject({
+        type: 'REVERSAL',
+        grossMinor: 500,
+        feeMinor: 50,
+        amountMinor: 450,
+        heldByPlatform: false,
+        paymentId: 'refund'
+      });
+      // Stripe reverses destination charges along with the refund
+      expect(stripe.transfers.createReversal).not.toHaveBeenCalled();
+    });
+
+    it('reverses earnings the platform already transferred', async () => {
+      await recordHostEarning(charge({ transferDestination: null }), 'host');
+      fakePrisma.table('hostLedgerEntry')[0].stripeTransferId = 'tr_held';
+
+      const reversal = await reverseHostEarning(charge(), { id: 'refund', amountMinor: 1000 });
+
+      expect(stripe.transfers.createReversal).toHaveBeenCalledWith('tr_held', expect.objectContaining({ amount: 900 }), {
+        idempotencyKey: 'reversal-refund'
+      });
+      expect(reversal.heldByPlatform).toBe(false);
+    });
+
+    it('nets a failed transfer reversal off the host\'s next transfer', async () => {
+      await recordHostEarning(charge({ transferDestination: null }), 'host');
+      fakePrisma.table('hostLedgerEntry')[0].stripeTransferId = 'tr_held';
+      stripe.transfers.createReversal.mockRejectedValueOnce(new Error('Insufficient funds'));
+
+      const reversal = await reverseHostEarning(charge(), { id: 'refund', amountMinor: 1000 });
+
+      expect(reversal).toMatchObject({ amountMinor: 900, heldByPlatform: true });
+    });
+
+    it('skips charges with no earning', async () => {
+      expect(await reverseHostEarning(charge(), { id: 'refund', amountMinor: 500 })).toBeNull();
+    });
+
+    it('drops the reversal of a refund that failed', async () => {
+      await recordHostEarning(charge(), 'host');
+      await reverseHostEarning(charge(), { id: 'refund', amountMinor: 500 });
+
+      expect(await cancelHostReversal('refund')).toBe(1);
+      expect(entries('REVERSAL')).toHaveLength(0);
+    });
+
+    it('sums pending, paid out and held balances per currency', async () => {
+      await recordHostEarning(charge(), 'host');
+      await recordHostEarning(charge({ id: 'held', transferDestination: null, amountMinor: 2000, applicationFeeMinor: 200 }), 'host');
+      await reverseHostEarning(charge(), { id: 'refund', amountMinor: 500 });
+
+      expect(await getHostBalances('host')).toEqual([{
+        currency: 'GBP',
+        pendingMinor: 900 + 1800 - 450,
+        paidOutMinor: 0,
+        awaitingTransferMinor: 1800
+      }]);
+    });
+  });
+
+  describe('payouts', () => {
+    const seedEntries = (records) => fakePrisma.seed('hostLedgerEntry', records.map((record, index) => ({
+      hostId: 'host',
+      currency: 'GBP',
+      stripeTransferId: null,
+      createdAt: new Date(Date.UTC(2026, 2, 1, 9, index)),
+      ...record
+    })));
+
+    beforeEach(() => {
+      fakePrisma.seed('user', [{ id: 'host', stripeAccountId: 'acct_host', stripePayoutsEnabled: true }]);
+    });
+
+    it('transfers held earnings less held reversals to onboarded hosts', async () => {
+      seedEntries([
+        { id: 'first', type: 'EARNING', amountMinor: 900, heldByPlatform: true },
+        { id: 'second', type: 'EARNING', amountMinor: 1800, heldByPlatform: true },
+        { id: 'refund', type: 'REVERSAL', amountMinor: 450, heldByPlatform: true },
+        { id: 'direct', type: 'EARNING', amountMinor: 500, heldByPlatform: false }
+      ]);
+
+      expect(await transferHeldEarnings()).toBe(1);
+      expect(stripe.transfers.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 2250, currency: 'gbp', destination: 'acct_host' }),
+        { idempotencyKey: expect.stringMatching(/^host-transfer-/) }
+      );
+      expect(fakePrisma.table('hostLedgerEntry').map(entry => entry.stripeTransferId))
+        .toEqual(['tr_1', 'tr_1', 'tr_1', null]);
+
+      // Nothing is left to transfer
+      expect(await transferHeldEarnings()).toBe(0);
+    });
+
+    it('waits for hosts who can\'t receive payouts yet', async () => {
+      fakePrisma.table('user')[0].stripePayoutsEnabled = false;
+      seedEntries([{ type: 'EARNING', amountMinor: 900, heldByPlatform: true }]);
+
+      expect(await transferHeldEarnings()).toBe(0);
+      expect(stripe.transfers.create).not.toHaveBeenCalled();
+    });
+
+    it('leaves entries to retry when a transfer fails', async () => {
+      seedEntries([{ type: 'EARNING', amountMinor: 900, heldByPlatform: true }]);
+      stripe.transfers.create.mockRejectedValueOnce(new Error('Stripe is down'));
+
+      expect(await transferHeldEarnings()).toBe(0);
+      expect(fakePrisma.table('hostLedgerEntry')[0].stripeTransferId).toBeNull();
+    });
+
+    it('marks the oldest pending entries the payout covers as paid out', async () => {
+      seedEntries([
+        { id: 'first', type: 'EARNING', amountMinor: 900 },
+        { id: 'second', type: 'EARNING', amountMinor: 600 },
+        { id: 'untransferred', type: 'EARNING', amountMinor: 300, heldByPlatform: true },
+        { id: 'third', type: 'EARNING', amountMinor: 700 }
+      ]);
+
+      const payout = await recordHostPayout('acct_host', { id: 'po_1', amount: 1500, currency: 'gbp', arrival_date: 1772452800 });
+
+      expect(payout).toMatchObject({ type: 'PAYOUT', status: 'PAID_OUT', amountMinor: 1500, stripePayoutId: 'po_1' });
+      const statuses = Object.fromEntries(fakePrisma.table('hostLedgerEntry').map(entry => [entry.id, entry.status]));
+      expect(statuses).toMatchObject({ first: 'PAID_OUT', second: 'PAID_OUT', untransferred: 'PENDING', third: 'PENDING' });
+    });
+
+    it('records each payout only once', async () => {
+      seedEntries([{ type: 'EARNING', amountMinor: 900 }]);
+      const payout = { id: 'po_1', amount: 900, currency: 'gbp', arrival_date: 1772452800 };
+
+      await recordHostPayout('acct_host', payout);
+
+      expect(await recordHostPayout('acct_host', payout)).toBeNull();
+      expect(entries('PAYOUT')).toHaveLength(1);
+    });
+
+    it('ignores payouts from unknown accounts', async () => {
+      expect(await recordHostPayout('acct_unknown', { id: 'po_1', amount: 900, currency: 'gbp', arrival_date: 1772452800 })).toBeNull();
+    });
+  });
+});
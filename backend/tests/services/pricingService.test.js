@@ -0,0 +1,44 @@
+/**
+ * Pricing service tests
+ *
+ * Quotes booking windows against hand-built spaces and pricing rules.
+ */
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn() }));
+
+const { calculatePriceQuote } = require('../../src/services/pricingService');
+
+const space = { priceMinor: 333, currency: 'GBP' };
+const peakRate = { id: 'peak', type: 'HOURLY_RATE', amountMinor: 251, startTime: '08:00', endTime: '10:00' };
+const dailyCap = { id: 'cap', type: 'DAILY_CAP', amountMinor: 200 };
+
+// Local times, as pricing rules are read in the server's time zone
+const at = (hours, minutes = 0) => new Date(2026, 2, 2, hours, minutes);
+
+const lineAmounts = (quote) => quote.lineItems.map(item => [item.code, item.amountMinor]);
+
+describe('pricingService', () => {
+  describe('calculatePriceQuote', () => {
+    it('rounds a window\'s price once rather than line by line', () => {
+      // Half an hour at each rate is 166.5p + 125.5p
+      const quote = calculatePriceQuote(space, [peakRate], at(7, 30), at(8, 30));
+
+      expect(lineAmounts(quote)).toEqual([['BASE_RATE', 167], ['HOURLY_RATE', 125]]);
+      expect(quote.totalCostMinor).toBe(292);
+    });
+
+    it('charges exactly the daily cap for a capped day', () => {
+      const quote = calculatePriceQuote(space, [peakRate, dailyCap], at(7, 30), at(8, 30));
+
+      expect(lineAmounts(quote)).toEqual([['BASE_RATE', 167], ['HOURLY_RATE', 125], ['DAILY_CAP', -92]]);
+      expect(quote.totalCostMinor).toBe(200);
+    });
+
+    it('leaves a day under the cap alone', () => {
+      const quote = calculatePriceQuote(space, [{ ...dailyCap, amountMinor: 1000 }], at(12), at(13));
+
+      expect(lineAmounts(quote)).toEqual([['BASE_RATE', 333]]);
+      expect(quote.totalCostMinor).toBe(333);
+    });
+  });
+});
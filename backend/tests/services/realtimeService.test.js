@@ -0,0 +1,131 @@
+/**
+ * Realtime service tests
+ *
+ * Subscribes connections against an in-memory realtime_events table and
+ * drives the poll with fake timers, with events committed by "other
+ * instances" seeded straight into the table.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+
+const fakePrisma = require('../helpers/fakePrisma');
+const { publishEvent, subscribe } = require('../../src/services/realtimeService');
+
+const POLL_INTERVAL_MS = 1000;
+
+/**
+ * Commit an event as another instance would
+ * @param {number} id - Event ID
+ * @param {number} ageMs - How long before now it was created
+ */
+const commitEvent = (id, ageMs = 0) => fakePrisma.seed('realtimeEvent', [{
+  id,
+  userId: 'driver',
+  type: 'booking.updated',
+  data: { event: id },
+  createdAt: new Date(Date.now() - ageMs)
+}]);
+
+const poll = () => jest.advanceTimersByTimeAsync(POLL_INTERVAL_MS);
+
+describe('realtimeService', () => {
+  let send;
+  let unsubscribe;
+
+  beforeEach(() => {
+    fakePrisma.reset();
+    jest.useFakeTimers({ now: new Date('2026-03-02T12:00:00Z') });
+    send = jest.fn();
+  });
+
+  afterEach(() => {
+    if (unsubscribe) {
+      unsubscribe();
+      unsubscribe = null;
+    }
+    jest.useRealTimers();
+  });
+
+  const sentEvents = () => send.mock.calls
+    .map(([message]) => message)
+    .filter(message => message.type === 'booking.updated');
+
+  it('sends an event whose ID committed after a higher one was sent', async () => {
+    commitEvent(1, 60 * 1000);
+    unsubscribe = await subscribe('driver', null, send);
+
+    commitEvent(3);
+    await poll();
+
+    // Event 2 was inserted before event 3 but only commits now
+    commitEvent(2, 500);
+    await poll();
+
+    expect(sentEvents().map(message => message.data.event)).toEqual([3, 2]);
+    // Resuming from either ID must not miss event 3, so both carry it
+    expect(sentEvents().map(message => message.id)).toEqual([3, 3]);
+  });
+
+  it('sends each event once however many polls return it', async () => {
+    unsubscribe = await subscribe('driver', null, send);
+
+    await publishEvent('driver', 'booking.updated', { event: 1 });
+    await poll();
+    await poll();
+
+    expect(sentEvents()).toHaveLength(1);
+  });
+
+  it('doesn\'t send a new connection the events from before it connected', async () => {
+    commitEvent(1, 500);
+    unsubscribe = await subscribe('driver', null, send);
+
+    await poll();
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ id: 1, type: 'ready' }));
+  });
+
+  it('replays the events after the ID a client resumes from', async () => {
+    commitEvent(1, 60 * 1000);
+    commitEvent(2, 50 * 1000);
+    commitEvent(3, 40 * 1000);
+
+    unsubscribe = await subscribe('driver', 1, send);
+    await poll();
+
+    expect(sentEvents().map(message => message.data.event)).toEqual([2, 3]);
+    expect(send).toHaveBeenLastCalledWith(expect.objectContaining({ id: 3, type: 'ready' }));
+  });
+
+  it('replays an event below the resume ID that committed after the client disconnected', async () => {
+    commitEvent(1, 60 * 1000);
+    commitEvent(3, 50 * 1000);
+    // Event 2 was inserted before event 3 but only commits now
+    commitEvent(2, 500);
+
+    unsubscribe = await subscribe('driver', 3, send);
+    await poll();
+
+    expect(sentEvents().map(message => message.data.event)).toEqual([2]);
+    expect(sentEvents()[0].id).toBe(3);
+  });
+
+  it('polls for the events of every connected user a batch of users at a time', async () => {
+    const unsubscribes = [];
+    for (let user = 0; user < 1200; user++) {
+      unsubscribes.push(await subscribe(`user-${user}`, null, jest.fn()));
+    }
+    unsubscribe = await subscribe('driver', null, send);
+    const findMany = jest.spyOn(fakePrisma.client.realtimeEvent, 'findMany');
+
+    commitEvent(1);
+    await poll();
+
+    unsubscribes.forEach(close => close());
+    const polledUsers = findMany.mock.calls.map(([{ where }]) => where.userId.in);
+    findMany.mockRestore();
+    expect(polledUsers.map(userIds => userIds.length)).toEqual([500, 500, 201]);
+    expect(sentEvents().map(message => message.data.event)).toEqual([1]);
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Review service tests
+ *
+ * Reviews in-memory bookings at fixed times, and works out space rating
+ * summaries from in-memory reviews.
+ */
+
+jest.mock('@prisma/client', () => require('../helpers/fakePrisma').prismaModule);
+jest.mock('../../src/services/notificationService', () => ({
+  createNotification: jest.fn(async () => null)
+}));
+
+const fakePrisma = require('../helpers/fakePrisma');
+const {
+  REVIEW_WINDOW_DAYS,
+  createReview,
+  updateReview,
+  refreshSpaceRating,
+  backfillSpaceRatings
+} = require('../../src/services/reviewService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+const space = (id) => fakePrisma.table('parkingSpace').find(candidate => candidate.id === id);
+
+const seedReviews = (spaceId, ratings) => fakePrisma.seed('review', ratings.map(rating => ({ spaceId, rating })));
+
+describe('reviewService', () => {
+  beforeEach(() => {
+    fakePrisma.reset();
+    fakePrisma.seed('parkingSpace', [
+      { id: 'driveway', avgRating: 0, reviewCount: 0, ratingHistogram: [0, 0, 0, 0, 0] },
+      { id: 'garage', avgRating: 0, reviewCount: 0, ratingHistogram: [0, 0, 0, 0, 0] },
+      { id: 'bay', avgRating: 0, reviewCount: 0, ratingHistogram: [0, 0, 0, 0, 0] }
+    ]);
+  });
+
+  describe('createReview', () => {
+    const loadBooking = (data) => ({
+      id: 'booking',
+      userId: 'driver',
+      spaceId: 'driveway',
+      status: 'COMPLETED',
+      endTime: daysAgo(1),
+      checkedOutAt: null,
+      space: { id: 'driveway', ownerId: 'host', title: 'Driveway' },
+      review: null,
+      ...data
+    });
+
+    beforeEach(() => {
+      fakePrisma.seed('user', [{ id: 'driver', firstName: 'Dana', lastName: 'Driver' }]);
+    });
+
+    it('reviews a completed booking', async () => {
+      const review = await createReview(loadBooking(), { rating: 4, comment: 'Easy to find' });
+
+      expect(review).toMatchObject({ rating: 4, bookingId: 'booking', user: { firstName: 'Dana' } });
+    });
+
+    it('rejects a booking that hasn\'t completed', async () => {
+      await expect(createReview(loadBooking({ status: 'ACTIVE' }), { rating: 4 }))
+        .rejects.toMatchObject({ code: 'INVALID_BOOKING_STATUS' });
+    });
+
+    it('rejects a booking that ended longer ago than the review window', async () => {
+      await expect(createReview(loadBooking({ endTime: daysAgo(REVIEW_WINDOW_DAYS + 1) }), { rating: 4 }))
+        .rejects.toMatchObject({ code: 'REVIEW_WINDOW_CLOSED' });
+    });
+
+    it('counts the review window from when the driver left', async () => {
+      const booking = loadBooking({
+        endTime: daysAgo(REVIEW_WINDOW_DAYS + 1),
+        checkedOutAt: daysAgo(REVIEW_WINDOW_DAYS - 1)
+      });
+
+      await expect(createReview(booking, { rating: 4 })).resolves.toMatchObject({ rating: 4 });
+    });
+
+    it('rejects a second review of the same booking, even sent at the same time', async () => {
+      const results = await Promise.allSettled([
+        createReview(loadBooking(), { rating: 4 }),
+        createReview(loadBooking(), { rating: 5 })
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.code).toBe('REVIEW_EXISTS');
+      await expect(createReview(loadBooking({ review: { id: 'review' } }), { rating: 3 }))
+        .rejects.toMatchObject({ code: 'REVIEW_EXISTS' });
+    });
+  });
+
+  describe('updateReview', () => {
+    it('rejects edits once the review window has closed', async () => {
+      const review = {
+        id: 'review',
+        rating: 4,
+        spaceId: 'driveway',
+        booking: { status: 'COMPLETED', endTime: daysAgo(REVIEW_WINDOW_DAYS + 1), checkedOutAt: null }
+      };
+
+      await expect(updateReview(review, { rating: 1 })).rejects.toMatchObject({ code: 'REVIEW_WINDOW_CLOSED' });
+    });
+  });
+
+  describe('refreshSpaceRating', () => {
+    it('stores the average to two places, the count and the histogram', async () => {
+      seedReviews('driveway', [5, 4, 4]);
+
+      const summary = await refreshSpaceRating('driveway');
+
+      expect(summary).toEqual({ avgRating: 4.33, reviewCount: 3, ratingHistogram: [0, 0, 0, 2, 1] });
+      expect(space('driveway')).toMatchObject(summary);
+    });
+
+    it('resets the summary of a space left without reviews', async () => {
+      Object.assign(space('driveway'), { avgRating: 3, reviewCount: 1, ratingHistogram: [0, 0, 1, 0, 0] });
+
+      await refreshSpaceRating('driveway');
+
+      expect(space('driveway')).toMatchObject({ avgRating: 0, reviewCount: 0, ratingHistogram: [0, 0, 0, 0, 0] });
+    });
+  });
+
+  describe('backfillSpaceRatings', () => {
+    it('fills in the summary of every reviewed space', async () => {
+      seedReviews('driveway', [5, 3]);
+      seedReviews('garage', [1]);
+
+      const updated = await backfillSpaceRatings();
+
+      expect(updated.map(({ spaceId, reviewCount }) => [spaceId, reviewCount])).toEqual([['driveway', 2], ['garage', 1]]);
+      expect(space('driveway')).toMatchObject({ avgRating: 4, reviewCount: 2, ratingHistogram: [0, 0, 1, 0, 1] });
+      expect(space('garage')).toMatchObject({ avgRating: 1, reviewCount: 1, ratingHistogram: [1, 0, 0, 0, 0] });
+      expect(space('bay').reviewCount).toBe(0);
+    });
+
+    it('leaves the summaries unchanged when run again', async () => {
+      seedReviews('driveway', [5, 3]);
+      await backfillSpaceRatings();
+
+      await backfillSpaceRatings();
+
+      expect(space('driveway')).toMatchObject({ avgRating: 4, reviewCount: 2 });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Stripe client tests
+ *
+ * Verifies webhook signatures made with the Stripe library's own test
+ * helper against the platform and Connect endpoint secrets.
+ */
+
+const Stripe = require('stripe');
+const { constructWebhookEvent } = require('../../src/services/stripeClient');
+
+const PLATFORM_SECRET = 'whsec_platform';
+const CONNECT_SECRET = 'whsec_connect';
+
+/**
+ * Sign a webhook payload as a Stripe endpoint would
+ * @param {Object} event - Event to send
+ * @param {string} secret - Endpoint signing secret
+ * @returns {Array} - [payload, signature]
+ */
+const signEvent = (event, secret) => {
+  const payload = JSON.stringify(event);
+  return [payload, Stripe.webhooks.generateTestHeaderString({ payload, secret })];
+};
+
+describe('stripeClient', () => {
+  describe('constructWebhookEvent', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+      process.env.STRIPE_WEBHOOK_SECRET = PLATFORM_SECRET;
+      process.env.STRIPE_CONNECT_WEBHOOK_SECRET = CONNECT_SECRET;
+    });
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('accepts platform events signed with the webhook secret', () => {
+      const event = constructWebhookEvent(...signEvent({ id: 'evt_1', type: 'payment_intent.succeeded' }, PLATFORM_SECRET));
+
+      expect(event.type).toBe('payment_intent.succeeded');
+    });
+
+    it('accepts connected account events signed with the Connect secret', () => {
+      const event = constructWebhookEvent(...signEvent({ id: 'evt_2', type: 'account.updated', account: 'acct_host' }, CONNECT_SECRET));
+
+      expect(event).toMatchObject({ type: 'account.updated', account: 'acct_host' });
+    });
+
+    it('rejects events signed with any other secret', () => {
+      expect(() => constructWebhookEvent(...signEvent({ id: 'evt_3', type: 'payout.paid' }, 'whsec_other')))
+        .toThrow(expect.objectContaining({ type: 'StripeSignatureVerificationError' }));
+    });
+
+    it('rejects Connect events while only the platform secret is configured', () => {
+      delete process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+
+      expect(() => constructWebhookEvent(...signEvent({ id: 'evt_4', type: 'payout.paid' }, CONNECT_SECRET)))
+        .toThrow(expect.objectContaining({ type: 'StripeSignatureVerificationError' }));
+    });
+  });
+});
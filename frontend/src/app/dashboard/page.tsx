@@ -3,6 +3,8 @@
 import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 import { useAuth } from '@/providers/AuthProvider';
+import { useToast } from '@/providers/ToastProvider';
+import { useRealtime, useRealtimeEvents } from '@/providers/RealtimeProvider';
 
 interface Booking {
   id: string;
@@ -10,6 +12,7 @@ interface Booking {
   endTime: string;
   totalCost: number;
   status: string;
+  paymentDueAt?: string | null;
   space: {
     title: string;
     address: string;
@@ -18,34 +21,62 @@ interface Booking {
 
 export default function DashboardPage() {
   const { user } = useAuth();
+  const { error: showError } = useToast();
+  const { status: liveStatus } = useRealtime();
   const [bookings, setBookings] = useState<Booking[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
 
-  useEffect(() => {
-    const fetchBookings = async () => {
-      setLoading(true);
-      setError('');
-      try {
-        const response = await axios.get('/api/bookings', {
-          headers: {
-            Authorization: `Bearer ${localStorage.getItem('auth_token')}`,
-          },
-        });
-        setBookings(response.data.data.bookings);
-      } catch (err) {
-        setError('Failed to load bookings.');
-      } finally {
-        setLoading(false);
-      }
-    };
+  const fetchBookings = async (showLoading = true) => {
+    if (showLoading) setLoading(true);
+    setError('');
+    try {
+      const response = await axios.get('/api/bookings', {
+        headers: {
+          Authorization: `Bearer ${localStorage.getItem('auth_token')}`,
+        },
+      });
+      setBookings(response.data.data.bookings);
+    } catch (err) {
+      setError('Failed to load bookings.');
+    } finally {
+      setLoading(false);
+    }
+  };
 
+  useEffect(() => {
     fetchBookings();
   }, []);
 
+  // Keep the list up to date as bookings change
+  useRealtimeEvents(['booking.created', 'booking.updated', 'resync'], (event) => {
+    const changed = event.data.booking;
+    const existing = changed && bookings.find((booking) => booking.id === changed.id);
+
+    // A status change can be applied in place
+    if (event.type === 'booking.updated' && existing && existing.endTime === changed.endTime) {
+      setBookings((current) => current.map((booking) => (
+        booking.id === changed.id ? { ...booking, status: changed.status } : booking
+      )));
+      return;
+    }
+
+    // New or extended bookings (and anything missed) have costs and details
+    // the event doesn't carry, so reload the list
+    fetchBookings(false);
+  });
+
+  useRealtimeEvents(['payment.failed'], (event) => {
+    showError('Payment failed', event.data.message);
+  });
+
   return (
     <div className="container mx-auto p-4">
-      <h1 className="text-3xl font-bold mb-6">My Bookings</h1>
+      <div className="flex items-center gap-3 mb-6">
+        <h1 className="text-3xl font-bold">My Bookings</h1>
+        {user && liveStatus === 'open' && <span className="badge badge-success">Live</span>}
+        {user && liveStatus === 'reconnecting' && <span className="badge badge-warning">Reconnecting…</span>}
+      </div>
       {loading && <p>Loading bookings...</p>}
       {error && <p className="text-red-600">{error}</p>}
       {!loading && bookings.length === 0 && <p>No bookings found.</p>}
@@ -59,6 +90,11 @@ export default function DashboardPage() {
             </p>
             <p>Status: {booking.status}</p>
             <p>Total Cost: £{booking.totalCost.toFixed(2)}</p>
+            {booking.paymentDueAt && (
+              <p className="text-sm text-gray-600">
+                Not paid yet: your card will be charged on {new Date(booking.paymentDueAt).toLocaleDateString()}
+              </p>
+            )}
           </li>
         ))}
       </ul>
@@ -0,0 +1,484 @@
+/**
+ * Host Bookings Page
+ *
+ * This page lets hosts manage the bookings on their parking spaces.
+ *
+ * Features:
+ * - Bookings across all of the host's spaces
+ * - Filtering by space, date range and status
+ * - Driver and vehicle details
+ * - Approving or declining booking requests
+ * - Marking drivers as arrived or departed
+ * - Drivers' ratings from other hosts, and rating drivers after their stay
+ * - Live updates as bookings are made and change status
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/providers/AuthProvider';
+import { useToast } from '@/providers/ToastProvider';
+import { useRealtimeEvents } from '@/providers/RealtimeProvider';
+
+// Types
+interface HostBooking {
+  id: string;
+  startTime: string;
+  endTime: string;
+  status: string;
+  totalCost: number;
+  currency: string;
+  vehicleReg: string;
+  vehicleMake?: string;
+  vehicleModel?: string;
+  vehicleColor?: string;
+  specialRequests?: string;
+  checkedInAt?: string;
+  checkedOutAt?: string;
+  overstayMinutes?: number;
+  approvalDeadline?: string;
+  declineReason?: string;
+  paymentDueAt?: string | null;
+  space: {
+    id: string;
+    title: string;
+    address: string;
+  };
+  user: {
+    id: string;
+    firstName: string;
+    lastName: string;
+  };
+  driverReputation: {
+    rating: number | null;
+    ratingCount: number;
+  };
+  driverRatingEntry?: {
+    rating: number;
+  } | null;
+}
+
+interface HostSpace {
+  id: string;
+  title: string;
+}
+
+interface Pagination {
+  currentPage: number;
+  totalPages: number;
+  totalCount: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+}
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+const BOOKING_STATUSES = ['PENDING', 'REQUESTED', 'DECLINED', 'CONFIRMED', 'ACTIVE', 'COMPLETED', 'CANCELLED', 'REFUNDED', 'NO_SHOW', 'EXPIRED'];
+
+export default function HostBookingsPage() {
+  const { user, token } = useAuth();
+  const { success, error: showError } = useToast();
+
+  // State
+  const [bookings, setBookings] = useState<HostBooking[]>([]);
+  const [spaces, setSpaces] = useState<HostSpace[]>([]);
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [updatingId, setUpdatingId] = useState<string | null>(null);
+  const [driverRatings, setDriverRatings] = useState<Record<string, number>>({});
+  const [filters, setFilters] = useState({
+    page: 1,
+    spaceId: '',
+    status: '',
+    from: '',
+    to: ''
+  });
+
+  const isHost = user?.role === 'HOST' || user?.role === 'ADMIN';
+
+  // Fetch bookings
+  const fetchBookings = async () => {
+    setLoading(true);
+    try {
+      const queryParams = new URLSearchParams({ page: filters.page.toString() });
+      if (filters.spaceId) queryParams.append('spaceId', filters.spaceId);
+      if (filters.status) queryParams.append('status', filters.status);
+      // Date inputs are whole days in the host's time zone
+      if (filters.from) queryParams.append('from', new Date(`${filters.from}T00:00`).toISOString());
+      if (filters.to) {
+        const to = new Date(`${filters.to}T00:00`);
+        to.setDate(to.getDate() + 1);
+        queryParams.append('to', to.toISOString());
+      }
+
+      const response = await fetch(`${API_URL}/hosts/me/bookings?${queryParams}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch bookings');
+      }
+
+      setBookings(data.data.bookings);
+      setSpaces(data.data.spaces);
+      setPagination(data.data.pagination);
+    } catch (err) {
+      showError('Error', err instanceof Error ? err.message : 'Failed to fetch bookings');
+      console.error('Error fetching bookings:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Approve or decline a request, or mark the driver as arrived or departed
+  const updateBooking = async (bookingId: string, action: 'approve' | 'decline' | 'arrived' | 'departed') => {
+    setUpdatingId(bookingId);
+    try {
+      const response = await fetch(`${API_URL}/bookings/${bookingId}/${action}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update booking');
+      }
+
+      success('Booking updated', data.message);
+      fetchBookings();
+    } catch (err) {
+      showError('Error', err instanceof Error ? err.message : 'Failed to update booking');
+      console.error('Error updating booking:', err);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Rate the driver of a completed booking
+  const rateDriver = async (bookingId: string) => {
+    setUpdatingId(bookingId);
+    try {
+      const response = await fetch(`${API_URL}/bookings/${bookingId}/driver-rating`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ rating: driverRatings[bookingId] || 5 }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to rate driver');
+      }
+
+      success('Driver rated', data.message);
+      fetchBookings();
+    } catch (err) {
+      showError('Error', err instanceof Error ? err.message : 'Failed to rate driver');
+      console.error('Error rating driver:', err);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  // Initial data fetch
+  useEffect(() => {
+    if (isHost && token) {
+      fetchBookings();
+    }
+  }, [user, token, filters]);
+
+  // Reload as bookings on the host's spaces are made or change
+  useRealtimeEvents(['booking.created', 'booking.updated', 'resync'], () => {
+    if (isHost && token) {
+      fetchBookings();
+    }
+  });
+
+  // Change a filter, going back to the first page
+  const updateFilter = (key: 'spaceId' | 'status' | 'from' | 'to', value: string) => {
+    setFilters({ ...filters, [key]: value, page: 1 });
+  };
+
+  // Render status badge
+  const renderStatusBadge = (status: string) => {
+    const colors: Record<string, string> = {
+      PENDING: 'badge-secondary',
+      REQUESTED: 'badge-warning',
+      DECLINED: 'badge-error',
+      CONFIRMED: 'badge-primary',
+      ACTIVE: 'badge-success',
+      COMPLETED: 'badge-secondary',
+      CANCELLED: 'badge-error',
+      REFUNDED: 'badge-error',
+      NO_SHOW: 'badge-warning',
+      EXPIRED: 'badge-secondary'
+    };
+    return <span className={`badge ${colors[status] || 'badge-secondary'}`}>{status.replace('_', ' ')}</span>;
+  };
+
+  // Render the driver's rating from other hosts
+  const renderDriverReputation = (booking: HostBooking) => {
+    const { rating, ratingCount } = booking.driverReputation;
+    if (rating === null) {
+      return <span className="badge badge-secondary">New driver</span>;
+    }
+    return (
+      <span className="text-sm text-yellow-700" title={`Rated by hosts on ${ratingCount} stay${ratingCount === 1 ? '' : 's'}`}>
+        ★ {rating.toFixed(1)} ({ratingCount})
+      </span>
+    );
+  };
+
+  const formatCost = (booking: HostBooking) =>
+    new Intl.NumberFormat('en-GB', { style: 'currency', currency: booking.currency }).format(booking.totalCost);
+
+  if (!isHost) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Access Denied</h1>
+          <p className="text-gray-600">You must be a host to access this page.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Bookings</h1>
+          <p className="text-gray-600">Who is parking on your spaces</p>
+        </div>
+
+        {/* Filters */}
+        <div className="card mb-8">
+          <div className="card-content">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Space</label>
+                <select
+                  value={filters.spaceId}
+                  onChange={(e) => updateFilter('spaceId', e.target.value)}
+                  className="input w-full"
+                >
+                  <option value="">All spaces</option>
+                  {spaces.map((space) => (
+                    <option key={space.id} value={space.id}>{space.title}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                <select
+                  value={filters.status}
+                  onChange={(e) => updateFilter('status', e.target.value)}
+                  className="input w-full"
+                >
+                  <option value="">All statuses</option>
+                  {BOOKING_STATUSES.map((status) => (
+                    <option key={status} value={status}>{status.replace('_', ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <input
+                  type="date"
+                  value={filters.from}
+                  onChange={(e) => updateFilter('from', e.target.value)}
+                  className="input w-full"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                <input
+                  type="date"
+                  value={filters.to}
+                  min={filters.from || undefined}
+                  onChange={(e) => updateFilter('to', e.target.value)}
+                  className="input w-full"
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Bookings */}
+        {loading && (
+          <div className="flex justify-center py-8">
+            <div className="spinner w-8 h-8"></div>
+          </div>
+        )}
+        {!loading && bookings.length === 0 && (
+          <p className="text-gray-600">No bookings found.</p>
+        )}
+        {!loading && bookings.length > 0 && (
+          <div className="space-y-4">
+            {bookings.map((booking) => {
+              const isRequest = booking.status === 'REQUESTED';
+              const canMarkArrived = booking.status === 'CONFIRMED' ||
+                (booking.status === 'ACTIVE' && !booking.checkedInAt);
+              const canMarkDeparted = booking.status === 'ACTIVE' && !!booking.checkedInAt;
+              const canRateDriver = booking.status === 'COMPLETED' && !booking.driverRatingEntry;
+
+              return (
+                <div key={booking.id} className="card">
+                  <div className="card-content">
+                    <div className="flex flex-col md:flex-row md:justify-between gap-4">
+                      <div className="space-y-1">
+                        <div className="flex items-center gap-3">
+                          <h2 className="text-lg font-semibold text-gray-900">{booking.space.title}</h2>
+                          {renderStatusBadge(booking.status)}
+                        </div>
+                        <p className="text-sm text-gray-600">
+                          {new Date(booking.startTime).toLocaleString()} - {new Date(booking.endTime).toLocaleString()}
+                        </p>
+                        <div className="flex items-center gap-2 text-gray-700">
+                          <span>
+                            {booking.user.firstName} {booking.user.lastName}
+                          </span>
+                          {renderDriverReputation(booking)}
+                        </div>
+                        <p className="text-gray-700">
+                          <span className="font-mono font-semibold">{booking.vehicleReg}</span>
+                          {[booking.vehicleColor, booking.vehicleMake, booking.vehicleModel].filter(Boolean).length > 0 && (
+                            <span> · {[booking.vehicleColor, booking.vehicleMake, booking.vehicleModel].filter(Boolean).join(' ')}</span>
+                          )}
+                        </p>
+                        {booking.specialRequests && (
+                          <p className="text-sm text-gray-600">Requests: {booking.specialRequests}</p>
+                        )}
+                        {isRequest && booking.approvalDeadline && (
+                          <p className="text-sm text-yellow-700">
+                            Respond by {new Date(booking.approvalDeadline).toLocaleString()}
+                          </p>
+                        )}
+                        {booking.status === 'DECLINED' && booking.declineReason && (
+                          <p className="text-sm text-gray-500">Declined: {booking.declineReason}</p>
+                        )}
+                        {booking.checkedInAt && (
+                          <p className="text-sm text-gray-500">
+                            Arrived {new Date(booking.checkedInAt).toLocaleString()}
+                            {booking.checkedOutAt && <> · Departed {new Date(booking.checkedOutAt).toLocaleString()}</>}
+                            {!!booking.overstayMinutes && <> · Overstayed {booking.overstayMinutes} min</>}
+                          </p>
+                        )}
+                        {booking.driverRatingEntry && (
+                          <p className="text-sm text-gray-500">You rated this driver {booking.driverRatingEntry.rating}/5</p>
+                        )}
+                      </div>
+                      <div className="flex flex-col items-start md:items-end gap-3">
+                        <p className="text-lg font-semibold text-gray-900">{formatCost(booking)}</p>
+                        {booking.paymentDueAt && (
+                          <p className="text-sm text-gray-500">
+                            Not paid yet · invoiced {new Date(booking.paymentDueAt).toLocaleDateString()}
+                          </p>
+                        )}
+                        <div className="flex space-x-3">
+                          {isRequest && (
+                            <>
+                              <button
+                                onClick={() => updateBooking(booking.id, 'approve')}
+                                className="btn btn-success btn-sm"
+                                disabled={updatingId === booking.id}
+                              >
+                                Approve
+                              </button>
+                              <button
+                                onClick={() => updateBooking(booking.id, 'decline')}
+                                className="btn btn-danger btn-sm"
+                                disabled={updatingId === booking.id}
+                              >
+                                Decline
+                              </button>
+                            </>
+                          )}
+                          {canMarkArrived && (
+                            <button
+                              onClick={() => updateBooking(booking.id, 'arrived')}
+                              className="btn btn-primary btn-sm"
+                              disabled={updatingId === booking.id}
+                            >
+                              Mark Arrived
+                            </button>
+                          )}
+                          {canMarkDeparted && (
+                            <button
+                              onClick={() => updateBooking(booking.id, 'departed')}
+                              className="btn btn-outline btn-sm"
+                              disabled={updatingId === booking.id}
+                            >
+                              Mark Departed
+                            </button>
+                          )}
+                          {canRateDriver && (
+                            <>
+                              <select
+                                value={driverRatings[booking.id] || 5}
+                                onChange={(e) => setDriverRatings({ ...driverRatings, [booking.id]: parseInt(e.target.value) })}
+                                className="input w-auto py-1 text-sm"
+                                aria-label="Driver rating"
+                              >
+                                {[5, 4, 3, 2, 1].map((stars) => (
+                                  <option key={stars} value={stars}>{'★'.repeat(stars)}</option>
+                                ))}
+                              </select>
+                              <button
+                                onClick={() => rateDriver(booking.id)}
+                                className="btn btn-outline btn-sm"
+                                disabled={updatingId === booking.id}
+                              >
+                                Rate Driver
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex justify-between items-center mt-8">
+            <button
+              onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+              className="btn btn-outline btn-sm"
+              disabled={!pagination.hasPrevPage}
+            >
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <button
+              onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+              className="btn btn-outline btn-sm"
+              disabled={!pagination.hasNextPage}
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
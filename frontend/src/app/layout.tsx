@@ -9,7 +9,9 @@ import './globals.css';
 import { AuthProvider } from '@/providers/AuthProvider';
 import { ToastProvider } from '@/providers/ToastProvider';
 import { LoadingProvider } from '@/providers/LoadingProvider';
+import { RealtimeProvider } from '@/providers/RealtimeProvider';
 import ErrorBoundary from '@/components/ErrorBoundary';
+import NotificationBell from '@/components/NotificationBell';
 
 // Metadata for SEO and social sharing
 export const metadata = {
@@ -35,7 +37,8 @@ export const metadata = {
  * 
  * This component wraps all pages in the application and provides:
  * - Global styles and fonts
- * - Context providers (Auth, Toast, Loading)
+ * - Context providers (Auth, Toast, Loading, Realtime)
+ * - Notification bell for signed-in users
  * - Error boundary for error handling
  * - Common HTML structure
  * - Accessibility features
@@ -77,10 +80,15 @@ export default function RootLayout({
           <AuthProvider>
             <LoadingProvider>
               <ToastProvider>
-                {/* Main application content */}
-                <div id="main-content" className="min-h-screen flex flex-col">
-                  {children}
-                </div>
+                <RealtimeProvider>
+                  {/* In-app notifications */}
+                  <NotificationBell />
+
+                  {/* Main application content */}
+                  <div id="main-content" className="min-h-screen flex flex-col">
+                    {children}
+                  </div>
+                </RealtimeProvider>
               </ToastProvider>
             </LoadingProvider>
           </AuthProvider>
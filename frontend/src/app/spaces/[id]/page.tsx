@@ -0,0 +1,116 @@
+/**
+ * Space Page
+ *
+ * This page shows a parking space to drivers.
+ *
+ * Features:
+ * - The space's details, hourly price and rating
+ * - Picking a booking window from the space's free times
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import SlotPicker, { SlotSelection } from '@/components/SlotPicker';
+
+// Types
+interface Space {
+  id: string;
+  title: string;
+  description?: string;
+  address: string;
+  city: string;
+  postcode: string;
+  price: number;
+  currency?: string;
+  avgRating: number;
+}
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+export default function SpacePage({ params }: { params: { id: string } }) {
+  // State
+  const [space, setSpace] = useState<Space | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [selection, setSelection] = useState<SlotSelection | null>(null);
+
+  // Fetch the space
+  const fetchSpace = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_URL}/spaces/${params.id}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load parking space');
+      }
+
+      setSpace(data.data.space);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load parking space');
+      console.error('Error fetching space:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSpace();
+  }, [params.id]);
+
+  const formatPrice = (amount: number) =>
+    new Intl.NumberFormat('en-GB', { style: 'currency', currency: space?.currency || 'GBP' }).format(amount);
+
+  const formatDuration = ({ startTime, endTime }: SlotSelection) => {
+    const minutes = Math.round((endTime.getTime() - startTime.getTime()) / (60 * 1000));
+    const hours = Math.floor(minutes / 60);
+    return [hours > 0 && `${hours}h`, minutes % 60 > 0 && `${minutes % 60}m`].filter(Boolean).join(' ');
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner w-8 h-8"></div>
+      </div>
+    );
+  }
+
+  if (error || !space) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 mb-4">Space unavailable</h1>
+          <p className="text-gray-600">{error || 'This parking space could not be found.'}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8">
+      <div className="container mx-auto px-4">
+        {/* Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">{space.title}</h1>
+          <p className="text-gray-600">{space.address}, {space.city} {space.postcode}</p>
+          <div className="flex items-center gap-3 mt-2">
+            <span className="text-lg font-semibold text-gray-900">{formatPrice(space.price)} / hour</span>
+            {space.avgRating > 0 && (
+              <span className="text-sm text-yellow-700">★ {space.avgRating.toFixed(1)}</span>
+            )}
+          </div>
+          {space.description && <p className="text-gray-700 mt-4">{space.description}</p>}
+        </div>
+
+        {/* Booking window */}
+        <SlotPicker spaceId={space.id} onChange={setSelection} />
+
+        {selection && (
+          <p className="text-sm text-gray-600 mt-4">{formatDuration(selection)} selected</p>
+        )}
+      </div>
+    </div>
+  );
+}
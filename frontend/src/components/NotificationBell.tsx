@@ -0,0 +1,221 @@
+/**
+ * Notification Bell Component
+ *
+ * This component shows the signed-in user's in-app notifications.
+ *
+ * Features:
+ * - Unread count badge, kept up to date by the live event stream
+ * - Dropdown with the latest notifications
+ * - Marking one notification, or all of them, as read
+ */
+
+'use client';
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useAuth } from '@/providers/AuthProvider';
+import { useRealtimeEvents } from '@/providers/RealtimeProvider';
+
+// Types
+interface Notification {
+  id: string;
+  title: string;
+  message: string;
+  type: string;
+  isRead: boolean;
+  createdAt: string;
+}
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+// How many notifications the dropdown shows
+const DROPDOWN_LIMIT = 10;
+
+export default function NotificationBell() {
+  const { token, isAuthenticated } = useAuth();
+
+  // State
+  const [open, setOpen] = useState(false);
+  const [notifications, setNotifications] = useState<Notification[]>([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  // IDs of the notifications already shown or counted, as the stream can
+  // deliver one again after a reconnect
+  const seenIds = useRef<Set<string>>(new Set());
+
+  // Call the notifications API
+  const request = async (path: string, method: 'GET' | 'POST' = 'GET') => {
+    const response = await fetch(`${API_URL}/notifications${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || 'Failed to load notifications');
+    }
+
+    return data.data;
+  };
+
+  // Fetch the unread count
+  const fetchUnreadCount = async () => {
+    try {
+      const data = await request('/unread-count');
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching unread notifications:', err);
+    }
+  };
+
+  // Fetch the latest notifications
+  const fetchNotifications = async () => {
+    setLoading(true);
+    try {
+      const data = await request(`?limit=${DROPDOWN_LIMIT}`);
+      data.notifications.forEach((item: Notification) => seenIds.current.add(item.id));
+      setNotifications(data.notifications);
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Mark a notification as read
+  const markRead = async (notification: Notification) => {
+    if (notification.isRead) return;
+
+    try {
+      const data = await request(`/${notification.id}/read`, 'POST');
+      setNotifications(notifications.map((item) => (item.id === notification.id ? data.notification : item)));
+      setUnreadCount(data.unreadCount);
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+    }
+  };
+
+  // Mark all notifications as read
+  const markAllRead = async () => {
+    try {
+      await request('/read-all', 'POST');
+      setNotifications(notifications.map((item) => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+    }
+  };
+
+  // Load the unread count on sign-in
+  useEffect(() => {
+    if (isAuthenticated && token) {
+      fetchUnreadCount();
+    }
+  }, [isAuthenticated, token]);
+
+  // Show new notifications as they arrive, and reload after a resync
+  useRealtimeEvents(['notification.created', 'resync'], (event) => {
+    if (event.type === 'resync') {
+      if (open) {
+        fetchNotifications();
+      } else {
+        fetchUnreadCount();
+      }
+      return;
+    }
+
+    const notification: Notification = event.data.notification;
+    if (seenIds.current.has(notification.id)) return;
+
+    seenIds.current.add(notification.id);
+    setUnreadCount((count) => count + 1);
+    setNotifications((items) => [notification, ...items.filter((item) => item.id !== notification.id)].slice(0, DROPDOWN_LIMIT));
+  });
+
+  // Load the notifications when the dropdown opens
+  useEffect(() => {
+    if (open) {
+      fetchNotifications();
+    }
+  }, [open]);
+
+  // Close the dropdown on a click outside it
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClick = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  if (!isAuthenticated) {
+    return null;
+  }
+
+  return (
+    <div ref={containerRef} className="fixed top-4 right-4 z-40">
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative flex items-center justify-center w-10 h-10 rounded-full bg-white shadow-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={open}
+      >
+        <span className="text-lg">🔔</span>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto bg-white rounded-lg shadow-lg border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h2 className="text-sm font-semibold text-gray-900">Notifications</h2>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-blue-600 hover:text-blue-800">
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {loading && notifications.length === 0 && (
+            <div className="flex justify-center py-6">
+              <div className="spinner w-6 h-6"></div>
+            </div>
+          )}
+          {!loading && notifications.length === 0 && (
+            <p className="px-4 py-6 text-sm text-gray-600 text-center">You have no notifications.</p>
+          )}
+          {notifications.length > 0 && (
+            <ul className="divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => markRead(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.isRead ? '' : 'bg-blue-50'}`}
+                  >
+                    <p className={`text-sm text-gray-900 ${notification.isRead ? '' : 'font-semibold'}`}>{notification.title}</p>
+                    <p className="text-sm text-gray-600 mt-1">{notification.message}</p>
+                    <p className="text-xs text-gray-400 mt-1">{new Date(notification.createdAt).toLocaleString()}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
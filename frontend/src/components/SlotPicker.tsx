@@ -0,0 +1,202 @@
+/**
+ * Slot Picker Component
+ *
+ * This component lets a driver pick a booking window on a parking space
+ * from its free/busy calendar (GET /api/spaces/:id/calendar).
+ *
+ * Features:
+ * - The space's free slots over the next 14 days, a day at a time
+ * - Picking a start slot, then a later slot to end on; a window can't run
+ *   across a booking or closed time, but can run over midnight
+ * - Reloading the calendar on request, as slots are taken by other drivers
+ */
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+
+// Types
+interface Interval {
+  start: string;
+  end: string;
+}
+
+interface Slot {
+  start: Date;
+  end: Date;
+  // Index of the free interval the slot is in
+  interval: number;
+}
+
+export interface SlotSelection {
+  startTime: Date;
+  endTime: Date;
+}
+
+interface SlotPickerProps {
+  spaceId: string;
+  onChange: (selection: SlotSelection | null) => void;
+}
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+// How far ahead the calendar runs, and the slot size
+const CALENDAR_DAYS = 14;
+const GRANULARITY_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local calendar day key for grouping (YYYY-MM-DD)
+const dayKey = (date: Date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const formatTime = (date: Date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+export default function SlotPicker({ spaceId, onChange }: SlotPickerProps) {
+  // State
+  const [slots, setSlots] = useState<Slot[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [day, setDay] = useState(dayKey(new Date()));
+  const [selection, setSelection] = useState<{ start: Slot; end: Slot } | null>(null);
+
+  // Fetch the calendar and split its free intervals into slots
+  const fetchCalendar = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const from = new Date();
+      const to = new Date(from.getTime() + CALENDAR_DAYS * DAY_MS);
+      const queryParams = new URLSearchParams({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        granularity: `${GRANULARITY_MINUTES}m`,
+      });
+
+      const response = await fetch(`${API_URL}/spaces/${spaceId}/calendar?${queryParams}`);
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to load availability');
+      }
+
+      const stepMs = GRANULARITY_MINUTES * 60 * 1000;
+      const freeSlots: Slot[] = [];
+      data.data.calendar.free.forEach((free: Interval, interval: number) => {
+        const end = new Date(free.end).getTime();
+        for (let time = new Date(free.start).getTime(); time + stepMs <= end; time += stepMs) {
+          freeSlots.push({ start: new Date(time), end: new Date(time + stepMs), interval });
+        }
+      });
+
+      setSlots(freeSlots);
+      setSelection(null);
+      onChange(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load availability');
+      console.error('Error fetching calendar:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchCalendar();
+  }, [spaceId]);
+
+  // Start a new window, or end the current one on a later slot in the same
+  // free interval
+  const pickSlot = (slot: Slot) => {
+    const endsWindow = selection !== null &&
+      selection.start === selection.end &&
+      slot.interval === selection.start.interval &&
+      slot.start > selection.start.start;
+
+    const next = endsWindow ? { start: selection.start, end: slot } : { start: slot, end: slot };
+    setSelection(next);
+    onChange({ startTime: next.start.start, endTime: next.end.end });
+  };
+
+  const isSelected = (slot: Slot) =>
+    selection !== null && slot.start >= selection.start.start && slot.end <= selection.end.end;
+
+  // The days shown, each with its free slots
+  const days = Array.from({ length: CALENDAR_DAYS }, (_, index) => {
+    const date = new Date();
+    date.setDate(date.getDate() + index);
+    return date;
+  });
+  const daySlots = slots.filter((slot) => dayKey(slot.start) === day);
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h2 className="card-title">Choose a time</h2>
+        <p className="card-description">
+          Pick the slot you arrive in, then the slot you leave after. Times not listed are booked or closed.
+        </p>
+      </div>
+      <div className="card-content">
+        {/* Days */}
+        <div className="flex gap-2 overflow-x-auto pb-2 mb-4">
+          {days.map((date) => {
+            const key = dayKey(date);
+            const free = slots.some((slot) => dayKey(slot.start) === key);
+            return (
+              <button
+                key={key}
+                onClick={() => setDay(key)}
+                className={`btn btn-sm ${key === day ? 'btn-primary' : 'btn-outline'} ${free ? '' : 'opacity-50'}`}
+              >
+                {date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+              </button>
+            );
+          })}
+        </div>
+
+        {/* Slots */}
+        {loading && (
+          <div className="flex justify-center py-6">
+            <div className="spinner w-6 h-6"></div>
+          </div>
+        )}
+        {!loading && error && (
+          <div className="text-center py-6">
+            <p className="text-sm text-red-600 mb-2">{error}</p>
+            <button onClick={fetchCalendar} className="btn btn-sm btn-outline">Try again</button>
+          </div>
+        )}
+        {!loading && !error && daySlots.length === 0 && (
+          <p className="text-sm text-gray-600 text-center py-6">No free times on this day.</p>
+        )}
+        {!loading && !error && daySlots.length > 0 && (
+          <div className="grid grid-cols-4 md:grid-cols-8 gap-2">
+            {daySlots.map((slot) => (
+              <button
+                key={slot.start.toISOString()}
+                onClick={() => pickSlot(slot)}
+                className={`btn btn-sm ${isSelected(slot) ? 'btn-primary' : 'btn-outline'}`}
+              >
+                {formatTime(slot.start)}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Selection */}
+        {selection && (
+          <div className="flex items-center justify-between mt-4 pt-4 border-t border-gray-200">
+            <p className="text-sm text-gray-900">
+              {selection.start.start.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+              {' – '}
+              {dayKey(selection.start.start) === dayKey(selection.end.end)
+                ? formatTime(selection.end.end)
+                : selection.end.end.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+            </p>
+            <button onClick={fetchCalendar} className="btn btn-sm btn-ghost">Refresh times</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
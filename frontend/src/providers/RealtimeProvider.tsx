@@ -0,0 +1,231 @@
+/**
+ * Realtime Provider
+ *
+ * This provider keeps one live connection to the API's event stream for the
+ * signed-in user and hands its events to any component that subscribes.
+ *
+ * Features:
+ * - Server-sent events read with fetch, so the JWT goes in the
+ *   Authorization header rather than the URL
+ * - Automatic reconnect with backoff (and on a refreshed token)
+ * - Replay of events missed while disconnected, using Last-Event-ID
+ * - A 'resync' event when too much was missed to replay, telling
+ *   subscribers to reload what they show
+ */
+
+'use client';
+
+import React, { createContext, useContext, useEffect, useRef, useState, ReactNode } from 'react';
+import { useAuth } from '@/providers/AuthProvider';
+
+// Types
+export interface RealtimeEvent {
+  id: number;
+  type: string;
+  data: any;
+  createdAt: string;
+}
+
+type RealtimeListener = (event: RealtimeEvent) => void;
+
+type RealtimeStatus = 'idle' | 'connecting' | 'open' | 'reconnecting';
+
+interface RealtimeContextType {
+  status: RealtimeStatus;
+  subscribe: (listener: RealtimeListener) => () => void;
+}
+
+interface RealtimeProviderProps {
+  children: ReactNode;
+}
+
+// Create context
+const RealtimeContext = createContext<RealtimeContextType | undefined>(undefined);
+
+// Custom hook to use realtime context
+export const useRealtime = (): RealtimeContextType => {
+  const context = useContext(RealtimeContext);
+  if (context === undefined) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+/**
+ * Subscribe a component to live events
+ * @param types - Event types to receive (e.g. 'booking.updated', 'resync')
+ * @param handler - Called with each event; always the latest render's handler
+ */
+export const useRealtimeEvents = (types: string[], handler: RealtimeListener): void => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe((event) => {
+    if (types.includes(event.type)) {
+      handlerRef.current(event);
+    }
+  }), [subscribe, types.join(',')]);
+};
+
+// API base URL
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:5000/api';
+
+// Reconnect delays double after each failed attempt, up to the maximum
+const INITIAL_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30 * 1000;
+
+/**
+ * Parse one SSE message block
+ * @returns The event, or null for comments and retry hints
+ */
+const parseEventBlock = (block: string): RealtimeEvent | null => {
+  let id: number | null = null;
+  let type = 'message';
+  const data: string[] = [];
+
+  block.split('\n').forEach((line) => {
+    const separator = line.indexOf(':');
+    if (separator === 0) return; // Comment (heartbeat)
+
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'id') id = parseInt(value, 10);
+    if (field === 'event') type = value;
+    if (field === 'data') data.push(value);
+  });
+
+  if (id === null || data.length === 0) {
+    return null;
+  }
+
+  const payload = JSON.parse(data.join('\n'));
+  return { id, type, data: payload.data, createdAt: payload.createdAt };
+};
+
+/**
+ * Realtime Provider Component
+ */
+export const RealtimeProvider: React.FC<RealtimeProviderProps> = ({ children }) => {
+  const { token } = useAuth();
+  const [status, setStatus] = useState<RealtimeStatus>('idle');
+  const listenersRef = useRef(new Set<RealtimeListener>());
+  const lastEventIdRef = useRef<number | null>(null);
+
+  const subscribe = useRef((listener: RealtimeListener) => {
+    listenersRef.current.add(listener);
+    return () => {
+      listenersRef.current.delete(listener);
+    };
+  }).current;
+
+  // Connect while signed in, reconnecting whenever the stream drops
+  useEffect(() => {
+    if (!token) {
+      lastEventIdRef.current = null;
+      setStatus('idle');
+      return;
+    }
+
+    const controller = new AbortController();
+    let attempt = 0;
+    let retryTimeout: ReturnType<typeof setTimeout> | undefined;
+
+    const dispatch = (event: RealtimeEvent) => {
+      lastEventIdRef.current = event.id;
+
+      if (event.type === 'ready' || event.type === 'resync') {
+        attempt = 0;
+        setStatus('open');
+      }
+
+      listenersRef.current.forEach((listener) => {
+        try {
+          listener(event);
+        } catch (err) {
+          console.error('Realtime listener error:', err);
+        }
+      });
+    };
+
+    const connect = async () => {
+      setStatus(attempt === 0 ? 'connecting' : 'reconnecting');
+
+      try {
+        const headers: Record<string, string> = {
+          'Authorization': `Bearer ${token}`,
+          'Accept': 'text/event-stream',
+        };
+        if (lastEventIdRef.current !== null) {
+          headers['Last-Event-ID'] = lastEventIdRef.current.toString();
+        }
+
+        const response = await fetch(`${API_URL}/realtime/events`, {
+          headers,
+          cache: 'no-store',
+          signal: controller.signal,
+        });
+
+        // The token is no longer accepted; AuthProvider signs the user out
+        // or refreshes it, which reconnects
+        if (response.status === 401) {
+          setStatus('idle');
+          return;
+        }
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream failed with status ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+
+          let boundary = buffer.indexOf('\n\n');
+          while (boundary !== -1) {
+            const event = parseEventBlock(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+            if (event) dispatch(event);
+            boundary = buffer.indexOf('\n\n');
+          }
+        }
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        console.error('Realtime connection error:', err);
+      }
+
+      if (controller.signal.aborted) return;
+
+      // Stream ended or failed; try again, backing off
+      const delay = Math.min(INITIAL_RECONNECT_DELAY_MS * 2 ** attempt, MAX_RECONNECT_DELAY_MS);
+      attempt++;
+      setStatus('reconnecting');
+      retryTimeout = setTimeout(connect, delay);
+    };
+
+    connect();
+
+    return () => {
+      controller.abort();
+      clearTimeout(retryTimeout);
+    };
+  }, [token]);
+
+  const value: RealtimeContextType = {
+    status,
+    subscribe,
+  };
+
+  return (
+    <RealtimeContext.Provider value={value}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};